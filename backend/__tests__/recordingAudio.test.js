@@ -0,0 +1,11 @@
+const { audioKeys } = require('../recordingAudio');
+
+describe('Recording audio keys', () => {
+  test('audioKeys lists the original and the copies that exist', () => {
+    expect(audioKeys({
+      audio_filepath: 'recordings/a.wav',
+      trimmed_audio_filepath: null,
+      normalized_audio_filepath: 'recordings/a.normalized.wav',
+    })).toEqual(['recordings/a.wav', 'recordings/a.normalized.wav']);
+  });
+});
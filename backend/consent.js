@@ -0,0 +1,87 @@
+/**
+ * Informed consent for speakers
+ * The consent text is versioned: when CONSENT_VERSION changes, every speaker
+ * has to agree to the new text before they can upload again.
+ */
+
+const { query, queryOne } = require('./db');
+
+const CONSENT_VERSION = '2026-10-v1';
+
+// research = research use only; public = research and public dataset release
+const CONSENT_SCOPES = ['research', 'public'];
+
+const CONSENT_TEXT = [
+    'The Deaf Speech Recorder collects recordings of Deaf and hard-of-hearing speakers reading Marathi sentences, to build speech recognition that works for them.',
+    'Your recordings, the sentences you read and the date they were made will be stored. Your email address is only used to log you in and is never shared.',
+    'You can choose how your recordings may be used: for research by the project team only, or additionally as part of a public dataset released for anyone to use.',
+    'Taking part is voluntary. You can withdraw your consent at any time; recordings will then no longer be included in new dataset exports. Data that has already been released publicly cannot be recalled.',
+];
+
+/**
+ * Get the speaker's consent for the current consent version, if any
+ * @param {number} userId
+ * @returns {Promise<object|null>} - { id, consent_version, scope, granted_at }
+ */
+async function getCurrentConsent(userId) {
+    return queryOne(
+        `SELECT id, consent_version, scope, granted_at
+         FROM consents
+         WHERE user_id = $1 AND consent_version = $2 AND withdrawn_at IS NULL
+         ORDER BY granted_at DESC
+         LIMIT 1`,
+        [userId, CONSENT_VERSION]
+    );
+}
+
+/**
+ * Record consent to the current consent version
+ * @param {number} userId
+ * @param {string} scope - 'research' | 'public'
+ * @returns {Promise<object>} - { id, consent_version, scope, granted_at }
+ */
+async function grantConsent(userId, scope) {
+    if (!CONSENT_SCOPES.includes(scope)) {
+        throw new Error(`Invalid consent scope "${scope}". Must be one of: ${CONSENT_SCOPES.join(', ')}`);
+    }
+
+    return queryOne(
+        `INSERT INTO consents (user_id, consent_version, scope)
+         VALUES ($1, $2, $3)
+         RETURNING id, consent_version, scope, granted_at`,
+        [userId, CONSENT_VERSION, scope]
+    );
+}
+
+/**
+ * Withdraw all of a speaker's consents
+ * @param {number} userId
+ * @returns {Promise<number>} - Number of consents withdrawn
+ */
+async function withdrawConsent(userId) {
+    const result = await query(
+        'UPDATE consents SET withdrawn_at = NOW() WHERE user_id = $1 AND withdrawn_at IS NULL',
+        [userId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Consent scopes that satisfy an export for the given scope
+ * (public release consent also covers research use)
+ * @param {string} scope - 'research' | 'public'
+ * @returns {string[]}
+ */
+function scopesCovering(scope) {
+    return scope === 'public' ? ['public'] : CONSENT_SCOPES;
+}
+
+module.exports = {
+    CONSENT_VERSION,
+    CONSENT_SCOPES,
+    CONSENT_TEXT,
+    getCurrentConsent,
+    grantConsent,
+    withdrawConsent,
+    scopesCovering,
+};
@@ -0,0 +1,173 @@
+/**
+ * Right-to-erasure: delete everything stored about a speaker
+ * Used by the admin API (POST /api/admin/users/:id/erase) and scripts/erase-speaker.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { pool, queryOne, queryAll } = require('./db');
+const storage = require('./storage');
+const { AUDIO_COLUMNS, audioKeys } = require('./recordingAudio');
+const { normalizeEmail } = require('./utils/authCrypto');
+const { signReport, verifySignedReport } = require('./utils/signedReport');
+
+function getSecret() {
+    const secret = process.env.ERASURE_REPORT_SECRET;
+    if (!secret) {
+        const error = new Error('ERASURE_REPORT_SECRET must be set to sign deletion reports');
+        error.statusCode = 500;
+        throw error;
+    }
+    return secret;
+}
+
+/**
+ * Keyed hash of an email, so a tombstone can be matched without storing the address
+ * @param {string} email
+ * @returns {string}
+ */
+function hashEmail(email) {
+    return crypto.createHmac('sha256', getSecret()).update(normalizeEmail(email)).digest('hex');
+}
+
+/**
+ * Erase a speaker: recordings (storage objects and rows), progress, profile,
+ * consents, sessions and the account itself. A tombstone with the signed
+ * deletion report is written in the same transaction.
+ *
+ * Storage objects are deleted first; if any deletion fails nothing is removed
+ * from the database, so the erasure can simply be retried.
+ *
+ * @param {number} userId
+ * @param {object} options
+ * @param {string} options.requestedBy - Admin email or 'cli'
+ * @param {string} [options.reason]
+ * @returns {Promise<object>} Signed report { report, signature }
+ */
+async function eraseSpeaker(userId, { requestedBy, reason = null }) {
+    const secret = getSecret();
+
+    const user = await queryOne('SELECT id, email, speaker_id FROM users WHERE id = $1', [userId]);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const recordings = await queryAll(
+        `SELECT id, ${AUDIO_COLUMNS.join(', ')} FROM recordings WHERE user_id = $1 ORDER BY id`,
+        [user.id]
+    );
+
+    // 1. Delete audio (and derived copies) from storage (local or S3). Keys with no
+    // object behind them (e.g. reserved for an upload still in the queue) are not counted.
+    const failures = [];
+    let objectsDeleted = 0;
+    for (const recording of recordings) {
+        for (const key of audioKeys(recording)) {
+            try {
+                if (await storage.exists(key)) {
+                    await storage.deleteFile(key);
+                    objectsDeleted++;
+                }
+            } catch (error) {
+                failures.push({ recording_id: recording.id, error: error.message });
+            }
+        }
+    }
+
+    // Uploads still waiting in the ingestion spool
+    const pendingUploads = await queryAll(
+        "SELECT source_path FROM ingestion_jobs WHERE user_id = $1 AND status IN ('queued', 'processing')",
+        [user.id]
+    );
+    for (const job of pendingUploads) {
+        try {
+            await fs.unlink(job.source_path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') failures.push({ spooled_upload: job.source_path, error: error.message });
+        }
+    }
+
+    if (failures.length > 0) {
+        const error = new Error(`Could not delete ${failures.length} audio file(s) from storage; nothing was erased`);
+        error.statusCode = 502;
+        error.failures = failures;
+        throw error;
+    }
+
+    // 2. Delete database records and write the tombstone atomically
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deletedRecordings = await client.query('DELETE FROM recordings WHERE user_id = $1', [user.id]);
+        const deletedProgress = await client.query('DELETE FROM user_progress WHERE user_id = $1', [user.id]);
+        const deletedProfile = await client.query('DELETE FROM speaker_profiles WHERE user_id = $1', [user.id]);
+        const deletedConsents = await client.query('DELETE FROM consents WHERE user_id = $1', [user.id]);
+        await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+
+        const tombstone = (await client.query(
+            `INSERT INTO erasure_tombstones (user_id, email_hash, requested_by, reason)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, erased_at`,
+            [user.id, hashEmail(user.email), requestedBy, reason]
+        )).rows[0];
+
+        const report = {
+            report_type: 'speaker_erasure',
+            tombstone_id: tombstone.id,
+            erased_at: tombstone.erased_at.toISOString(),
+            requested_by: requestedBy,
+            reason,
+            speaker: {
+                user_id: user.id,
+                speaker_id: user.speaker_id,
+                email_hash: hashEmail(user.email),
+            },
+            storage: {
+                type: storage.type,
+                objects_deleted: objectsDeleted,
+                spooled_uploads_deleted: pendingUploads.length,
+            },
+            deleted: {
+                recording_ids: recordings.map(r => r.id),
+                recordings: deletedRecordings.rowCount,
+                user_progress: deletedProgress.rowCount,
+                speaker_profile: deletedProfile.rowCount,
+                consents: deletedConsents.rowCount,
+                account: true,
+            },
+        };
+        const signed = signReport(report, secret);
+
+        await client.query(
+            'UPDATE erasure_tombstones SET report = $1, signature = $2 WHERE id = $3',
+            [JSON.stringify(report), signed.signature.value, tombstone.id]
+        );
+
+        await client.query('COMMIT');
+        console.log(`🧹 Erased speaker ${user.id} (${recordings.length} recordings), requested by ${requestedBy}`);
+        return signed;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Verify a signed deletion report
+ * @param {object} signed - { report, signature }
+ * @returns {boolean}
+ */
+function verifyErasureReport(signed) {
+    return verifySignedReport(signed, getSecret());
+}
+
+module.exports = {
+    hashEmail,
+    eraseSpeaker,
+    verifyErasureReport,
+};
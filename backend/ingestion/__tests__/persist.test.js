@@ -0,0 +1,69 @@
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  queryOne: jest.fn(),
+}));
+jest.mock('../../storage', () => ({
+  save: jest.fn(async (file, key) => key),
+  getSize: jest.fn(async () => 44),
+  deleteFile: jest.fn(async () => {}),
+  derivativeKey: (key, variant) => key.replace(/\.wav$/, `_${variant}.wav`),
+}));
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const { query } = require('../../db');
+const storage = require('../../storage');
+const { IngestionPipeline, IngestionError } = require('..');
+const steps = require('../steps');
+
+const validation = {
+  valid: true,
+  errors: [],
+  checks: { duration: 1.5, sample_rate: 16000, channels: 1 },
+  metadata: {},
+};
+
+// Stands in for store-trimmed/store-normalized without running ffmpeg
+const storeCopy = {
+  name: 'store-copy',
+  async run(ctx) {
+    ctx.normalizedPath = await storage.save(ctx.wavPath, storage.derivativeKey(ctx.storedPath, 'normalized'));
+  },
+  rollback: async ctx => storage.deleteFile(ctx.normalizedPath),
+};
+
+function run() {
+  const pipeline = new IngestionPipeline([steps.store, storeCopy, steps.persist], {});
+  return pipeline.run({
+    recordingId: 7,
+    storageKey: 'recordings/SPK/sentence_1.wav',
+    wavPath: '/tmp/converted.wav',
+    validation,
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('persist step', () => {
+  test('updates the recording that was reserved at upload time', async () => {
+    query.mockResolvedValue({ rowCount: 1 });
+
+    const result = await run();
+    expect(result.recordingId).toBe(7);
+    expect(query.mock.calls[0][1].slice(-1)).toEqual([7]);
+    expect(storage.deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('deletes the audio it stored when the recording was erased meanwhile', async () => {
+    query.mockResolvedValue({ rowCount: 0 });
+
+    const error = await run().catch(e => e);
+    expect(error).toBeInstanceOf(IngestionError);
+    expect(error.statusCode).toBe(410);
+    expect(storage.deleteFile.mock.calls.map(([key]) => key).sort()).toEqual([
+      'recordings/SPK/sentence_1.wav',
+      'recordings/SPK/sentence_1_normalized.wav',
+    ]);
+  });
+});
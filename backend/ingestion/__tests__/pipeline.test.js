@@ -0,0 +1,64 @@
+const fs = require('fs');
+
+// The pipeline itself needs neither a database nor storage
+jest.mock('../../db', () => ({}));
+jest.mock('../../storage', () => ({}));
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const { IngestionPipeline, IngestionError } = require('..');
+
+function recordingStep(name, calls, { fail = false } = {}) {
+  return {
+    name,
+    async run() {
+      calls.push(`run:${name}`);
+      if (fail) throw new IngestionError(`${name} failed`, 422, { step: name });
+    },
+    async rollback() {
+      calls.push(`rollback:${name}`);
+    },
+  };
+}
+
+describe('IngestionPipeline', () => {
+  test('use() inserts steps before or after a named step', async () => {
+    const calls = [];
+    const pipeline = new IngestionPipeline([recordingStep('a', calls), recordingStep('c', calls)], {});
+    pipeline.use(recordingStep('b', calls), { after: 'a' });
+    pipeline.use(recordingStep('start', calls), { before: 'a' });
+    pipeline.use(recordingStep('end', calls));
+
+    await pipeline.run({});
+    expect(calls).toEqual(['run:start', 'run:a', 'run:b', 'run:c', 'run:end']);
+    expect(() => pipeline.use(recordingStep('x', calls), { after: 'missing' })).toThrow();
+  });
+
+  test('a failing step rolls back completed steps in reverse order', async () => {
+    const calls = [];
+    const pipeline = new IngestionPipeline([
+      recordingStep('a', calls),
+      recordingStep('b', calls),
+      recordingStep('c', calls, { fail: true }),
+    ], {});
+
+    const error = await pipeline.run({}).catch(e => e);
+    expect(error).toBeInstanceOf(IngestionError);
+    expect(error.toJSON()).toEqual({ error: 'c failed', step: 'c' });
+    expect(calls).toEqual(['run:a', 'run:b', 'run:c', 'rollback:b', 'rollback:a']);
+  });
+
+  test('temp files are removed even when a step fails', async () => {
+    let tempFile;
+    const pipeline = new IngestionPipeline([{
+      name: 'write-temp',
+      async run(ctx) {
+        tempFile = ctx.tempPath('.wav');
+        fs.writeFileSync(tempFile, 'audio');
+        throw new Error('boom');
+      },
+    }], {});
+
+    await expect(pipeline.run({})).rejects.toThrow('boom');
+    expect(fs.existsSync(tempFile)).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-test-'));
+process.env.RESUMABLE_UPLOAD_DIR = uploadDir;
+
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const resumable = require('../resumable');
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('Resumable uploads', () => {
+  test('chunks are appended in order and the assembled file matches', async () => {
+    const upload = await resumable.createUpload({ userId: 1, sentenceId: 5, size: 6, filename: 'recording.webm' });
+    expect(upload.offset).toBe(0);
+
+    expect(await resumable.appendChunk(upload.id, 1, 0, Buffer.from('abc'))).toBe(3);
+    expect(await resumable.appendChunk(upload.id, 1, 3, Buffer.from('def'))).toBe(6);
+
+    const complete = await resumable.completeUpload(upload.id, 1);
+    expect(fs.readFileSync(complete.filePath, 'utf-8')).toBe('abcdef');
+
+    await resumable.discardUpload(upload.id);
+    await expect(resumable.getUpload(upload.id, 1)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('a repeated chunk is refused with the offset to continue from', async () => {
+    const upload = await resumable.createUpload({ userId: 1, sentenceId: 5, size: 6, filename: 'recording.webm' });
+    await resumable.appendChunk(upload.id, 1, 0, Buffer.from('abc'));
+
+    const error = await resumable.appendChunk(upload.id, 1, 0, Buffer.from('abc')).catch(e => e);
+    expect(error.statusCode).toBe(409);
+    expect(error.toJSON().offset).toBe(3);
+    await expect(resumable.completeUpload(upload.id, 1)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('of two chunks sent concurrently for the same offset only one is written', async () => {
+    const upload = await resumable.createUpload({ userId: 1, sentenceId: 5, size: 6, filename: 'recording.webm' });
+
+    const results = await Promise.allSettled([
+      resumable.appendChunk(upload.id, 1, 0, Buffer.from('abc')),
+      resumable.appendChunk(upload.id, 1, 0, Buffer.from('xyz')),
+    ]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const refused = results.find(result => result.status === 'rejected').reason;
+    expect(refused.statusCode).toBe(409);
+    expect(refused.toJSON().offset).toBe(3);
+
+    expect((await resumable.getUpload(upload.id, 1)).offset).toBe(3);
+    expect(await resumable.appendChunk(upload.id, 1, 3, Buffer.from('def'))).toBe(6);
+    const complete = await resumable.completeUpload(upload.id, 1);
+    expect(fs.readFileSync(complete.filePath, 'utf-8')).toMatch(/^(abc|xyz)def$/);
+  });
+
+  test('uploads are private to their owner and ids cannot escape the upload directory', async () => {
+    const upload = await resumable.createUpload({ userId: 1, sentenceId: 5, size: 3, filename: 'recording.webm' });
+    await expect(resumable.getUpload(upload.id, 2)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(resumable.getUpload('../../etc/passwd', 1)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('createUpload rejects bad sizes and non-audio files', async () => {
+    await expect(resumable.createUpload({ userId: 1, sentenceId: 5, size: 0, filename: 'a.webm' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(resumable.createUpload({ userId: 1, sentenceId: 5, size: 1024 ** 3, filename: 'a.webm' }))
+      .rejects.toMatchObject({ statusCode: 413 });
+    await expect(resumable.createUpload({ userId: 1, sentenceId: 5, size: 10, filename: 'a.exe' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,138 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+jest.mock('../../db', () => ({ pool: { connect: jest.fn() } }));
+jest.mock('../../storage', () => ({}));
+jest.mock('../queue', () => ({
+  CHANNEL: 'ingestion_jobs',
+  requeueStaleJobs: jest.fn(async () => ({ requeued: 0, failed: [] })),
+  claimJob: jest.fn(async () => null),
+  completeJob: jest.fn(async () => {}),
+  rejectJob: jest.fn(async () => {}),
+  failJob: jest.fn(async () => false),
+}));
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const { pool } = require('../../db');
+const queue = require('../queue');
+const { IngestionWorker } = require('../worker');
+const { IngestionError } = require('../errors');
+
+function fakeClient() {
+  const client = new EventEmitter();
+  client.query = jest.fn(async () => ({ rows: [] }));
+  client.release = jest.fn();
+  return client;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('IngestionWorker LISTEN connection', () => {
+  test('a failed connection is released and LISTEN is set up again after a backoff', async () => {
+    const first = fakeClient();
+    const second = fakeClient();
+    pool.connect.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+
+    const worker = new IngestionWorker({ pollIntervalMs: 60000 });
+    await worker.start();
+    expect(first.query).toHaveBeenCalledWith('LISTEN ingestion_jobs');
+
+    const error = new Error('Connection terminated unexpectedly');
+    first.emit('error', error);
+    first.emit('error', error);
+    expect(first.release).toHaveBeenCalledTimes(1);
+    expect(first.release).toHaveBeenCalledWith(error);
+    expect(worker.listener).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(second.query).toHaveBeenCalledWith('LISTEN ingestion_jobs');
+    expect(worker.listener).toBe(second);
+
+    await worker.stop();
+    expect(second.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries back off while the database stays unreachable', async () => {
+    pool.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const worker = new IngestionWorker({ pollIntervalMs: 60000 });
+    await worker.start();
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(pool.connect).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(pool.connect).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(pool.connect).toHaveBeenCalledTimes(3);
+
+    await worker.stop();
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(pool.connect).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('IngestionWorker jobs', () => {
+  const job = { id: 20, recording_id: 10, source_path: '/spool/upload.wav', attempts: 1, max_attempts: 3 };
+
+  function workerWithPipeline(run) {
+    const worker = new IngestionWorker();
+    worker.pipeline = { run: jest.fn(run) };
+    return worker;
+  }
+
+  test('a finished upload completes the job and removes the spooled file', async () => {
+    const result = { recordingId: 10, status: 'passed' };
+    await workerWithPipeline(async () => result).processJob(job);
+
+    expect(queue.completeJob).toHaveBeenCalledWith(job, result);
+    expect(fs.promises.unlink).toHaveBeenCalledWith('/spool/upload.wav');
+  });
+
+  test('an upload that can never succeed is rejected, not retried', async () => {
+    const error = new IngestionError('Audio too short', 422);
+    await workerWithPipeline(async () => { throw error; }).processJob(job);
+
+    expect(queue.rejectJob).toHaveBeenCalledWith(job, error);
+    expect(queue.failJob).not.toHaveBeenCalled();
+    expect(fs.promises.unlink).toHaveBeenCalledWith('/spool/upload.wav');
+  });
+
+  test('other errors are retried, keeping the spooled file until the last attempt', async () => {
+    const error = new IngestionError('Storage unavailable', 503);
+    queue.failJob.mockResolvedValueOnce(true);
+    await workerWithPipeline(async () => { throw error; }).processJob(job);
+
+    expect(queue.failJob).toHaveBeenCalledWith(job, error);
+    expect(queue.rejectJob).not.toHaveBeenCalled();
+    expect(fs.promises.unlink).not.toHaveBeenCalled();
+
+    await workerWithPipeline(async () => { throw error; }).processJob({ ...job, attempts: 3 });
+    expect(fs.promises.unlink).toHaveBeenCalledWith('/spool/upload.wav');
+  });
+
+  test('the spooled files of stale jobs that gave up are removed', async () => {
+    queue.requeueStaleJobs.mockResolvedValueOnce({ requeued: 1, failed: [{ id: 21, source_path: '/spool/stuck.wav' }] });
+    pool.connect.mockResolvedValue(fakeClient());
+
+    const worker = new IngestionWorker({ pollIntervalMs: 60000 });
+    await worker.start();
+    await worker.draining;
+
+    expect(fs.promises.unlink).toHaveBeenCalledWith('/spool/stuck.wav');
+    expect(queue.claimJob).toHaveBeenCalled();
+    await worker.stop();
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Ingestion errors carry the HTTP status the upload routes should respond with
+ */
+
+class IngestionError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} statusCode - e.g. 404 unknown sentence, 422 invalid audio, 503 ffmpeg missing
+     * @param {object} [details] - Extra response fields (e.g. { validation })
+     */
+    constructor(message, statusCode = 500, details = {}) {
+        super(message);
+        this.name = 'IngestionError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { error: this.message, ...this.details };
+    }
+}
+
+module.exports = { IngestionError };
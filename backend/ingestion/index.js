@@ -0,0 +1,164 @@
+/**
+ * Recording ingestion pipeline
+ * One place for resolve → convert → validate → analyze → store → persist, shared by the
+ * queue worker (web and programmatic uploads) and the reprocessing scripts.
+ *
+ * Usage:
+ *   const result = await createUploadPipeline().run({ recordingId, sourcePath });
+ *   await createReprocessPipeline({ trimSilence: true }).run({ recordingId: 42 });
+ *
+ * Steps are plain objects (see ./steps.js) and can be added with pipeline.use().
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const steps = require('./steps');
+const { IngestionError } = require('./errors');
+
+/**
+ * How each kind of ingestion treats invalid audio
+ * - upload:    reject (422) so the speaker can re-record; nothing is stored
+ * - reprocess: the recording already exists, so keep it and mark it 'failed'
+ */
+const POLICIES = {
+    upload: { onInvalid: 'reject', dryRun: false },
+    reprocess: { onInvalid: 'store', dryRun: false },
+};
+
+class IngestionPipeline {
+    /**
+     * @param {object[]} pipelineSteps - Steps in execution order
+     * @param {object} policy - { onInvalid: 'reject' | 'store', dryRun: boolean }
+     */
+    constructor(pipelineSteps, policy) {
+        this.steps = [...pipelineSteps];
+        this.policy = { ...policy };
+    }
+
+    /**
+     * Add a step (at the end, or before/after a named step)
+     * @param {object} step - { name, run(ctx), rollback?(ctx) }
+     * @param {object} [position] - { before: 'name' } or { after: 'name' }
+     * @returns {IngestionPipeline}
+     */
+    use(step, { before, after } = {}) {
+        const anchor = before || after;
+        if (!anchor) {
+            this.steps.push(step);
+            return this;
+        }
+
+        const index = this.steps.findIndex(s => s.name === anchor);
+        if (index === -1) {
+            throw new Error(`No pipeline step named "${anchor}"`);
+        }
+        this.steps.splice(before ? index : index + 1, 0, step);
+        return this;
+    }
+
+    /**
+     * Run all steps; on failure, completed steps are rolled back in reverse order.
+     * Temp files are always removed; a caller-provided sourcePath is left alone.
+     * @param {object} input - Initial context, e.g. { recordingId, sourcePath } or { recordingId }
+     * @returns {Promise<object>} - { recordingId, storedPath, fileSize, validation, status }
+     */
+    async run(input) {
+        const tempFiles = [];
+        const ctx = {
+            ...input,
+            policy: this.policy,
+            tempPath(ext) {
+                const tempFile = path.join(os.tmpdir(), `ingest_${uuidv4()}${ext}`);
+                tempFiles.push(tempFile);
+                return tempFile;
+            },
+        };
+
+        const completed = [];
+        try {
+            for (const step of this.steps) {
+                await step.run(ctx);
+                completed.push(step);
+            }
+        } catch (error) {
+            for (const step of completed.reverse()) {
+                if (!step.rollback) continue;
+                await step.rollback(ctx).catch(rollbackError => {
+                    console.error(`⚠️  Rollback of ${step.name} failed:`, rollbackError.message);
+                });
+            }
+            throw error;
+        } finally {
+            await Promise.all(tempFiles.map(file => fs.unlink(file).catch(() => {})));
+        }
+
+        return {
+            recordingId: ctx.recordingId,
+            storedPath: ctx.storedPath,
+            fileSize: ctx.fileSize,
+            validation: ctx.validation,
+            status: ctx.validation && ctx.validation.valid ? 'passed' : 'failed',
+        };
+    }
+}
+
+/**
+ * Add the optional derived-copy steps after 'store'
+ */
+function addCopySteps(pipeline, { trimSilence, normalizeLoudness }) {
+    if (normalizeLoudness) {
+        pipeline.use(steps.storeNormalized, { after: 'store' });
+    }
+    if (trimSilence) {
+        pipeline.use(steps.storeTrimmed, { after: 'store' });
+    }
+    return pipeline;
+}
+
+/**
+ * Pipeline for a queued upload (see ./queue.js)
+ * Input: { recordingId, sourcePath } - the queued recording row and its spooled file
+ * @param {object} [policy] - Overrides for POLICIES.upload
+ * @param {boolean} [policy.trimSilence] - Also store a copy cut to the speech
+ *   (default: on unless INGEST_TRIM_SILENCE=false)
+ * @param {boolean} [policy.normalizeLoudness] - Also store a loudness-normalized copy
+ *   (default: on unless INGEST_NORMALIZE_LOUDNESS=false)
+ */
+function createUploadPipeline({
+    trimSilence = process.env.INGEST_TRIM_SILENCE !== 'false',
+    normalizeLoudness = process.env.INGEST_NORMALIZE_LOUDNESS !== 'false',
+    ...policy
+} = {}) {
+    const pipeline = new IngestionPipeline(
+        [steps.loadQueuedRecording, steps.resolveSentence, steps.convert, steps.validate, steps.measureQuality, steps.detectSpeech, steps.measureLoudness, steps.store, steps.persist],
+        { ...POLICIES.upload, ...policy }
+    );
+    return addCopySteps(pipeline, { trimSilence, normalizeLoudness });
+}
+
+/**
+ * Pipeline that re-converts and re-validates an already stored recording
+ * Input: { recordingId }
+ * @param {object} [options]
+ * @param {boolean} [options.trimSilence] - Also store a copy cut to the speech (the original is kept)
+ * @param {boolean} [options.normalizeLoudness] - Also store a loudness-normalized copy
+ * @param {boolean} [options.dryRun] - Convert and validate only; change nothing
+ */
+function createReprocessPipeline({ trimSilence = false, normalizeLoudness = false, dryRun = false } = {}) {
+    const pipeline = new IngestionPipeline(
+        [steps.loadRecording, steps.resolveSentence, steps.download, steps.convert, steps.validate, steps.measureQuality, steps.detectSpeech, steps.measureLoudness, steps.store, steps.persist],
+        { ...POLICIES.reprocess, dryRun }
+    );
+    return addCopySteps(pipeline, { trimSilence, normalizeLoudness });
+}
+
+module.exports = {
+    IngestionPipeline,
+    IngestionError,
+    POLICIES,
+    steps,
+    createUploadPipeline,
+    createReprocessPipeline,
+};
@@ -0,0 +1,300 @@
+/**
+ * Postgres-backed ingestion queue
+ * Uploads are moved to a spool directory and a recording row (validation_status
+ * 'queued') plus an ingestion_jobs row are created in one transaction. Workers
+ * claim jobs with FOR UPDATE SKIP LOCKED and are woken by NOTIFY, so no
+ * external broker is needed.
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { pool, query, queryOne } = require('../db');
+const storage = require('../storage');
+const { IngestionError } = require('./errors');
+
+const CHANNEL = 'ingestion_jobs';
+const SPOOL_DIR = process.env.INGEST_SPOOL_DIR || path.join(os.tmpdir(), 'ingest-spool');
+const MAX_ATTEMPTS = parseInt(process.env.INGEST_MAX_ATTEMPTS) || 3;
+
+async function moveFile(from, to) {
+    try {
+        await fs.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(from, to);
+        await fs.unlink(from);
+    }
+}
+
+/**
+ * Accept an upload for background processing
+ * @param {object} upload
+ * @param {string} upload.filePath - Temp file (moved into the spool directory)
+ * @param {string} [upload.originalName] - Used to keep the file extension
+ * @param {number|string} upload.sentenceId - Sentence id (a string from form fields is parsed)
+ * @param {object} upload.user - { id, speaker_id }
+ * @param {number} upload.consentId
+ * @returns {Promise<object>} { recordingId, jobId }
+ */
+async function enqueueUpload({ filePath, originalName, sentenceId, user, consentId }) {
+    // Form fields arrive as strings; anything but a positive whole number (that fits the
+    // INTEGER column) is the client's mistake, not a server error
+    const id = /^\d+$/.test(String(sentenceId)) ? parseInt(sentenceId, 10) : NaN;
+    if (!(id > 0 && id <= 2147483647)) {
+        await fs.unlink(filePath).catch(() => {});
+        throw new IngestionError('sentence_id is required and must be a number', 400);
+    }
+
+    const sentence = await queryOne('SELECT id FROM sentences WHERE id = $1', [id]);
+    if (!sentence) {
+        await fs.unlink(filePath).catch(() => {});
+        throw new IngestionError('Sentence not found', 404);
+    }
+
+    const ext = path.extname(originalName || filePath).toLowerCase() || '.audio';
+    const spoolPath = path.join(SPOOL_DIR, `${uuidv4()}${ext}`);
+    await fs.mkdir(SPOOL_DIR, { recursive: true });
+    await moveFile(filePath, spoolPath);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // The storage key is reserved now; the worker writes the converted WAV there
+        const recording = (await client.query(
+            `INSERT INTO recordings (sentence_id, user_id, consent_id, audio_filepath, format, validation_status)
+             VALUES ($1, $2, $3, $4, $5, 'queued')
+             RETURNING id`,
+            [sentence.id, user.id, consentId, storage.recordingKey(user.speaker_id, sentence.id), ext.slice(1)]
+        )).rows[0];
+
+        const job = (await client.query(
+            `INSERT INTO ingestion_jobs (recording_id, user_id, source_path, max_attempts)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [recording.id, user.id, spoolPath, MAX_ATTEMPTS]
+        )).rows[0];
+
+        await client.query('SELECT pg_notify($1, $2)', [CHANNEL, String(job.id)]);
+        await client.query('COMMIT');
+
+        return { recordingId: recording.id, jobId: job.id };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await fs.unlink(spoolPath).catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Claim the next runnable job (skipping jobs other workers hold)
+ * @param {string} workerId
+ * @returns {Promise<object|null>}
+ */
+async function claimJob(workerId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const job = (await client.query(
+            `UPDATE ingestion_jobs
+             SET status = 'processing', attempts = attempts + 1,
+                 locked_at = NOW(), locked_by = $1, updated_at = NOW()
+             WHERE id = (
+                 SELECT id FROM ingestion_jobs
+                 WHERE status = 'queued' AND run_after <= NOW()
+                 ORDER BY run_after, id
+                 FOR UPDATE SKIP LOCKED
+                 LIMIT 1
+             )
+             RETURNING *`,
+            [workerId]
+        )).rows[0];
+
+        if (job && job.recording_id) {
+            await client.query(
+                "UPDATE recordings SET validation_status = 'processing', updated_at = NOW() WHERE id = $1",
+                [job.recording_id]
+            );
+        }
+
+        await client.query('COMMIT');
+        return job || null;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Mark a job done (the pipeline has already updated the recording)
+ */
+async function completeJob(job, result) {
+    await query(
+        `UPDATE ingestion_jobs
+         SET status = 'done', result = $2, last_error = NULL,
+             locked_at = NULL, updated_at = NOW(), finished_at = NOW()
+         WHERE id = $1`,
+        [job.id, JSON.stringify({
+            validation_status: result.status,
+            validation: {
+                valid: result.validation.valid,
+                errors: result.validation.errors,
+                warnings: result.validation.warnings || [],
+                duration: result.validation.checks.duration,
+            },
+        })]
+    );
+}
+
+/**
+ * Reject an upload that can never succeed (invalid audio, sentence gone)
+ * The recording row is removed so the sentence can be recorded again;
+ * the reason stays on the job for the uploader to read.
+ */
+async function rejectJob(job, error) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `UPDATE ingestion_jobs
+             SET status = 'rejected', result = $2, last_error = $3,
+                 locked_at = NULL, updated_at = NOW(), finished_at = NOW()
+             WHERE id = $1`,
+            [job.id, JSON.stringify(error.toJSON()), error.message]
+        );
+        if (job.recording_id) {
+            await client.query('DELETE FROM recordings WHERE id = $1', [job.recording_id]);
+        }
+        await client.query('COMMIT');
+    } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Record a failed attempt: retry later with backoff, or give up after max_attempts
+ * @returns {Promise<boolean>} true when the job will be retried
+ */
+async function failJob(job, error) {
+    if (job.attempts < job.max_attempts) {
+        const delaySeconds = 10 * job.attempts * job.attempts;
+        await query(
+            `UPDATE ingestion_jobs
+             SET status = 'queued', last_error = $2, locked_at = NULL, locked_by = NULL,
+                 run_after = NOW() + $3 * INTERVAL '1 second', updated_at = NOW()
+             WHERE id = $1`,
+            [job.id, error.message, delaySeconds]
+        );
+        if (job.recording_id) {
+            await query("UPDATE recordings SET validation_status = 'queued' WHERE id = $1", [job.recording_id]);
+        }
+        return true;
+    }
+
+    await query(
+        `UPDATE ingestion_jobs
+         SET status = 'failed', result = $2, last_error = $3,
+             locked_at = NULL, updated_at = NOW(), finished_at = NOW()
+         WHERE id = $1`,
+        [job.id, JSON.stringify({ error: error.message }), error.message]
+    );
+    if (job.recording_id) {
+        await query(
+            `UPDATE recordings SET validation_status = 'failed', validation_errors = $2, updated_at = NOW()
+             WHERE id = $1`,
+            [job.recording_id, JSON.stringify([error.message])]
+        );
+    }
+    return false;
+}
+
+/**
+ * Put jobs held by a crashed worker back in the queue
+ * A job that already used all its attempts is not retried: it may be the one that
+ * crashed or hung the worker. It is marked failed instead, like failJob does.
+ * Each job's recording follows it ('queued' or 'failed') in the same statement, so a
+ * recording is never left 'processing' with no worker on it.
+ * @param {number} timeoutSeconds - How long a job may stay 'processing'
+ * @returns {Promise<object>} { requeued: number, failed: [{ id, source_path }] }; the
+ *   failed jobs' spooled uploads are the caller's to delete
+ */
+async function requeueStaleJobs(timeoutSeconds) {
+    const error = 'Worker stopped responding while processing this upload';
+    const result = await query(
+        `WITH stale AS (
+             SELECT id, attempts < max_attempts as retry
+             FROM ingestion_jobs
+             WHERE status = 'processing' AND locked_at < NOW() - $1 * INTERVAL '1 second'
+             FOR UPDATE SKIP LOCKED
+         ), requeued AS (
+             UPDATE ingestion_jobs j
+             SET status = 'queued', locked_at = NULL, locked_by = NULL, updated_at = NOW()
+             FROM stale
+             WHERE j.id = stale.id AND stale.retry
+             RETURNING j.id, j.recording_id
+         ), failed AS (
+             UPDATE ingestion_jobs j
+             SET status = 'failed', result = $2, last_error = $3,
+                 locked_at = NULL, locked_by = NULL, updated_at = NOW(), finished_at = NOW()
+             FROM stale
+             WHERE j.id = stale.id AND NOT stale.retry
+             RETURNING j.id, j.recording_id, j.source_path
+         ), recordings_requeued AS (
+             UPDATE recordings r
+             SET validation_status = 'queued', updated_at = NOW()
+             FROM requeued
+             WHERE r.id = requeued.recording_id AND r.validation_status = 'processing'
+         ), recordings_failed AS (
+             UPDATE recordings r
+             SET validation_status = 'failed', validation_errors = $4, updated_at = NOW()
+             FROM failed
+             WHERE r.id = failed.recording_id
+         )
+         SELECT id, NULL as source_path, TRUE as retry FROM requeued
+         UNION ALL
+         SELECT id, source_path, FALSE as retry FROM failed`,
+        [timeoutSeconds, JSON.stringify({ error }), error, JSON.stringify([error])]
+    );
+    return {
+        requeued: result.rows.filter(job => job.retry).length,
+        failed: result.rows.filter(job => !job.retry).map(({ id, source_path }) => ({ id, source_path })),
+    };
+}
+
+/**
+ * Job status for the uploader
+ * @param {number} jobId
+ * @returns {Promise<object|null>}
+ */
+async function getJob(jobId) {
+    return queryOne(
+        `SELECT j.id, j.recording_id, j.user_id, j.status, j.attempts, j.result,
+                j.created_at, j.finished_at, r.validation_status
+         FROM ingestion_jobs j
+         LEFT JOIN recordings r ON r.id = j.recording_id
+         WHERE j.id = $1`,
+        [jobId]
+    );
+}
+
+module.exports = {
+    CHANNEL,
+    SPOOL_DIR,
+    enqueueUpload,
+    claimJob,
+    completeJob,
+    rejectJob,
+    failJob,
+    requeueStaleJobs,
+    getJob,
+};
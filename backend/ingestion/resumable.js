@@ -0,0 +1,185 @@
+/**
+ * Resumable uploads (init → append chunks → finalize)
+ * Chunks are appended to <RESUMABLE_UPLOAD_DIR>/<id>.part next to a small JSON
+ * description of the upload. A client that loses its connection asks for the
+ * current offset and continues from there instead of starting over.
+ * Finalized files go into the ingestion queue like a regular upload.
+ * Appends to one upload run one at a time (the files live on this server's disk,
+ * so an in-process lock per upload id is enough).
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { IngestionError } = require('./errors');
+
+const UPLOAD_DIR = process.env.RESUMABLE_UPLOAD_DIR || path.join(os.tmpdir(), 'resumable-uploads');
+const CHUNK_SIZE = (parseInt(process.env.RESUMABLE_CHUNK_SIZE_KB) || 256) * 1024;
+const MAX_SIZE = (parseInt(process.env.MAX_FILE_SIZE_MB) || 10) * 1024 * 1024;
+const EXPIRY_HOURS = parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24;
+const AUDIO_EXTENSIONS = /\.(wav|mp3|m4a|ogg|opus|webm)$/i;
+const UPLOAD_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function paths(id) {
+    return {
+        meta: path.join(UPLOAD_DIR, `${id}.json`),
+        part: path.join(UPLOAD_DIR, `${id}.part`),
+    };
+}
+
+// Tail of each upload's chain of appends; an append waits for the one before it
+const uploadLocks = new Map();
+
+/**
+ * Run fn while holding the upload's lock
+ * @param {string} id
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<*>} fn's result
+ */
+async function withUploadLock(id, fn) {
+    const previous = uploadLocks.get(id) || Promise.resolve();
+    const result = previous.then(fn);
+    const tail = result.catch(() => {});
+    uploadLocks.set(id, tail);
+    try {
+        return await result;
+    } finally {
+        if (uploadLocks.get(id) === tail) uploadLocks.delete(id);
+    }
+}
+
+/**
+ * Remove uploads that were started but never finished
+ */
+async function sweepExpired() {
+    const cutoff = Date.now() - EXPIRY_HOURS * 60 * 60 * 1000;
+    const files = await fs.readdir(UPLOAD_DIR).catch(() => []);
+    for (const file of files) {
+        const filePath = path.join(UPLOAD_DIR, file);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (stats && stats.mtimeMs < cutoff) {
+            await fs.unlink(filePath).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Start a resumable upload
+ * @param {object} options
+ * @param {number} options.userId
+ * @param {number} options.sentenceId
+ * @param {number} options.size - Total size in bytes
+ * @param {string} options.filename - Original filename (its extension is kept)
+ * @returns {Promise<object>} Upload state (see getUpload)
+ */
+async function createUpload({ userId, sentenceId, size, filename }) {
+    if (!Number.isInteger(sentenceId) || sentenceId <= 0) {
+        throw new IngestionError('sentence_id is required and must be a number', 400);
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new IngestionError('size must be a positive number of bytes', 400);
+    }
+    if (size > MAX_SIZE) {
+        throw new IngestionError(`File too large (maximum ${MAX_SIZE} bytes)`, 413);
+    }
+    if (!filename || !AUDIO_EXTENSIONS.test(filename)) {
+        throw new IngestionError('Invalid audio format', 400);
+    }
+
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    sweepExpired().catch(() => {});
+
+    const id = uuidv4();
+    const meta = { id, user_id: userId, sentence_id: sentenceId, size, filename, created_at: new Date().toISOString() };
+    const { meta: metaPath, part } = paths(id);
+    await fs.writeFile(part, Buffer.alloc(0));
+    await fs.writeFile(metaPath, JSON.stringify(meta));
+
+    return { ...meta, offset: 0 };
+}
+
+/**
+ * Current state of an upload owned by userId
+ * @returns {Promise<object>} { id, user_id, sentence_id, size, filename, created_at, offset }
+ */
+async function getUpload(id, userId) {
+    if (!UPLOAD_ID.test(id || '')) {
+        throw new IngestionError('Upload not found', 404);
+    }
+
+    const { meta: metaPath, part } = paths(id);
+    let meta;
+    let stats;
+    try {
+        meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+        stats = await fs.stat(part);
+    } catch {
+        throw new IngestionError('Upload not found', 404);
+    }
+
+    if (meta.user_id !== userId) {
+        throw new IngestionError('Upload not found', 404);
+    }
+
+    return { ...meta, offset: stats.size };
+}
+
+/**
+ * Append a chunk at the given offset
+ * The offset is checked against the file size under the upload's lock, so of two
+ * chunks sent for the same offset only the first is written. A mismatched offset
+ * (e.g. a retried chunk that already arrived) is answered with 409 and the offset
+ * the client should continue from.
+ * @returns {Promise<number>} New offset
+ */
+async function appendChunk(id, userId, offset, chunk) {
+    return withUploadLock(id, async () => {
+        const upload = await getUpload(id, userId);
+
+        if (!Number.isInteger(offset) || offset !== upload.offset) {
+            throw new IngestionError('Upload-Offset does not match the uploaded size', 409, { offset: upload.offset });
+        }
+        if (!chunk || chunk.length === 0) {
+            throw new IngestionError('Chunk is empty', 400);
+        }
+        if (offset + chunk.length > upload.size) {
+            throw new IngestionError('Chunk goes past the declared upload size', 400, { offset: upload.offset });
+        }
+
+        await fs.appendFile(paths(id).part, chunk);
+        return offset + chunk.length;
+    });
+}
+
+/**
+ * Check that every byte has arrived (waits for appends in progress)
+ * @returns {Promise<object>} Upload state plus filePath of the assembled file
+ */
+async function completeUpload(id, userId) {
+    return withUploadLock(id, async () => {
+        const upload = await getUpload(id, userId);
+        if (upload.offset !== upload.size) {
+            throw new IngestionError('Upload is incomplete', 409, { offset: upload.offset, size: upload.size });
+        }
+        return { ...upload, filePath: paths(id).part };
+    });
+}
+
+/**
+ * Delete an upload's files (after finalizing or when the client gives up)
+ */
+async function discardUpload(id) {
+    if (!UPLOAD_ID.test(id || '')) return;
+    const { meta, part } = paths(id);
+    await Promise.all([fs.unlink(meta).catch(() => {}), fs.unlink(part).catch(() => {})]);
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    createUpload,
+    getUpload,
+    appendChunk,
+    completeUpload,
+    discardUpload,
+};
@@ -0,0 +1,368 @@
+/**
+ * Ingestion pipeline steps
+ * Each step is { name, run(ctx), rollback?(ctx) }. run() reads and extends the
+ * shared context; rollback() undoes side effects if a later step fails.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { query, queryOne } = require('../db');
+const storage = require('../storage');
+const { AUDIO_COLUMNS, audioKeys } = require('../recordingAudio');
+const { convertToWav, isValidWav, isFfmpegAvailable, measureLoudness: measureR128, normalizeLoudness } = require('../utils/audioConverter');
+const { canDecode } = require('../utils/pcmConverter');
+const { validateAudio } = require('../utils/audioValidator');
+const { readWav, toMono, encodeWav } = require('../utils/wav');
+const { detectSpeech: findSpeechEndpoints, trimToSpeech } = require('../utils/vad');
+const { IngestionError } = require('./errors');
+
+/**
+ * Load an existing recording for reprocessing
+ * Needs ctx.recordingId; sets ctx.sourceKey, ctx.previousKeys (original and copies), ctx.sentenceId and ctx.user
+ */
+const loadRecording = {
+    name: 'load-recording',
+    async run(ctx) {
+        const recording = await queryOne(
+            `SELECT r.id, r.sentence_id, ${AUDIO_COLUMNS.map(c => 'r.' + c).join(', ')}, u.id AS user_id, u.speaker_id
+             FROM recordings r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.id = $1`,
+            [ctx.recordingId]
+        );
+
+        if (!recording) {
+            throw new IngestionError('Recording not found', 404);
+        }
+
+        ctx.sourceKey = recording.audio_filepath;
+        ctx.previousKeys = audioKeys(recording);
+        ctx.sentenceId = recording.sentence_id;
+        ctx.user = { id: recording.user_id, speaker_id: recording.speaker_id };
+    },
+};
+
+/**
+ * Load a recording row created when an upload was queued
+ * Its audio_filepath is the storage key reserved for the converted file.
+ * Needs ctx.recordingId; sets ctx.sentenceId, ctx.user and ctx.storageKey
+ */
+const loadQueuedRecording = {
+    name: 'load-queued-recording',
+    async run(ctx) {
+        const recording = await queryOne(
+            `SELECT r.id, r.sentence_id, r.audio_filepath, u.id AS user_id, u.speaker_id
+             FROM recordings r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.id = $1`,
+            [ctx.recordingId]
+        );
+
+        if (!recording) {
+            throw new IngestionError('Recording not found', 404);
+        }
+
+        ctx.sentenceId = recording.sentence_id;
+        ctx.user = { id: recording.user_id, speaker_id: recording.speaker_id };
+        ctx.storageKey = recording.audio_filepath;
+    },
+};
+
+/**
+ * Look up the sentence being recorded (its text drives duration checks)
+ * Needs ctx.sentenceId; sets ctx.sentence
+ */
+const resolveSentence = {
+    name: 'resolve-sentence',
+    async run(ctx) {
+        ctx.sentence = await queryOne(
+            'SELECT id, text_devanagari, story_id FROM sentences WHERE id = $1',
+            [ctx.sentenceId]
+        );
+
+        if (!ctx.sentence) {
+            throw new IngestionError('Sentence not found', 404);
+        }
+    },
+};
+
+/**
+ * Copy a stored object to a local temp file
+ * Needs ctx.sourceKey; sets ctx.sourcePath
+ */
+const download = {
+    name: 'download',
+    async run(ctx) {
+        ctx.sourcePath = ctx.tempPath(path.extname(ctx.sourceKey) || '.audio');
+        const stream = await storage.getStream(ctx.sourceKey);
+        await pipeline(stream, createWriteStream(ctx.sourcePath));
+    },
+};
+
+/**
+ * Convert to 16kHz mono WAV unless the file already is one
+ * Without ffmpeg only WAV and Opus (WebM/Ogg) can be converted; anything else is a 503.
+ * Needs ctx.sourcePath; sets ctx.wavPath
+ */
+const convert = {
+    name: 'convert',
+    async run(ctx) {
+        if (await isValidWav(ctx.sourcePath)) {
+            ctx.wavPath = ctx.sourcePath;
+            return;
+        }
+
+        if (!isFfmpegAvailable() && !(await canDecode(ctx.sourcePath))) {
+            throw new IngestionError('Audio conversion of this format is unavailable on this server (ffmpeg not found)', 503);
+        }
+
+        ctx.wavPath = ctx.tempPath('.wav');
+        try {
+            await convertToWav(ctx.sourcePath, ctx.wavPath);
+        } catch (error) {
+            throw new IngestionError(error.message, 422);
+        }
+    },
+};
+
+/**
+ * Validate the WAV against ASR requirements
+ * With policy.onInvalid = 'reject' invalid audio stops the pipeline (422);
+ * with 'store' it is kept and marked validation_status = 'failed'.
+ * Sets ctx.validation
+ */
+const validate = {
+    name: 'validate',
+    async run(ctx) {
+        try {
+            ctx.validation = await validateAudio(ctx.wavPath, ctx.sentence.text_devanagari);
+        } catch (error) {
+            ctx.validation = { valid: false, errors: [error.message], warnings: [], checks: {}, metadata: {} };
+        }
+
+        if (!ctx.validation.valid && ctx.policy.onInvalid === 'reject') {
+            throw new IngestionError('Validation failed', 422, { validation: ctx.validation });
+        }
+    },
+};
+
+/**
+ * Quality notes kept alongside the validation result (never fails the pipeline)
+ * Signal metrics themselves are already in validation.metadata.signal
+ * Sets ctx.quality
+ */
+const measureQuality = {
+    name: 'measure-quality',
+    async run(ctx) {
+        const { checks, warnings = [] } = ctx.validation;
+        ctx.quality = {
+            expected_duration: checks.expected_duration,
+            duration_reasonable: checks.duration_reasonable,
+            size_reasonable: checks.size_reasonable,
+            warnings,
+        };
+
+        if (warnings.length > 0) {
+            console.warn(`⚠️  Quality warnings: ${warnings.join('; ')}`);
+        }
+    },
+};
+
+/**
+ * Find where speech starts and ends (never fails the pipeline)
+ * Needs ctx.wavPath; sets ctx.speech ({ start_s, end_s, segments } or null)
+ */
+const detectSpeech = {
+    name: 'detect-speech',
+    async run(ctx) {
+        ctx.speech = null;
+        try {
+            const wav = await readWav(ctx.wavPath);
+            ctx.speech = findSpeechEndpoints(toMono(wav.channels), wav.sampleRate);
+        } catch (error) {
+            console.warn(`⚠️  Could not detect speech: ${error.message}`);
+        }
+    },
+};
+
+/**
+ * Measure EBU R128 loudness (never fails the pipeline)
+ * Needs ctx.wavPath; sets ctx.loudness ({ integrated_lufs, loudness_range_lu, true_peak_dbtp } or null)
+ */
+const measureLoudness = {
+    name: 'measure-loudness',
+    async run(ctx) {
+        ctx.loudness = null;
+        if (!isFfmpegAvailable()) {
+            console.warn('⚠️  Could not measure loudness: ffmpeg not found');
+            return;
+        }
+        try {
+            ctx.loudness = await measureR128(ctx.wavPath);
+        } catch (error) {
+            console.warn(`⚠️  Could not measure loudness: ${error.message}`);
+        }
+    },
+};
+
+/**
+ * Save the WAV to storage under the speaker's pseudonymous ID
+ * (or under ctx.storageKey when the key was reserved at upload time)
+ * Sets ctx.storedPath and ctx.fileSize
+ */
+const store = {
+    name: 'store',
+    async run(ctx) {
+        if (ctx.policy.dryRun) return;
+
+        const key = ctx.storageKey || storage.recordingKey(ctx.user.speaker_id, ctx.sentence.id);
+        ctx.storedPath = await storage.save(ctx.wavPath, key);
+        ctx.fileSize = await storage.getSize(ctx.storedPath);
+    },
+    async rollback(ctx) {
+        if (ctx.storedPath) {
+            await storage.deleteFile(ctx.storedPath);
+        }
+    },
+};
+
+/**
+ * Store a copy cut to the speech endpoints next to the original (optional)
+ * Skipped when no speech was found or there is nothing to cut.
+ * Needs ctx.speech and ctx.storedPath; sets ctx.trimmedPath
+ */
+const storeTrimmed = {
+    name: 'store-trimmed',
+    async run(ctx) {
+        if (ctx.policy.dryRun || !ctx.speech) return;
+
+        const wav = await readWav(ctx.wavPath);
+        const samples = toMono(wav.channels);
+        const trimmed = trimToSpeech(samples, wav.sampleRate, ctx.speech);
+        if (trimmed.length === samples.length) return;
+
+        const trimmedFile = ctx.tempPath('.wav');
+        await fs.writeFile(trimmedFile, encodeWav(trimmed, wav.sampleRate));
+        ctx.trimmedPath = await storage.save(trimmedFile, storage.derivativeKey(ctx.storedPath, 'trimmed'));
+    },
+    async rollback(ctx) {
+        if (ctx.trimmedPath) {
+            await storage.deleteFile(ctx.trimmedPath);
+        }
+    },
+};
+
+/**
+ * Store a loudness-normalized copy next to the original (optional)
+ * Skipped when loudness could not be measured (e.g. silence).
+ * Needs ctx.loudness and ctx.storedPath; sets ctx.normalizedPath and ctx.loudness.gain_db
+ */
+const storeNormalized = {
+    name: 'store-normalized',
+    async run(ctx) {
+        if (ctx.policy.dryRun || !ctx.loudness || ctx.loudness.integrated_lufs === null) return;
+
+        const normalizedFile = ctx.tempPath('.wav');
+        ctx.loudness.gain_db = await normalizeLoudness(ctx.wavPath, normalizedFile, ctx.loudness);
+        ctx.normalizedPath = await storage.save(normalizedFile, storage.derivativeKey(ctx.storedPath, 'normalized'));
+    },
+    async rollback(ctx) {
+        if (ctx.normalizedPath) {
+            await storage.deleteFile(ctx.normalizedPath);
+        }
+    },
+};
+
+/**
+ * Insert the recording row, or update it when ctx.recordingId names an existing one
+ * (replaced storage objects, including old copies, are deleted afterwards so no
+ * orphan audio is left behind). A row that is gone by now fails the step with 410.
+ * Sets ctx.recordingId
+ */
+const persist = {
+    name: 'persist',
+    async run(ctx) {
+        if (ctx.policy.dryRun) return;
+
+        const { validation } = ctx;
+        const values = [
+            ctx.storedPath,
+            ctx.fileSize,
+            validation.checks.duration,
+            validation.checks.sample_rate,
+            validation.checks.channels,
+            'wav',
+            validation.valid ? 'passed' : 'failed',
+            JSON.stringify(validation.errors),
+            JSON.stringify({
+                ...validation.metadata,
+                ...(ctx.quality && { quality: ctx.quality }),
+                ...(ctx.loudness && { loudness: ctx.loudness }),
+            }),
+            ctx.speech ? ctx.speech.start_s : null,
+            ctx.speech ? ctx.speech.end_s : null,
+            ctx.trimmedPath || null,
+            ctx.loudness ? ctx.loudness.integrated_lufs : null,
+            ctx.normalizedPath || null,
+        ];
+
+        if (ctx.recordingId) {
+            const updated = await query(
+                `UPDATE recordings SET
+                    audio_filepath = $1, file_size_bytes = $2, duration_seconds = $3,
+                    sample_rate = $4, channels = $5, format = $6,
+                    validation_status = $7, validation_errors = $8, audio_metadata = $9,
+                    speech_start_seconds = $10, speech_end_seconds = $11, trimmed_audio_filepath = $12,
+                    loudness_lufs = $13, normalized_audio_filepath = $14
+                 WHERE id = $15`,
+                [...values, ctx.recordingId]
+            );
+            // The speaker was erased or the recording purged while this job ran: failing here
+            // rolls back the store steps, so the audio just saved is deleted again
+            if (updated.rowCount === 0) {
+                throw new IngestionError('Recording was deleted while it was being processed', 410);
+            }
+
+            const current = [ctx.storedPath, ctx.trimmedPath, ctx.normalizedPath];
+            const replaced = (ctx.previousKeys || []).filter(key => !current.includes(key));
+            for (const key of replaced) {
+                await storage.deleteFile(key).catch(error => {
+                    console.warn(`⚠️  Could not delete replaced object ${key}: ${error.message}`);
+                });
+            }
+            return;
+        }
+
+        const result = await queryOne(
+            `INSERT INTO recordings (
+                audio_filepath, file_size_bytes, duration_seconds,
+                sample_rate, channels, format,
+                validation_status, validation_errors, audio_metadata,
+                speech_start_seconds, speech_end_seconds, trimmed_audio_filepath,
+                loudness_lufs, normalized_audio_filepath,
+                sentence_id, user_id, consent_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            RETURNING id`,
+            [...values, ctx.sentence.id, ctx.user.id, ctx.consentId || null]
+        );
+        ctx.recordingId = result.id;
+    },
+};
+
+module.exports = {
+    loadRecording,
+    loadQueuedRecording,
+    resolveSentence,
+    download,
+    convert,
+    validate,
+    measureQuality,
+    detectSpeech,
+    measureLoudness,
+    store,
+    storeTrimmed,
+    storeNormalized,
+    persist,
+};
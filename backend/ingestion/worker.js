@@ -0,0 +1,156 @@
+/**
+ * Ingestion worker
+ * Runs queued uploads through the upload pipeline. Wakes on NOTIFY and also
+ * polls, so jobs are picked up even if a notification is missed.
+ * Started inside the web server (INGEST_WORKER=inline, the default) or as a
+ * separate process with `npm run worker` on the same host as the spool directory.
+ */
+
+const os = require('os');
+const fs = require('fs').promises;
+const { pool } = require('../db');
+const { createUploadPipeline, IngestionError } = require('./index');
+const queue = require('./queue');
+
+class IngestionWorker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.pollIntervalMs] - Fallback poll interval
+     * @param {number} [options.staleAfterSeconds] - Requeue jobs a crashed worker left 'processing'
+     */
+    constructor({ pollIntervalMs, staleAfterSeconds } = {}) {
+        this.id = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = pollIntervalMs || parseInt(process.env.INGEST_POLL_INTERVAL_MS) || 5000;
+        this.staleAfterSeconds = staleAfterSeconds || parseInt(process.env.INGEST_STALE_AFTER_SECONDS) || 600;
+        this.pipeline = createUploadPipeline();
+        this.running = false;
+        this.draining = null;
+        this.timer = null;
+        this.listener = null;
+        this.dropListener = null;
+        this.reconnectTimer = null;
+        this.listenFailures = 0;
+    }
+
+    async start() {
+        this.running = true;
+
+        await this.listen();
+
+        this.timer = setInterval(() => this.wake(), this.pollIntervalMs);
+        console.log(`🛠️  Ingestion worker ${this.id} started`);
+        this.wake();
+    }
+
+    /**
+     * LISTEN for new jobs on a connection of its own. When that connection fails it
+     * is released (destroyed, not returned to the pool) and LISTEN is tried again
+     * with exponential backoff; polling picks up jobs in the meantime.
+     */
+    async listen() {
+        this.reconnectTimer = null;
+        if (!this.running) return;
+
+        let client = null;
+        let dropped = false;
+        // Release this connection once, whichever of error, failed LISTEN or stop() comes first
+        const drop = (error) => {
+            if (dropped) return;
+            dropped = true;
+            if (this.listener === client) {
+                this.listener = null;
+                this.dropListener = null;
+            }
+            if (client) client.release(error);
+            this.scheduleListen();
+        };
+
+        try {
+            client = await pool.connect();
+            client.on('notification', () => this.wake());
+            client.on('error', error => {
+                console.error('⚠️  Ingestion worker lost its LISTEN connection:', error.message);
+                drop(error);
+            });
+            await client.query(`LISTEN ${queue.CHANNEL}`);
+            this.listener = client;
+            this.dropListener = drop;
+            if (this.listenFailures > 0) {
+                console.log('🛠️  Ingestion worker is listening for jobs again');
+                this.wake(); // Jobs queued while nobody listened
+            }
+            this.listenFailures = 0;
+        } catch (error) {
+            console.warn(`⚠️  LISTEN unavailable, polling every ${this.pollIntervalMs}ms: ${error.message}`);
+            drop(error);
+        }
+    }
+
+    scheduleListen() {
+        if (!this.running || this.reconnectTimer) return;
+
+        const delayMs = Math.min(1000 * 2 ** this.listenFailures, 60000);
+        this.listenFailures++;
+        this.reconnectTimer = setTimeout(() => this.listen(), delayMs);
+    }
+
+    async stop() {
+        this.running = false;
+        clearInterval(this.timer);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.listener) {
+            await this.listener.query(`UNLISTEN ${queue.CHANNEL}`).catch(() => {});
+            this.dropListener();
+        }
+        await this.draining;
+    }
+
+    /**
+     * Process jobs until the queue is empty (one drain loop at a time)
+     */
+    wake() {
+        if (!this.running || this.draining) return;
+
+        this.draining = (async () => {
+            try {
+                const stale = await queue.requeueStaleJobs(this.staleAfterSeconds);
+                for (const job of stale.failed) {
+                    console.error(`❌ Job ${job.id} gave up: the worker stopped responding on its last attempt`);
+                    await fs.unlink(job.source_path).catch(() => {});
+                }
+                let job;
+                while (this.running && (job = await queue.claimJob(this.id))) {
+                    await this.processJob(job);
+                }
+            } catch (error) {
+                console.error('❌ Ingestion worker error:', error.message);
+            } finally {
+                this.draining = null;
+            }
+        })();
+    }
+
+    async processJob(job) {
+        let finished = true;
+        try {
+            const result = await this.pipeline.run({ recordingId: job.recording_id, sourcePath: job.source_path });
+            await queue.completeJob(job, result);
+            console.log(`✅ Job ${job.id}: recording ${result.recordingId} ${result.status}`);
+        } catch (error) {
+            if (error instanceof IngestionError && error.statusCode < 500) {
+                await queue.rejectJob(job, error);
+                console.log(`🚫 Job ${job.id} rejected: ${error.message}`);
+            } else {
+                finished = !(await queue.failJob(job, error));
+                console.error(`❌ Job ${job.id} attempt ${job.attempts} failed: ${error.message}${finished ? '' : ' (will retry)'}`);
+            }
+        }
+
+        if (finished) {
+            await fs.unlink(job.source_path).catch(() => {});
+        }
+    }
+}
+
+module.exports = { IngestionWorker };
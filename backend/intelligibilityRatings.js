@@ -0,0 +1,99 @@
+/**
+ * Intelligibility ratings
+ * Each reviewer may rate a recording 1–5 (intelligibility_ratings); the
+ * recording's score is the mean of the ratings. Reported per speaker and per
+ * sentence for admins.
+ * Used by the recordings and admin APIs.
+ */
+
+const { query, queryOne, queryAll } = require('./db');
+const { intelligibilityTier, aggregateIntelligibility } = require('./utils/intelligibility');
+
+/**
+ * A recording's intelligibility score
+ * @param {number} recordingId
+ * @returns {Promise<object>} { intelligibility, ratings, tier }; intelligibility and tier are
+ *   null while nobody has rated it
+ */
+async function recordingIntelligibility(recordingId) {
+    const { intelligibility, ratings } = await queryOne(
+        `SELECT AVG(rating)::float as intelligibility, COUNT(*)::int as ratings
+         FROM intelligibility_ratings
+         WHERE recording_id = $1`,
+        [recordingId]
+    );
+    return { intelligibility, ratings, tier: intelligibilityTier(intelligibility) };
+}
+
+/**
+ * Save a reviewer's rating of a recording
+ * @param {number} recordingId
+ * @param {number} raterId
+ * @param {number|null} rating - 1–5; null takes the reviewer's rating back
+ * @returns {Promise<object|null>} The recording's score (see recordingIntelligibility), null if
+ *   the recording does not exist or is deleted
+ */
+async function rateRecording(recordingId, raterId, rating) {
+    const recording = await queryOne(
+        'SELECT id FROM recordings WHERE id = $1 AND deleted_at IS NULL',
+        [recordingId]
+    );
+    if (!recording) return null;
+
+    if (rating === null) {
+        await query(
+            'DELETE FROM intelligibility_ratings WHERE recording_id = $1 AND rater_id = $2',
+            [recordingId, raterId]
+        );
+    } else {
+        await query(
+            `INSERT INTO intelligibility_ratings (recording_id, rater_id, rating)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (recording_id, rater_id) DO UPDATE
+             SET rating = EXCLUDED.rating, updated_at = NOW()`,
+            [recordingId, raterId, rating]
+        );
+    }
+    return recordingIntelligibility(recordingId);
+}
+
+/**
+ * Intelligibility per speaker or per sentence, over rated recordings that are not deleted
+ * @param {string} by - 'speaker' or 'sentence'
+ * @returns {Promise<object[]>} See aggregateIntelligibility; sentences also carry
+ *   sentence_text and story_title
+ */
+async function intelligibilityReport(by) {
+    const recordings = await queryAll(
+        `SELECT
+            r.id,
+            u.speaker_id,
+            s.id as sentence_id,
+            s.text_devanagari as sentence_text,
+            st.title as story_title,
+            AVG(i.rating)::float as intelligibility
+         FROM intelligibility_ratings i
+         JOIN recordings r ON i.recording_id = r.id
+         JOIN users u ON r.user_id = u.id
+         JOIN sentences s ON r.sentence_id = s.id
+         JOIN stories st ON s.story_id = st.id
+         WHERE r.deleted_at IS NULL
+         GROUP BY r.id, u.speaker_id, s.id, st.title`
+    );
+
+    if (by === 'speaker') {
+        return aggregateIntelligibility(recordings, 'speaker_id');
+    }
+    const sentences = new Map(recordings.map(r => [r.sentence_id, r]));
+    return aggregateIntelligibility(recordings, 'sentence_id').map(group => ({
+        ...group,
+        sentence_text: sentences.get(group.sentence_id).sentence_text,
+        story_title: sentences.get(group.sentence_id).story_title,
+    }));
+}
+
+module.exports = {
+    recordingIntelligibility,
+    rateRecording,
+    intelligibilityReport,
+};
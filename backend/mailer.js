@@ -0,0 +1,71 @@
+/**
+ * Mail abstraction layer
+ * Pluggable transports for sending login links:
+ * - console: print the message to the server log (default, for local development)
+ * - file: write each message as a .eml file into MAIL_OUTBOX_DIR
+ * Other transports (SMTP, HTTP mail APIs) can be plugged in with setTransport()
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class Mailer {
+    constructor() {
+        this.type = process.env.MAIL_TRANSPORT || 'console';
+        this.from = process.env.MAIL_FROM || 'Deaf Speech Collector <no-reply@localhost>';
+
+        if (this.type === 'file') {
+            this.outboxDir = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+            this.transport = (message) => this._sendToFile(message);
+            console.log(`✓ Mail: File outbox (${this.outboxDir})`);
+        } else {
+            this.transport = (message) => this._sendToConsole(message);
+            console.log('✓ Mail: Console transport');
+        }
+    }
+
+    /**
+     * Replace the transport (e.g. with an SMTP client)
+     * @param {function(object): Promise<void>} transport - Receives { from, to, subject, text }
+     */
+    setTransport(transport) {
+        this.type = 'custom';
+        this.transport = transport;
+    }
+
+    /**
+     * Send a plain-text message
+     * @param {object} message - { to, subject, text }
+     * @returns {Promise<void>}
+     */
+    async send({ to, subject, text }) {
+        await this.transport({ from: this.from, to, subject, text });
+    }
+
+    // Private: transports
+    async _sendToConsole({ from, to, subject, text }) {
+        console.log('='.repeat(50));
+        console.log(`📧 Mail from ${from} to ${to}`);
+        console.log(`Subject: ${subject}`);
+        console.log(text);
+        console.log('='.repeat(50));
+    }
+
+    async _sendToFile({ from, to, subject, text }) {
+        await fs.mkdir(this.outboxDir, { recursive: true });
+        const filename = `${Date.now()}-${to.replace(/[^a-z0-9]/gi, '_')}.eml`;
+        const content = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text,
+        ].join('\r\n');
+        await fs.writeFile(path.join(this.outboxDir, filename), content, 'utf-8');
+    }
+}
+
+// Export singleton instance
+module.exports = new Mailer();
@@ -0,0 +1,97 @@
+/**
+ * Session authentication middleware
+ * Reads the session cookie, resolves it to a user and exposes it as req.user
+ */
+
+const { queryOne, query } = require('../db');
+const { generateToken, hashToken } = require('../utils/authCrypto');
+
+const SESSION_COOKIE = 'dsc_session';
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+
+function cookieOptions() {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        path: '/',
+    };
+}
+
+/**
+ * Create a session for a user and set the session cookie
+ * @param {object} res - Express response
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+async function startSession(res, userId) {
+    const token = generateToken();
+    const ttlMs = SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+    await query(
+        `INSERT INTO sessions (id, user_id, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [hashToken(token), userId, SESSION_TTL_DAYS]
+    );
+    await query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [userId]);
+
+    // Opportunistically drop expired sessions
+    await query('DELETE FROM sessions WHERE expires_at < NOW()');
+
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: ttlMs });
+}
+
+/**
+ * Destroy the current session (if any) and clear the cookie
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function endSession(req, res) {
+    const token = req.cookies && req.cookies[SESSION_COOKIE];
+    if (token) {
+        await query('DELETE FROM sessions WHERE id = $1', [hashToken(token)]);
+    }
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+/**
+ * Populate req.user from the session cookie; never rejects the request
+ */
+async function loadSession(req, res, next) {
+    req.user = null;
+
+    const token = req.cookies && req.cookies[SESSION_COOKIE];
+    if (!token) return next();
+
+    try {
+        req.user = await queryOne(
+            `SELECT u.id, u.email, u.role, u.speaker_id
+             FROM sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.id = $1 AND s.expires_at > NOW()`,
+            [hashToken(token)]
+        );
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Reject requests without a logged-in user
+ */
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Login required' });
+    }
+    next();
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    startSession,
+    endSession,
+    loadSession,
+    requireAuth,
+};
@@ -0,0 +1,37 @@
+/**
+ * Consent middleware
+ * Blocks uploads from speakers who have not agreed to the current consent text
+ */
+
+const { getCurrentConsent, CONSENT_VERSION } = require('../consent');
+
+/**
+ * Require a current consent from the logged-in user
+ * Use after requireAuth. Sets req.consent = { id, consent_version, scope, granted_at }.
+ */
+async function requireConsent(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Login required' });
+    }
+
+    try {
+        const consent = await getCurrentConsent(req.user.id);
+
+        if (!consent) {
+            return res.status(403).json({
+                error: 'Consent required before recording',
+                consent_required: true,
+                consent_version: CONSENT_VERSION,
+            });
+        }
+
+        req.consent = consent;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    requireConsent,
+};
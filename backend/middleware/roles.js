@@ -0,0 +1,77 @@
+/**
+ * Role-based access control middleware
+ * Roles are hierarchical: admin > reviewer > contributor
+ */
+
+const { queryOne } = require('../db');
+
+const ROLES = ['contributor', 'reviewer', 'admin'];
+
+/**
+ * Check whether a user has at least the given role
+ * @param {object} user - req.user
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+    if (!user) return false;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Require a logged-in user with at least the given role
+ * @param {string} role - 'contributor' | 'reviewer' | 'admin'
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Login required' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `${role} role required` });
+        }
+        next();
+    };
+}
+
+/**
+ * Require that the logged-in user owns the recording in req.params.id
+ * Use after validateRecordingId. Sets req.recording = { id, user_id }.
+ * @param {object} options
+ * @param {string} [options.orRole] - Role that may access any recording (e.g. 'reviewer')
+ */
+function requireRecordingOwner({ orRole = null } = {}) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Login required' });
+        }
+
+        try {
+            const recording = await queryOne(
+                'SELECT id, user_id FROM recordings WHERE id = $1',
+                [req.recordingId]
+            );
+
+            if (!recording) {
+                return res.status(404).json({ error: 'Recording not found' });
+            }
+
+            const isOwner = recording.user_id === req.user.id;
+            if (!isOwner && !(orRole && hasRole(req.user, orRole))) {
+                return res.status(403).json({ error: 'You can only access your own recordings' });
+            }
+
+            req.recording = recording;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    requireRole,
+    requireRecordingOwner,
+};
@@ -3,17 +3,13 @@
  */
 
 function validateRecordingUpload(req, res, next) {
-    const { sentence_id, user_id } = req.body;
+    const { sentence_id } = req.body;
     const errors = [];
 
     if (!sentence_id || isNaN(parseInt(sentence_id))) {
         errors.push('sentence_id is required and must be a number');
     }
 
-    if (!user_id || typeof user_id !== 'string') {
-        errors.push('user_id is required and must be a string');
-    }
-
     if (!req.file) {
         errors.push('audio file is required');
     }
@@ -47,8 +43,21 @@ function validateRecordingId(req, res, next) {
     next();
 }
 
+// Strict: "12abc" or "1.5" would otherwise reach SQL as 12 or 1, and "abc" as NaN (a 500)
+function validateSentenceId(req, res, next) {
+    const id = req.params.sentenceId || req.params.id;
+
+    if (!/^\d+$/.test(id) || parseInt(id, 10) > 2147483647) {
+        return res.status(400).json({ error: 'Invalid sentence ID' });
+    }
+
+    req.sentenceId = parseInt(id, 10);
+    next();
+}
+
 module.exports = {
     validateRecordingUpload,
     validateStoryId,
     validateRecordingId,
+    validateSentenceId,
 };
@@ -0,0 +1,132 @@
+/**
+ * Soft deletion of recordings
+ * Deleting a recording only marks it (deleted_at, deleted_by); it can be restored
+ * for RECORDING_RETENTION_DAYS. After that the purge job deletes its stored audio
+ * through the storage backend (local or S3) and then the row.
+ * Used by the recordings API, the admin API (POST /api/admin/purge-deleted),
+ * scripts/purge-deleted-recordings.js and the server's daily purge.
+ */
+
+const { pool, queryOne, queryAll } = require('./db');
+const storage = require('./storage');
+const { AUDIO_COLUMNS, audioKeys } = require('./recordingAudio');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days a deleted recording stays restorable (RECORDING_RETENTION_DAYS, 0 = purge on the next run)
+ * @returns {number}
+ */
+function retentionDays() {
+    const days = parseInt(process.env.RECORDING_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When a recording deleted at the given time will be purged
+ * @param {Date|string} deletedAt
+ * @returns {Date}
+ */
+function purgeAfter(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Mark a recording deleted
+ * @param {number} recordingId
+ * @param {number} userId - Who deleted it
+ * @returns {Promise<object|null>} { id, deleted_at, purge_after }, null if it does not exist
+ *   (a recording that is already deleted keeps its original deletion time)
+ */
+async function softDeleteRecording(recordingId, userId) {
+    const recording = await queryOne(
+        `UPDATE recordings
+         SET deleted_at = COALESCE(deleted_at, NOW()),
+             deleted_by = CASE WHEN deleted_at IS NULL THEN $2 ELSE deleted_by END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, deleted_at`,
+        [recordingId, userId]
+    );
+    return recording && { ...recording, purge_after: purgeAfter(recording.deleted_at) };
+}
+
+/**
+ * Undo a deletion that has not been purged yet
+ * @param {number} recordingId
+ * @returns {Promise<object|null>} { id }, null if the recording is not (or no longer) deleted
+ */
+async function restoreRecording(recordingId) {
+    return queryOne(
+        `UPDATE recordings
+         SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING id`,
+        [recordingId]
+    );
+}
+
+/**
+ * Permanently remove recordings deleted longer ago than the retention window
+ * A row is only removed once all of its stored audio was deleted, so a failed
+ * storage deletion is retried on the next run instead of orphaning the object.
+ * Each row stays locked while its audio is deleted, so it cannot be restored halfway.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Defaults to RECORDING_RETENTION_DAYS
+ * @param {boolean} [options.dryRun] - Only report what would be purged
+ * @returns {Promise<object>} { total, purged, failed, errors: [{ recording_id, error }] }
+ */
+async function purgeDeletedRecordings({ retentionDays: days = retentionDays(), dryRun = false } = {}) {
+    const recordings = await queryAll(
+        `SELECT id
+         FROM recordings
+         WHERE deleted_at IS NOT NULL
+           AND deleted_at <= NOW() - make_interval(days => $1)
+         ORDER BY deleted_at`,
+        [days]
+    );
+
+    const results = { total: recordings.length, purged: 0, failed: 0, errors: [] };
+    if (dryRun) return results;
+
+    for (const { id } of recordings) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Re-check under the lock: it may have been restored since it was listed
+            const recording = (await client.query(
+                `SELECT id, ${AUDIO_COLUMNS.join(', ')}
+                 FROM recordings
+                 WHERE id = $1 AND deleted_at IS NOT NULL
+                 FOR UPDATE`,
+                [id]
+            )).rows[0];
+
+            if (recording) {
+                for (const key of audioKeys(recording)) {
+                    await storage.deleteFile(key);
+                }
+                await client.query('DELETE FROM recordings WHERE id = $1', [id]);
+                results.purged++;
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`❌ Failed to purge recording ${id}: ${error.message}`);
+            results.failed++;
+            results.errors.push({ recording_id: id, error: error.message });
+        } finally {
+            client.release();
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    retentionDays,
+    purgeAfter,
+    softDeleteRecording,
+    restoreRecording,
+    purgeDeletedRecordings,
+};
@@ -0,0 +1,29 @@
+/**
+ * Stored audio of a recording
+ * Besides the original (audio_filepath), ingestion can store derived copies
+ * next to it. They are served, replaced and deleted together with the original.
+ */
+
+// Variant name (as in ?variant=) → recordings column holding its storage key
+const AUDIO_VARIANTS = {
+    original: 'audio_filepath',
+    trimmed: 'trimmed_audio_filepath',      // Cut to the detected speech
+    normalized: 'normalized_audio_filepath', // Loudness-normalized (EBU R128)
+};
+
+const AUDIO_COLUMNS = Object.values(AUDIO_VARIANTS);
+
+/**
+ * All storage keys of a recording row (selected with AUDIO_COLUMNS)
+ * @param {object} recording
+ * @returns {string[]}
+ */
+function audioKeys(recording) {
+    return AUDIO_COLUMNS.map(column => recording[column]).filter(Boolean);
+}
+
+module.exports = {
+    AUDIO_VARIANTS,
+    AUDIO_COLUMNS,
+    audioKeys,
+};
@@ -0,0 +1,99 @@
+/**
+ * Rejection reasons and feedback to speakers
+ * Reviewers reject recordings with reasons from the rejection_reasons table,
+ * which admins can extend. A speaker's sentence needs re-recording while their
+ * latest take of it was rejected for a reason that asks for a new take.
+ * Used by the recordings, review, users and admin APIs.
+ */
+
+const { queryOne, queryAll } = require('./db');
+const { describeReasons } = require('./utils/reviewDecision');
+
+/**
+ * Rejection reasons in display order
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive] - Also list retired reasons
+ * @returns {Promise<object[]>} [{ code, label, needs_rerecording, active, sort_order }]
+ */
+async function listRejectionReasons({ includeInactive = false } = {}) {
+    return queryAll(
+        `SELECT code, label, needs_rerecording, active, sort_order
+         FROM rejection_reasons
+         WHERE $1 OR active
+         ORDER BY sort_order, code`,
+        [includeInactive]
+    );
+}
+
+/**
+ * Add a rejection reason or update an existing one
+ * @param {object} reason - Validated by validateRejectionReason
+ * @returns {Promise<object>} The saved reason
+ */
+async function saveRejectionReason({ code, label, needs_rerecording, active, sort_order }) {
+    return queryOne(
+        `INSERT INTO rejection_reasons (code, label, needs_rerecording, active, sort_order)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (code) DO UPDATE
+         SET label = EXCLUDED.label,
+             needs_rerecording = EXCLUDED.needs_rerecording,
+             active = EXCLUDED.active,
+             sort_order = EXCLUDED.sort_order,
+             updated_at = NOW()
+         RETURNING code, label, needs_rerecording, active, sort_order`,
+        [code, label, needs_rerecording, active, sort_order]
+    );
+}
+
+/**
+ * Sentences a speaker was asked to record again
+ * Recording a new take of the sentence (or deleting the rejected one) takes it off the list.
+ * @param {number} userId
+ * @returns {Promise<object[]>} [{ recording_id, take_number, sentence_id, order_in_story,
+ *   text_devanagari, story_id, story_title, reasons: [{ code, label }], comment, reviewed_at }]
+ */
+async function rerecordingRequests(userId) {
+    const [rows, reasons] = await Promise.all([
+        queryAll(
+            `SELECT
+                r.id as recording_id,
+                r.take_number,
+                r.rejection_reasons,
+                r.review_comment,
+                r.reviewed_at,
+                s.id as sentence_id,
+                s.order_in_story,
+                s.text_devanagari,
+                st.id as story_id,
+                st.title as story_title
+             FROM recordings r
+             JOIN sentences s ON r.sentence_id = s.id
+             JOIN stories st ON s.story_id = st.id
+             WHERE r.user_id = $1
+               AND r.needs_rerecording
+               AND r.deleted_at IS NULL
+               AND NOT EXISTS (
+                   SELECT 1 FROM recordings newer
+                   WHERE newer.user_id = r.user_id
+                     AND newer.sentence_id = r.sentence_id
+                     AND newer.take_number > r.take_number
+                     AND newer.deleted_at IS NULL
+               )
+             ORDER BY st.id, s.order_in_story`,
+            [userId]
+        ),
+        listRejectionReasons({ includeInactive: true }),
+    ]);
+
+    return rows.map(({ rejection_reasons, review_comment, ...row }) => ({
+        ...row,
+        reasons: describeReasons(rejection_reasons, reasons),
+        comment: review_comment,
+    }));
+}
+
+module.exports = {
+    listRejectionReasons,
+    saveRejectionReason,
+    rerecordingRequests,
+};
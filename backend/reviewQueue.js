@@ -0,0 +1,146 @@
+/**
+ * Reviewer queue
+ * Hands each reviewer the oldest pending recording nobody else is reviewing, that
+ * they have not voted on and that still needs votes (REVIEWS_REQUIRED), and locks
+ * it to them for REVIEW_LOCK_MINUTES. A lock ends when the reviewer votes
+ * (PATCH /api/recordings/:id), skips or releases it, or when it expires, after
+ * which the recording goes back to the queue.
+ * Used by the review API (/api/review) and PATCH /api/recordings/:id.
+ */
+
+const { query, queryOne } = require('./db');
+const { reviewsRequired } = require('./reviewVotes');
+
+const DEFAULT_LOCK_MINUTES = 10;
+
+// Recordings the queue hands out (recordings aliased as r)
+const REVIEWABLE = `r.status = 'pending'
+    AND r.deleted_at IS NULL
+    AND r.validation_status NOT IN ('queued', 'processing')`;
+
+// ...that are not locked by another reviewer, the reviewer ($1) has not voted on
+// and still need votes
+function available() {
+    return `${REVIEWABLE}
+    AND NOT COALESCE(r.review_locked_until >= NOW() AND r.review_locked_by <> $1, FALSE)
+    AND NOT EXISTS (SELECT 1 FROM recording_reviews v WHERE v.recording_id = r.id AND v.reviewer_id = $1)
+    AND (SELECT COUNT(*) FROM recording_reviews v WHERE v.recording_id = r.id) < ${reviewsRequired()}`;
+}
+
+/**
+ * How long a handed-out recording stays locked (REVIEW_LOCK_MINUTES)
+ * @returns {number}
+ */
+function lockMinutes() {
+    const minutes = parseInt(process.env.REVIEW_LOCK_MINUTES, 10);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_LOCK_MINUTES;
+}
+
+/**
+ * Release locks a reviewer holds
+ * @param {number} reviewerId
+ * @param {number[]} [recordingIds] - Only these recordings (all of the reviewer's locks if omitted)
+ * @returns {Promise<number>} Locks released
+ */
+async function releaseLocks(reviewerId, recordingIds) {
+    const result = await query(
+        `UPDATE recordings
+         SET review_locked_by = NULL, review_locked_until = NULL
+         WHERE review_locked_by = $1
+           AND ($2::int[] IS NULL OR id = ANY($2::int[]))`,
+        [reviewerId, recordingIds || null]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Lock the next recording to review for a reviewer
+ * A recording the reviewer already holds comes first, so reloading the page
+ * returns the same one; otherwise the oldest available recording is claimed.
+ * @param {number} reviewerId
+ * @param {object} [options]
+ * @param {number[]} [options.skip] - Recordings the reviewer skipped; their locks are
+ *   released and they are not handed out
+ * @returns {Promise<object>} { recording, remaining } where recording is null when the
+ *   queue is empty and remaining counts the other recordings still available
+ */
+async function claimNext(reviewerId, { skip = [] } = {}) {
+    if (skip.length > 0) {
+        await releaseLocks(reviewerId, skip);
+    }
+
+    const claimed = await queryOne(
+        `UPDATE recordings
+         SET review_locked_by = $1,
+             review_locked_until = NOW() + make_interval(mins => $2)
+         WHERE id = (
+             SELECT r.id
+             FROM recordings r
+             WHERE ${available()}
+               AND r.id <> ALL($3::int[])
+             ORDER BY COALESCE(r.review_locked_by = $1 AND r.review_locked_until >= NOW(), FALSE) DESC,
+                      r.created_at, r.id
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id`,
+        [reviewerId, lockMinutes(), skip]
+    );
+
+    const recording = claimed && await queryOne(
+        `SELECT
+            r.id,
+            r.take_number,
+            r.duration_seconds as duration,
+            r.status,
+            r.created_at,
+            r.review_locked_until,
+            u.speaker_id,
+            s.id as sentence_id,
+            s.order_in_story,
+            s.text_devanagari as sentence_text,
+            st.id as story_id,
+            st.title as story_title
+         FROM recordings r
+         JOIN users u ON r.user_id = u.id
+         JOIN sentences s ON r.sentence_id = s.id
+         JOIN stories st ON s.story_id = st.id
+         WHERE r.id = $1`,
+        [claimed.id]
+    );
+
+    const { remaining } = await queryOne(
+        `SELECT COUNT(*)::int as remaining
+         FROM recordings r
+         WHERE ${available()}
+           AND r.id <> $2`,
+        [reviewerId, claimed ? claimed.id : 0]
+    );
+
+    return { recording: recording || null, remaining };
+}
+
+/**
+ * Who holds an unexpired lock on a recording, unless it is the given reviewer
+ * @param {number} recordingId
+ * @param {number} reviewerId
+ * @returns {Promise<object|null>} { review_locked_by, review_locked_until }, null if the
+ *   reviewer may decide on the recording
+ */
+async function lockedByOther(recordingId, reviewerId) {
+    return queryOne(
+        `SELECT review_locked_by, review_locked_until
+         FROM recordings
+         WHERE id = $1
+           AND review_locked_until >= NOW()
+           AND review_locked_by <> $2`,
+        [recordingId, reviewerId]
+    );
+}
+
+module.exports = {
+    lockMinutes,
+    releaseLocks,
+    claimNext,
+    lockedByOther,
+};
@@ -0,0 +1,288 @@
+/**
+ * Multi-reviewer voting
+ * Each reviewer's approve/reject is a vote (recording_reviews). A recording stays
+ * pending until REVIEWS_REQUIRED reviewers have voted; then the majority decides
+ * (with one review required, the latest vote does). Ties wait for an admin to
+ * adjudicate, and an adjudicated recording keeps the admin's decision whatever
+ * the votes say.
+ * Used by PATCH /api/recordings/:id, the review queue and the admin API.
+ */
+
+const { pool, queryAll } = require('./db');
+const { listRejectionReasons } = require('./rejectionReasons');
+const { tallyVotes, mergeRejections, needsRerecording } = require('./utils/reviewDecision');
+
+const DEFAULT_REVIEWS_REQUIRED = 1;
+
+/**
+ * Votes needed before a recording is decided (REVIEWS_REQUIRED)
+ * @returns {number}
+ */
+function reviewsRequired() {
+    const reviews = parseInt(process.env.REVIEWS_REQUIRED, 10);
+    return Number.isInteger(reviews) && reviews > 0 ? reviews : DEFAULT_REVIEWS_REQUIRED;
+}
+
+/**
+ * Set a recording's status from its votes and release its queue lock
+ * @param {object} client - Connection inside a transaction that has the recording locked
+ * @param {number} recordingId
+ * @returns {Promise<object>} { recording, tally }
+ */
+async function settle(client, recordingId) {
+    const votes = (await client.query(
+        `SELECT reviewer_id, decision, rejection_reasons, comment, updated_at
+         FROM recording_reviews
+         WHERE recording_id = $1
+         ORDER BY updated_at, id`,
+        [recordingId]
+    )).rows;
+    const tally = tallyVotes(votes, reviewsRequired());
+
+    let rejection = { rejection_reasons: [], review_comment: null };
+    let rerecord = false;
+    if (tally.status === 'rejected') {
+        rejection = mergeRejections(votes.filter(vote => vote.decision === 'rejected'));
+        rerecord = needsRerecording(rejection.rejection_reasons, await listRejectionReasons({ includeInactive: true }));
+    }
+    const deciding = tally.status === 'pending'
+        ? null
+        : votes.filter(vote => vote.decision === tally.status).pop();
+
+    const recording = (await client.query(
+        `UPDATE recordings
+         SET status = $2,
+             reviewed_by = $3,
+             reviewed_at = $4,
+             rejection_reasons = $5,
+             review_comment = $6,
+             needs_rerecording = $7,
+             review_locked_by = NULL,
+             review_locked_until = NULL,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+            recordingId,
+            tally.status,
+            deciding ? deciding.reviewer_id : null,
+            deciding ? deciding.updated_at : null,
+            rejection.rejection_reasons,
+            rejection.review_comment,
+            rerecord,
+        ]
+    )).rows[0];
+
+    return { recording, tally };
+}
+
+/**
+ * Record a reviewer's vote on a recording and update its status
+ * @param {number} recordingId
+ * @param {number} reviewerId
+ * @param {object} decision - From validateReviewDecision; status 'pending' withdraws the
+ *   reviewer's vote
+ * @returns {Promise<object|null>} { recording, tally } (tally.outcome is 'adjudicated' once an
+ *   admin has decided); null if the recording does not exist, is deleted or is locked
+ *   to another reviewer in the review queue
+ */
+async function castVote(recordingId, reviewerId, decision) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = (await client.query(
+            `SELECT id, adjudicated_at
+             FROM recordings
+             WHERE id = $1 AND deleted_at IS NULL
+               AND NOT COALESCE(review_locked_until >= NOW() AND review_locked_by <> $2, FALSE)
+             FOR UPDATE`,
+            [recordingId, reviewerId]
+        )).rows[0];
+        if (!current) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        if (decision.status === 'pending') {
+            await client.query(
+                'DELETE FROM recording_reviews WHERE recording_id = $1 AND reviewer_id = $2',
+                [recordingId, reviewerId]
+            );
+        } else {
+            await client.query(
+                `INSERT INTO recording_reviews (recording_id, reviewer_id, decision, rejection_reasons, comment)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (recording_id, reviewer_id) DO UPDATE
+                 SET decision = EXCLUDED.decision,
+                     rejection_reasons = EXCLUDED.rejection_reasons,
+                     comment = EXCLUDED.comment,
+                     updated_at = NOW()`,
+                [recordingId, reviewerId, decision.status, decision.rejection_reasons, decision.review_comment]
+            );
+        }
+
+        let result;
+        if (current.adjudicated_at) {
+            const recording = (await client.query(
+                `UPDATE recordings
+                 SET review_locked_by = NULL, review_locked_until = NULL
+                 WHERE id = $1
+                 RETURNING *`,
+                [recordingId]
+            )).rows[0];
+            const counts = await countVotes(client, recordingId);
+            result = { recording, tally: { status: recording.status, outcome: 'adjudicated', ...counts } };
+        } else {
+            result = await settle(client, recordingId);
+        }
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// { approved, rejected } vote counts of a recording
+async function countVotes(client, recordingId) {
+    return (await client.query(
+        `SELECT COUNT(*) FILTER (WHERE decision = 'approved')::int as approved,
+                COUNT(*) FILTER (WHERE decision = 'rejected')::int as rejected
+         FROM recording_reviews
+         WHERE recording_id = $1`,
+        [recordingId]
+    )).rows[0];
+}
+
+/**
+ * An admin's final decision on a recording, overriding the votes
+ * @param {number} recordingId
+ * @param {number} adminId
+ * @param {object} decision - From validateReviewDecision; status 'pending' withdraws the
+ *   adjudication and lets the votes decide again
+ * @returns {Promise<object|null>} The updated recording, null if it does not exist or is deleted
+ */
+async function adjudicate(recordingId, adminId, decision) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = (await client.query(
+            'SELECT id FROM recordings WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [recordingId]
+        )).rows[0];
+        if (!current) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        let recording;
+        if (decision.status === 'pending') {
+            await client.query(
+                'UPDATE recordings SET adjudicated_by = NULL, adjudicated_at = NULL WHERE id = $1',
+                [recordingId]
+            );
+            ({ recording } = await settle(client, recordingId));
+        } else {
+            recording = (await client.query(
+                `UPDATE recordings
+                 SET status = $2,
+                     reviewed_by = $3,
+                     reviewed_at = NOW(),
+                     adjudicated_by = $3,
+                     adjudicated_at = NOW(),
+                     rejection_reasons = $4,
+                     review_comment = $5,
+                     needs_rerecording = $6,
+                     review_locked_by = NULL,
+                     review_locked_until = NULL,
+                     updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [
+                    recordingId,
+                    decision.status,
+                    adminId,
+                    decision.rejection_reasons,
+                    decision.review_comment,
+                    decision.needs_rerecording,
+                ]
+            )).rows[0];
+        }
+        await client.query('COMMIT');
+        return recording;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Recordings the reviewers could not settle: enough votes but no majority, and no adjudication yet
+ * @returns {Promise<object[]>} [{ id, take_number, speaker_id, sentence_id, sentence_text,
+ *   story_title, created_at, votes: [{ reviewer_id, reviewer_email, decision, rejection_reasons, comment, updated_at }] }]
+ */
+async function disputedRecordings() {
+    const [recordings, votes] = await Promise.all([
+        queryAll(
+            `SELECT
+                r.id,
+                r.take_number,
+                r.created_at,
+                u.speaker_id,
+                s.id as sentence_id,
+                s.text_devanagari as sentence_text,
+                st.title as story_title
+             FROM recordings r
+             JOIN users u ON r.user_id = u.id
+             JOIN sentences s ON r.sentence_id = s.id
+             JOIN stories st ON s.story_id = st.id
+             WHERE r.status = 'pending'
+               AND r.deleted_at IS NULL
+               AND r.adjudicated_at IS NULL
+               AND (SELECT COUNT(*) FROM recording_reviews v WHERE v.recording_id = r.id) >= $1
+             ORDER BY r.created_at, r.id`,
+            [reviewsRequired()]
+        ),
+        queryAll(
+            `SELECT v.recording_id, v.reviewer_id, u.email as reviewer_email,
+                    v.decision, v.rejection_reasons, v.comment, v.updated_at
+             FROM recording_reviews v
+             JOIN recordings r ON v.recording_id = r.id
+             LEFT JOIN users u ON v.reviewer_id = u.id
+             WHERE r.status = 'pending' AND r.deleted_at IS NULL AND r.adjudicated_at IS NULL
+             ORDER BY v.updated_at, v.id`
+        ),
+    ]);
+
+    return recordings.map(recording => ({
+        ...recording,
+        votes: votes
+            .filter(vote => vote.recording_id === recording.id)
+            .map(({ recording_id, ...vote }) => vote),
+    }));
+}
+
+/**
+ * Every reviewer vote on recordings that are not deleted, for the agreement report
+ * @returns {Promise<object[]>} [{ recording_id, reviewer_id, decision }]
+ */
+async function allVotes() {
+    return queryAll(
+        `SELECT v.recording_id, v.reviewer_id, v.decision
+         FROM recording_reviews v
+         JOIN recordings r ON v.recording_id = r.id
+         WHERE r.deleted_at IS NULL AND v.reviewer_id IS NOT NULL`
+    );
+}
+
+module.exports = {
+    reviewsRequired,
+    castVote,
+    adjudicate,
+    disputedRecordings,
+    allVotes,
+};
@@ -4,123 +4,138 @@
 
 const express = require('express');
 const router = express.Router();
-const { query } = require('../db');
+const path = require('path');
+const fs = require('fs').promises;
+const multer = require('multer');
+const { query, queryOne } = require('../db');
 const storage = require('../storage');
+const { purgeDeletedRecordings, retentionDays, softDeleteRecording, restoreRecording } = require('../purge');
+const { ROLES, requireRole } = require('../middleware/roles');
+const { validateSentenceId } = require('../middleware/validator');
+const { eraseSpeaker } = require('../erasure');
+const { normalizeEmail } = require('../utils/authCrypto');
+const { SIGN_VIDEO_TYPES, SIGN_VIDEO_MAX_BYTES, signVideoContentType, signVideoUrl } = require('../utils/signVideos');
+const { listRejectionReasons, saveRejectionReason } = require('../rejectionReasons');
+const { validateRejectionReason, validateReviewDecision } = require('../utils/reviewDecision');
+const { reviewsRequired, adjudicate, disputedRecordings, allVotes } = require('../reviewVotes');
+const { agreementReport } = require('../utils/agreement');
+const { intelligibilityReport } = require('../intelligibilityRatings');
 
-// Simple token-based authentication middleware
-function requireAdminToken(req, res, next) {
-    const token = req.query.token || req.headers['x-admin-token'];
-    const adminToken = process.env.ADMIN_TOKEN || 'change-me-in-production';
-    
-    if (token !== adminToken) {
-        return res.status(403).json({ error: 'Invalid or missing admin token' });
+// Sign-language video uploads (mp4/webm only, so every browser can play them)
+const uploadSignVideo = multer({
+    dest: '/tmp/uploads/',
+    limits: { fileSize: SIGN_VIDEO_MAX_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (SIGN_VIDEO_TYPES[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            const error = new Error(`Sign-language videos must be ${Object.keys(SIGN_VIDEO_TYPES).join(', ')}`);
+            error.statusCode = 400;
+            cb(error);
+        }
+    },
+}).single('video');
+
+// All admin endpoints require a logged-in user with the admin role
+router.use(requireRole('admin'));
+
+/**
+ * POST /api/admin/purge-deleted
+ * Permanently delete recordings deleted more than RECORDING_RETENTION_DAYS ago
+ * (stored audio first, then the row). The server also does this once a day.
+ * Body (optional): { dry_run: true } to only count them
+ */
+router.post('/purge-deleted', async (req, res, next) => {
+    try {
+        const dryRun = Boolean(req.body && req.body.dry_run);
+        console.log(`🗑️  Admin purge initiated${dryRun ? ' (dry run)' : ''}...`);
+
+        const results = await purgeDeletedRecordings({ dryRun });
+        console.log(`✨ Purge complete: ${results.purged} purged, ${results.failed} failed`);
+
+        res.json({
+            success: results.failed === 0,
+            message: dryRun
+                ? `${results.total} recording(s) are past the ${retentionDays()}-day retention window`
+                : `Purge complete: ${results.purged} purged, ${results.failed} failed`,
+            retention_days: retentionDays(),
+            dry_run: dryRun,
+            ...results,
+        });
+    } catch (error) {
+        next(error);
     }
-    next();
-}
+});
 
 /**
- * POST /api/admin/cleanup-deleted
- * Permanently delete recordings marked as 'deleted'
- * Requires: ?token=<ADMIN_TOKEN> or header X-Admin-Token
- * 
- * Example:
- * POST https://your-app.railway.app/api/admin/cleanup-deleted?token=your-secret-token
+ * DELETE /api/admin/recordings/:id
+ * Moderation: delete any speaker's recording (speakers delete their own through
+ * DELETE /api/recordings/:id). Restorable until it is purged, like theirs.
  */
-router.post('/cleanup-deleted', requireAdminToken, async (req, res) => {
+router.delete('/recordings/:id', async (req, res, next) => {
     try {
-        console.log('🗑️  Admin cleanup initiated...');
-        
-        // Get all recordings marked as 'deleted'
-        const result = await query(
-            `SELECT id, audio_filepath, sentence_id, user_id, created_at 
-             FROM recordings 
-             WHERE status = $1 
-             ORDER BY created_at`,
-            ['deleted']
-        );
-        
-        const deletedRecordings = result.rows;
-        
-        if (deletedRecordings.length === 0) {
-            return res.json({
-                success: true,
-                message: 'No recordings marked for deletion',
-                deleted_count: 0
-            });
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
         }
-        
-        console.log(`📊 Found ${deletedRecordings.length} recording(s) marked for deletion`);
-        
-        const results = {
-            total: deletedRecordings.length,
-            deleted: 0,
-            failed: 0,
-            errors: []
-        };
-        
-        for (const recording of deletedRecordings) {
-            try {
-                console.log(`   Processing ID ${recording.id}: ${recording.audio_filepath}`);
-                
-                // Delete from storage (R2/S3)
-                try {
-                    await storage.deleteFile(recording.audio_filepath);
-                    console.log(`      ✓ Deleted from storage: ${recording.audio_filepath}`);
-                } catch (storageErr) {
-                    console.warn(`      ⚠️  Storage delete failed (may not exist): ${storageErr.message}`);
-                    // Continue even if storage delete fails
-                }
-                
-                // Delete from database
-                await query('DELETE FROM recordings WHERE id = $1', [recording.id]);
-                console.log(`      ✓ Deleted from database: ID ${recording.id}`);
-                
-                results.deleted++;
-                
-            } catch (err) {
-                console.error(`      ❌ Failed to delete recording ${recording.id}:`, err.message);
-                results.failed++;
-                results.errors.push({
-                    recording_id: recording.id,
-                    filename: recording.filename,
-                    error: err.message
-                });
-            }
+
+        const recording = await softDeleteRecording(recordingId, req.user.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
         }
-        
-        console.log(`✨ Cleanup complete: ${results.deleted} deleted, ${results.failed} failed`);
-        
+        console.log(`🗑️  Admin ${req.user.email} deleted recording ${recording.id}`);
+
         res.json({
-            success: true,
-            message: `Cleanup complete: ${results.deleted} deleted, ${results.failed} failed`,
-            ...results
+            message: 'Recording deleted; it can be restored until it is purged',
+            recording_id: recording.id,
+            deleted_at: recording.deleted_at,
+            purge_after: recording.purge_after,
         });
-        
     } catch (error) {
-        console.error('❌ Cleanup error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Cleanup failed',
-            message: error.message
-        });
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/recordings/:id/restore
+ * Undo a deletion of any speaker's recording that has not been purged yet
+ */
+router.post('/recordings/:id/restore', async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await restoreRecording(recordingId);
+        if (!recording) {
+            const exists = await queryOne('SELECT id FROM recordings WHERE id = $1', [recordingId]);
+            return exists
+                ? res.status(409).json({ error: 'Recording is not deleted' })
+                : res.status(404).json({ error: 'Recording not found' });
+        }
+
+        res.json({ message: 'Recording restored', recording_id: recording.id });
+    } catch (error) {
+        next(error);
     }
 });
 
 /**
  * GET /api/admin/stats
- * Get recording statistics by status
- * Requires admin token
+ * Get recording statistics by status (deleted recordings waiting to be purged count as 'deleted')
+ * Requires an admin session
  */
-router.get('/stats', requireAdminToken, async (req, res) => {
+router.get('/stats', async (req, res) => {
     try {
         console.log('📊 Fetching recording stats...');
         
         const result = await query(`
             SELECT 
-                status,
+                CASE WHEN deleted_at IS NOT NULL THEN 'deleted' ELSE status END as status,
                 COUNT(*) as count
             FROM recordings
-            GROUP BY status
+            GROUP BY 1
         `);
         
         console.log('✅ Stats query result:', result.rows);
@@ -142,4 +157,367 @@ router.get('/stats', requireAdminToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/users
+ * List user accounts with their roles
+ */
+router.get('/users', async (req, res, next) => {
+    try {
+        const result = await query(`
+            SELECT
+                u.id,
+                u.email,
+                u.speaker_id,
+                u.role,
+                u.created_at,
+                u.last_login_at,
+                COUNT(r.id) as total_recordings
+            FROM users u
+            LEFT JOIN recordings r ON r.user_id = u.id AND r.deleted_at IS NULL
+            GROUP BY u.id
+            ORDER BY u.role DESC, u.email ASC
+        `);
+
+        res.json(result.rows.map(u => ({ ...u, total_recordings: Number(u.total_recordings || 0) })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * Change a user's role
+ * Body: { role: 'contributor' | 'reviewer' | 'admin' }
+ */
+router.patch('/users/:id/role', async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { role } = req.body;
+
+        if (isNaN(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        if (userId === req.user.id && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        const user = await queryOne(
+            'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, email, role',
+            [role, userId]
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        console.log(`👤 Role changed by ${req.user.email}: ${user.email} -> ${user.role}`);
+        res.json({ message: 'Role updated', user });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/erase
+ * Right-to-erasure: delete all of a speaker's recordings, progress, profile,
+ * consents and account, and return a signed deletion report
+ * Body: { confirm_email, reason? } - confirm_email must match the account
+ */
+router.post('/users/:id/erase', async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { confirm_email, reason } = req.body;
+
+        if (isNaN(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: 'You cannot erase your own account' });
+        }
+
+        const user = await queryOne('SELECT id, email FROM users WHERE id = $1', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (normalizeEmail(confirm_email) !== user.email) {
+            return res.status(400).json({ error: 'confirm_email does not match the account' });
+        }
+
+        const signedReport = await eraseSpeaker(user.id, { requestedBy: req.user.email, reason });
+        res.json({ message: 'Speaker erased', ...signedReport });
+    } catch (error) {
+        if (error.failures) {
+            return res.status(error.statusCode).json({ error: error.message, failures: error.failures });
+        }
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/erasures
+ * Signed deletion reports of past erasures
+ */
+router.get('/erasures', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT id, user_id, requested_by, reason, erased_at, report, signature
+             FROM erasure_tombstones
+             ORDER BY erased_at DESC`
+        );
+
+        res.json(result.rows.map(row => ({
+            id: row.id,
+            user_id: row.user_id,
+            requested_by: row.requested_by,
+            reason: row.reason,
+            erased_at: row.erased_at,
+            report: row.report,
+            signature: { algorithm: 'HMAC-SHA256', value: row.signature },
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/sign-videos?story_id=
+ * Sentences of a story and their sign-language videos
+ */
+router.get('/sign-videos', async (req, res, next) => {
+    try {
+        const storyId = parseInt(req.query.story_id);
+        if (!storyId) {
+            return res.status(400).json({ error: 'story_id is required' });
+        }
+
+        const result = await query(
+            `SELECT id, order_in_story, text_devanagari, sign_video_filepath, sign_video_updated_at
+             FROM sentences
+             WHERE story_id = $1
+             ORDER BY order_in_story`,
+            [storyId]
+        );
+
+        res.json(result.rows.map(sentence => ({
+            id: sentence.id,
+            order_in_story: sentence.order_in_story,
+            text_devanagari: sentence.text_devanagari,
+            sign_video_url: signVideoUrl(sentence),
+            sign_video_updated_at: sentence.sign_video_updated_at,
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/sentences/:id/sign-video
+ * Upload (or replace) a sentence's sign-language video
+ * Form Data: { video: File }
+ */
+router.put('/sentences/:id/sign-video', validateSentenceId, (req, res, next) => {
+    uploadSignVideo(req, res, (error) => {
+        if (error && error.code === 'LIMIT_FILE_SIZE') {
+            error.statusCode = 413;
+            error.message = `Video is larger than ${SIGN_VIDEO_MAX_BYTES / 1024 / 1024} MB`;
+        }
+        next(error);
+    });
+}, async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No video uploaded (form field "video")' });
+        }
+
+        const sentence = await queryOne('SELECT id, sign_video_filepath FROM sentences WHERE id = $1', [req.sentenceId]);
+        if (!sentence) {
+            return res.status(404).json({ error: 'Sentence not found' });
+        }
+
+        const key = storage.signVideoKey(sentence.id, path.extname(req.file.originalname).toLowerCase());
+        await storage.save(req.file.path, key, signVideoContentType(key));
+
+        const updated = await queryOne(
+            `UPDATE sentences
+             SET sign_video_filepath = $1, sign_video_updated_at = NOW()
+             WHERE id = $2
+             RETURNING id, sign_video_filepath, sign_video_updated_at`,
+            [key, sentence.id]
+        );
+
+        // Remove the replaced video only once the row points at the new one
+        if (sentence.sign_video_filepath) {
+            await storage.deleteFile(sentence.sign_video_filepath).catch(error => {
+                console.warn(`⚠️  Could not delete old sign video ${sentence.sign_video_filepath}: ${error.message}`);
+            });
+        }
+
+        res.json({ id: updated.id, sign_video_url: signVideoUrl(updated) });
+    } catch (error) {
+        next(error);
+    } finally {
+        if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    }
+});
+
+/**
+ * DELETE /api/admin/sentences/:id/sign-video
+ * Remove a sentence's sign-language video
+ */
+router.delete('/sentences/:id/sign-video', validateSentenceId, async (req, res, next) => {
+    try {
+        const sentence = await queryOne('SELECT id, sign_video_filepath FROM sentences WHERE id = $1', [req.sentenceId]);
+        if (!sentence) {
+            return res.status(404).json({ error: 'Sentence not found' });
+        }
+        if (!sentence.sign_video_filepath) {
+            return res.status(404).json({ error: 'This sentence has no sign-language video' });
+        }
+
+        await query(
+            'UPDATE sentences SET sign_video_filepath = NULL, sign_video_updated_at = NULL WHERE id = $1',
+            [sentence.id]
+        );
+        await storage.deleteFile(sentence.sign_video_filepath);
+
+        res.json({ id: sentence.id, deleted: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/rejection-reasons
+ * Every rejection reason reviewers can give, retired ones included
+ */
+router.get('/rejection-reasons', async (req, res, next) => {
+    try {
+        res.json(await listRejectionReasons({ includeInactive: true }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/rejection-reasons/:code
+ * Add a rejection reason or update it
+ * Body: { label, needs_rerecording?: true, active?: true, sort_order?: 0 }
+ * A reason is retired with active: false rather than deleted, so recordings
+ * rejected for it keep their label.
+ */
+router.put('/rejection-reasons/:code', async (req, res, next) => {
+    try {
+        const { reason, errors } = validateRejectionReason(req.params.code, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        res.json(await saveRejectionReason(reason));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/disputed-recordings
+ * Recordings whose REVIEWS_REQUIRED votes are split evenly, with each vote,
+ * waiting for an admin to decide
+ */
+router.get('/disputed-recordings', async (req, res, next) => {
+    try {
+        res.json({
+            reviews_required: reviewsRequired(),
+            recordings: await disputedRecordings(),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/recordings/:id/adjudicate
+ * Decide a recording's status whatever its votes say
+ * Body: { status, rejection_reasons?: [code], comment? } - status pending
+ * withdraws the decision and lets the votes decide again
+ */
+router.post('/recordings/:id/adjudicate', async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const { decision, errors } = validateReviewDecision(req.body, await listRejectionReasons());
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        const recording = await adjudicate(recordingId, req.user.id, decision);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json({ message: 'Recording adjudicated', recording });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/review-agreement
+ * How often reviewers agree: Cohen's kappa for each pair of reviewers that voted
+ * on the same recordings, Fleiss' kappa across all of them, and each reviewer's
+ * mean kappa (lowest first, to spot unreliable reviewers). Kappa is null where
+ * it is undefined, e.g. when both reviewers only ever approved.
+ */
+router.get('/review-agreement', async (req, res, next) => {
+    try {
+        const report = agreementReport(await allVotes());
+
+        const ids = report.reviewers.map(reviewer => reviewer.reviewer_id);
+        const users = ids.length > 0
+            ? (await query('SELECT id, email FROM users WHERE id = ANY($1::int[])', [ids])).rows
+            : [];
+        const emails = new Map(users.map(user => [user.id, user.email]));
+
+        res.json({
+            reviews_required: reviewsRequired(),
+            recordings: report.recordings,
+            fleiss_kappa: report.fleiss_kappa,
+            reviewers: report.reviewers.map(reviewer => ({ ...reviewer, email: emails.get(reviewer.reviewer_id) })),
+            pairs: report.pairs.map(pair => ({
+                ...pair,
+                email_a: emails.get(pair.reviewer_a),
+                email_b: emails.get(pair.reviewer_b),
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/intelligibility?by=speaker|sentence
+ * Mean intelligibility rating of rated recordings per speaker (default) or per
+ * sentence, with how many recordings fall in each tier; least intelligible first
+ */
+router.get('/intelligibility', async (req, res, next) => {
+    try {
+        const by = req.query.by || 'speaker';
+        if (!['speaker', 'sentence'].includes(by)) {
+            return res.status(400).json({ error: 'by must be speaker or sentence' });
+        }
+
+        res.json({ by, groups: await intelligibilityReport(by) });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,160 @@
+/**
+ * Authentication routes
+ * POST /api/auth/request-link - Email a one-time login link
+ * GET  /api/auth/verify       - Consume a login link and start a session
+ * POST /api/auth/login        - Log in with email + password
+ * POST /api/auth/password     - Set a password for the current user
+ * POST /api/auth/logout       - End the current session
+ * GET  /api/auth/me           - Current user
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, queryOne } = require('../db');
+const mailer = require('../mailer');
+const { findUserByEmail, findOrCreateUserByEmail } = require('../users');
+const { startSession, endSession, requireAuth } = require('../middleware/auth');
+const { hashPassword, verifyPassword, generateToken, hashToken, normalizeEmail } = require('../utils/authCrypto');
+
+const LOGIN_TOKEN_TTL_MINUTES = parseInt(process.env.LOGIN_TOKEN_TTL_MINUTES) || 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Login links always point at the configured public URL, never at the request's Host header
+// (which a client controls). Development falls back to localhost; production refuses to start.
+const APP_URL = (process.env.APP_URL
+    || (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${process.env.PORT || 3000}`)
+).replace(/\/+$/, '');
+if (!APP_URL) {
+    throw new Error('APP_URL must be set in production (public base URL for emailed login links)');
+}
+
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// POST /api/auth/request-link
+// Body: { email }
+// Creates the account on first use and emails a one-time login link
+router.post('/request-link', async (req, res, next) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Valid email required' });
+        }
+
+        const user = await findOrCreateUserByEmail(email);
+        const token = generateToken();
+
+        await query(
+            `INSERT INTO login_tokens (token_hash, user_id, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+            [hashToken(token), user.id, LOGIN_TOKEN_TTL_MINUTES]
+        );
+
+        const link = `${APP_URL}/api/auth/verify?token=${encodeURIComponent(token)}`;
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Your Deaf Speech Recorder login link',
+            text: [
+                'Click the link below to log in to the Deaf Speech Recorder:',
+                '',
+                link,
+                '',
+                `This link can be used once and expires in ${LOGIN_TOKEN_TTL_MINUTES} minutes.`,
+                'If you did not request it, you can ignore this email.',
+            ].join('\n'),
+        });
+
+        res.json({ message: 'Login link sent. Please check your email.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/auth/verify?token=xyz
+// Consumes a login link, starts a session and redirects to the home page
+router.get('/verify', async (req, res, next) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({ error: 'token query parameter required' });
+        }
+
+        const loginToken = await queryOne(
+            `UPDATE login_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING user_id`,
+            [hashToken(token)]
+        );
+
+        if (!loginToken) {
+            return res.status(400).json({ error: 'Login link is invalid or has expired' });
+        }
+
+        await startSession(res, loginToken.user_id);
+        res.redirect('/');
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/login
+// Body: { email, password }
+router.post('/login', async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+        const user = await findUserByEmail(email);
+
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        await startSession(res, user.id);
+        res.json({ id: user.id, email: user.email, role: user.role, speaker_id: user.speaker_id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/password
+// Body: { password }
+// Lets a logged-in user (e.g. after a magic-link login) set or change their password
+router.post('/password', requireAuth, async (req, res, next) => {
+    try {
+        const { password } = req.body;
+
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        await query(
+            'UPDATE users SET password_hash = $1 WHERE id = $2',
+            [await hashPassword(password), req.user.id]
+        );
+
+        res.json({ message: 'Password updated' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/logout
+router.post('/logout', async (req, res, next) => {
+    try {
+        await endSession(req, res);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/auth/me
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ id: req.user.id, email: req.user.email, role: req.user.role, speaker_id: req.user.speaker_id });
+});
+
+module.exports = router;
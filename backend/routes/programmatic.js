@@ -1,6 +1,8 @@
 /**
  * Programmatic API routes (for WhatsApp bots, mobile apps, etc.)
  * Provides JSON-based access to recording system
+ * Consent, uploads and job status act for the logged-in speaker: the client
+ * signs the speaker in through /api/auth and sends the session cookie.
  */
 
 const express = require('express');
@@ -9,10 +11,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { query, queryOne } = require('../db');
-const storage = require('../storage');
-const { convertToWav } = require('../utils/audioConverter');
-const { validateAudio } = require('../utils/audioValidator');
+const { queryOne } = require('../db');
+const { IngestionError } = require('../ingestion');
+const { enqueueUpload, getJob } = require('../ingestion/queue');
+const { requireAuth } = require('../middleware/auth');
+const { requireConsent } = require('../middleware/consent');
+const { hasRole } = require('../middleware/roles');
+const { CONSENT_VERSION, CONSENT_SCOPES, CONSENT_TEXT, grantConsent } = require('../consent');
 
 const upload = multer({
     dest: '/tmp/uploads/',
@@ -93,105 +98,123 @@ router.post('/sentence', async (req, res, next) => {
 });
 
 /**
- * POST /api/programmatic/upload
- * Upload recording via programmatic API
- * Accepts multipart form or JSON with base64 audio
+ * GET /api/programmatic/consent
+ * Current consent text, for the bot to show the speaker
  */
-router.post('/upload', upload.single('audio'), async (req, res, next) => {
-    let tempFilePath = null;
-    let wavPath = null;
+router.get('/consent', (req, res) => {
+    res.json({
+        version: CONSENT_VERSION,
+        scopes: CONSENT_SCOPES,
+        text: CONSENT_TEXT,
+    });
+});
 
+/**
+ * POST /api/programmatic/consent
+ * Record that the logged-in speaker agreed to the current consent text
+ * Body: { scope: 'research' | 'public', consent_version }
+ */
+router.post('/consent', requireAuth, async (req, res, next) => {
     try {
-        const { sentence_id, user_id, format } = req.body;
+        const { scope, consent_version } = req.body;
 
-        // Validate inputs
-        if (!sentence_id || !user_id) {
-            return res.status(400).json({
-                error: 'sentence_id and user_id are required'
+        if (!scope) {
+            return res.status(400).json({ error: 'scope is required' });
+        }
+        if (!CONSENT_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${CONSENT_SCOPES.join(', ')}` });
+        }
+        // The speaker must have been shown the current text
+        if (consent_version !== CONSENT_VERSION) {
+            return res.status(409).json({
+                error: 'Consent text has changed; show the current version first',
+                consent_version: CONSENT_VERSION,
             });
         }
 
-        // Get sentence
-        const sentence = await queryOne(
-            'SELECT text_devanagari FROM sentences WHERE id = $1',
-            [sentence_id]
-        );
+        const consent = await grantConsent(req.user.id, scope);
 
-        if (!sentence) {
-            return res.status(404).json({ error: 'Sentence not found' });
+        res.status(201).json(consent);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/programmatic/upload
+ * Upload a recording by the logged-in speaker, who must have a current consent
+ * Accepts multipart form or JSON with base64 audio
+ */
+router.post('/upload', requireAuth, requireConsent, upload.single('audio'), async (req, res, next) => {
+    try {
+        const { sentence_id, format } = req.body;
+
+        // Validate inputs
+        if (!sentence_id) {
+            if (req.file) await fs.unlink(req.file.path).catch(() => {});
+            return res.status(400).json({
+                error: 'sentence_id is required'
+            });
         }
 
         // Handle file upload (multipart) or base64
+        let filePath;
+        let originalName;
         if (req.file) {
-            tempFilePath = req.file.path;
+            filePath = req.file.path;
+            originalName = req.file.originalname;
         } else if (req.body.audio_base64) {
-            // Handle base64 audio
             const buffer = Buffer.from(req.body.audio_base64, 'base64');
-            tempFilePath = path.join('/tmp', `${uuidv4()}.${format || 'wav'}`);
-            await fs.writeFile(tempFilePath, buffer);
+            filePath = path.join('/tmp', `${uuidv4()}.${format || 'wav'}`);
+            await fs.writeFile(filePath, buffer);
         } else {
             return res.status(400).json({
                 error: 'audio file or audio_base64 required'
             });
         }
 
-        // Convert to WAV
-        wavPath = path.join('/tmp', `${uuidv4()}.wav`);
-        await convertToWav(tempFilePath, wavPath);
-
-        // Validate
-        const validation = await validateAudio(wavPath, sentence.text_devanagari);
-
-        // Store (support S3_PREFIX env var to isolate project data)
-        let prefix = process.env.S3_PREFIX || '';
-        if (prefix && !prefix.endsWith('/')) prefix = prefix + '/';
-        const filename = `${prefix}recordings/${user_id.replace(/[^a-z0-9]/gi, '_')}_${sentence_id}_${uuidv4()}.wav`;
-        const storedPath = await storage.save(wavPath, filename);
-        const fileSize = await storage.getSize(storedPath);
-
-        // Save to database
-        const result = await queryOne(
-            `INSERT INTO recordings (
-                sentence_id, user_id, audio_filepath,
-                file_size_bytes, duration_seconds, sample_rate, channels,
-                validation_status, validation_errors, audio_metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING id`,
-            [
-                sentence_id,
-                user_id,
-                storedPath,
-                fileSize,
-                validation.checks.duration,
-                validation.checks.sample_rate,
-                validation.checks.channels,
-                validation.valid ? 'passed' : 'failed',
-                JSON.stringify(validation.errors),
-                JSON.stringify(validation.metadata),
-            ]
-        );
-
-        // Cleanup
-        await fs.unlink(tempFilePath);
-        await fs.unlink(wavPath);
+        const { recordingId, jobId } = await enqueueUpload({
+            filePath,
+            originalName,
+            sentenceId: sentence_id,
+            user: req.user,
+            consentId: req.consent.id,
+        });
 
-        res.json({
-            recording_id: result.id,
-            status: validation.valid ? 'success' : 'warning',
-            audio_duration: validation.checks.duration,
-            validation: {
-                valid: validation.valid,
-                errors: validation.errors,
-            },
+        res.status(202).json({
+            recording_id: recordingId,
+            job_id: jobId,
+            status: 'queued',
         });
 
     } catch (error) {
-        // Cleanup on error
-        try {
-            if (tempFilePath) await fs.unlink(tempFilePath);
-            if (wavPath) await fs.unlink(wavPath);
-        } catch {}
-        
+        if (error instanceof IngestionError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        next(error);
+    }
+});
+
+/**
+ * GET /api/programmatic/jobs/:jobId
+ * Processing status of an upload (uploader or reviewer)
+ * status: queued | processing | done | rejected | failed
+ */
+router.get('/jobs/:jobId', requireAuth, async (req, res, next) => {
+    try {
+        const job = await getJob(parseInt(req.params.jobId) || 0);
+        if (!job || (job.user_id !== req.user.id && !hasRole(req.user, 'reviewer'))) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            job_id: job.id,
+            recording_id: job.recording_id,
+            status: job.status,
+            validation_status: job.validation_status,
+            result: job.result,
+        });
+    } catch (error) {
         next(error);
     }
 });
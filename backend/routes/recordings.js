@@ -1,19 +1,40 @@
 /**
  * Recording upload API (web interface)
- * POST /api/recordings - Upload recording from web form
+ * POST /api/recordings - Upload recording from web form (queued for processing)
+ * GET /api/recordings/jobs/:jobId - Processing status of an upload
+ * GET /api/recordings[?deleted=true] - All takes, grouped by speaker and sentence (reviewers)
+ * PATCH /api/recordings/:id - Vote to approve or reject (with reasons) a recording, or withdraw the vote (reviewers)
+ * GET /api/recordings/:id/audio[?variant=normalized] - Recording audio (original or a derived copy)
+ * PUT /api/recordings/:id/transcript - Save what the speaker actually said (reviewers)
+ * PUT /api/recordings/:id/intelligibility - Rate how intelligible a recording is, 1–5 (reviewers)
+ * PUT /api/recordings/:id/preferred - Mark a take as the speaker's preferred one
+ * DELETE /api/recordings/:id - Delete the speaker's own recording (restorable until it is purged)
+ * POST /api/recordings/:id/restore - Undo a deletion of the speaker's own recording
+ * POST/GET/PATCH/DELETE /api/recordings/uploads[/:uploadId] - Resumable chunked uploads
  */
 
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
-const { v4: uuidv4 } = require('uuid');
-const { query, queryOne } = require('../db');
+const { query, pool } = require('../db');
 const storage = require('../storage');
-const { convertToWav, isValidWav } = require('../utils/audioConverter');
-const { validateAudio } = require('../utils/audioValidator');
-const { validateRecordingUpload } = require('../middleware/validator');
+const { AUDIO_VARIANTS, AUDIO_COLUMNS } = require('../recordingAudio');
+const { groupTakes } = require('../utils/takes');
+const { softDeleteRecording, restoreRecording, purgeAfter } = require('../purge');
+const { lockedByOther } = require('../reviewQueue');
+const { castVote, reviewsRequired } = require('../reviewVotes');
+const { listRejectionReasons } = require('../rejectionReasons');
+const { validateReviewDecision } = require('../utils/reviewDecision');
+const { validateTranscript } = require('../utils/transcript');
+const { validateRating } = require('../utils/intelligibility');
+const { rateRecording } = require('../intelligibilityRatings');
+const { IngestionError } = require('../ingestion');
+const { enqueueUpload, getJob } = require('../ingestion/queue');
+const resumable = require('../ingestion/resumable');
+const { validateRecordingUpload, validateRecordingId } = require('../middleware/validator');
+const { requireAuth } = require('../middleware/auth');
+const { requireRole, requireRecordingOwner, hasRole } = require('../middleware/roles');
+const { requireConsent } = require('../middleware/consent');
 
 // Configure multer for temporary file uploads
 const upload = multer({
@@ -31,230 +52,264 @@ const upload = multer({
         if (allowedMimes.includes(file.mimetype) || file.originalname.match(/\.(wav|mp3|m4a|ogg|opus|webm)$/i)) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid audio format'));
+            // 400, not 500: the recorder's offline queue retries 5xx answers forever
+            const error = new Error('Invalid audio format');
+            error.statusCode = 400;
+            cb(error);
         }
     },
 });
 
 // POST /api/recordings
-router.post('/', upload.single('audio'), validateRecordingUpload, async (req, res, next) => {
-    console.log('POST /api/recordings received');
-    console.log('File info:', req.file && { originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size });
-    console.log('Body:', { sentence_id: req.body.sentence_id, user_id: req.body.user_id });
-    
-    const { sentence_id } = req.body;
-    let { user_id } = req.body;
-    
-    // Normalize user_id to lowercase for consistency
-    user_id = user_id.toLowerCase().trim();
-    
-    const tempFilePath = req.file.path;
-
+// The speaker is always the logged-in user (never taken from the request body)
+// and must have agreed to the current consent text.
+// The upload is queued and answered with 202; poll GET /api/recordings/jobs/:jobId for the result.
+router.post('/', requireAuth, requireConsent, upload.single('audio'), validateRecordingUpload, async (req, res, next) => {
     try {
-        // 1. Get sentence details
-        const sentence = await queryOne(
-            'SELECT text_devanagari, story_id FROM sentences WHERE id = $1',
-            [sentence_id]
-        );
+        const { recordingId, jobId } = await enqueueUpload({
+            filePath: req.file.path,
+            originalName: req.file.originalname,
+            sentenceId: req.body.sentence_id,
+            user: req.user,
+            consentId: req.consent.id,
+        });
 
-        if (!sentence) {
-            await fs.unlink(tempFilePath);
-            return res.status(404).json({ error: 'Sentence not found' });
-        }
+        res.status(202).json({
+            recording_id: recordingId,
+            job_id: jobId,
+            status: 'queued',
+            message: 'Recording received and queued for processing',
+        });
 
-        // 2. Convert to WAV if needed; gracefully fall back when ffmpeg is missing
-        let wavPath = tempFilePath;
-        let shouldConvert = false;
-        try {
-            shouldConvert = !(await isValidWav(tempFilePath));
-            console.log('isValidWav result:', !shouldConvert);
-        } catch (e) {
-            // If isValidWav throws (e.g., ffprobe not found), consider fallback behavior:
-            console.warn('isValidWav failed:', e.message);
-            // If file extension is not .wav, we'll attempt to convert and may fail if ffmpeg is missing.
-            // If extension is .wav, we'll skip conversion and hope it's acceptable.
-            // Use original filename to decide; multer temp path may not have extension
-            const originalExt = path.extname(req.file.originalname || '').toLowerCase();
-            console.warn('isValidWav check failed:', e.message, '-> originalExt', originalExt, 'originalname', req.file.originalname);
-            shouldConvert = originalExt !== '.wav';
+    } catch (error) {
+        if (error instanceof IngestionError) {
+            return res.status(error.statusCode).json(error.toJSON());
         }
+        console.error('Error in POST /api/recordings:', error);
+        next(error);
+    }
+});
 
-        // Check if ffmpeg is available in the environment.
-        const { isFfmpegAvailable } = require('../utils/audioConverter');
-        let ffmpegAvailable = isFfmpegAvailable();
-        console.log('ffmpegAvailable:', ffmpegAvailable);
-
-        if (shouldConvert && !ffmpegAvailable) {
-            console.warn('ffmpeg not present — skipping conversion for', req.file.originalname);
-            shouldConvert = false;
-        }
+// GET /api/recordings/jobs/:jobId - Processing status of an upload (uploader or reviewer)
+// status: queued | processing | done | rejected | failed; result holds validation or the rejection reason
+router.get('/jobs/:jobId', requireAuth, async (req, res, next) => {
+    try {
+        const job = await getJob(parseInt(req.params.jobId) || 0);
 
-        if (shouldConvert) {
-            try {
-                console.log('Converting audio to WAV format...');
-                wavPath = path.join('/tmp', `${uuidv4()}.wav`);
-                await convertToWav(tempFilePath, wavPath);
-                await fs.unlink(tempFilePath); // Clean up original
-                console.log('Conversion completed, wavPath:', wavPath);
-            } catch (conversionErr) {
-                // If conversion fails because ffmpeg is missing, return a helpful error
-                console.error('Audio conversion error:', conversionErr);
-                await fs.unlink(tempFilePath).catch(() => {});
-                return res.status(500).json({ error: `Audio conversion failed: ${conversionErr.message}` });
-            }
+        if (!job || (job.user_id !== req.user.id && !hasRole(req.user, 'reviewer'))) {
+            return res.status(404).json({ error: 'Job not found' });
         }
 
-        // 3. Validate audio (no silence trimming to preserve full recordings)
-        let validation;
-        try {
-            validation = await validateAudio(wavPath, sentence.text_devanagari);
-            console.log('Post-validation: valid=', validation.valid, 'errors=', validation.errors, 'checks=', validation.checks);
-            // If validation returned with errors, respond with 422 and do not save
-            if (!validation.valid) {
-                console.warn('Validation returned invalid; returning 422 to client', validation.errors);
-                try { if (tempFilePath) await fs.unlink(tempFilePath); if (wavPath && wavPath !== tempFilePath) await fs.unlink(wavPath); } catch (cleanupErr) {}
-                return res.status(422).json({ error: 'Validation failed', validation });
-            }
-        } catch (e) {
-            console.warn('validateAudio failed; sending validation error to client:', e.message);
-            try { if (tempFilePath) await fs.unlink(tempFilePath); if (wavPath && wavPath !== tempFilePath) await fs.unlink(wavPath); } catch {}
-            return res.status(422).json({ error: 'Validation failed', validation: { valid: false, errors: [e.message] } });
-        }
+        res.json({
+            job_id: job.id,
+            recording_id: job.recording_id,
+            status: job.status,
+            validation_status: job.validation_status,
+            attempts: job.attempts,
+            result: job.result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // 4. Generate storage filename (allow optional prefix via S3_PREFIX env var)
-        let prefix = process.env.S3_PREFIX || '';
-        if (prefix && !prefix.endsWith('/')) prefix = prefix + '/';
-        const filename = `${prefix}recordings/${user_id.replace(/[^a-z0-9]/gi, '_')}_${sentence_id}_${uuidv4()}.wav`;
-
-        // 5. Save to storage
-        const storedPath = await storage.save(wavPath, filename);
-
-        // 6. Get file size
-        const fileSize = await storage.getSize(storedPath);
-        console.log('Saved to storage:', storedPath, 'size:', fileSize);
-
-        // 7. Insert database record
-        const result = await queryOne(
-            `INSERT INTO recordings (
-                sentence_id, user_id, audio_filepath,
-                file_size_bytes, duration_seconds, sample_rate, channels, format,
-                validation_status, validation_errors, audio_metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            RETURNING id`,
-            [
-                sentence_id,
-                user_id,
-                storedPath,
-                fileSize,
-                validation.checks.duration,
-                validation.checks.sample_rate,
-                validation.checks.channels,
-                'wav',
-                (function () {
-                    if (validation.valid) return 'passed';
-                    if (!ffmpegAvailable) return 'warning';
-                    return 'failed';
-                })(),
-                JSON.stringify(validation.errors),
-                JSON.stringify(validation.metadata),
-            ]
-        );
+function sendIngestionError(error, res, next) {
+    if (error instanceof IngestionError) {
+        return res.status(error.statusCode).json(error.toJSON());
+    }
+    next(error);
+}
 
-        // 8. Clean up temp file
-        await fs.unlink(wavPath);
+function uploadState(upload) {
+    return {
+        upload_id: upload.id,
+        sentence_id: upload.sentence_id,
+        offset: upload.offset,
+        size: upload.size,
+        chunk_size: resumable.CHUNK_SIZE,
+    };
+}
 
-        // 9. Return response
-        console.log('Inserting DB record for path:', storedPath);
-        res.json({
-            recording_id: result.id,
-            status: 'success',
-            message: 'Recording saved successfully',
-            validation: {
-                valid: validation.valid,
-                errors: validation.errors,
-                duration: validation.checks.duration,
-            },
+// POST /api/recordings/uploads - Start a resumable upload
+// Body: { sentence_id, size, filename }
+router.post('/uploads', requireAuth, requireConsent, async (req, res, next) => {
+    try {
+        const upload = await resumable.createUpload({
+            userId: req.user.id,
+            sentenceId: parseInt(req.body.sentence_id),
+            size: parseInt(req.body.size),
+            filename: req.body.filename,
         });
+        res.status(201).json(uploadState(upload));
+    } catch (error) {
+        sendIngestionError(error, res, next);
+    }
+});
 
+// GET /api/recordings/uploads/:uploadId - How much has arrived (to resume after a dropped connection)
+router.get('/uploads/:uploadId', requireAuth, async (req, res, next) => {
+    try {
+        res.json(uploadState(await resumable.getUpload(req.params.uploadId, req.user.id)));
     } catch (error) {
-        console.error('Error in POST /api/recordings:', error);
-        // Clean up temp files on error
+        sendIngestionError(error, res, next);
+    }
+});
+
+// PATCH /api/recordings/uploads/:uploadId - Append a chunk
+// Headers: Upload-Offset (bytes already uploaded); body: application/octet-stream
+router.patch('/uploads/:uploadId', requireAuth, express.raw({ type: 'application/octet-stream', limit: resumable.CHUNK_SIZE }), async (req, res, next) => {
+    try {
+        const offset = await resumable.appendChunk(
+            req.params.uploadId,
+            req.user.id,
+            parseInt(req.get('Upload-Offset')),
+            Buffer.isBuffer(req.body) ? req.body : null
+        );
+        res.json({ upload_id: req.params.uploadId, offset });
+    } catch (error) {
+        sendIngestionError(error, res, next);
+    }
+});
+
+// POST /api/recordings/uploads/:uploadId/finalize - Queue the assembled file (same response as POST /api/recordings)
+router.post('/uploads/:uploadId/finalize', requireAuth, requireConsent, async (req, res, next) => {
+    try {
+        const upload = await resumable.completeUpload(req.params.uploadId, req.user.id);
         try {
-            if (tempFilePath) await fs.unlink(tempFilePath);
-            if (wavPath && wavPath !== tempFilePath) await fs.unlink(wavPath);
-        } catch {}
-        
-        next(error);
+            const { recordingId, jobId } = await enqueueUpload({
+                filePath: upload.filePath,
+                originalName: upload.filename,
+                sentenceId: upload.sentence_id,
+                user: req.user,
+                consentId: req.consent.id,
+            });
+
+            res.status(202).json({
+                recording_id: recordingId,
+                job_id: jobId,
+                status: 'queued',
+                message: 'Recording received and queued for processing',
+            });
+        } finally {
+            await resumable.discardUpload(upload.id);
+        }
+    } catch (error) {
+        sendIngestionError(error, res, next);
+    }
+});
+
+// DELETE /api/recordings/uploads/:uploadId - Abandon a resumable upload
+router.delete('/uploads/:uploadId', requireAuth, async (req, res, next) => {
+    try {
+        await resumable.getUpload(req.params.uploadId, req.user.id);
+        await resumable.discardUpload(req.params.uploadId);
+        res.json({ message: 'Upload discarded' });
+    } catch (error) {
+        sendIngestionError(error, res, next);
     }
 });
 
-// GET /api/recordings - List all recordings with details for review
-// Only shows the most recent recording per sentence per user
-router.get('/', async (req, res) => {
+// GET /api/recordings - List all recordings with details for review (reviewers only)
+// Every take is listed, grouped by speaker and sentence: [{ speaker_id, sentence_id, ...,
+// preferred_take_id, takes: [{ id, take_number, is_preferred, status, rejection_reasons,
+// verbatim_transcript, intelligibility (mean rating), my_intelligibility (the reviewer's own), ... }] }]
+// (uploads still being processed are left out). ?deleted=true lists deleted takes
+// instead, with deleted_at and purge_after.
+router.get('/', requireRole('reviewer'), async (req, res) => {
     try {
+        const deleted = req.query.deleted === 'true';
         const result = await query(
-            `WITH ranked_recordings AS (
-                SELECT 
-                    r.id,
-                    r.audio_filepath,
-                    r.duration_seconds as duration,
-                    r.status,
-                    r.created_at,
-                    r.user_id,
-                    s.id as sentence_id,
-                    s.order_in_story,
-                    s.text_devanagari as sentence_text,
-                    st.id as story_id,
-                    st.title as story_title,
-                    ROW_NUMBER() OVER (
-                        PARTITION BY r.sentence_id, r.user_id 
-                        ORDER BY r.created_at DESC
-                    ) as rn
-                FROM recordings r
-                JOIN sentences s ON r.sentence_id = s.id
-                JOIN stories st ON s.story_id = st.id
-            )
-            SELECT 
-                id, audio_filepath, duration, status, created_at, user_id,
-                sentence_id, order_in_story, sentence_text, story_id, story_title
-            FROM ranked_recordings
-            WHERE rn = 1
-            ORDER BY user_id ASC, story_id ASC, order_in_story ASC`
+            `SELECT 
+                r.id,
+                r.take_number,
+                r.is_preferred,
+                r.audio_filepath,
+                r.duration_seconds as duration,
+                r.status,
+                r.rejection_reasons,
+                r.review_comment,
+                r.verbatim_transcript,
+                (SELECT AVG(i.rating)::float FROM intelligibility_ratings i
+                 WHERE i.recording_id = r.id) as intelligibility,
+                (SELECT i.rating FROM intelligibility_ratings i
+                 WHERE i.recording_id = r.id AND i.rater_id = $2) as my_intelligibility,
+                r.created_at,
+                r.deleted_at,
+                u.speaker_id,
+                s.id as sentence_id,
+                s.order_in_story,
+                s.text_devanagari as sentence_text,
+                st.id as story_id,
+                st.title as story_title
+            FROM recordings r
+            JOIN users u ON r.user_id = u.id
+            JOIN sentences s ON r.sentence_id = s.id
+            JOIN stories st ON s.story_id = st.id
+            WHERE r.validation_status NOT IN ('queued', 'processing')
+              AND (r.deleted_at IS NOT NULL) = $1
+            ORDER BY u.speaker_id ASC, st.id ASC, s.order_in_story ASC, r.take_number ASC`,
+            [deleted, req.user.id]
         );
 
-        res.json(result.rows);
+        const groups = groupTakes(result.rows);
+        for (const group of groups) {
+            // Deleted takes are never the one used for a sentence
+            if (deleted) group.preferred_take_id = null;
+            for (const take of group.takes) {
+                if (deleted) {
+                    take.purge_after = purgeAfter(take.deleted_at);
+                } else {
+                    delete take.deleted_at;
+                }
+            }
+        }
+        res.json(groups);
     } catch (error) {
         console.error('Error fetching recordings:', error);
         res.status(500).json({ error: 'Failed to fetch recordings' });
     }
 });
 
-// PATCH /api/recordings/:id - Update recording status
-router.patch('/:id', async (req, res) => {
+// PATCH /api/recordings/:id - Vote on a recording (reviewers only)
+// Body: { status, rejection_reasons?: [code], comment? } - reasons only when rejecting;
+// status pending withdraws the reviewer's vote. The votes decide the recording's status
+// once REVIEWS_REQUIRED reviewers have voted (see reviewVotes.js), recording who decided
+// and when (reviewed_by, reviewed_at). Either way the recording's queue lock is released.
+// 409 while the review queue has it locked to another reviewer.
+router.patch('/:id', validateRecordingId, requireRole('reviewer'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const id = req.recordingId;
 
-        if (!['pending', 'approved', 'rejected', 'deleted'].includes(status)) {
-            return res.status(400).json({ error: 'status must be pending, approved, rejected, or deleted' });
+        if (req.body.status === 'deleted') {
+            return res.status(400).json({ error: 'Use DELETE /api/recordings/:id to delete a recording' });
+        }
+        const { decision, errors } = validateReviewDecision(req.body, await listRejectionReasons());
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
         }
 
-        const result = await query(
-            `UPDATE recordings 
-             SET status = $1,
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2
-             RETURNING *`,
-            [status, id]
-        );
+        const result = await castVote(id, req.user.id, decision);
 
-        if (result.rows.length === 0) {
+        if (!result) {
+            const lock = await lockedByOther(id, req.user.id);
+            if (lock) {
+                return res.status(409).json({
+                    error: 'Another reviewer is reviewing this recording',
+                    locked_until: lock.review_locked_until,
+                });
+            }
             return res.status(404).json({ error: 'Recording not found' });
         }
 
         res.json({
             message: 'Recording updated successfully',
-            recording: result.rows[0]
+            recording: result.recording,
+            review: {
+                outcome: result.tally.outcome,
+                approved: result.tally.approved,
+                rejected: result.tally.rejected,
+                reviews_required: reviewsRequired(),
+            },
         });
 
     } catch (error) {
@@ -263,21 +318,44 @@ router.patch('/:id', async (req, res) => {
     }
 });
 
-// GET /api/recordings/:id/audio - Get audio file for a recording
-router.get('/:id/audio', async (req, res) => {
+// GET /api/recordings/:id/audio - Get audio file for a recording (owner or reviewer)
+// ?variant=original (default) | trimmed | normalized; falls back to the original
+// when the recording has no such copy (X-Audio-Variant says which was sent)
+router.get('/:id/audio', validateRecordingId, requireRecordingOwner({ orRole: 'reviewer' }), async (req, res) => {
     try {
-        const { id } = req.params;
+        const id = req.recordingId;
+        const variant = req.query.variant || 'original';
+        
+        if (!AUDIO_VARIANTS[variant]) {
+            return res.status(400).json({ error: `variant must be one of: ${Object.keys(AUDIO_VARIANTS).join(', ')}` });
+        }
         
         const result = await query(
-            'SELECT audio_filepath FROM recordings WHERE id = $1',
+            `SELECT ${AUDIO_COLUMNS.map(column => `r.${column}`).join(', ')}, r.validation_status,
+                    EXISTS (
+                        SELECT 1 FROM ingestion_jobs j
+                        WHERE j.recording_id = r.id AND j.status IN ('failed', 'rejected')
+                    ) as ingestion_failed
+             FROM recordings r
+             WHERE r.id = $1`,
             [id]
         );
         
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Recording not found' });
         }
+
+        // Queued uploads have no stored audio until the worker finishes
+        if (['queued', 'processing'].includes(result.rows[0].validation_status)) {
+            return res.status(409).json({ error: 'Recording is still being processed' });
+        }
+        // An upload the worker gave up on keeps its reserved key but nothing was stored there
+        if (result.rows[0].ingestion_failed) {
+            return res.status(404).json({ error: 'Recording has no audio: processing failed' });
+        }
         
-        const audioFilepath = result.rows[0].audio_filepath;
+        const servedVariant = result.rows[0][AUDIO_VARIANTS[variant]] ? variant : 'original';
+        const audioFilepath = result.rows[0][AUDIO_VARIANTS[servedVariant]];
         
         // Use storage abstraction to get the file (works with both local and S3)
         const audioStream = await storage.getStream(audioFilepath);
@@ -290,52 +368,160 @@ router.get('/:id/audio', async (req, res) => {
         res.set({
             'Content-Type': 'audio/wav',
             'Accept-Ranges': 'bytes',
-            'Cache-Control': 'public, max-age=31536000', // Cache for 1 year since recordings don't change
+            'X-Audio-Variant': servedVariant,
+            // Recordings don't change, so the browser may keep them for a year (a fallback may be
+            // replaced by the copy later). Never 'public': shared caches must not hand speech to others.
+            'Cache-Control': servedVariant === variant ? 'private, max-age=31536000' : 'private, no-cache',
         });
         
+        // A missing file only shows up once the stream opens; answer 404 if nothing was sent yet
+        audioStream.on('error', (error) => {
+            console.error(`Error streaming audio of recording ${id}:`, error.message);
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            res.removeHeader('Content-Type');
+            res.removeHeader('Accept-Ranges');
+            res.removeHeader('X-Audio-Variant');
+            res.set('Cache-Control', 'no-store');
+            res.status(404).json({ error: 'Audio file not found' });
+        });
+
         // Stream the audio file
         audioStream.pipe(res);
         
     } catch (error) {
+        if (error.name === 'NoSuchKey' || error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Audio file not found' });
+        }
         console.error('Error fetching audio:', error);
         res.status(500).json({ error: 'Failed to fetch audio' });
     }
 });
 
-// DELETE /api/recordings/:id - Delete a recording (for re-recording)
-router.delete('/:id', async (req, res) => {
+// PUT /api/recordings/:id/transcript - Save what the speaker actually said (reviewers only)
+// Body: { transcript } - words as spoken with disfluency tags such as [pause]
+// (see utils/transcript.js); null or "" clears it, meaning the prompt was read as written
+router.put('/:id/transcript', validateRecordingId, requireRole('reviewer'), async (req, res, next) => {
     try {
-        const { id } = req.params;
-        
-        // Get the audio filepath before deleting
+        const { transcript, errors } = validateTranscript(req.body.transcript);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
         const result = await query(
-            'SELECT audio_filepath FROM recordings WHERE id = $1',
-            [id]
+            `UPDATE recordings
+             SET verbatim_transcript = $2,
+                 transcribed_by = CASE WHEN $2::text IS NULL THEN NULL ELSE $3::int END,
+                 transcribed_at = CASE WHEN $2::text IS NULL THEN NULL ELSE NOW() END,
+                 updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL
+             RETURNING id, verbatim_transcript, transcribed_by, transcribed_at`,
+            [req.recordingId, transcript, req.user.id]
         );
-        
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Recording not found' });
         }
-        
-        const audioPath = path.join(__dirname, '../../uploads', result.rows[0].audio_filepath);
-        
-        // Delete from database
-        await query('DELETE FROM recordings WHERE id = $1', [id]);
-        
-        // Try to delete the audio file (don't fail if it doesn't exist)
-        try {
-            if (require('fs').existsSync(audioPath)) {
-                require('fs').unlinkSync(audioPath);
-            }
-        } catch (err) {
-            console.warn('Failed to delete audio file:', err);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/recordings/:id/intelligibility - Rate how much of a recording is understood (reviewers only)
+// Body: { rating } - 1 (under 20% of words) to 5 (over 80%), or null to take the rating back;
+// one rating per reviewer. Returns the recording's score: { recording_id, rating, intelligibility, ratings, tier }
+router.put('/:id/intelligibility', validateRecordingId, requireRole('reviewer'), async (req, res, next) => {
+    try {
+        const { rating, errors } = validateRating(req.body.rating);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
         }
-        
-        res.json({ message: 'Recording deleted successfully' });
-        
+
+        const score = await rateRecording(req.recordingId, req.user.id, rating);
+        if (!score) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        res.json({ recording_id: req.recordingId, rating, ...score });
     } catch (error) {
-        console.error('Error deleting recording:', error);
-        res.status(500).json({ error: 'Failed to delete recording' });
+        next(error);
+    }
+});
+
+// PUT /api/recordings/:id/preferred - Mark a take as the speaker's preferred one (owner only)
+// Replaces any take marked before; the preferred take is the one exported and shown
+// for the sentence, instead of the latest
+router.put('/:id/preferred', validateRecordingId, requireRecordingOwner(), async (req, res, next) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const recording = (await client.query(
+            'SELECT id, user_id, sentence_id, take_number, deleted_at FROM recordings WHERE id = $1 FOR UPDATE',
+            [req.recordingId]
+        )).rows[0];
+        if (recording.deleted_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'A deleted take cannot be preferred; restore it first' });
+        }
+
+        // Clear the old mark first: only one take per sentence may be marked
+        await client.query(
+            `UPDATE recordings SET is_preferred = FALSE, updated_at = NOW()
+             WHERE user_id = $1 AND sentence_id = $2 AND is_preferred AND id <> $3`,
+            [recording.user_id, recording.sentence_id, recording.id]
+        );
+        await client.query(
+            'UPDATE recordings SET is_preferred = TRUE, updated_at = NOW() WHERE id = $1',
+            [recording.id]
+        );
+        await client.query('COMMIT');
+
+        res.json({
+            id: recording.id,
+            sentence_id: recording.sentence_id,
+            take_number: recording.take_number,
+            is_preferred: true,
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        next(error);
+    } finally {
+        client.release();
+    }
+});
+
+// DELETE /api/recordings/:id - Delete a take (owner only; admins moderate through
+// DELETE /api/admin/recordings/:id); the speaker's other takes are kept
+// Only marks it deleted: it can be restored until the purge job removes it after
+// RECORDING_RETENTION_DAYS
+router.delete('/:id', validateRecordingId, requireRecordingOwner(), async (req, res, next) => {
+    try {
+        const recording = await softDeleteRecording(req.recordingId, req.user.id);
+
+        res.json({
+            message: 'Recording deleted; it can be restored until it is purged',
+            recording_id: recording.id,
+            deleted_at: recording.deleted_at,
+            purge_after: recording.purge_after,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/recordings/:id/restore - Undo a deletion (owner only; admins use POST /api/admin/recordings/:id/restore)
+router.post('/:id/restore', validateRecordingId, requireRecordingOwner(), async (req, res, next) => {
+    try {
+        const recording = await restoreRecording(req.recordingId);
+        if (!recording) {
+            return res.status(409).json({ error: 'Recording is not deleted' });
+        }
+
+        res.json({ message: 'Recording restored', recording_id: recording.id });
+    } catch (error) {
+        next(error);
     }
 });
 
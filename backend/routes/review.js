@@ -0,0 +1,84 @@
+/**
+ * Reviewer queue routes (reviewers only)
+ * POST /api/review/next              - Lock the next recording to review to the reviewer
+ * POST /api/review/:id/release       - Give a locked recording back to the queue
+ * POST /api/review/release           - Give back all of the reviewer's locks (leaving the page)
+ * GET  /api/review/rejection-reasons - Reasons a reviewer can give when rejecting
+ * GET  /api/review/transcript-tags   - Disfluency tags for verbatim transcripts
+ * GET  /api/review/intelligibility-scale - What each intelligibility rating means
+ * Approving or rejecting goes through PATCH /api/recordings/:id, which records the
+ * reviewer and releases the lock.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/roles');
+const { validateRecordingId } = require('../middleware/validator');
+const { lockMinutes, releaseLocks, claimNext } = require('../reviewQueue');
+const { listRejectionReasons } = require('../rejectionReasons');
+const { DISFLUENCY_TAGS } = require('../utils/transcript');
+const { INTELLIGIBILITY_SCALE } = require('../utils/intelligibility');
+
+router.use(requireRole('reviewer'));
+
+// POST /api/review/next
+// Body: { skip?: [recordingId] } - recordings the reviewer skipped; they are released and not handed out
+// Returns { recording, lock_minutes, remaining }; recording is null when nothing is left
+router.post('/next', async (req, res, next) => {
+    try {
+        const skip = req.body && req.body.skip !== undefined ? req.body.skip : [];
+        if (!Array.isArray(skip) || !skip.every(id => Number.isInteger(id) && id > 0)) {
+            return res.status(400).json({ error: 'skip must be an array of recording ids' });
+        }
+
+        const { recording, remaining } = await claimNext(req.user.id, { skip });
+        res.json({ recording, lock_minutes: lockMinutes(), remaining });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/review/rejection-reasons
+// Returns [{ code, label, needs_rerecording }] in display order (retired reasons left out)
+router.get('/rejection-reasons', async (req, res, next) => {
+    try {
+        const reasons = await listRejectionReasons();
+        res.json(reasons.map(({ code, label, needs_rerecording }) => ({ code, label, needs_rerecording })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/review/transcript-tags
+// Returns [{ tag, label }]; transcripts write them in brackets, e.g. [pause]
+router.get('/transcript-tags', (req, res) => {
+    res.json(Object.entries(DISFLUENCY_TAGS).map(([tag, label]) => ({ tag, label })));
+});
+
+// GET /api/review/intelligibility-scale
+// Returns [{ rating, label }] from 1 to 5
+router.get('/intelligibility-scale', (req, res) => {
+    res.json(Object.entries(INTELLIGIBILITY_SCALE).map(([rating, label]) => ({ rating: Number(rating), label })));
+});
+
+// POST /api/review/release
+router.post('/release', async (req, res, next) => {
+    try {
+        const released = await releaseLocks(req.user.id);
+        res.json({ released });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/review/:id/release
+router.post('/:id/release', validateRecordingId, async (req, res, next) => {
+    try {
+        const released = await releaseLocks(req.user.id, [req.recordingId]);
+        res.json({ released });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,25 +1,26 @@
 /**
  * Sentence API routes
  * GET /api/sentences/:storyId/next - Get next sentence for user to record
+ * GET /api/sentences/:storyId/all - All sentences of a story with the user's recording status
+ * GET /api/sentences/:id/takes - The user's takes of a sentence
+ * GET /api/sentences/:id/sign-video - The sentence's sign-language video (supports Range)
  */
 
 const express = require('express');
 const router = express.Router();
-const { queryOne } = require('../db');
+const { queryOne, queryAll } = require('../db');
+const storage = require('../storage');
+const { requireAuth } = require('../middleware/auth');
+const { validateSentenceId } = require('../middleware/validator');
+const { signVideoContentType, signVideoUrl, parseRange } = require('../utils/signVideos');
+const { PREFERRED_TAKE_ORDER, preferredTake } = require('../utils/takes');
 
-// GET /api/sentences/:storyId/next?userId=xyz
-// Returns next unrecorded sentence for this user in this story
-router.get('/:storyId/next', async (req, res, next) => {
+// GET /api/sentences/:storyId/next
+// Returns next unrecorded sentence for the logged-in user in this story
+router.get('/:storyId/next', requireAuth, async (req, res, next) => {
     try {
         const { storyId } = req.params;
-        let { userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).json({ error: 'userId query parameter required' });
-        }
-
-        // Normalize userId to lowercase for consistency
-        userId = userId.toLowerCase().trim();
+        const userId = req.user.id;
 
         // Get next sentence this user hasn't recorded yet
         const sentence = await queryOne(`
@@ -28,6 +29,8 @@ router.get('/:storyId/next', async (req, res, next) => {
                 s.order_in_story,
                 s.text_devanagari,
                 s.text_iast,
+                s.sign_video_filepath,
+                s.sign_video_updated_at,
                 st.title as story_title,
                 st.total_sentences,
                 (
@@ -39,6 +42,7 @@ router.get('/:storyId/next', async (req, res, next) => {
                         SELECT 1 FROM recordings r
                         WHERE r.sentence_id = se2.id
                         AND r.user_id = $2
+                        AND r.deleted_at IS NULL
                     )
                 ) as remaining_before,
                 (
@@ -49,6 +53,7 @@ router.get('/:storyId/next', async (req, res, next) => {
                         SELECT 1 FROM recordings r
                         WHERE r.sentence_id = se2.id
                         AND r.user_id = $2
+                        AND r.deleted_at IS NULL
                     )
                 ) as total_remaining
             FROM sentences s
@@ -58,6 +63,7 @@ router.get('/:storyId/next', async (req, res, next) => {
                 SELECT 1 FROM recordings r
                 WHERE r.sentence_id = s.id
                 AND r.user_id = $2
+                AND r.deleted_at IS NULL
             )
             ORDER BY s.order_in_story ASC
             LIMIT 1
@@ -75,6 +81,7 @@ router.get('/:storyId/next', async (req, res, next) => {
             sentence_id: Number(sentence.id),
             text_devanagari: sentence.text_devanagari,
             text_iast: sentence.text_iast,
+            sign_video_url: signVideoUrl(sentence),
             story_title: sentence.story_title,
             order: Number(sentence.order_in_story || 0),
             total: Number(sentence.total_sentences || 0),
@@ -86,18 +93,13 @@ router.get('/:storyId/next', async (req, res, next) => {
     }
 });
 
-// GET /api/sentences/:storyId/all?userId=xyz
-// Returns all sentences for a story with recording status for this user
-router.get('/:storyId/all', async (req, res, next) => {
+// GET /api/sentences/:storyId/all
+// Returns all sentences for a story with recording status for the logged-in user
+// (recording_id is their preferred take, take_count how many takes they have)
+router.get('/:storyId/all', requireAuth, async (req, res, next) => {
     try {
         const { storyId } = req.params;
-        let { userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).json({ error: 'userId query parameter required' });
-        }
-
-        userId = userId.toLowerCase().trim();
+        const userId = req.user.id;
 
         const { query } = require('../db');
         const result = await query(`
@@ -106,15 +108,87 @@ router.get('/:storyId/all', async (req, res, next) => {
                 s.order_in_story,
                 s.text_devanagari,
                 s.text_iast,
-                CASE WHEN r.id IS NOT NULL THEN true ELSE false END as has_recording,
-                r.id as recording_id
+                s.sign_video_filepath,
+                s.sign_video_updated_at,
+                CASE WHEN take.id IS NOT NULL THEN true ELSE false END as has_recording,
+                take.id as recording_id,
+                COALESCE(take.take_count, 0)::int as take_count
             FROM sentences s
-            LEFT JOIN recordings r ON r.sentence_id = s.id AND r.user_id = $2
+            LEFT JOIN LATERAL (
+                SELECT r.id, COUNT(*) OVER () as take_count
+                FROM recordings r
+                WHERE r.sentence_id = s.id AND r.user_id = $2 AND r.deleted_at IS NULL
+                ORDER BY ${PREFERRED_TAKE_ORDER}
+                LIMIT 1
+            ) take ON TRUE
             WHERE s.story_id = $1
             ORDER BY s.order_in_story ASC
         `, [storyId, userId]);
 
-        res.json(result.rows);
+        res.json(result.rows.map(({ sign_video_filepath, sign_video_updated_at, ...sentence }) => ({
+            ...sentence,
+            sign_video_url: signVideoUrl({ id: sentence.id, sign_video_filepath, sign_video_updated_at }),
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/sentences/:id/takes
+// The logged-in user's takes of a sentence, oldest first; preferred_take_id is the
+// one that counts (the marked take, or the latest)
+router.get('/:id/takes', requireAuth, async (req, res, next) => {
+    try {
+        const takes = await queryAll(
+            `SELECT id, take_number, is_preferred, status, validation_status, duration_seconds, created_at
+             FROM recordings
+             WHERE sentence_id = $1 AND user_id = $2 AND deleted_at IS NULL
+             ORDER BY take_number`,
+            [parseInt(req.params.id) || 0, req.user.id]
+        );
+
+        const preferred = preferredTake(takes);
+        res.json({ preferred_take_id: preferred ? preferred.id : null, takes });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/sentences/:id/sign-video
+// Streams the sentence's ISL video; honors Range so video players can seek
+router.get('/:id/sign-video', requireAuth, validateSentenceId, async (req, res, next) => {
+    try {
+        const sentence = await queryOne(
+            'SELECT sign_video_filepath FROM sentences WHERE id = $1',
+            [req.sentenceId]
+        );
+        if (!sentence || !sentence.sign_video_filepath) {
+            return res.status(404).json({ error: 'This sentence has no sign-language video' });
+        }
+
+        // Only the requested bytes are read from storage, never the whole video
+        const size = await storage.getSize(sentence.sign_video_filepath);
+        const range = parseRange(req.headers.range, size);
+        res.set({
+            'Content-Type': signVideoContentType(sentence.sign_video_filepath),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=86400', // The URL changes when the video is replaced
+        });
+
+        if (range === false) {
+            return res.status(416).set('Content-Range', `bytes */${size}`).end();
+        }
+        if (range) {
+            res.status(206).set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+                'Content-Length': range.end - range.start + 1,
+            });
+        } else {
+            res.set('Content-Length', size);
+        }
+        const video = await storage.getStream(sentence.sign_video_filepath, range || undefined);
+        video.on('error', next);
+        video.pipe(res);
     } catch (error) {
         next(error);
     }
@@ -10,17 +10,13 @@ const { queryAll, queryOne } = require('../db');
 const { validateStoryId } = require('../middleware/validator');
 
 // GET /api/stories - List all stories with stats
-// If userId query parameter is provided, returns user-specific progress
+// If a user is logged in, also returns that user's progress
 router.get('/', async (req, res, next) => {
     try {
-        const { userId } = req.query;
-        
         let stories;
         
-        if (userId) {
+        if (req.user) {
             // User-specific progress
-            const normalizedUserId = userId.toLowerCase().trim();
-            
             stories = await queryAll(`
                 SELECT
                     s.id,
@@ -43,10 +39,10 @@ router.get('/', async (req, res, next) => {
                     ) as completion_pct
                 FROM stories s
                 LEFT JOIN sentences se ON se.story_id = s.id
-                LEFT JOIN recordings r ON r.sentence_id = se.id
+                LEFT JOIN recordings r ON r.sentence_id = se.id AND r.deleted_at IS NULL
                 GROUP BY s.id
                 ORDER BY s.id ASC
-            `, [normalizedUserId]);
+            `, [req.user.id]);
         } else {
             // Global stats (all users)
             stories = await queryAll(`
@@ -65,7 +61,7 @@ router.get('/', async (req, res, next) => {
                     ) as completion_pct
                 FROM stories s
                 LEFT JOIN sentences se ON se.story_id = s.id
-                LEFT JOIN recordings r ON r.sentence_id = se.id
+                LEFT JOIN recordings r ON r.sentence_id = se.id AND r.deleted_at IS NULL
                 GROUP BY s.id
                 ORDER BY s.id ASC
             `);
@@ -79,7 +75,7 @@ router.get('/', async (req, res, next) => {
             approved_recordings: Number(s.approved_recordings || 0),
             sentences_with_recordings: Number(s.sentences_with_recordings || 0),
             completion_pct: Number(s.completion_pct || 0),
-            // User-specific fields (if userId was provided)
+            // User-specific fields (if a user is logged in)
             user_recordings: s.user_recordings !== undefined ? Number(s.user_recordings || 0) : undefined,
             user_sentences_recorded: s.user_sentences_recorded !== undefined ? Number(s.user_sentences_recorded || 0) : undefined,
             user_completion_pct: s.user_completion_pct !== undefined ? Number(s.user_completion_pct || 0) : undefined,
@@ -109,7 +105,7 @@ router.get('/:id', validateStoryId, async (req, res, next) => {
                 text_devanagari,
                 text_iast,
                 char_count,
-                (SELECT COUNT(*) FROM recordings WHERE sentence_id = sentences.id) as recording_count
+                (SELECT COUNT(*) FROM recordings WHERE sentence_id = sentences.id AND deleted_at IS NULL) as recording_count
             FROM sentences
             WHERE story_id = $1
             ORDER BY order_in_story ASC`,
@@ -1,21 +1,37 @@
 /**
- * User Progress API routes
- * GET /api/users/:email/progress - Get user's recording progress and stats
+ * User API routes
+ * GET    /api/users/me/progress - Get the logged-in user's recording progress and stats
+ * GET    /api/users/me/consent  - Current consent text and the user's consent status
+ * POST   /api/users/me/consent  - Agree to the current consent text
+ * DELETE /api/users/me/consent  - Withdraw consent
+ * GET    /api/users/me/profile  - Optional speaker profile (and allowed values)
+ * PUT    /api/users/me/profile  - Save the speaker profile
+ * GET    /api/users/me/recorder-settings - Recorder page settings (defaults if never saved)
+ * PUT    /api/users/me/recorder-settings - Save recorder page settings
+ * GET    /api/users/me/rerecording - Sentences reviewers asked the user to record again
  */
 
 const express = require('express');
 const router = express.Router();
 const { query, queryOne } = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const {
+    CONSENT_VERSION, CONSENT_SCOPES, CONSENT_TEXT,
+    getCurrentConsent, grantConsent, withdrawConsent,
+} = require('../consent');
+const {
+    PROFILE_OPTIONS, PROFILE_TEXT_FIELDS, PROFILE_FIELDS, validateSpeakerProfile,
+} = require('../utils/speakerProfile');
+const {
+    DEFAULT_RECORDER_SETTINGS, RECORDER_SETTING_LIMITS, RECORDER_SETTING_FIELDS, validateRecorderSettings,
+} = require('../utils/recorderSettings');
+const { rerecordingRequests } = require('../rejectionReasons');
 
-// GET /api/users/:email/progress
-// Returns user's overall progress and statistics
-router.get('/:email/progress', async (req, res, next) => {
+// GET /api/users/me/progress
+// Returns the logged-in user's overall progress and statistics
+router.get('/me/progress', requireAuth, async (req, res, next) => {
     try {
-        const email = req.params.email.toLowerCase().trim();
-
-        if (!email || !email.includes('@')) {
-            return res.status(400).json({ error: 'Valid email required' });
-        }
+        const { id: userId, email } = req.user;
 
         // Get user's recording statistics
         const stats = await queryOne(`
@@ -44,12 +60,12 @@ router.get('/:email/progress', async (req, res, next) => {
                     END as completed
                 FROM recordings r2
                 JOIN sentences s2 ON s2.id = r2.sentence_id
-                WHERE r2.user_id = $1
+                WHERE r2.user_id = $1 AND r2.deleted_at IS NULL
                 GROUP BY s2.story_id, r2.user_id
             ) story_progress ON story_progress.story_id = s.story_id 
                 AND story_progress.user_id = r.user_id
-            WHERE r.user_id = $1
-        `, [email]);
+            WHERE r.user_id = $1 AND r.deleted_at IS NULL
+        `, [userId]);
 
         if (!stats || stats.total_recordings === '0') {
             // New user, no recordings yet
@@ -79,10 +95,10 @@ router.get('/:email/progress', async (req, res, next) => {
             FROM stories st
             JOIN sentences s ON s.story_id = st.id
             JOIN recordings r ON r.sentence_id = s.id
-            WHERE r.user_id = $1
+            WHERE r.user_id = $1 AND r.deleted_at IS NULL
             GROUP BY st.id, st.title, st.total_sentences
             ORDER BY last_recorded_at DESC
-        `, [email]);
+        `, [userId]);
 
         res.json({
             email: email,
@@ -100,4 +116,165 @@ router.get('/:email/progress', async (req, res, next) => {
     }
 });
 
+// GET /api/users/me/consent
+// Returns the current consent text and the user's consent to it (null if not given yet)
+router.get('/me/consent', requireAuth, async (req, res, next) => {
+    try {
+        res.json({
+            version: CONSENT_VERSION,
+            scopes: CONSENT_SCOPES,
+            text: CONSENT_TEXT,
+            consent: await getCurrentConsent(req.user.id),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/users/me/consent
+// Body: { scope: 'research' | 'public', consent_version }
+// consent_version must match the text the user was shown
+router.post('/me/consent', requireAuth, async (req, res, next) => {
+    try {
+        const { scope, consent_version } = req.body;
+
+        if (!CONSENT_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${CONSENT_SCOPES.join(', ')}` });
+        }
+        if (consent_version !== CONSENT_VERSION) {
+            return res.status(409).json({
+                error: 'Consent text has changed; please read the current version',
+                consent_version: CONSENT_VERSION,
+            });
+        }
+
+        const consent = await grantConsent(req.user.id, scope);
+        res.status(201).json(consent);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/users/me/consent
+// Withdraws consent; the user cannot upload again until they consent anew
+router.delete('/me/consent', requireAuth, async (req, res, next) => {
+    try {
+        const withdrawn = await withdrawConsent(req.user.id);
+        res.json({ message: 'Consent withdrawn', withdrawn });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/me/profile
+// Returns the speaker profile (null if never filled in) and the allowed values for the form
+router.get('/me/profile', requireAuth, async (req, res, next) => {
+    try {
+        const profile = await queryOne(
+            `SELECT ${PROFILE_FIELDS.join(', ')}, updated_at
+             FROM speaker_profiles
+             WHERE user_id = $1`,
+            [req.user.id]
+        );
+
+        res.json({
+            profile,
+            options: PROFILE_OPTIONS,
+            text_fields: PROFILE_TEXT_FIELDS,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/users/me/profile
+// Body: { hearing_loss_onset?, hearing_loss_degree?, hearing_device?, age_band?, gender?, native_language?, region? }
+// All fields are optional; omitted or empty fields are cleared
+router.put('/me/profile', requireAuth, async (req, res, next) => {
+    try {
+        const { profile, errors } = validateSpeakerProfile(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        const columns = PROFILE_FIELDS.join(', ');
+        const placeholders = PROFILE_FIELDS.map((_, i) => `$${i + 2}`).join(', ');
+        const updates = PROFILE_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ');
+
+        const saved = await queryOne(
+            `INSERT INTO speaker_profiles (user_id, ${columns})
+             VALUES ($1, ${placeholders})
+             ON CONFLICT (user_id) DO UPDATE SET ${updates}, updated_at = NOW()
+             RETURNING ${columns}, updated_at`,
+            [req.user.id, ...PROFILE_FIELDS.map(field => profile[field])]
+        );
+
+        res.json({ profile: saved });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/me/recorder-settings
+// Returns the recorder page settings (the defaults if never saved) and the allowed ranges
+router.get('/me/recorder-settings', requireAuth, async (req, res, next) => {
+    try {
+        const saved = await queryOne(
+            `SELECT ${RECORDER_SETTING_FIELDS.join(', ')}
+             FROM recorder_settings
+             WHERE user_id = $1`,
+            [req.user.id]
+        );
+
+        res.json({
+            settings: saved || DEFAULT_RECORDER_SETTINGS,
+            limits: RECORDER_SETTING_LIMITS,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/users/me/recorder-settings
+// Body: { high_visibility?, countdown_seconds?, auto_stop_silence_seconds? }
+// Omitted fields are reset to their defaults; auto_stop_silence_seconds null turns auto-stop off
+router.put('/me/recorder-settings', requireAuth, async (req, res, next) => {
+    try {
+        const { settings, errors } = validateRecorderSettings(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        const columns = RECORDER_SETTING_FIELDS.join(', ');
+        const placeholders = RECORDER_SETTING_FIELDS.map((_, i) => `$${i + 2}`).join(', ');
+        const updates = RECORDER_SETTING_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ');
+
+        const saved = await queryOne(
+            `INSERT INTO recorder_settings (user_id, ${columns})
+             VALUES ($1, ${placeholders})
+             ON CONFLICT (user_id) DO UPDATE SET ${updates}, updated_at = NOW()
+             RETURNING ${columns}`,
+            [req.user.id, ...RECORDER_SETTING_FIELDS.map(field => settings[field])]
+        );
+
+        res.json({ settings: saved });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/me/rerecording
+// Sentences whose latest take by the user was rejected for a reason that asks for a new take:
+// [{ recording_id, sentence_id, story_id, story_title, order_in_story, text_devanagari,
+//    reasons: [{ code, label }], comment, reviewed_at }]
+router.get('/me/rerecording', requireAuth, async (req, res, next) => {
+    try {
+        res.json(await rerecordingRequests(req.user.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -7,8 +7,13 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { loadSession } = require('./middleware/auth');
+const { IngestionWorker } = require('./ingestion/worker');
+const { purgeDeletedRecordings } = require('./purge');
+const { getThresholds } = require('./utils/signalAnalysis');
 
 // Run auto-setup before starting server
 const autoSetup = require('../scripts/auto-setup-on-deploy');
@@ -17,25 +22,47 @@ const autoSetup = require('../scripts/auto-setup-on-deploy');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Railway terminates TLS at its proxy; trust it so req.protocol reflects https
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({ origin: process.env.ENABLE_CORS === 'true' ? '*' : false }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Serve uploaded audio files
-app.use('/recordings', express.static(path.join(__dirname, '../uploads/recordings')));
+// Uploaded audio is never served statically: it is only available through the
+// role-checked GET /api/recordings/:id/audio
+
+// Resolve session cookie to req.user for all API routes
+app.use('/api', loadSession);
 
 // API Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/stories', require('./routes/stories'));
 app.use('/api/sentences', require('./routes/sentences'));
 app.use('/api/recordings', require('./routes/recordings'));
+app.use('/api/review', require('./routes/review'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/programmatic', require('./routes/programmatic'));
 app.use('/api/admin', require('./routes/admin'));
 
+// Deployment settings the recorder page needs
+app.get('/api/config', (req, res) => {
+    const thresholds = getThresholds();
+    res.json({
+        recorder_format: process.env.RECORDER_FORMAT === 'wav' ? 'wav' : 'webm',
+        // The recorder's level meter warns about what validation would flag
+        level_meter: {
+            too_quiet_dbfs: thresholds.min_rms_dbfs.warn,
+            min_snr_db: thresholds.min_snr_db.warn,
+        },
+    });
+});
+
 // Test endpoints (disable in production)
 if (process.env.ENABLE_TEST_ENDPOINTS === 'true') {
     app.use('/api/test', require('./routes/test'));
@@ -80,8 +107,32 @@ async function startServer() {
         console.log(`Storage: ${process.env.STORAGE_TYPE || 'local'}`);
         console.log('='.repeat(50));
     });
+
+    // Process queued uploads in this process unless a separate worker (npm run worker) is used
+    if ((process.env.INGEST_WORKER || 'inline') === 'inline') {
+        new IngestionWorker().start().catch(error => {
+            console.error('⚠️  Ingestion worker failed to start:', error.message);
+        });
+    }
+
+    // Purge recordings past their retention window (RECORDING_PURGE_INTERVAL_HOURS=0 turns this off)
+    const purgeIntervalHours = parseFloat(process.env.RECORDING_PURGE_INTERVAL_HOURS ?? '24');
+    if (purgeIntervalHours > 0) {
+        const purge = () => purgeDeletedRecordings()
+            .then(results => {
+                if (results.total > 0) {
+                    console.log(`🗑️  Purged ${results.purged} deleted recording(s), ${results.failed} failed`);
+                }
+            })
+            .catch(error => console.error('⚠️  Purge of deleted recordings failed:', error.message));
+        setInterval(purge, purgeIntervalHours * 60 * 60 * 1000).unref();
+        purge();
+    }
 }
 
-startServer();
+// Only listen when run directly (node backend/server.js), not when tests require the app
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
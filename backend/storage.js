@@ -5,9 +5,10 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
 const { Upload } = require('@aws-sdk/lib-storage');
 const { createReadStream } = require('fs');
+const { v4: uuidv4 } = require('uuid');
 
 class Storage {
     constructor() {
@@ -34,11 +35,12 @@ class Storage {
      * Save file to storage
      * @param {Buffer|string} fileData - File buffer or path to file
      * @param {string} filename - Desired filename (e.g., 'recordings/xyz.wav')
+     * @param {string} [contentType] - Stored with the object on S3
      * @returns {Promise<string>} - Storage path or URL
      */
-    async save(fileData, filename) {
+    async save(fileData, filename, contentType = 'audio/wav') {
         if (this.type === 's3') {
-            return await this._saveToS3(fileData, filename);
+            return await this._saveToS3(fileData, filename, contentType);
         } else {
             return await this._saveToLocal(fileData, filename);
         }
@@ -60,19 +62,21 @@ class Storage {
     /**
      * Get read stream (for efficient file serving)
      * @param {string} filepath
+     * @param {object} [range] - { start, end } byte offsets (inclusive) to read only part of the file
      * @returns {ReadableStream}
      */
-    async getStream(filepath) {
+    async getStream(filepath, range) {
         if (this.type === 's3') {
             const command = new GetObjectCommand({
                 Bucket: this.bucket,
                 Key: filepath,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined,
             });
             const response = await this.s3Client.send(command);
             return response.Body;
         } else {
             const fullPath = path.join(this.uploadDir, filepath);
-            return createReadStream(fullPath);
+            return createReadStream(fullPath, range ? { start: range.start, end: range.end } : undefined);
         }
     }
 
@@ -138,8 +142,70 @@ class Storage {
         }
     }
 
+    /**
+     * Move (rename) a file within storage
+     * @param {string} fromPath - Existing path returned from save()
+     * @param {string} toPath - New path
+     * @returns {Promise<string>} - New storage path
+     */
+    async move(fromPath, toPath) {
+        if (this.type === 's3') {
+            const command = new CopyObjectCommand({
+                Bucket: this.bucket,
+                CopySource: encodeURI(`${this.bucket}/${fromPath}`),
+                Key: toPath,
+            });
+            await this.s3Client.send(command);
+            await this._deleteFromS3(fromPath);
+        } else {
+            const toFullPath = path.join(this.uploadDir, toPath);
+            await fs.mkdir(path.dirname(toFullPath), { recursive: true });
+            await fs.rename(path.join(this.uploadDir, fromPath), toFullPath);
+        }
+        return toPath;
+    }
+
+    /**
+     * Build the storage key for a new recording
+     * Keys only contain the pseudonymous speaker ID, never the email
+     * (S3_PREFIX can be set to isolate project data)
+     * @param {string} speakerId - users.speaker_id
+     * @param {number|string} sentenceId
+     * @returns {string} - e.g. 'recordings/spk_3f9a1c0b7d2e_12_<uuid>.wav'
+     */
+    recordingKey(speakerId, sentenceId) {
+        return `${this._prefix()}recordings/${speakerId}_${sentenceId}_${uuidv4()}.wav`;
+    }
+
+    /**
+     * Build the storage key for a sentence's sign-language video
+     * @param {number|string} sentenceId
+     * @param {string} ext - e.g. '.mp4'
+     * @returns {string} - e.g. 'sign-videos/sentence_12_<uuid>.mp4'
+     */
+    signVideoKey(sentenceId, ext) {
+        return `${this._prefix()}sign-videos/sentence_${sentenceId}_${uuidv4()}${ext}`;
+    }
+
+    /**
+     * Build the storage key for a derived copy of a recording (kept next to it)
+     * @param {string} key - The recording's key
+     * @param {string} variant - e.g. 'trimmed'
+     * @returns {string} - e.g. 'recordings/spk_..._<uuid>.trimmed.wav'
+     */
+    derivativeKey(key, variant) {
+        return `${key.replace(/\.wav$/i, '')}.${variant}.wav`;
+    }
+
+    // Private: key prefix (S3_PREFIX with a trailing slash, or '')
+    _prefix() {
+        let prefix = process.env.S3_PREFIX || '';
+        if (prefix && !prefix.endsWith('/')) prefix = prefix + '/';
+        return prefix;
+    }
+
     // Private: S3 operations
-    async _saveToS3(fileData, filename) {
+    async _saveToS3(fileData, filename, contentType) {
         const buffer = Buffer.isBuffer(fileData) 
             ? fileData 
             : await fs.readFile(fileData);
@@ -150,7 +216,7 @@ class Storage {
                 Bucket: this.bucket,
                 Key: filename,
                 Body: buffer,
-                ContentType: 'audio/wav',
+                ContentType: contentType,
             },
         });
 
@@ -0,0 +1,37 @@
+/**
+ * Contributor account lookups shared by auth and upload routes
+ */
+
+const { queryOne } = require('./db');
+const { normalizeEmail } = require('./utils/authCrypto');
+
+/**
+ * Find a user by email
+ * @param {string} email
+ * @returns {Promise<object|null>} - { id, email, role, speaker_id, password_hash }
+ */
+async function findUserByEmail(email) {
+    return queryOne(
+        'SELECT id, email, role, speaker_id, password_hash FROM users WHERE email = $1',
+        [normalizeEmail(email)]
+    );
+}
+
+/**
+ * Find a user by email, creating the account on first use
+ * @param {string} email
+ * @returns {Promise<object>} - { id, email, role, speaker_id }
+ */
+async function findOrCreateUserByEmail(email) {
+    return queryOne(
+        `INSERT INTO users (email) VALUES ($1)
+         ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+         RETURNING id, email, role, speaker_id`,
+        [normalizeEmail(email)]
+    );
+}
+
+module.exports = {
+    findUserByEmail,
+    findOrCreateUserByEmail,
+};
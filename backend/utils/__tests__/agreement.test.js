@@ -0,0 +1,45 @@
+const { cohenKappa, fleissKappa, agreementReport } = require('../agreement');
+
+describe('Reviewer agreement', () => {
+  test('cohenKappa corrects agreement for chance', () => {
+    const pairs = [
+      ...Array(20).fill(['approved', 'approved']),
+      ...Array(5).fill(['approved', 'rejected']),
+      ...Array(10).fill(['rejected', 'approved']),
+      ...Array(15).fill(['rejected', 'rejected']),
+    ];
+    expect(cohenKappa(pairs)).toBeCloseTo(0.4, 5);
+    expect(cohenKappa([['approved', 'approved'], ['rejected', 'rejected']])).toBe(1);
+    expect(cohenKappa([['approved', 'approved']])).toBeNull();
+    expect(cohenKappa([])).toBeNull();
+  });
+
+  test('fleissKappa takes any number of decisions per item', () => {
+    expect(fleissKappa([
+      ['approved', 'approved', 'approved'],
+      ['rejected', 'rejected', 'rejected'],
+      ['approved'],
+    ])).toBe(1);
+    expect(fleissKappa([['approved', 'rejected'], ['rejected', 'approved']])).toBeCloseTo(-1, 5);
+    expect(fleissKappa([['approved']])).toBeNull();
+  });
+
+  test('agreementReport lists pairs and puts the least reliable reviewer first', () => {
+    const votes = [];
+    for (let recording = 1; recording <= 4; recording++) {
+      const decision = recording % 2 ? 'approved' : 'rejected';
+      votes.push({ recording_id: recording, reviewer_id: 1, decision });
+      votes.push({ recording_id: recording, reviewer_id: 2, decision });
+      votes.push({ recording_id: recording, reviewer_id: 3, decision: 'approved' });
+    }
+    votes.push({ recording_id: 5, reviewer_id: null, decision: 'approved' });
+
+    const report = agreementReport(votes);
+    expect(report.recordings).toBe(4);
+    expect(report.pairs).toHaveLength(3);
+    expect(report.pairs.find(pair => pair.reviewer_a === 1 && pair.reviewer_b === 2))
+      .toMatchObject({ recordings: 4, agreement: 1, kappa: 1 });
+    expect(report.reviewers.map(reviewer => reviewer.reviewer_id)).toEqual([3, 1, 2]);
+    expect(report.reviewers[0]).toMatchObject({ votes: 4, approval_rate: 1, mean_kappa: 0 });
+  });
+});
@@ -0,0 +1,31 @@
+const { hashPassword, verifyPassword, generateToken, hashToken, normalizeEmail } = require('../authCrypto');
+
+describe('Auth crypto helpers', () => {
+  test('verifyPassword accepts the original password and rejects others', async () => {
+    const stored = await hashPassword('correct horse battery');
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(await verifyPassword('correct horse battery', stored)).toBe(true);
+    expect(await verifyPassword('wrong password', stored)).toBe(false);
+  });
+
+  test('verifyPassword rejects missing or malformed hashes', async () => {
+    expect(await verifyPassword('anything', null)).toBe(false);
+    expect(await verifyPassword('anything', 'md5$abc')).toBe(false);
+  });
+
+  test('generateToken returns distinct URL-safe tokens', () => {
+    const a = generateToken();
+    const b = generateToken();
+    expect(a).not.toBe(b);
+    expect(a).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('hashToken is deterministic', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).not.toBe(hashToken('abd'));
+  });
+
+  test('normalizeEmail lowercases and trims', () => {
+    expect(normalizeEmail('  Someone@Example.COM ')).toBe('someone@example.com');
+  });
+});
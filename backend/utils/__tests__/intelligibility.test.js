@@ -0,0 +1,33 @@
+const { validateRating, intelligibilityTier, aggregateIntelligibility } = require('../intelligibility');
+
+describe('Intelligibility ratings', () => {
+  test('validateRating takes 1 to 5 or null', () => {
+    expect(validateRating(4)).toEqual({ rating: 4, errors: [] });
+    expect(validateRating(null)).toEqual({ rating: null, errors: [] });
+    for (const input of [0, 6, 2.5, '3', undefined]) {
+      expect(validateRating(input).errors).toHaveLength(1);
+    }
+  });
+
+  test('intelligibilityTier buckets mean ratings', () => {
+    expect(intelligibilityTier(1)).toBe('low');
+    expect(intelligibilityTier(2.5)).toBe('low');
+    expect(intelligibilityTier(3)).toBe('medium');
+    expect(intelligibilityTier(3.6)).toBe('high');
+    expect(intelligibilityTier(null)).toBeNull();
+  });
+
+  test('aggregateIntelligibility groups and puts the least intelligible first', () => {
+    const report = aggregateIntelligibility([
+      { speaker_id: 'spk_a', intelligibility: 5 },
+      { speaker_id: 'spk_b', intelligibility: 1.5 },
+      { speaker_id: 'spk_a', intelligibility: 3 },
+      { speaker_id: 'spk_b', intelligibility: 3 },
+    ], 'speaker_id');
+
+    expect(report).toEqual([
+      { speaker_id: 'spk_b', recordings: 2, mean: 2.25, tier: 'low', tiers: { low: 1, medium: 1, high: 0 } },
+      { speaker_id: 'spk_a', recordings: 2, mean: 4, tier: 'high', tiers: { low: 0, medium: 1, high: 1 } },
+    ]);
+  });
+});
@@ -0,0 +1,21 @@
+const { loudnessGain } = require('../audioConverter');
+
+describe('Loudness normalization', () => {
+  test('quiet recordings are raised to the target', () => {
+    const gain = loudnessGain({ integrated_lufs: -41.5, true_peak_dbtp: -30 }, { targetLufs: -23, maxTruePeakDb: -1 });
+    expect(gain).toBe(18.5);
+  });
+
+  test('the true-peak ceiling limits the gain', () => {
+    const gain = loudnessGain({ integrated_lufs: -35, true_peak_dbtp: -6 }, { targetLufs: -23, maxTruePeakDb: -1 });
+    expect(gain).toBe(5);
+  });
+
+  test('loud recordings are turned down', () => {
+    expect(loudnessGain({ integrated_lufs: -14.2, true_peak_dbtp: -0.5 }, { targetLufs: -23 })).toBe(-8.8);
+  });
+
+  test('silence cannot be normalized', () => {
+    expect(() => loudnessGain({ integrated_lufs: null, true_peak_dbtp: null })).toThrow('measurable loudness');
+  });
+});
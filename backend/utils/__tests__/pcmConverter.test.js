@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resample, detectFormat, convertToWav, getAudioMetadata } = require('../pcmConverter');
+const { demuxWebm } = require('../opus');
+const { encodeWav, readWav } = require('../wav');
+
+function tone(frequency, seconds, rate, amplitude = 0.5) {
+  const samples = new Float32Array(Math.round(seconds * rate));
+  for (let i = 0; i < samples.length; i++) samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / rate);
+  return samples;
+}
+
+// RMS of the middle half, away from edge effects
+function rms(samples) {
+  const middle = samples.subarray(samples.length / 4, samples.length * 3 / 4);
+  return Math.sqrt(middle.reduce((sum, s) => sum + s * s, 0) / middle.length);
+}
+
+// EBML element with a known size (IDs and sizes under 127 bytes only)
+function element(id, payload) {
+  return Buffer.concat([Buffer.from(id), Buffer.from([0x80 | payload.length]), payload]);
+}
+
+// Master element of unknown size, as MediaRecorder writes segments and clusters
+function unknownSize(id, ...children) {
+  return Buffer.concat([Buffer.from(id), Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), ...children]);
+}
+
+describe('Resampling', () => {
+  test('48kHz to 16kHz keeps in-band tones and the duration', () => {
+    const output = resample(tone(1000, 1, 48000), 48000, 16000);
+    expect(output.length).toBe(16000);
+    expect(rms(output)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+
+  test('tones above the new Nyquist frequency are filtered out instead of aliased', () => {
+    const output = resample(tone(10000, 1, 48000), 48000, 16000);
+    expect(rms(output)).toBeLessThan(0.01);
+  });
+
+  test('upsampling 8kHz to 16kHz', () => {
+    const output = resample(tone(440, 1, 8000), 8000, 16000);
+    expect(output.length).toBe(16000);
+    expect(rms(output)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+});
+
+describe('Built-in conversion', () => {
+  let dir;
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pcm-')); });
+  afterAll(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('stereo 44.1kHz WAV becomes 16kHz mono', async () => {
+    const input = path.join(dir, 'stereo.wav');
+    const output = path.join(dir, 'out.wav');
+    const left = tone(440, 0.5, 44100);
+    fs.writeFileSync(input, encodeWav([left, left], 44100));
+
+    await convertToWav(input, output);
+    const wav = await readWav(output);
+    expect(wav.sampleRate).toBe(16000);
+    expect(wav.channels).toHaveLength(1);
+    expect(wav.channels[0].length).toBe(8000);
+
+    const metadata = await getAudioMetadata(input);
+    expect(metadata).toMatchObject({ format: 'wav', sample_rate: 44100, channels: 2, codec: 'pcm_s16le' });
+    expect(metadata.duration).toBeCloseTo(0.5, 3);
+  });
+
+  test('unknown formats are refused', async () => {
+    const input = path.join(dir, 'audio.mp3');
+    fs.writeFileSync(input, Buffer.from('ID3\x03\x00\x00\x00\x00\x00\x00'));
+    expect(detectFormat(fs.readFileSync(input))).toBeNull();
+    await expect(convertToWav(input, path.join(dir, 'x.wav'))).rejects.toThrow('Unsupported audio format');
+  });
+});
+
+describe('WebM demuxing', () => {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0, 'ascii');
+  opusHead[8] = 1;                  // Version
+  opusHead[9] = 1;                  // Channels
+  opusHead.writeUInt16LE(312, 10);  // Pre-skip
+  opusHead.writeUInt32LE(48000, 12);
+
+  const simpleBlock = (track, frame) => element([0xa3], Buffer.concat([Buffer.from([0x80 | track, 0, 0, 0x80]), Buffer.from(frame)]));
+
+  const file = Buffer.concat([
+    element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from('webm'))),
+    unknownSize([0x18, 0x53, 0x80, 0x67],
+      element([0x16, 0x54, 0xae, 0x6b], element([0xae], Buffer.concat([
+        element([0xd7], Buffer.from([1])),
+        element([0x86], Buffer.from('A_OPUS')),
+        element([0x63, 0xa2], opusHead),
+      ]))),
+      unknownSize([0x1f, 0x43, 0xb6, 0x75],
+        element([0xe7], Buffer.from([0])),
+        simpleBlock(1, [1, 2, 3]),
+        simpleBlock(2, [9, 9]),
+        simpleBlock(1, [4, 5])),
+      unknownSize([0x1f, 0x43, 0xb6, 0x75],
+        simpleBlock(1, [6]))),
+  ]);
+
+  test('finds the Opus header and the track\'s frames across unknown-size clusters', () => {
+    expect(detectFormat(file)).toBe('webm');
+    const { head, packets } = demuxWebm(file);
+    expect(head).toMatchObject({ channels: 1, preSkip: 312, inputSampleRate: 48000, mappingFamily: 0 });
+    expect(packets.map(packet => Array.from(packet))).toEqual([[1, 2, 3], [4, 5], [6]]);
+  });
+
+  test('a truncated last block is dropped', () => {
+    const { packets } = demuxWebm(file.subarray(0, file.length - 2));
+    expect(packets).toHaveLength(2);
+  });
+});
@@ -0,0 +1,31 @@
+const { validateRecorderSettings, DEFAULT_RECORDER_SETTINGS } = require('../recorderSettings');
+
+describe('Recorder settings', () => {
+  test('omitted fields get the defaults', () => {
+    expect(validateRecorderSettings({})).toEqual({ settings: DEFAULT_RECORDER_SETTINGS, errors: [] });
+  });
+
+  test('accepts valid settings from a form', () => {
+    const { settings, errors } = validateRecorderSettings({
+      high_visibility: true,
+      countdown_seconds: '3',
+      auto_stop_silence_seconds: 1.5,
+    });
+    expect(errors).toEqual([]);
+    expect(settings).toEqual({ high_visibility: true, countdown_seconds: 3, auto_stop_silence_seconds: 1.5 });
+  });
+
+  test('empty auto-stop turns it off', () => {
+    expect(validateRecorderSettings({ auto_stop_silence_seconds: '' }).settings.auto_stop_silence_seconds).toBeNull();
+  });
+
+  test('rejects out-of-range values', () => {
+    const { errors } = validateRecorderSettings({
+      high_visibility: 'yes',
+      countdown_seconds: 2.5,
+      auto_stop_silence_seconds: 0.1,
+    });
+    expect(errors).toHaveLength(3);
+    expect(errors[1]).toMatch(/^countdown_seconds must be a whole number/);
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  validateReviewDecision, validateRejectionReason, describeReasons, tallyVotes, mergeRejections,
+} = require('../reviewDecision');
+
+const REASONS = [
+  { code: 'noise', label: 'Background noise', needs_rerecording: true },
+  { code: 'duplicate', label: 'Duplicate', needs_rerecording: false },
+];
+
+describe('Review decision helpers', () => {
+  test('validateReviewDecision flags rejections that need a new take', () => {
+    const { decision, errors } = validateReviewDecision(
+      { status: 'rejected', rejection_reasons: ['noise', 'noise'], comment: '  Fan in the background ' },
+      REASONS
+    );
+    expect(errors).toEqual([]);
+    expect(decision).toEqual({
+      status: 'rejected',
+      rejection_reasons: ['noise'],
+      review_comment: 'Fan in the background',
+      needs_rerecording: true,
+    });
+
+    expect(validateReviewDecision({ status: 'rejected', rejection_reasons: ['duplicate'] }, REASONS)
+      .decision.needs_rerecording).toBe(false);
+    expect(validateReviewDecision({ status: 'rejected' }, REASONS).decision.needs_rerecording).toBe(true);
+  });
+
+  test('validateReviewDecision only takes reasons when rejecting', () => {
+    expect(validateReviewDecision({ status: 'approved', rejection_reasons: ['noise'] }, REASONS).errors)
+      .toEqual(['rejection_reasons can only be given when rejecting']);
+    expect(validateReviewDecision({ status: 'rejected', rejection_reasons: ['echo'] }, REASONS).errors[0])
+      .toMatch(/^Unknown rejection reason: echo/);
+    expect(validateReviewDecision({ status: 'deleted' }, REASONS).errors)
+      .toEqual(['status must be pending, approved, or rejected']);
+
+    const { decision } = validateReviewDecision({ status: 'pending', comment: 'later' }, REASONS);
+    expect(decision).toMatchObject({ rejection_reasons: [], review_comment: null, needs_rerecording: false });
+  });
+
+  test('validateRejectionReason checks the code and label', () => {
+    const { reason, errors } = validateRejectionReason('low_volume', { label: ' Too quiet ' });
+    expect(errors).toEqual([]);
+    expect(reason).toEqual({ code: 'low_volume', label: 'Too quiet', needs_rerecording: true, active: true, sort_order: 0 });
+
+    expect(validateRejectionReason('Too Quiet', { label: '', active: 'no' }).errors).toHaveLength(3);
+  });
+
+  test('describeReasons labels codes, keeping unknown ones', () => {
+    expect(describeReasons(['duplicate', 'gone'], REASONS)).toEqual([
+      { code: 'duplicate', label: 'Duplicate' },
+      { code: 'gone', label: 'gone' },
+    ]);
+  });
+
+  test('tallyVotes waits for enough votes, then takes the majority', () => {
+    const approve = { decision: 'approved' };
+    const reject = { decision: 'rejected' };
+
+    expect(tallyVotes([approve], 3)).toEqual({ status: 'pending', outcome: 'awaiting_votes', approved: 1, rejected: 0 });
+    expect(tallyVotes([approve, reject, approve], 3)).toMatchObject({ status: 'approved', outcome: 'majority' });
+    expect(tallyVotes([approve, reject], 2)).toMatchObject({ status: 'pending', outcome: 'tie' });
+    expect(tallyVotes([approve, reject], 1)).toMatchObject({ status: 'rejected', outcome: 'latest' });
+    expect(tallyVotes([], 1).status).toBe('pending');
+  });
+
+  test('mergeRejections combines reasons and comments', () => {
+    expect(mergeRejections([
+      { rejection_reasons: ['noise'], comment: 'Fan' },
+      { rejection_reasons: ['duplicate', 'noise'], comment: null },
+      { rejection_reasons: [], comment: 'Fan' },
+    ])).toEqual({ rejection_reasons: ['noise', 'duplicate'], review_comment: 'Fan' });
+  });
+});
@@ -0,0 +1,42 @@
+const { parseRange, signVideoUrl, signVideoContentType } = require('../signVideos');
+
+describe('parseRange', () => {
+  test('returns null without a usable header', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('bytes=-', 100)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 100)).toBeNull();
+  });
+
+  test('parses closed, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange('bytes=50-', 100)).toEqual({ start: 50, end: 99 });
+    expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=90-500', 100)).toEqual({ start: 90, end: 99 });
+  });
+
+  test('rejects ranges outside the file', () => {
+    expect(parseRange('bytes=100-', 100)).toBe(false);
+    expect(parseRange('bytes=20-10', 100)).toBe(false);
+  });
+});
+
+describe('signVideoUrl', () => {
+  test('is null when the sentence has no video', () => {
+    expect(signVideoUrl({ id: 3, sign_video_filepath: null })).toBeNull();
+  });
+
+  test('includes the upload time so replaced videos are refetched', () => {
+    const url = signVideoUrl({
+      id: 3,
+      sign_video_filepath: 'sign-videos/sentence_3_x.mp4',
+      sign_video_updated_at: '2024-01-01T00:00:00Z',
+    });
+    expect(url).toBe('/api/sentences/3/sign-video?v=1704067200000');
+  });
+});
+
+test('signVideoContentType maps stored keys to video types', () => {
+  expect(signVideoContentType('sign-videos/a.MP4')).toBe('video/mp4');
+  expect(signVideoContentType('sign-videos/a.webm')).toBe('video/webm');
+  expect(signVideoContentType('sign-videos/a')).toBe('application/octet-stream');
+});
@@ -0,0 +1,86 @@
+const { parseWav, encodeWav, toMono } = require('../wav');
+const { analyzeSignal, evaluateSignal, getThresholds } = require('../signalAnalysis');
+
+const RATE = 16000;
+
+// Silence, then a 440 Hz tone at the given amplitude, then silence (seconds)
+function speechLike({ lead = 0.5, voiced = 1.5, trail = 0.5, amplitude = 0.3, noise = 0.0005 } = {}) {
+  const samples = new Float32Array(Math.round((lead + voiced + trail) * RATE));
+  let seed = 1;
+  const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / RATE;
+    const tone = t >= lead && t < lead + voiced ? amplitude * Math.sin(2 * Math.PI * 440 * t) : 0;
+    samples[i] = tone + noise * random();
+  }
+  return samples;
+}
+
+describe('WAV helpers', () => {
+  test('encodeWav and parseWav round-trip 16-bit mono', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 1, -1]);
+    const wav = parseWav(encodeWav(samples, RATE));
+    expect(wav.sampleRate).toBe(RATE);
+    expect(wav.channels).toHaveLength(1);
+    expect(wav.bitsPerSample).toBe(16);
+    expect(Array.from(wav.channels[0]).map(v => Math.round(v * 100) / 100)).toEqual([0, 0.5, -0.5, 1, -1]);
+  });
+
+  test('parseWav skips unknown chunks and rejects other files', () => {
+    const wav = encodeWav(Float32Array.from([0.25, 0.25]), RATE);
+    const list = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc\0')]);
+    const withList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+    expect(parseWav(withList).channels[0]).toHaveLength(2);
+    expect(() => parseWav(Buffer.from('not a wav file at all'))).toThrow('Not a WAV file');
+  });
+
+  test('toMono averages channels', () => {
+    const mono = toMono([Float32Array.from([1, 0]), Float32Array.from([0, 0])]);
+    expect(Array.from(mono)).toEqual([0.5, 0]);
+  });
+});
+
+describe('Signal analysis', () => {
+  test('a clean recording passes with silence and speech measured', () => {
+    const metrics = analyzeSignal(speechLike(), RATE);
+    expect(metrics.leading_silence_s).toBeCloseTo(0.5, 1);
+    expect(metrics.trailing_silence_s).toBeCloseTo(0.5, 1);
+    expect(metrics.voiced_percent).toBeGreaterThan(55);
+    expect(metrics.snr_db).toBeGreaterThan(40);
+    expect(metrics.clipping_ratio).toBe(0);
+    expect(evaluateSignal(metrics, getThresholds({}))).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('a silent recording is an error even though it is full-size', () => {
+    const metrics = analyzeSignal(new Float32Array(2 * RATE), RATE);
+    expect(metrics.rms_dbfs).toBe(-120);
+    expect(metrics.voiced_percent).toBe(0);
+    expect(metrics.snr_db).toBeNull();
+    const { errors } = evaluateSignal(metrics, getThresholds({}));
+    expect(errors.some(e => e.startsWith('Recording is too quiet'))).toBe(true);
+    expect(errors.some(e => e.startsWith('Too little speech'))).toBe(true);
+  });
+
+  test('clipping and DC offset are reported', () => {
+    const samples = speechLike({ amplitude: 1.5 }).map(v => Math.max(-1, Math.min(1, v + 0.15)));
+    const metrics = analyzeSignal(samples, RATE);
+    expect(metrics.clipping_ratio).toBeGreaterThan(0.01);
+    expect(metrics.dc_offset).toBeGreaterThan(0.1);
+    const { errors } = evaluateSignal(metrics, getThresholds({}));
+    expect(errors.some(e => e.startsWith('Recording is clipped'))).toBe(true);
+    expect(errors.some(e => e.startsWith('Microphone DC offset'))).toBe(true);
+  });
+
+  test('loud background noise lowers the estimated SNR', () => {
+    const metrics = analyzeSignal(speechLike({ noise: 0.1 }), RATE);
+    expect(metrics.snr_db).toBeLessThan(15);
+    const { warnings, errors } = evaluateSignal(metrics, getThresholds({}));
+    expect([...warnings, ...errors].some(m => m.startsWith('Background noise is too high'))).toBe(true);
+  });
+
+  test('thresholds can be overridden or disabled from the environment', () => {
+    const thresholds = getThresholds({ QUALITY_MIN_SNR_DB_ERROR: '20', QUALITY_MIN_RMS_DBFS_WARN: '' });
+    expect(thresholds.min_snr_db).toEqual({ warn: 15, error: 20 });
+    expect(thresholds.min_rms_dbfs).toEqual({ warn: null, error: -50 });
+  });
+});
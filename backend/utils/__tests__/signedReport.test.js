@@ -0,0 +1,25 @@
+const { canonicalJson, signReport, verifySignedReport } = require('../signedReport');
+
+describe('Signed reports', () => {
+  test('canonicalJson sorts keys at every level', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }))
+      .toBe('{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  test('verifySignedReport accepts an untouched report regardless of key order', () => {
+    const signed = signReport({ user_id: 7, deleted: { recordings: 3 } }, 'secret');
+    const reordered = { signature: signed.signature, report: { deleted: { recordings: 3 }, user_id: 7 } };
+    expect(verifySignedReport(reordered, 'secret')).toBe(true);
+  });
+
+  test('verifySignedReport rejects altered reports and wrong secrets', () => {
+    const signed = signReport({ user_id: 7 }, 'secret');
+    expect(verifySignedReport({ ...signed, report: { user_id: 8 } }, 'secret')).toBe(false);
+    expect(verifySignedReport(signed, 'other secret')).toBe(false);
+    expect(verifySignedReport({ report: { user_id: 7 } }, 'secret')).toBe(false);
+  });
+
+  test('signReport requires a secret', () => {
+    expect(() => signReport({}, '')).toThrow('A signing secret is required');
+  });
+});
@@ -0,0 +1,36 @@
+const { validateSpeakerProfile, anonymizeProfiles } = require('../speakerProfile');
+
+describe('Speaker profile helpers', () => {
+  test('validateSpeakerProfile accepts known values and nulls empty fields', () => {
+    const { profile, errors } = validateSpeakerProfile({
+      hearing_device: 'cochlear_implant',
+      age_band: '',
+      region: '  Goa ',
+    });
+    expect(errors).toEqual([]);
+    expect(profile.hearing_device).toBe('cochlear_implant');
+    expect(profile.age_band).toBeNull();
+    expect(profile.gender).toBeNull();
+    expect(profile.region).toBe('Goa');
+  });
+
+  test('validateSpeakerProfile rejects unknown values', () => {
+    const { errors } = validateSpeakerProfile({ hearing_loss_degree: 'total', native_language: 'x'.repeat(101) });
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/^hearing_loss_degree must be one of/);
+  });
+
+  test('anonymizeProfiles replaces values shared by too few speakers', () => {
+    const profiles = new Map([
+      [1, { gender: 'female', region: 'Goa' }],
+      [2, { gender: 'female', region: ' goa' }],
+      [3, { gender: 'male', region: 'Pune' }],
+      [4, null],
+    ]);
+    const anonymized = anonymizeProfiles(profiles, 2);
+    expect(anonymized.get(1)).toEqual({ gender: 'female', region: 'goa' });
+    expect(anonymized.get(2)).toEqual({ gender: 'female', region: 'goa' });
+    expect(anonymized.get(3)).toEqual({ gender: 'other', region: 'other' });
+    expect(anonymized.get(4)).toEqual({});
+  });
+});
@@ -0,0 +1,46 @@
+const { preferredTake, preferredTakes, groupTakes } = require('../takes');
+
+describe('Recording takes', () => {
+  test('the latest take is used when none is marked', () => {
+    const takes = [
+      { id: 1, take_number: 1, is_preferred: false },
+      { id: 4, take_number: 3, is_preferred: false },
+      { id: 2, take_number: 2, is_preferred: false },
+    ];
+    expect(preferredTake(takes).id).toBe(4);
+    expect(preferredTake([])).toBeNull();
+  });
+
+  test('a marked take wins over later ones', () => {
+    const takes = [
+      { id: 1, take_number: 1, is_preferred: true },
+      { id: 2, take_number: 2, is_preferred: false },
+    ];
+    expect(preferredTake(takes).id).toBe(1);
+  });
+
+  test('keeps one take per speaker and sentence', () => {
+    const recordings = [
+      { id: 1, user_id: 1, sentence_id: 1, take_number: 1, is_preferred: false },
+      { id: 2, user_id: 1, sentence_id: 1, take_number: 2, is_preferred: false },
+      { id: 3, user_id: 2, sentence_id: 1, take_number: 1, is_preferred: true },
+      { id: 4, user_id: 2, sentence_id: 1, take_number: 2, is_preferred: false },
+      { id: 5, user_id: 1, sentence_id: 2, take_number: 1, is_preferred: false },
+    ];
+    expect(preferredTakes(recordings).map(r => r.id)).toEqual([2, 3, 5]);
+  });
+
+  test('groups takes by speaker and sentence', () => {
+    const row = (id, speaker_id, take_number, is_preferred = false) => ({
+      id, speaker_id, sentence_id: 7, sentence_text: 'वाक्य', take_number, is_preferred,
+      audio_filepath: `r${id}.wav`, duration: 1.5, status: 'pending', created_at: null,
+    });
+    const groups = groupTakes([row(3, 'SPK-A', 2), row(1, 'SPK-A', 1, true), row(5, 'SPK-B', 1)]);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({ speaker_id: 'SPK-A', sentence_id: 7, sentence_text: 'वाक्य', preferred_take_id: 1 });
+    expect(groups[0].takes.map(take => take.take_number)).toEqual([1, 2]);
+    expect(groups[0]).not.toHaveProperty('status');
+    expect(groups[1].preferred_take_id).toBe(5);
+  });
+});
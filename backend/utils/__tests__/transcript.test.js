@@ -0,0 +1,32 @@
+const { validateTranscript, stripDisfluencies, exportText } = require('../transcript');
+
+describe('Verbatim transcripts', () => {
+  test('validateTranscript normalizes tags and whitespace', () => {
+    expect(validateTranscript('  मी [ Pause ]  शा- शाळेत\nगेलो ')).toEqual({
+      transcript: 'मी [pause] शा- शाळेत गेलो',
+      errors: [],
+    });
+    expect(validateTranscript('   ')).toEqual({ transcript: null, errors: [] });
+    expect(validateTranscript(null)).toEqual({ transcript: null, errors: [] });
+  });
+
+  test('validateTranscript rejects unknown tags and stray brackets', () => {
+    expect(validateTranscript('मी [laugh] गेलो').errors[0]).toMatch(/^Unknown tag: \[laugh\]/);
+    expect(validateTranscript('मी [pause गेलो').errors).toEqual(['transcript has an unclosed [ or ]']);
+    expect(validateTranscript(42).errors).toEqual(['transcript must be a string']);
+  });
+
+  test('stripDisfluencies keeps only whole words', () => {
+    expect(stripDisfluencies('[filler] मी शा- शाळेत [pause] गेलो [noise]')).toBe('मी शाळेत गेलो');
+  });
+
+  test('exportText falls back to the prompt', () => {
+    const read = { text_devanagari: 'मी शाळेत गेलो', verbatim_transcript: null };
+    const deviated = { text_devanagari: 'मी शाळेत गेलो', verbatim_transcript: 'मी [pause] गेलो' };
+
+    expect(exportText(deviated, 'prompt')).toEqual({ text: 'मी शाळेत गेलो', source: 'prompt' });
+    expect(exportText(read, 'verbatim')).toEqual({ text: 'मी शाळेत गेलो', source: 'prompt' });
+    expect(exportText(deviated, 'verbatim')).toEqual({ text: 'मी [pause] गेलो', source: 'verbatim' });
+    expect(exportText(deviated, 'verbatim', { strip: true }).text).toBe('मी गेलो');
+  });
+});
@@ -0,0 +1,48 @@
+const { detectSpeech, trimToSpeech } = require('../vad');
+
+const RATE = 16000;
+
+// Tone bursts at [start, end) seconds over faint noise
+function withBursts(duration, bursts, amplitude = 0.3) {
+  const samples = new Float32Array(Math.round(duration * RATE));
+  let seed = 7;
+  const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / RATE;
+    const on = bursts.some(([start, end]) => t >= start && t < end);
+    samples[i] = (on ? amplitude * Math.sin(2 * Math.PI * 300 * t) : 0) + 0.0005 * random();
+  }
+  return samples;
+}
+
+describe('Voice activity detection', () => {
+  test('finds padded speech endpoints', () => {
+    const endpoints = detectSpeech(withBursts(3, [[1, 2]]), RATE, { paddingMs: 200 });
+    expect(endpoints.start_s).toBeCloseTo(0.8, 1);
+    expect(endpoints.end_s).toBeCloseTo(2.2, 1);
+    expect(endpoints.segments).toBe(1);
+  });
+
+  test('short pauses are bridged and clicks are ignored', () => {
+    const samples = withBursts(4, [[0.2, 0.23], [1, 1.5], [1.7, 2.5]]);
+    const endpoints = detectSpeech(samples, RATE, { paddingMs: 0 });
+    expect(endpoints.start_s).toBeCloseTo(1, 1);
+    expect(endpoints.end_s).toBeCloseTo(2.5, 1);
+    expect(endpoints.segments).toBe(1);
+  });
+
+  test('padding never reaches outside the recording', () => {
+    const endpoints = detectSpeech(withBursts(1, [[0, 1]]), RATE, { paddingMs: 500 });
+    expect(endpoints).toEqual({ start_s: 0, end_s: 1, segments: 1 });
+  });
+
+  test('silence has no speech', () => {
+    expect(detectSpeech(withBursts(2, []), RATE)).toBeNull();
+  });
+
+  test('trimToSpeech cuts the samples to the endpoints', () => {
+    const samples = withBursts(3, [[1, 2]]);
+    const trimmed = trimToSpeech(samples, RATE, { start_s: 0.8, end_s: 2.2 });
+    expect(trimmed.length).toBe(Math.round(1.4 * RATE));
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Inter-reviewer agreement
+ * Cohen's kappa for each pair of reviewers and Fleiss' kappa across all of
+ * them, from the approve/reject votes in recording_reviews. Kappa is 1 for
+ * perfect agreement and 0 for agreement no better than chance.
+ */
+
+/**
+ * Cohen's kappa for two raters
+ * @param {Array<[string, string]>} pairs - Both raters' decision on each item
+ * @returns {number|null} null when it is undefined (no items, or both raters
+ *   always gave the same single decision)
+ */
+function cohenKappa(pairs) {
+    if (pairs.length === 0) return null;
+    const n = pairs.length;
+    const observed = pairs.filter(([a, b]) => a === b).length / n;
+
+    let expected = 0;
+    for (const decision of new Set(pairs.flat())) {
+        const a = pairs.filter(pair => pair[0] === decision).length / n;
+        const b = pairs.filter(pair => pair[1] === decision).length / n;
+        expected += a * b;
+    }
+    return expected === 1 ? null : (observed - expected) / (1 - expected);
+}
+
+/**
+ * Fleiss' kappa, allowing a different number of raters per item
+ * @param {string[][]} items - The decisions given on each item; items with
+ *   fewer than two decisions are left out
+ * @returns {number|null} null when it is undefined
+ */
+function fleissKappa(items) {
+    const rated = items.filter(decisions => decisions.length >= 2);
+    if (rated.length === 0) return null;
+
+    const totals = new Map();
+    let ratings = 0;
+    let agreementSum = 0;
+    for (const decisions of rated) {
+        const counts = new Map();
+        for (const decision of decisions) {
+            counts.set(decision, (counts.get(decision) || 0) + 1);
+            totals.set(decision, (totals.get(decision) || 0) + 1);
+        }
+        const n = decisions.length;
+        let agreeingPairs = 0;
+        for (const count of counts.values()) agreeingPairs += count * (count - 1);
+        agreementSum += agreeingPairs / (n * (n - 1));
+        ratings += n;
+    }
+
+    const observed = agreementSum / rated.length;
+    let expected = 0;
+    for (const count of totals.values()) expected += (count / ratings) ** 2;
+    return expected === 1 ? null : (observed - expected) / (1 - expected);
+}
+
+/**
+ * Agreement report from reviewer votes
+ * @param {object[]} votes - [{ recording_id, reviewer_id, decision }]; votes without
+ *   a reviewer are ignored
+ * @returns {object} {
+ *   recordings,    // recordings with votes from at least two reviewers
+ *   fleiss_kappa,
+ *   pairs: [{ reviewer_a, reviewer_b, recordings, agreement, kappa }],
+ *   reviewers: [{ reviewer_id, votes, approval_rate, mean_kappa }]
+ * } - reviewers with the lowest mean kappa (weighted by shared recordings) first
+ */
+function agreementReport(votes) {
+    const byRecording = new Map();
+    const voteCounts = new Map();
+    for (const { recording_id, reviewer_id, decision } of votes) {
+        if (reviewer_id === null || reviewer_id === undefined) continue;
+        if (!byRecording.has(recording_id)) byRecording.set(recording_id, new Map());
+        byRecording.get(recording_id).set(reviewer_id, decision);
+
+        const counts = voteCounts.get(reviewer_id) || { votes: 0, approved: 0 };
+        counts.votes++;
+        if (decision === 'approved') counts.approved++;
+        voteCounts.set(reviewer_id, counts);
+    }
+
+    const pairDecisions = new Map();
+    for (const decisions of byRecording.values()) {
+        const reviewers = [...decisions.keys()].sort((a, b) => a - b);
+        for (let i = 0; i < reviewers.length; i++) {
+            for (let j = i + 1; j < reviewers.length; j++) {
+                const key = `${reviewers[i]}:${reviewers[j]}`;
+                if (!pairDecisions.has(key)) pairDecisions.set(key, []);
+                pairDecisions.get(key).push([decisions.get(reviewers[i]), decisions.get(reviewers[j])]);
+            }
+        }
+    }
+
+    const pairs = [...pairDecisions.entries()].map(([key, decisions]) => {
+        const [reviewer_a, reviewer_b] = key.split(':').map(Number);
+        return {
+            reviewer_a,
+            reviewer_b,
+            recordings: decisions.length,
+            agreement: decisions.filter(([a, b]) => a === b).length / decisions.length,
+            kappa: cohenKappa(decisions),
+        };
+    });
+
+    const reviewers = [...voteCounts.entries()].map(([reviewer_id, counts]) => {
+        const theirs = pairs.filter(pair => pair.kappa !== null
+            && (pair.reviewer_a === reviewer_id || pair.reviewer_b === reviewer_id));
+        const shared = theirs.reduce((sum, pair) => sum + pair.recordings, 0);
+        return {
+            reviewer_id,
+            votes: counts.votes,
+            approval_rate: counts.approved / counts.votes,
+            mean_kappa: shared > 0
+                ? theirs.reduce((sum, pair) => sum + pair.kappa * pair.recordings, 0) / shared
+                : null,
+        };
+    });
+    reviewers.sort((a, b) => (a.mean_kappa === null) - (b.mean_kappa === null) || a.mean_kappa - b.mean_kappa);
+
+    const items = [...byRecording.values()].map(decisions => [...decisions.values()]);
+    return {
+        recordings: items.filter(decisions => decisions.length >= 2).length,
+        fleiss_kappa: fleissKappa(items),
+        pairs,
+        reviewers,
+    };
+}
+
+module.exports = {
+    cohenKappa,
+    fleissKappa,
+    agreementReport,
+};
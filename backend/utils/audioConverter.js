@@ -1,6 +1,7 @@
 /**
  * Audio format converter using ffmpeg
- * Converts any audio format to 16kHz mono WAV
+ * Converts any audio format to 16kHz mono WAV. Without ffmpeg, conversion and
+ * metadata fall back to the built-in decoders (WAV and Opus only).
  */
 
 const ffmpeg = require('fluent-ffmpeg');
@@ -37,6 +38,7 @@ if (!process.env.FFMPEG_PATH || !process.env.FFPROBE_PATH) {
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const child_process = require('child_process');
+const pcmConverter = require('./pcmConverter');
 
 /**
  * Convert audio file to 16kHz mono WAV
@@ -51,6 +53,10 @@ async function convertToWav(inputPath, outputPath = null) {
         outputPath = inputPath.replace(ext, '.wav');
     }
 
+    if (!isFfmpegAvailable()) {
+        return pcmConverter.convertToWav(inputPath, outputPath);
+    }
+
     return new Promise((resolve, reject) => {
         ffmpeg(inputPath)
             .audioFrequency(16000)      // 16kHz sample rate
@@ -73,11 +79,17 @@ async function convertToWav(inputPath, outputPath = null) {
 }
 
 /**
- * Get audio file metadata using ffprobe
+ * Get audio file metadata using ffprobe (or the built-in decoders without it)
  * @param {string} filePath
  * @returns {Promise<object>} Metadata object
  */
 async function getAudioMetadata(filePath) {
+    if (!isFfmpegAvailable()) {
+        return pcmConverter.getAudioMetadata(filePath).catch((error) => {
+            throw new Error(`Failed to probe audio: ${error.message}`);
+        });
+    }
+
     return new Promise((resolve, reject) => {
         ffmpeg.ffprobe(filePath, (err, metadata) => {
             if (err) {
@@ -131,6 +143,139 @@ async function trimSilence(inputPath, outputPath) {
     });
 }
 
+/**
+ * Measure EBU R128 loudness using ffmpeg `ebur128` filter
+ * @param {string} filePath
+ * @returns {Promise<object>} { integrated_lufs, loudness_range_lu, true_peak_dbtp }
+ *   (integrated_lufs is null when nothing is above the -70 LUFS gate, e.g. silence)
+ */
+async function measureLoudness(filePath) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        ffmpeg(filePath)
+            .audioFilters('ebur128=peak=true')
+            .format('null')
+            .on('stderr', (line) => { output += line + '\n'; })
+            .on('end', () => {
+                const summary = output.slice(output.lastIndexOf('Summary:'));
+                const integrated = summary.match(/I:\s*(-?[\d.]+) LUFS/);
+                const range = summary.match(/LRA:\s*(-?[\d.]+) LU/);
+                const peak = summary.match(/Peak:\s*(-?[\d.]+|-inf) dBFS/);
+                if (!integrated || !range || !peak) {
+                    return reject(new Error('ebur128 produced no measurements'));
+                }
+                const lufs = parseFloat(integrated[1]);
+                resolve({
+                    integrated_lufs: lufs <= -70 ? null : lufs,
+                    loudness_range_lu: parseFloat(range[1]),
+                    true_peak_dbtp: peak[1] === '-inf' ? null : parseFloat(peak[1]),
+                });
+            })
+            .on('error', reject)
+            .save(os.platform() === 'win32' ? 'NUL' : '/dev/null');
+    });
+}
+
+/**
+ * Gain that normalizes a recording's loudness
+ * Brings integrated loudness to the target unless that would push the true
+ * peak over the ceiling, in which case the peak limits it.
+ * @param {object} loudness - From measureLoudness
+ * @param {object} [options] - { targetLufs, maxTruePeakDb }
+ * @returns {number} Gain in dB
+ */
+function loudnessGain(loudness, options = {}) {
+    const {
+        targetLufs = parseFloat(process.env.LOUDNESS_TARGET_LUFS) || -23,
+        maxTruePeakDb = parseFloat(process.env.LOUDNESS_MAX_TRUE_PEAK_DB) || -1,
+    } = options;
+    if (loudness.integrated_lufs === null) {
+        throw new Error('Cannot normalize audio without measurable loudness');
+    }
+
+    let gain = targetLufs - loudness.integrated_lufs;
+    if (loudness.true_peak_dbtp !== null) {
+        gain = Math.min(gain, maxTruePeakDb - loudness.true_peak_dbtp);
+    }
+    return Math.round(gain * 100) / 100;
+}
+
+/**
+ * Write a loudness-normalized copy (one gain for the whole file, no compression)
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} loudness - From measureLoudness
+ * @param {object} [options] - See loudnessGain
+ * @returns {Promise<number>} Applied gain in dB
+ */
+async function normalizeLoudness(inputPath, outputPath, loudness, options = {}) {
+    const gain = loudnessGain(loudness, options);
+
+    return new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+            .audioFilters(`volume=${gain}dB`)
+            .audioFrequency(16000)
+            .audioChannels(1)
+            .audioCodec('pcm_s16le')
+            .format('wav')
+            .on('end', () => {
+                console.log(`✓ Normalized loudness (${gain > 0 ? '+' : ''}${gain} dB) to ${outputPath}`);
+                resolve(gain);
+            })
+            .on('error', (err) => {
+                console.error('FFmpeg normalizeLoudness error:', err);
+                reject(err);
+            })
+            .save(outputPath);
+    });
+}
+
+// Cached result of detectFfmpeg(); null until the first isFfmpegAvailable() call
+let ffmpegAvailable = null;
+
+/**
+ * Check if ffmpeg/ffprobe are available in the environment
+ * 
+ * Searches for ffmpeg binaries in the following order (first found wins):
+ * 1. FFMPEG_PATH environment variable - explicit path set by user/deployment
+ * 2. vendor/ffmpeg/bin directory - bundled binaries for offline/portable use
+ * 3. Global system PATH - system-installed ffmpeg
+ * 
+ * This resolution order allows:
+ * - Production deployments to specify exact paths via env vars
+ * - Development with vendored binaries (no global install required)
+ * - Fallback to system ffmpeg if available
+ * 
+ * The answer is worked out on the first call and cached: the checks block the
+ * event loop (execSync), and this is asked on every pipeline step and conversion.
+ *
+ * @returns {boolean} true if both ffmpeg and ffprobe are accessible
+ */
+function isFfmpegAvailable() {
+    if (ffmpegAvailable === null) {
+        ffmpegAvailable = detectFfmpeg();
+    }
+    return ffmpegAvailable;
+}
+
+function detectFfmpeg() {
+    // If fluent-ffmpeg already has a path set via environment, consider available
+    if (process.env.FFMPEG_PATH && fsSync.existsSync(process.env.FFMPEG_PATH)) return true;
+    // Vendor binaries
+    const vendorDir = path.join(process.cwd(), 'vendor', 'ffmpeg', 'bin');
+    const ffmpegBinary = path.join(vendorDir, os.platform() === 'win32' ? 'ffmpeg.exe' : 'ffmpeg');
+    const ffprobeBinary = path.join(vendorDir, os.platform() === 'win32' ? 'ffprobe.exe' : 'ffprobe');
+    if (fsSync.existsSync(ffmpegBinary) && fsSync.existsSync(ffprobeBinary)) return true;
+    // Check global path (may throw)
+    try {
+        child_process.execSync('ffmpeg -version', { stdio: 'ignore' });
+        child_process.execSync('ffprobe -version', { stdio: 'ignore' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 /**
  * Check if file is already in correct WAV format
  * @param {string} filePath
@@ -154,36 +299,8 @@ module.exports = {
     getAudioMetadata,
     isValidWav,
     trimSilence,
-    /**
-     * Check if ffmpeg/ffprobe are available in the environment
-     * 
-     * Searches for ffmpeg binaries in the following order (first found wins):
-     * 1. FFMPEG_PATH environment variable - explicit path set by user/deployment
-     * 2. vendor/ffmpeg/bin directory - bundled binaries for offline/portable use
-     * 3. Global system PATH - system-installed ffmpeg
-     * 
-     * This resolution order allows:
-     * - Production deployments to specify exact paths via env vars
-     * - Development with vendored binaries (no global install required)
-     * - Fallback to system ffmpeg if available
-     * 
-     * @returns {boolean} true if both ffmpeg and ffprobe are accessible
-     */
-    isFfmpegAvailable: function () {
-        // If fluent-ffmpeg already has a path set via environment, consider available
-        if (process.env.FFMPEG_PATH && fsSync.existsSync(process.env.FFMPEG_PATH)) return true;
-        // Vendor binaries
-        const vendorDir = path.join(process.cwd(), 'vendor', 'ffmpeg', 'bin');
-        const ffmpegBinary = path.join(vendorDir, os.platform() === 'win32' ? 'ffmpeg.exe' : 'ffmpeg');
-        const ffprobeBinary = path.join(vendorDir, os.platform() === 'win32' ? 'ffprobe.exe' : 'ffprobe');
-        if (fsSync.existsSync(ffmpegBinary) && fsSync.existsSync(ffprobeBinary)) return true;
-        // Check global path (may throw)
-        try {
-            child_process.execSync('ffmpeg -version', { stdio: 'ignore' });
-            child_process.execSync('ffprobe -version', { stdio: 'ignore' });
-            return true;
-        } catch (e) {
-            return false;
-        }
-    },
+    measureLoudness,
+    loudnessGain,
+    normalizeLoudness,
+    isFfmpegAvailable,
 };
@@ -4,13 +4,15 @@
  */
 
 const { getAudioMetadata } = require('./audioConverter');
+const { readWav, toMono } = require('./wav');
+const { analyzeSignal, evaluateSignal } = require('./signalAnalysis');
 const fs = require('fs').promises;
 
 /**
  * Validate audio file quality
  * @param {string} filePath - Path to audio file
  * @param {string} expectedText - Expected transcript (for duration estimation)
- * @returns {Promise<object>} Validation result
+ * @returns {Promise<object>} Validation result; signal metrics are in metadata.signal
  */
 async function validateAudio(filePath, expectedText = '') {
     const checks = {
@@ -23,9 +25,11 @@ async function validateAudio(filePath, expectedText = '') {
         expected_duration: null,
         duration_reasonable: false,
         size_reasonable: false,
+        signal_analyzed: false,
     };
     
     const errors = [];
+    const warnings = [];
 
     // 1. Check file exists
     try {
@@ -33,7 +37,7 @@ async function validateAudio(filePath, expectedText = '') {
         checks.file_exists = true;
     } catch {
         errors.push('File does not exist');
-        return { valid: false, errors, checks };
+        return { valid: false, errors, warnings, checks };
     }
 
     // 2. Get audio metadata
@@ -47,7 +51,7 @@ async function validateAudio(filePath, expectedText = '') {
         checks.file_size = metadata.file_size;
     } catch (error) {
         errors.push(`Failed to read audio metadata: ${error.message}`);
-        return { valid: false, errors, checks };
+        return { valid: false, errors, warnings, checks };
     }
 
     // 3. Validate format
@@ -114,15 +118,25 @@ async function validateAudio(filePath, expectedText = '') {
         checks.size_reasonable = false;
     }
 
-    // 9. Check for silence (basic heuristic)
-    const expectedMinSize = checks.sample_rate * 2 * checks.duration * 0.1; // At least 10% of theoretical size
-    if (checks.file_size < expectedMinSize) {
-        errors.push('Audio may be silent or very quiet');
+    // 9. Signal-level checks (level, clipping, noise, silence) on the decoded samples
+    if (checks.format === 'wav') {
+        try {
+            const wav = await readWav(filePath);
+            metadata.signal = analyzeSignal(toMono(wav.channels), wav.sampleRate);
+            checks.signal_analyzed = true;
+
+            const signalResult = evaluateSignal(metadata.signal);
+            errors.push(...signalResult.errors);
+            warnings.push(...signalResult.warnings);
+        } catch (error) {
+            warnings.push(`Signal analysis skipped: ${error.message}`);
+        }
     }
 
     return {
         valid: errors.length === 0,
         errors,
+        warnings,
         checks,
         metadata,
     };
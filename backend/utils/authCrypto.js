@@ -0,0 +1,79 @@
+/**
+ * Password hashing and token helpers for contributor accounts
+ * Uses Node's built-in crypto (scrypt + SHA-256), no external dependencies
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt$<salt hex>$<hash hex>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(password, salt);
+    return `scrypt$${salt.toString('hex')}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword()
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (!password || !stored) return false;
+
+    const [scheme, saltHex, hashHex] = stored.split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(password, Buffer.from(saltHex, 'hex'));
+    return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Generate a random URL-safe token (for magic links and session cookies)
+ * @returns {string}
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a token for storage; only hashes are written to the database
+ * @param {string} token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Normalize an email address the same way everywhere (lowercase, trimmed)
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+}
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (err, derived) => {
+            if (err) reject(err);
+            else resolve(derived);
+        });
+    });
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    normalizeEmail,
+};
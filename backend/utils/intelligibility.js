@@ -0,0 +1,89 @@
+/**
+ * Intelligibility ratings
+ * Reviewers rate how much of a recording a listener understands, on a 1–5
+ * scale tied to the share of words understood. A recording's score is the mean
+ * of its ratings, and its tier (low, medium, high) buckets that score for
+ * reports and exports.
+ */
+
+const INTELLIGIBILITY_SCALE = {
+    1: 'Not understandable (under 20% of words)',
+    2: 'A few words understood (20–40%)',
+    3: 'About half understood (40–60%)',
+    4: 'Most words understood (60–80%)',
+    5: 'Fully understandable (over 80%)',
+};
+
+// Tiers by mean rating: a recording is in the first tier whose max it does not exceed
+const INTELLIGIBILITY_TIERS = [
+    { tier: 'low', max: 2.5 },
+    { tier: 'medium', max: 3.5 },
+    { tier: 'high', max: 5 },
+];
+
+/**
+ * Validate a rating
+ * @param {*} input - 1–5, or null to take the rating back
+ * @returns {{ rating: number|null, errors: string[] }}
+ */
+function validateRating(input) {
+    if (input === null) {
+        return { rating: null, errors: [] };
+    }
+    if (!Number.isInteger(input) || !INTELLIGIBILITY_SCALE[input]) {
+        return { rating: null, errors: ['rating must be a whole number from 1 to 5, or null'] };
+    }
+    return { rating: input, errors: [] };
+}
+
+/**
+ * The tier of a mean rating
+ * @param {number|null} mean
+ * @returns {string|null} null for unrated recordings
+ */
+function intelligibilityTier(mean) {
+    if (mean === null || mean === undefined) return null;
+    return INTELLIGIBILITY_TIERS.find(({ max }) => mean <= max).tier;
+}
+
+/**
+ * Intelligibility per speaker or per sentence
+ * @param {object[]} recordings - Rated recordings: [{ [key], intelligibility }] where
+ *   intelligibility is the recording's mean rating
+ * @param {string} key - Field to group by, e.g. 'speaker_id' or 'sentence_id'
+ * @returns {object[]} [{ [key], recordings, mean, tier, tiers: { low, medium, high } }],
+ *   least intelligible first
+ */
+function aggregateIntelligibility(recordings, key) {
+    const groups = new Map();
+    for (const recording of recordings) {
+        const id = recording[key];
+        if (!groups.has(id)) {
+            groups.set(id, {
+                [key]: id,
+                recordings: 0,
+                sum: 0,
+                tiers: Object.fromEntries(INTELLIGIBILITY_TIERS.map(({ tier }) => [tier, 0])),
+            });
+        }
+        const group = groups.get(id);
+        group.recordings++;
+        group.sum += recording.intelligibility;
+        group.tiers[intelligibilityTier(recording.intelligibility)]++;
+    }
+
+    return [...groups.values()]
+        .map(({ sum, tiers, ...group }) => {
+            const mean = sum / group.recordings;
+            return { ...group, mean, tier: intelligibilityTier(mean), tiers };
+        })
+        .sort((a, b) => a.mean - b.mean);
+}
+
+module.exports = {
+    INTELLIGIBILITY_SCALE,
+    INTELLIGIBILITY_TIERS,
+    validateRating,
+    intelligibilityTier,
+    aggregateIntelligibility,
+};
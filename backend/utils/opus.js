@@ -0,0 +1,250 @@
+/**
+ * Opus audio without ffmpeg
+ * Pulls Opus packets out of WebM (what browsers' MediaRecorder produces) and
+ * Ogg containers, and decodes them with the WebAssembly build of libopus
+ * (opus-decoder).
+ */
+
+// Matroska/WebM element IDs (with their length marker bits, as written in the file)
+const EBML = {
+    HEADER: 0x1a45dfa3,
+    SEGMENT: 0x18538067,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_NUMBER: 0xd7,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63a2,
+    CLUSTER: 0x1f43b675,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1,
+    SIMPLE_BLOCK: 0xa3,
+};
+
+// Elements whose children we need; everything else is skipped by size
+const EBML_MASTERS = new Set([EBML.SEGMENT, EBML.TRACKS, EBML.TRACK_ENTRY, EBML.CLUSTER, EBML.BLOCK_GROUP]);
+
+/**
+ * Read an EBML variable-length integer
+ * @returns {object|null} { value, length, unknown } (value keeps the marker bit when keepMarker)
+ */
+function readVint(buffer, offset, keepMarker = false) {
+    if (offset >= buffer.length) return null;
+    const first = buffer[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Parse the OpusHead identification header (RFC 7845 section 5.1)
+ * @param {Buffer} packet
+ * @returns {object} { channels, preSkip, inputSampleRate, mappingFamily, streamCount, coupledStreamCount, channelMappingTable }
+ */
+function parseOpusHead(packet) {
+    if (packet.length < 19 || packet.toString('ascii', 0, 8) !== 'OpusHead') {
+        throw new Error('Missing OpusHead header');
+    }
+    const head = {
+        channels: packet[9],
+        preSkip: packet.readUInt16LE(10),
+        inputSampleRate: packet.readUInt32LE(12),
+        mappingFamily: packet[18],
+    };
+    if (head.mappingFamily !== 0) {
+        head.streamCount = packet[19];
+        head.coupledStreamCount = packet[20];
+        head.channelMappingTable = Array.from(packet.subarray(21, 21 + head.channels));
+    }
+    return head;
+}
+
+/**
+ * Split a Matroska block's payload into frames according to its lacing
+ */
+function unlace(block, offset, flags) {
+    const lacing = (flags >> 1) & 0x03;
+    if (lacing === 0) return [block.subarray(offset)];
+
+    const count = block[offset] + 1;
+    let pos = offset + 1;
+    const sizes = [];
+
+    if (lacing === 1) { // Xiph
+        for (let i = 0; i < count - 1; i++) {
+            let size = 0;
+            let byte;
+            do {
+                byte = block[pos++];
+                size += byte;
+            } while (byte === 0xff);
+            sizes.push(size);
+        }
+    } else if (lacing === 3) { // EBML
+        let vint = readVint(block, pos);
+        let size = vint.value;
+        pos += vint.length;
+        sizes.push(size);
+        for (let i = 1; i < count - 1; i++) {
+            vint = readVint(block, pos);
+            pos += vint.length;
+            size += vint.value - (2 ** (7 * vint.length - 1) - 1); // Signed difference
+            sizes.push(size);
+        }
+    } else { // Fixed
+        const size = Math.floor((block.length - pos) / count);
+        for (let i = 0; i < count - 1; i++) sizes.push(size);
+    }
+
+    const frames = [];
+    for (const size of sizes) {
+        frames.push(block.subarray(pos, pos + size));
+        pos += size;
+    }
+    frames.push(block.subarray(pos));
+    return frames;
+}
+
+/**
+ * Extract the Opus stream from a WebM file
+ * Copes with the unknown-size segments and clusters MediaRecorder writes, and
+ * with a truncated last cluster.
+ * @param {Buffer} buffer
+ * @returns {object} { head, packets: Uint8Array[] }
+ */
+function demuxWebm(buffer) {
+    let head = null;
+    let opusTrack = null;
+    let entry = null;
+    const packets = [];
+
+    let offset = 0;
+    while (offset < buffer.length) {
+        const id = readVint(buffer, offset, true);
+        if (!id) break;
+        const size = readVint(buffer, offset + id.length);
+        if (!size) break;
+        const dataStart = offset + id.length + size.length;
+
+        if (EBML_MASTERS.has(id.value)) {
+            if (id.value === EBML.TRACK_ENTRY) entry = {};
+            offset = dataStart; // Descend (works for unknown sizes too)
+            continue;
+        }
+        if (size.unknown) break;
+
+        const dataEnd = dataStart + size.value;
+        if (dataEnd > buffer.length) break; // Truncated element: keep what we have
+        const data = buffer.subarray(dataStart, dataEnd);
+
+        if (entry && id.value === EBML.TRACK_NUMBER) {
+            entry.number = data.readUIntBE(0, data.length);
+        } else if (entry && id.value === EBML.CODEC_ID) {
+            entry.codec = data.toString('ascii').replace(/\0+$/, '');
+        } else if (entry && id.value === EBML.CODEC_PRIVATE) {
+            entry.codecPrivate = data;
+        }
+
+        if (entry && entry.codec === 'A_OPUS' && entry.number !== undefined && entry.codecPrivate && !head) {
+            head = parseOpusHead(entry.codecPrivate);
+            opusTrack = entry.number;
+        }
+
+        if ((id.value === EBML.SIMPLE_BLOCK || id.value === EBML.BLOCK) && opusTrack !== null) {
+            const track = readVint(data, 0);
+            if (track && track.value === opusTrack) {
+                const flags = data[track.length + 2];
+                packets.push(...unlace(data, track.length + 3, flags));
+            }
+        }
+
+        offset = dataEnd;
+    }
+
+    if (!head) {
+        throw new Error('No Opus track found in WebM file');
+    }
+    return { head, packets };
+}
+
+/**
+ * Extract the Opus stream from an Ogg file (first logical stream)
+ * @param {Buffer} buffer
+ * @returns {object} { head, packets: Uint8Array[] }
+ */
+function demuxOgg(buffer) {
+    const allPackets = [];
+    let serial = null;
+    let pending = [];
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length && buffer.toString('ascii', offset, offset + 4) === 'OggS') {
+        const pageSerial = buffer.readUInt32LE(offset + 14);
+        const segmentCount = buffer[offset + 26];
+        const table = buffer.subarray(offset + 27, offset + 27 + segmentCount);
+        let pos = offset + 27 + segmentCount;
+        if (serial === null) serial = pageSerial;
+
+        for (const lacingValue of table) {
+            if (pageSerial === serial) pending.push(buffer.subarray(pos, pos + lacingValue));
+            pos += lacingValue;
+            if (lacingValue < 255 && pageSerial === serial) {
+                allPackets.push(Buffer.concat(pending));
+                pending = [];
+            }
+        }
+        offset = pos;
+    }
+
+    if (allPackets.length === 0) {
+        throw new Error('No Ogg pages found');
+    }
+    // Packet 0 is OpusHead, packet 1 OpusTags; audio follows
+    return { head: parseOpusHead(allPackets[0]), packets: allPackets.slice(2) };
+}
+
+/**
+ * Decode Opus packets
+ * @param {object} head - From parseOpusHead
+ * @param {Uint8Array[]} packets
+ * @param {number} sampleRate - 8000, 12000, 16000, 24000 or 48000 (libopus decodes natively at these)
+ * @returns {Promise<object>} { sampleRate, channels: Float32Array[] }
+ */
+async function decodeOpus(head, packets, sampleRate = 48000) {
+    const { OpusDecoder } = await import('opus-decoder');
+    const decoder = new OpusDecoder({
+        sampleRate,
+        channels: head.channels,
+        preSkip: head.preSkip,
+        ...(head.mappingFamily !== 0 && {
+            streamCount: head.streamCount,
+            coupledStreamCount: head.coupledStreamCount,
+            channelMappingTable: head.channelMappingTable,
+        }),
+    });
+
+    try {
+        await decoder.ready;
+        const { channelData, samplesDecoded, errors } = decoder.decodeFrames(packets);
+        if (samplesDecoded === 0 && errors.length > 0) {
+            throw new Error(`Opus decoding failed: ${errors[0].message}`);
+        }
+        return { sampleRate, channels: channelData.map(channel => channel.subarray(0, samplesDecoded)) };
+    } finally {
+        decoder.free();
+    }
+}
+
+module.exports = {
+    parseOpusHead,
+    demuxWebm,
+    demuxOgg,
+    decodeOpus,
+};
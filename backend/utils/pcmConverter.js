@@ -0,0 +1,165 @@
+/**
+ * Pure-JavaScript audio conversion
+ * Fallback for servers without ffmpeg: decodes WAV and Opus (WebM/Ogg, as
+ * recorded by browsers), downmixes, resamples and writes 16kHz mono WAV.
+ * Results match audioConverter's so callers do not need to know which ran.
+ */
+
+const fs = require('fs').promises;
+const { parseWav, toMono, encodeWav } = require('./wav');
+const { demuxWebm, demuxOgg, decodeOpus } = require('./opus');
+
+const TARGET_RATE = 16000;
+
+// Resampling kernel: Blackman-windowed sinc, tabulated
+const ZERO_CROSSINGS = 16;
+const TABLE_RESOLUTION = 512;
+const KERNEL = (() => {
+    const table = new Float32Array(ZERO_CROSSINGS * TABLE_RESOLUTION + 2);
+    for (let i = 0; i < table.length; i++) {
+        const x = i / TABLE_RESOLUTION;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const phase = Math.PI * Math.min(x, ZERO_CROSSINGS) / ZERO_CROSSINGS;
+        const window = 0.42 + 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        table[i] = sinc * window;
+    }
+    return table;
+})();
+
+function kernel(x) {
+    const position = Math.abs(x) * TABLE_RESOLUTION;
+    const index = Math.floor(position);
+    if (index >= ZERO_CROSSINGS * TABLE_RESOLUTION) return 0;
+    const fraction = position - index;
+    return KERNEL[index] + (KERNEL[index + 1] - KERNEL[index]) * fraction;
+}
+
+/**
+ * Resample mono samples (band-limited, so downsampling does not alias)
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio);  // Low-pass at the lower Nyquist frequency
+    const halfWidth = ZERO_CROSSINGS / cutoff;
+    const output = new Float32Array(Math.round(samples.length * ratio));
+
+    for (let i = 0; i < output.length; i++) {
+        const center = i / ratio;
+        const first = Math.max(0, Math.ceil(center - halfWidth));
+        const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+        let sum = 0;
+        let weights = 0;
+        for (let j = first; j <= last; j++) {
+            const weight = kernel((j - center) * cutoff);
+            sum += samples[j] * weight;
+            weights += weight;
+        }
+        output[i] = weights ? sum / weights : 0;
+    }
+    return output;
+}
+
+/**
+ * Identify a file's container from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} 'wav' | 'webm' | 'ogg', or null when it cannot be decoded here
+ */
+function detectFormat(buffer) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+    if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+    return null;
+}
+
+/**
+ * Check whether a file can be handled without ffmpeg
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function canDecode(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+        return detectFormat(buffer.subarray(0, bytesRead)) !== null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Decode an audio file
+ * @param {string} filePath
+ * @param {object} [options] - { opusRate }: rate to decode Opus at (48kHz by default)
+ * @returns {Promise<object>} { format, codec, sampleRate, channels: Float32Array[], bitsPerSample, fileSize }
+ */
+async function decodeFile(filePath, options = {}) {
+    const { opusRate = 48000 } = options;
+    const buffer = await fs.readFile(filePath);
+    const format = detectFormat(buffer);
+
+    if (format === 'wav') {
+        const wav = parseWav(buffer);
+        const codec = wav.format === 'float' ? 'pcm_f32le' : wav.bitsPerSample === 8 ? 'pcm_u8' : `pcm_s${wav.bitsPerSample}le`;
+        return { format, codec, sampleRate: wav.sampleRate, channels: wav.channels, bitsPerSample: wav.bitsPerSample, fileSize: buffer.length };
+    }
+    if (format === 'webm' || format === 'ogg') {
+        const { head, packets } = format === 'webm' ? demuxWebm(buffer) : demuxOgg(buffer);
+        const decoded = await decodeOpus(head, packets, opusRate);
+        return { format, codec: 'opus', sampleRate: decoded.sampleRate, channels: decoded.channels, bitsPerSample: null, fileSize: buffer.length };
+    }
+    throw new Error('Unsupported audio format (only WAV and Opus in WebM/Ogg can be decoded without ffmpeg)');
+}
+
+/**
+ * Convert audio file to 16kHz mono WAV
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @returns {Promise<string>} outputPath
+ */
+async function convertToWav(inputPath, outputPath) {
+    // libopus decodes straight to 16kHz; only WAV input needs resampling
+    const decoded = await decodeFile(inputPath, { opusRate: TARGET_RATE });
+    const samples = resample(toMono(decoded.channels), decoded.sampleRate, TARGET_RATE);
+    await fs.writeFile(outputPath, encodeWav(samples, TARGET_RATE));
+    console.log(`✓ Converted to WAV (built-in decoder): ${outputPath}`);
+    return outputPath;
+}
+
+/**
+ * Get audio file metadata (same shape as audioConverter.getAudioMetadata)
+ * @param {string} filePath
+ * @returns {Promise<object>} { format, duration, sample_rate, channels, bit_rate, file_size, codec }
+ */
+async function getAudioMetadata(filePath) {
+    // Opus decodes fastest at 16kHz and the duration is the same; it is always coded at 48kHz
+    const decoded = await decodeFile(filePath, { opusRate: TARGET_RATE });
+    const duration = decoded.channels[0].length / decoded.sampleRate;
+    const isWav = decoded.format === 'wav';
+
+    return {
+        format: isWav ? 'wav' : decoded.format === 'webm' ? 'matroska,webm' : 'ogg',
+        duration,
+        sample_rate: isWav ? decoded.sampleRate : 48000,
+        channels: decoded.channels.length,
+        bit_rate: isWav
+            ? decoded.sampleRate * decoded.channels.length * decoded.bitsPerSample
+            : duration > 0 ? Math.round(decoded.fileSize * 8 / duration) : 0,
+        file_size: decoded.fileSize,
+        codec: decoded.codec,
+    };
+}
+
+module.exports = {
+    resample,
+    detectFormat,
+    canDecode,
+    decodeFile,
+    convertToWav,
+    getAudioMetadata,
+};
@@ -0,0 +1,69 @@
+/**
+ * Recorder page settings
+ * Per-speaker visual cues: high-visibility mode, a countdown before capture and
+ * automatic stop after trailing silence. Defaults leave the recorder as it was.
+ */
+
+const DEFAULT_RECORDER_SETTINGS = {
+    high_visibility: false,
+    countdown_seconds: 0,
+    auto_stop_silence_seconds: null,
+};
+
+// Allowed ranges for the numeric settings
+const RECORDER_SETTING_LIMITS = {
+    countdown_seconds: { min: 0, max: 10 },
+    auto_stop_silence_seconds: { min: 0.5, max: 10 },
+};
+
+const RECORDER_SETTING_FIELDS = Object.keys(DEFAULT_RECORDER_SETTINGS);
+
+/**
+ * Validate settings submitted by a speaker
+ * Omitted fields get their defaults.
+ * @param {object} input - Request body
+ * @returns {{ settings: object, errors: string[] }}
+ */
+function validateRecorderSettings(input = {}) {
+    const settings = { ...DEFAULT_RECORDER_SETTINGS };
+    const errors = [];
+
+    if (input.high_visibility !== undefined) {
+        if (typeof input.high_visibility !== 'boolean') {
+            errors.push('high_visibility must be true or false');
+        } else {
+            settings.high_visibility = input.high_visibility;
+        }
+    }
+
+    if (input.countdown_seconds !== undefined) {
+        const { min, max } = RECORDER_SETTING_LIMITS.countdown_seconds;
+        const value = Number(input.countdown_seconds);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`countdown_seconds must be a whole number from ${min} to ${max}`);
+        } else {
+            settings.countdown_seconds = value;
+        }
+    }
+
+    // null or empty turns auto-stop off
+    const autoStop = input.auto_stop_silence_seconds;
+    if (autoStop !== undefined && autoStop !== null && autoStop !== '') {
+        const { min, max } = RECORDER_SETTING_LIMITS.auto_stop_silence_seconds;
+        const value = Number(autoStop);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            errors.push(`auto_stop_silence_seconds must be from ${min} to ${max}, or empty to turn it off`);
+        } else {
+            settings.auto_stop_silence_seconds = value;
+        }
+    }
+
+    return { settings, errors };
+}
+
+module.exports = {
+    DEFAULT_RECORDER_SETTINGS,
+    RECORDER_SETTING_LIMITS,
+    RECORDER_SETTING_FIELDS,
+    validateRecorderSettings,
+};
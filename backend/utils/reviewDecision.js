@@ -0,0 +1,179 @@
+/**
+ * Reviewer decisions on recordings
+ * Request validation for PATCH /api/recordings/:id and for the rejection reason
+ * taxonomy admins manage (rejection_reasons table), and how reviewers' votes
+ * (recording_reviews) combine into a recording's status
+ */
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_LABEL_LENGTH = 100;
+const REASON_CODE_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+/**
+ * Validate a reviewer's decision
+ * Rejection reasons may only be given when rejecting. Going back to pending
+ * clears the reasons and the comment.
+ * @param {object} input - Request body: { status, rejection_reasons?, comment? }
+ * @param {object[]} reasons - Active rejection reasons: [{ code, needs_rerecording }]
+ * @returns {{ decision: object, errors: string[] }} decision is
+ *   { status, rejection_reasons, review_comment, needs_rerecording }
+ */
+function validateReviewDecision(input = {}, reasons = []) {
+    const errors = [];
+    const { status } = input;
+    if (!REVIEW_STATUSES.includes(status)) {
+        errors.push(`status must be ${REVIEW_STATUSES.slice(0, -1).join(', ')}, or ${REVIEW_STATUSES.slice(-1)}`);
+    }
+
+    let codes = [];
+    if (input.rejection_reasons !== undefined && input.rejection_reasons !== null) {
+        if (!Array.isArray(input.rejection_reasons)) {
+            errors.push('rejection_reasons must be an array of reason codes');
+        } else {
+            codes = [...new Set(input.rejection_reasons)];
+            const known = new Set(reasons.map(reason => reason.code));
+            const unknown = codes.filter(code => !known.has(code));
+            if (unknown.length > 0) {
+                errors.push(`Unknown rejection reason: ${unknown.join(', ')} (allowed: ${[...known].join(', ')})`);
+            }
+            if (codes.length > 0 && status !== 'rejected') {
+                errors.push('rejection_reasons can only be given when rejecting');
+            }
+        }
+    }
+
+    let comment = null;
+    if (input.comment !== undefined && input.comment !== null) {
+        if (typeof input.comment !== 'string') {
+            errors.push('comment must be a string');
+        } else if (input.comment.trim().length > MAX_COMMENT_LENGTH) {
+            errors.push(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+        } else {
+            comment = input.comment.trim() || null;
+        }
+    }
+
+    return {
+        decision: {
+            status,
+            rejection_reasons: status === 'rejected' ? codes : [],
+            review_comment: status === 'pending' ? null : comment,
+            needs_rerecording: status === 'rejected' && needsRerecording(codes, reasons),
+        },
+        errors,
+    };
+}
+
+/**
+ * Whether a rejection asks for a new take: yes unless every reason given says otherwise
+ * @param {string[]} codes - Reasons given
+ * @param {object[]} reasons - Rejection reasons: [{ code, needs_rerecording }]
+ * @returns {boolean}
+ */
+function needsRerecording(codes, reasons) {
+    return codes.length === 0
+        || reasons.some(reason => codes.includes(reason.code) && reason.needs_rerecording);
+}
+
+/**
+ * A recording's status from its reviewers' votes
+ * With one review required the latest vote decides, so a reviewer can still
+ * overturn an earlier decision; otherwise the majority does.
+ * @param {object[]} votes - [{ decision: 'approved' | 'rejected' }], oldest first
+ * @param {number} [required] - Votes needed before the recording is decided
+ * @returns {object} { status, outcome, approved, rejected }: outcome is 'awaiting_votes'
+ *   or 'tie' (both leave the recording pending), 'majority' or 'latest'
+ */
+function tallyVotes(votes, required = 1) {
+    const approved = votes.filter(vote => vote.decision === 'approved').length;
+    const rejected = votes.length - approved;
+
+    if (votes.length < required) {
+        return { status: 'pending', outcome: 'awaiting_votes', approved, rejected };
+    }
+    if (required <= 1) {
+        return { status: votes[votes.length - 1].decision, outcome: 'latest', approved, rejected };
+    }
+    if (approved === rejected) {
+        return { status: 'pending', outcome: 'tie', approved, rejected };
+    }
+    return { status: approved > rejected ? 'approved' : 'rejected', outcome: 'majority', approved, rejected };
+}
+
+/**
+ * Combine the reasons and comments of the votes to reject a recording
+ * @param {object[]} votes - Rejecting votes: [{ rejection_reasons, comment }]
+ * @returns {object} { rejection_reasons, review_comment } (every reason once, in the
+ *   order first given; distinct comments one per line)
+ */
+function mergeRejections(votes) {
+    const codes = new Set(votes.flatMap(vote => vote.rejection_reasons || []));
+    const comments = new Set(votes.map(vote => vote.comment).filter(Boolean));
+    return {
+        rejection_reasons: [...codes],
+        review_comment: comments.size > 0 ? [...comments].join('\n') : null,
+    };
+}
+
+/**
+ * Validate a rejection reason an admin adds or edits
+ * @param {string} code - From the URL; fixed once recordings use it
+ * @param {object} input - Request body: { label, needs_rerecording?, active?, sort_order? }
+ * @returns {{ reason: object, errors: string[] }}
+ */
+function validateRejectionReason(code, input = {}) {
+    const errors = [];
+    if (!REASON_CODE_PATTERN.test(code || '')) {
+        errors.push('code must be lowercase letters, digits and underscores, starting with a letter');
+    }
+
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (!label) {
+        errors.push('label is required');
+    } else if (label.length > MAX_LABEL_LENGTH) {
+        errors.push(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    for (const field of ['needs_rerecording', 'active']) {
+        if (input[field] !== undefined && typeof input[field] !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        }
+    }
+    if (input.sort_order !== undefined && !Number.isInteger(input.sort_order)) {
+        errors.push('sort_order must be an integer');
+    }
+
+    return {
+        reason: {
+            code,
+            label,
+            needs_rerecording: input.needs_rerecording !== false,
+            active: input.active !== false,
+            sort_order: Number.isInteger(input.sort_order) ? input.sort_order : 0,
+        },
+        errors,
+    };
+}
+
+/**
+ * Reason codes with their labels, for showing to reviewers and speakers
+ * @param {string[]} codes
+ * @param {object[]} reasons - All rejection reasons, retired ones included
+ * @returns {object[]} [{ code, label }]; a code no longer in the table is its own label
+ */
+function describeReasons(codes = [], reasons = []) {
+    const labels = new Map(reasons.map(reason => [reason.code, reason.label]));
+    return codes.map(code => ({ code, label: labels.get(code) || code }));
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    MAX_COMMENT_LENGTH,
+    validateReviewDecision,
+    validateRejectionReason,
+    describeReasons,
+    needsRerecording,
+    tallyVotes,
+    mergeRejections,
+};
@@ -0,0 +1,69 @@
+/**
+ * Sign-language video prompts
+ * A sentence can have an optional Indian Sign Language clip (sentences.sign_video_filepath)
+ * that the recorder shows next to the text.
+ */
+
+// Accepted upload extensions → Content-Type (formats every browser can play)
+const SIGN_VIDEO_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+};
+
+const SIGN_VIDEO_MAX_BYTES = (parseInt(process.env.SIGN_VIDEO_MAX_MB) || 50) * 1024 * 1024;
+
+/**
+ * Content-Type for a stored video key
+ * @param {string} key
+ * @returns {string}
+ */
+function signVideoContentType(key) {
+    const ext = (key.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+    return SIGN_VIDEO_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * URL the recorder plays a sentence's video from (null when it has none)
+ * The upload time is appended so a replaced video is not served from cache.
+ * @param {object} sentence - Row with id, sign_video_filepath and sign_video_updated_at
+ * @returns {string|null}
+ */
+function signVideoUrl(sentence) {
+    if (!sentence.sign_video_filepath) return null;
+    const version = sentence.sign_video_updated_at ? new Date(sentence.sign_video_updated_at).getTime() : 0;
+    return `/api/sentences/${sentence.id}/sign-video?v=${version}`;
+}
+
+/**
+ * Parse a single-range Range header ("bytes=start-end", "bytes=start-", "bytes=-suffix")
+ * Video elements (Safari in particular) need range responses to play and seek.
+ * @param {string|undefined} header
+ * @param {number} size - Total size in bytes
+ * @returns {object|null|false} { start, end } (inclusive), null when there is no usable
+ *   range (send everything), false when it cannot be satisfied (416)
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start >= size || start > end) return false;
+    return { start, end };
+}
+
+module.exports = {
+    SIGN_VIDEO_TYPES,
+    SIGN_VIDEO_MAX_BYTES,
+    signVideoContentType,
+    signVideoUrl,
+    parseRange,
+};
@@ -0,0 +1,196 @@
+/**
+ * Signal-level audio analysis
+ * Frame-based level, clipping, noise and silence measurements on decoded PCM,
+ * plus the thresholds that turn them into validation warnings and errors.
+ */
+
+const FRAME_MS = 20;
+const CLIP_LEVEL = 0.999;     // |sample| at or above this counts as clipped (≈ 32735 in 16-bit)
+const MIN_DB = -120;          // Floor for digital silence so results stay JSON-serializable
+
+/**
+ * Thresholds, each overridable through the environment as
+ * QUALITY_<NAME>_WARN / QUALITY_<NAME>_ERROR (e.g. QUALITY_MIN_SNR_DB_ERROR=8).
+ * `min_*` checks fail below the limit, `max_*` checks fail above it; an empty
+ * value disables that level.
+ */
+const DEFAULT_THRESHOLDS = {
+    min_rms_dbfs:           { warn: -35,   error: -50 },
+    max_peak_dbfs:          { warn: -0.1,  error: null },
+    max_clipping_ratio:     { warn: 0.001, error: 0.01 },
+    min_snr_db:             { warn: 15,    error: 6 },
+    max_dc_offset:          { warn: 0.02,  error: 0.1 },
+    max_leading_silence_s:  { warn: 2,     error: null },
+    max_trailing_silence_s: { warn: 2,     error: null },
+    min_voiced_percent:     { warn: 30,    error: 10 },
+};
+
+const METRIC_LABELS = {
+    min_rms_dbfs:           ['rms_dbfs', 'Recording is too quiet', 'dBFS'],
+    max_peak_dbfs:          ['peak_dbfs', 'Recording peaks at full scale', 'dBFS'],
+    max_clipping_ratio:     ['clipping_ratio', 'Recording is clipped', ''],
+    min_snr_db:             ['snr_db', 'Background noise is too high', 'dB SNR'],
+    max_dc_offset:          ['dc_offset', 'Microphone DC offset is too large', ''],
+    max_leading_silence_s:  ['leading_silence_s', 'Too much silence before speech', 's'],
+    max_trailing_silence_s: ['trailing_silence_s', 'Too much silence after speech', 's'],
+    min_voiced_percent:     ['voiced_percent', 'Too little speech in the recording', '%'],
+};
+
+/**
+ * Current thresholds (defaults merged with environment overrides)
+ * @param {object} env
+ * @returns {object}
+ */
+function getThresholds(env = process.env) {
+    const thresholds = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_THRESHOLDS)) {
+        thresholds[name] = { ...defaults };
+        for (const level of ['warn', 'error']) {
+            const raw = env[`QUALITY_${name.toUpperCase()}_${level.toUpperCase()}`];
+            if (raw === undefined) continue;
+            const value = parseFloat(raw);
+            thresholds[name][level] = raw.trim() === '' || Number.isNaN(value) ? null : value;
+        }
+    }
+    return thresholds;
+}
+
+function toDb(amplitude) {
+    return amplitude > 0 ? Math.max(MIN_DB, 20 * Math.log10(amplitude)) : MIN_DB;
+}
+
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return MIN_DB;
+    const index = Math.min(sortedValues.length - 1, Math.max(0, Math.round((p / 100) * (sortedValues.length - 1))));
+    return sortedValues[index];
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * RMS level of each frame
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} frameMs
+ * @returns {object} { frameSize, levels: number[] (dBFS) }
+ */
+function frameLevels(samples, sampleRate, frameMs = FRAME_MS) {
+    const frameSize = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+    const levels = [];
+    for (let start = 0; start < samples.length; start += frameSize) {
+        const end = Math.min(samples.length, start + frameSize);
+        let squares = 0;
+        for (let i = start; i < end; i++) squares += samples[i] * samples[i];
+        levels.push(toDb(Math.sqrt(squares / (end - start))));
+    }
+    return { frameSize, levels };
+}
+
+/**
+ * Level above which a frame counts as speech
+ * Above the absolute silence threshold and clearly above the noise floor (10th
+ * percentile), but never above the loud frames themselves (95th percentile), so
+ * a recording without pauses still counts as voiced.
+ * @param {number[]} levels - From frameLevels
+ * @param {object} options - { silenceThresholdDb, voicedMarginDb }
+ * @returns {object} { threshold, noiseFloor, speechLevel }
+ */
+function voicingThreshold(levels, options = {}) {
+    const {
+        silenceThresholdDb = parseFloat(process.env.QUALITY_SILENCE_THRESHOLD_DB) || -45,
+        voicedMarginDb = 6,
+    } = options;
+
+    const sorted = [...levels].sort((a, b) => a - b);
+    const noiseFloor = percentile(sorted, 10);
+    const speechLevel = percentile(sorted, 95);
+    const threshold = Math.max(silenceThresholdDb, Math.min(noiseFloor + voicedMarginDb, speechLevel - voicedMarginDb));
+    return { threshold, noiseFloor, speechLevel };
+}
+
+/**
+ * Analyze mono samples
+ * SNR compares loud frames with the noise floor and is null unless the
+ * recording has both speech and pauses.
+ * @param {Float32Array} samples - Normalized to [-1, 1]
+ * @param {number} sampleRate
+ * @param {object} options - { frameMs, silenceThresholdDb, voicedMarginDb }
+ * @returns {object} Metrics
+ */
+function analyzeSignal(samples, sampleRate, options = {}) {
+    const { frameSize, levels } = frameLevels(samples, sampleRate, options.frameMs);
+    const { threshold, noiseFloor, speechLevel } = voicingThreshold(levels, options);
+
+    let sum = 0;
+    let sumSquares = 0;
+    let peak = 0;
+    let clipped = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        const magnitude = Math.abs(sample);
+        sum += sample;
+        sumSquares += sample * sample;
+        if (magnitude > peak) peak = magnitude;
+        if (magnitude >= CLIP_LEVEL) clipped++;
+    }
+
+    const voiced = levels.map(db => db > threshold);
+    const firstVoiced = voiced.indexOf(true);
+    const lastVoiced = voiced.lastIndexOf(true);
+    const frameSeconds = frameSize / sampleRate;
+    const duration = samples.length / sampleRate;
+    const voicedCount = voiced.filter(Boolean).length;
+    const snr = voicedCount > 0 && voicedCount < levels.length ? round(speechLevel - noiseFloor) : null;
+
+    return {
+        rms_dbfs: round(toDb(samples.length ? Math.sqrt(sumSquares / samples.length) : 0)),
+        peak_dbfs: round(toDb(peak)),
+        clipping_ratio: samples.length ? round(clipped / samples.length, 5) : 0,
+        dc_offset: samples.length ? round(sum / samples.length, 5) : 0,
+        noise_floor_dbfs: round(noiseFloor),
+        snr_db: snr,
+        leading_silence_s: round(firstVoiced === -1 ? duration : firstVoiced * frameSeconds),
+        trailing_silence_s: round(lastVoiced === -1 ? duration : Math.max(0, duration - (lastVoiced + 1) * frameSeconds)),
+        voiced_percent: levels.length ? round((voicedCount / levels.length) * 100, 1) : 0,
+    };
+}
+
+/**
+ * Compare metrics with thresholds
+ * @param {object} metrics - From analyzeSignal
+ * @param {object} thresholds - From getThresholds
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function evaluateSignal(metrics, thresholds = getThresholds()) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [name, limits] of Object.entries(thresholds)) {
+        const [metric, message, unit] = METRIC_LABELS[name];
+        if (metrics[metric] === null || metrics[metric] === undefined) continue;
+        const value = name === 'max_dc_offset' ? Math.abs(metrics[metric]) : metrics[metric];
+        const exceeds = (limit) => limit !== null && limit !== undefined &&
+            (name.startsWith('min_') ? value < limit : value > limit);
+        const describe = (limit) => `${message}: ${value}${unit ? ' ' + unit : ''} (${name.startsWith('min_') ? 'minimum' : 'maximum'} ${limit})`;
+
+        if (exceeds(limits.error)) {
+            errors.push(describe(limits.error));
+        } else if (exceeds(limits.warn)) {
+            warnings.push(describe(limits.warn));
+        }
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    getThresholds,
+    frameLevels,
+    voicingThreshold,
+    analyzeSignal,
+    evaluateSignal,
+};
@@ -0,0 +1,65 @@
+/**
+ * Tamper-evident reports
+ * Reports are serialized canonically (sorted keys) and signed with HMAC-SHA256,
+ * so anyone holding the secret can later verify a report was not altered.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'HMAC-SHA256';
+
+/**
+ * JSON serialization with object keys sorted at every level
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Sign a report
+ * @param {object} report
+ * @param {string} secret
+ * @returns {{ report: object, signature: { algorithm: string, value: string } }}
+ */
+function signReport(report, secret) {
+    if (!secret) {
+        throw new Error('A signing secret is required');
+    }
+
+    const value = crypto.createHmac('sha256', secret).update(canonicalJson(report)).digest('hex');
+    return { report, signature: { algorithm: ALGORITHM, value } };
+}
+
+/**
+ * Verify a report produced by signReport
+ * @param {object} signed - { report, signature }
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifySignedReport(signed, secret) {
+    if (!signed || !signed.report || !signed.signature || signed.signature.algorithm !== ALGORITHM) {
+        return false;
+    }
+
+    const expected = Buffer.from(signReport(signed.report, secret).signature.value, 'hex');
+    const actual = Buffer.from(String(signed.signature.value), 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+    canonicalJson,
+    signReport,
+    verifySignedReport,
+};
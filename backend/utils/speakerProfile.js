@@ -0,0 +1,104 @@
+/**
+ * Speaker demographic and hearing profile
+ * Field definitions, request validation and anonymization for dataset exports
+ */
+
+// Fields with a fixed set of values (null = not answered)
+const PROFILE_OPTIONS = {
+    hearing_loss_onset: ['congenital', 'prelingual', 'postlingual', 'unknown'],
+    hearing_loss_degree: ['mild', 'moderate', 'moderately_severe', 'severe', 'profound', 'unknown'],
+    hearing_device: ['none', 'hearing_aid', 'cochlear_implant', 'both'],
+    age_band: ['under_18', '18_24', '25_34', '35_44', '45_54', '55_64', '65_plus'],
+    gender: ['female', 'male', 'non_binary', 'other', 'prefer_not_to_say'],
+};
+
+// Free-text fields
+const PROFILE_TEXT_FIELDS = ['native_language', 'region'];
+const MAX_TEXT_LENGTH = 100;
+
+const PROFILE_FIELDS = [...Object.keys(PROFILE_OPTIONS), ...PROFILE_TEXT_FIELDS];
+
+/**
+ * Validate a profile submitted by a speaker
+ * Every field is optional; empty values are stored as null.
+ * @param {object} input - Request body
+ * @returns {{ profile: object, errors: string[] }}
+ */
+function validateSpeakerProfile(input = {}) {
+    const profile = {};
+    const errors = [];
+
+    for (const [field, allowed] of Object.entries(PROFILE_OPTIONS)) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') {
+            profile[field] = null;
+        } else if (allowed.includes(value)) {
+            profile[field] = value;
+        } else {
+            errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+        }
+    }
+
+    for (const field of PROFILE_TEXT_FIELDS) {
+        const value = input[field];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            profile[field] = null;
+        } else if (String(value).trim().length > MAX_TEXT_LENGTH) {
+            errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+        } else {
+            profile[field] = String(value).trim();
+        }
+    }
+
+    return { profile, errors };
+}
+
+/**
+ * Anonymize speaker profiles for export
+ * Free text is normalized, and any value shared by fewer than minGroupSize
+ * speakers is replaced with 'other' so rare combinations cannot single out a speaker.
+ * @param {Map<*, object>} profiles - Speaker key -> profile row
+ * @param {number} minGroupSize - Smallest group of speakers a value may describe
+ * @returns {Map<*, object>} Speaker key -> anonymized profile (unanswered fields omitted)
+ */
+function anonymizeProfiles(profiles, minGroupSize = 5) {
+    const normalized = new Map();
+    for (const [key, profile] of profiles) {
+        const clean = {};
+        for (const field of PROFILE_FIELDS) {
+            let value = profile ? profile[field] : null;
+            if (value && PROFILE_TEXT_FIELDS.includes(field)) {
+                value = value.trim().toLowerCase().replace(/\s+/g, ' ');
+            }
+            if (value) clean[field] = value;
+        }
+        normalized.set(key, clean);
+    }
+
+    // Count speakers per field value
+    const counts = {};
+    for (const clean of normalized.values()) {
+        for (const [field, value] of Object.entries(clean)) {
+            counts[field] = counts[field] || {};
+            counts[field][value] = (counts[field][value] || 0) + 1;
+        }
+    }
+
+    for (const clean of normalized.values()) {
+        for (const [field, value] of Object.entries(clean)) {
+            if (counts[field][value] < minGroupSize) {
+                clean[field] = 'other';
+            }
+        }
+    }
+
+    return normalized;
+}
+
+module.exports = {
+    PROFILE_OPTIONS,
+    PROFILE_TEXT_FIELDS,
+    PROFILE_FIELDS,
+    validateSpeakerProfile,
+    anonymizeProfiles,
+};
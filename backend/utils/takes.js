@@ -0,0 +1,84 @@
+/**
+ * Recording takes
+ * Every upload of a sentence by a speaker is a new take (recordings.take_number).
+ * Their recording of the sentence is the take they marked as preferred, or the
+ * latest take when none is marked.
+ */
+
+// ORDER BY that puts a speaker's chosen take of a sentence first (recordings aliased as r)
+const PREFERRED_TAKE_ORDER = 'r.is_preferred DESC, r.take_number DESC';
+
+// Per-take fields in GET /api/recordings; the rest describe the speaker and sentence
+const TAKE_FIELDS = [
+    'id', 'take_number', 'is_preferred', 'audio_filepath', 'duration', 'status',
+    'rejection_reasons', 'review_comment', 'verbatim_transcript', 'intelligibility',
+    'my_intelligibility', 'created_at', 'deleted_at',
+];
+
+/**
+ * Whether take a is chosen over take b
+ */
+function isPreferredOver(a, b) {
+    if (a.is_preferred !== b.is_preferred) return a.is_preferred;
+    return a.take_number > b.take_number;
+}
+
+/**
+ * The chosen take among takes of one sentence by one speaker
+ * @param {object[]} takes - With take_number and is_preferred
+ * @returns {object|null}
+ */
+function preferredTake(takes) {
+    return takes.reduce((best, take) => (!best || isPreferredOver(take, best) ? take : best), null);
+}
+
+/**
+ * Keep only the chosen take of each speaker and sentence (in the order given)
+ * @param {object[]} recordings - With user_id, sentence_id, take_number and is_preferred
+ * @returns {object[]}
+ */
+function preferredTakes(recordings) {
+    const chosen = new Map();
+    for (const recording of recordings) {
+        const key = `${recording.user_id}:${recording.sentence_id}`;
+        const best = chosen.get(key);
+        if (!best || isPreferredOver(recording, best)) chosen.set(key, recording);
+    }
+    const keep = new Set(chosen.values());
+    return recordings.filter(recording => keep.has(recording));
+}
+
+/**
+ * Group recording rows (one per take) by speaker and sentence
+ * @param {object[]} rows - With speaker_id, sentence_id and TAKE_FIELDS
+ * @returns {object[]} { ...speaker and sentence fields, preferred_take_id, takes } in the
+ *   order groups first appear; takes are ordered by take number
+ */
+function groupTakes(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = `${row.speaker_id}:${row.sentence_id}`;
+        if (!groups.has(key)) {
+            const group = { ...row };
+            TAKE_FIELDS.forEach(field => delete group[field]);
+            groups.set(key, { ...group, preferred_take_id: null, takes: [] });
+        }
+        const take = {};
+        TAKE_FIELDS.forEach(field => { take[field] = row[field]; });
+        groups.get(key).takes.push(take);
+    }
+
+    return [...groups.values()].map(group => {
+        group.takes.sort((a, b) => a.take_number - b.take_number);
+        group.preferred_take_id = preferredTake(group.takes).id;
+        return group;
+    });
+}
+
+module.exports = {
+    PREFERRED_TAKE_ORDER,
+    TAKE_FIELDS,
+    preferredTake,
+    preferredTakes,
+    groupTakes,
+};
@@ -0,0 +1,94 @@
+/**
+ * Verbatim transcripts
+ * What a speaker actually said, when it differs from the prompt. Words are
+ * written as spoken: skipped words left out, repeats repeated, substitutions as
+ * said. A word broken off is written with a trailing hyphen (e.g. "शा-"), and
+ * sounds that are not words with the disfluency tags below.
+ */
+
+const DISFLUENCY_TAGS = {
+    pause: 'Audible pause or hesitation',
+    filler: 'Filler sound (um, uh)',
+    unk: 'Unintelligible word',
+    noise: 'Non-speech sound (cough, breath, click)',
+};
+
+const MAX_TRANSCRIPT_LENGTH = 1000;
+const TAG_PATTERN = /\[([^\[\]]*)\]/g;
+
+/**
+ * Validate a verbatim transcript a reviewer entered
+ * Tags are lowercased and whitespace collapsed; an empty transcript clears it.
+ * @param {string|null} input
+ * @returns {{ transcript: string|null, errors: string[] }}
+ */
+function validateTranscript(input) {
+    if (input === undefined || input === null) {
+        return { transcript: null, errors: [] };
+    }
+    if (typeof input !== 'string') {
+        return { transcript: null, errors: ['transcript must be a string'] };
+    }
+
+    const errors = [];
+    const transcript = input
+        .replace(TAG_PATTERN, (match, tag) => `[${tag.trim().toLowerCase()}]`)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (transcript.length > MAX_TRANSCRIPT_LENGTH) {
+        errors.push(`transcript must be at most ${MAX_TRANSCRIPT_LENGTH} characters`);
+    }
+    const unknown = [...transcript.matchAll(TAG_PATTERN)]
+        .map(match => match[1])
+        .filter(tag => !DISFLUENCY_TAGS[tag]);
+    if (unknown.length > 0) {
+        errors.push(`Unknown tag: ${[...new Set(unknown)].map(tag => `[${tag}]`).join(', ')} `
+            + `(allowed: ${Object.keys(DISFLUENCY_TAGS).map(tag => `[${tag}]`).join(', ')})`);
+    }
+    if (/[\[\]]/.test(transcript.replace(TAG_PATTERN, ''))) {
+        errors.push('transcript has an unclosed [ or ]');
+    }
+
+    return { transcript: transcript || null, errors };
+}
+
+/**
+ * A transcript without tags and broken-off words: only the words that were said in full
+ * @param {string} transcript
+ * @returns {string}
+ */
+function stripDisfluencies(transcript) {
+    return transcript
+        .replace(TAG_PATTERN, ' ')
+        .split(/\s+/)
+        .filter(word => word && !word.endsWith('-'))
+        .join(' ');
+}
+
+/**
+ * The label a recording is exported with
+ * @param {object} recording - { text_devanagari, verbatim_transcript }
+ * @param {string} source - 'prompt' or 'verbatim'; recordings without a transcript
+ *   were read as prompted, so 'verbatim' falls back to the prompt for them
+ * @param {object} [options]
+ * @param {boolean} [options.strip] - Leave out tags and broken-off words
+ * @returns {{ text: string, source: string }} source is the one used
+ */
+function exportText(recording, source, { strip = false } = {}) {
+    if (source !== 'verbatim' || !recording.verbatim_transcript) {
+        return { text: recording.text_devanagari, source: 'prompt' };
+    }
+    return {
+        text: strip ? stripDisfluencies(recording.verbatim_transcript) : recording.verbatim_transcript,
+        source: 'verbatim',
+    };
+}
+
+module.exports = {
+    DISFLUENCY_TAGS,
+    MAX_TRANSCRIPT_LENGTH,
+    validateTranscript,
+    stripDisfluencies,
+    exportText,
+};
@@ -0,0 +1,71 @@
+/**
+ * Voice activity detection
+ * Energy-based endpoint detector: finds where speech starts and ends so the
+ * silence around it can be trimmed from a copy of the recording.
+ */
+
+const { frameLevels, voicingThreshold } = require('./signalAnalysis');
+
+const DEFAULTS = {
+    frameMs: 20,
+    minSpeechMs: 100,   // Shorter bursts (clicks, taps, breaths) are not speech
+    hangoverMs: 300,    // Pauses shorter than this are part of the same utterance
+    paddingMs: parseInt(process.env.VAD_PADDING_MS) || 200,  // Kept around the speech so onsets are not clipped
+};
+
+/**
+ * Find the speech endpoints in mono samples
+ * @param {Float32Array} samples - Normalized to [-1, 1]
+ * @param {number} sampleRate
+ * @param {object} options - See DEFAULTS; also silenceThresholdDb
+ * @returns {object|null} { start_s, end_s, segments } (padded, within the recording) or null when there is no speech
+ */
+function detectSpeech(samples, sampleRate, options = {}) {
+    const { frameMs, minSpeechMs, hangoverMs, paddingMs } = { ...DEFAULTS, ...options };
+    const { frameSize, levels } = frameLevels(samples, sampleRate, frameMs);
+    const { threshold } = voicingThreshold(levels, options);
+    const frameSeconds = frameSize / sampleRate;
+
+    // Runs of voiced frames, with short pauses bridged
+    const runs = [];
+    const maxGap = Math.round(hangoverMs / frameMs);
+    for (let i = 0; i < levels.length; i++) {
+        if (levels[i] <= threshold) continue;
+        const last = runs[runs.length - 1];
+        if (last && i - last.end <= maxGap) {
+            last.end = i + 1;
+        } else {
+            runs.push({ start: i, end: i + 1 });
+        }
+    }
+
+    const minFrames = Math.max(1, Math.round(minSpeechMs / frameMs));
+    const speech = runs.filter(run => run.end - run.start >= minFrames);
+    if (speech.length === 0) return null;
+
+    const duration = samples.length / sampleRate;
+    const padding = paddingMs / 1000;
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+        start_s: round(Math.max(0, speech[0].start * frameSeconds - padding)),
+        end_s: round(Math.min(duration, speech[speech.length - 1].end * frameSeconds + padding)),
+        segments: speech.length,
+    };
+}
+
+/**
+ * Cut samples to the detected endpoints
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} endpoints - From detectSpeech
+ * @returns {Float32Array}
+ */
+function trimToSpeech(samples, sampleRate, endpoints) {
+    return samples.subarray(Math.floor(endpoints.start_s * sampleRate), Math.ceil(endpoints.end_s * sampleRate));
+}
+
+module.exports = {
+    detectSpeech,
+    trimToSpeech,
+};
@@ -0,0 +1,158 @@
+/**
+ * Minimal WAV reader/writer
+ * Reads PCM (8/16/24/32-bit) and 32-bit float WAV files into normalized
+ * Float32Array channels, and writes 16-bit PCM WAV.
+ */
+
+const fs = require('fs').promises;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Parse a WAV file
+ * @param {Buffer} buffer
+ * @returns {object} { sampleRate, channels: Float32Array[], bitsPerSample, format: 'pcm' | 'float' }
+ */
+function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let fmt = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        // Streamed WAVs may declare 0xFFFFFFFF; clamp every chunk to what is actually there
+        const size = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - offset - 8);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            let formatTag = buffer.readUInt16LE(body);
+            if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+                formatTag = buffer.readUInt16LE(body + 24); // First two bytes of the SubFormat GUID
+            }
+            fmt = {
+                formatTag,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14),
+            };
+        } else if (id === 'data') {
+            data = buffer.subarray(body, body + size);
+        }
+
+        offset = body + size + (size % 2); // Chunks are word-aligned
+    }
+
+    if (!fmt || !data) {
+        throw new Error('WAV file is missing its fmt or data chunk');
+    }
+
+    const { formatTag, channels, sampleRate, bitsPerSample } = fmt;
+    const isFloat = formatTag === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32;
+    if (!isFloat && !(formatTag === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample))) {
+        throw new Error(`Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample} bits)`);
+    }
+    if (channels < 1) {
+        throw new Error('WAV file has no channels');
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+    const output = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < channels; c++) {
+            const pos = (i * channels + c) * bytesPerSample;
+            let value;
+            if (isFloat) {
+                value = data.readFloatLE(pos);
+            } else if (bitsPerSample === 8) {
+                value = (data[pos] - 128) / 128;
+            } else if (bitsPerSample === 16) {
+                value = data.readInt16LE(pos) / 32768;
+            } else if (bitsPerSample === 24) {
+                value = data.readIntLE(pos, 3) / 8388608;
+            } else {
+                value = data.readInt32LE(pos) / 2147483648;
+            }
+            output[c][i] = value;
+        }
+    }
+
+    return { sampleRate, channels: output, bitsPerSample, format: isFloat ? 'float' : 'pcm' };
+}
+
+/**
+ * Read and parse a WAV file from disk
+ * @param {string} filePath
+ * @returns {Promise<object>} See parseWav
+ */
+async function readWav(filePath) {
+    return parseWav(await fs.readFile(filePath));
+}
+
+/**
+ * Average all channels into one
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array}
+ */
+function toMono(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const mono = new Float32Array(channels[0].length);
+    for (let i = 0; i < mono.length; i++) {
+        let sum = 0;
+        for (const channel of channels) sum += channel[i];
+        mono[i] = sum / channels.length;
+    }
+    return mono;
+}
+
+/**
+ * Encode mono or multi-channel samples as 16-bit PCM WAV
+ * @param {Float32Array|Float32Array[]} samples - One channel or an array of channels
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function encodeWav(samples, sampleRate) {
+    const channels = Array.isArray(samples) ? samples : [samples];
+    const frameCount = channels[0].length;
+    const blockAlign = channels.length * 2;
+    const dataSize = frameCount * blockAlign;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+    buffer.writeUInt16LE(channels.length, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    let pos = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (const channel of channels) {
+            const clamped = Math.max(-1, Math.min(1, channel[i]));
+            buffer.writeInt16LE(Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767), pos);
+            pos += 2;
+        }
+    }
+    return buffer;
+}
+
+module.exports = {
+    parseWav,
+    readWav,
+    toMono,
+    encodeWav,
+};
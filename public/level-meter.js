@@ -0,0 +1,123 @@
+/**
+ * Input level meter
+ * Reads the microphone through an AnalyserNode and turns it into a level in
+ * dBFS, whether someone is speaking, and a cue ('clipping', 'quiet', 'noisy'
+ * or 'ok'). Thresholds come from
+ * the server's signal quality checks (GET /api/config), so the meter warns
+ * about what validation would flag.
+ */
+
+const LEVEL_METER_DEFAULTS = {
+    tooQuietDbfs: -35,   // QUALITY_MIN_RMS_DBFS_WARN
+    minSnrDb: 15,        // QUALITY_MIN_SNR_DB_WARN
+};
+
+class LevelMeter {
+    static MIN_DB = -60;          // Bottom of the meter scale
+    static TARGET_MAX_DB = -6;    // Speech louder than this leaves little headroom before clipping
+    static CLIP_LEVEL = 0.99;     // Peaks this close to full scale count as clipping
+    static HISTORY_MS = 3000;     // Window for the speech level and noise floor
+    static GRACE_MS = 1500;       // No quiet/noise cues until the speaker has had time to start
+    static CLIP_HOLD_MS = 1000;   // Keep showing a clip this long
+    static SILENCE_DB = -45;      // Never speech below this (as QUALITY_SILENCE_THRESHOLD_DB)
+    static VOICED_MARGIN_DB = 6;  // Speech is at least this far above the noise floor
+
+    /**
+     * @param {AnalyserNode} analyser
+     * @param {object} [thresholds] - { tooQuietDbfs, minSnrDb }
+     */
+    constructor(analyser, thresholds = {}) {
+        this.analyser = analyser;
+        this.thresholds = { ...LEVEL_METER_DEFAULTS, ...thresholds };
+        this.samples = new Float32Array(analyser.fftSize);
+        this.history = [];
+        this.startedAt = performance.now();
+        this.clipUntil = 0;
+    }
+
+    /**
+     * Ambient noise above this leaves no room for speech at the minimum level
+     * to reach the required signal-to-noise ratio
+     */
+    get maxNoiseDbfs() {
+        return this.thresholds.tooQuietDbfs - this.thresholds.minSnrDb;
+    }
+
+    /**
+     * Level of the analyser's current window
+     * @returns {object} { rmsDbfs, peak }
+     */
+    measure() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sum = 0;
+        let peak = 0;
+        for (const sample of this.samples) {
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        const rms = Math.sqrt(sum / this.samples.length);
+        return { rmsDbfs: rms > 0 ? 20 * Math.log10(rms) : -Infinity, peak };
+    }
+
+    /**
+     * Measure and classify; call once per animation frame
+     * @returns {object} { rmsDbfs, peak, speechDbfs, noiseDbfs, speaking, cue }
+     */
+    update(now = performance.now()) {
+        const { rmsDbfs, peak } = this.measure();
+        this.history.push({ time: now, level: Math.max(rmsDbfs, -120) });
+        while (this.history.length && this.history[0].time < now - LevelMeter.HISTORY_MS) {
+            this.history.shift();
+        }
+        if (peak >= LevelMeter.CLIP_LEVEL) {
+            this.clipUntil = now + LevelMeter.CLIP_HOLD_MS;
+        }
+
+        const levels = this.history.map(entry => entry.level).sort((a, b) => a - b);
+        const speechDbfs = levels[Math.floor(levels.length * 0.95)] ?? -120;
+        const noiseDbfs = levels[Math.floor(levels.length * 0.1)] ?? -120;
+        const settled = now - this.startedAt >= LevelMeter.GRACE_MS;
+        const speaking = rmsDbfs > Math.max(LevelMeter.SILENCE_DB, noiseDbfs + LevelMeter.VOICED_MARGIN_DB);
+
+        let cue = 'ok';
+        if (now < this.clipUntil) {
+            cue = 'clipping';
+        } else if (settled && speechDbfs < this.thresholds.tooQuietDbfs) {
+            cue = 'quiet';
+        } else if (settled && noiseDbfs > this.maxNoiseDbfs && speechDbfs - noiseDbfs < this.thresholds.minSnrDb) {
+            cue = 'noisy';
+        }
+        return { rmsDbfs, peak, speechDbfs, noiseDbfs, speaking, cue };
+    }
+
+    /**
+     * Position of a level on the meter scale
+     * @returns {number} 0..1
+     */
+    static scale(dbfs) {
+        return Math.min(1, Math.max(0, (dbfs - LevelMeter.MIN_DB) / -LevelMeter.MIN_DB));
+    }
+
+    /**
+     * Measure the room with nobody speaking (the mic check before a session)
+     * @param {number} durationMs
+     * @returns {Promise<object>} { noiseDbfs (median level), tooLoud, silent (no signal at all) }
+     */
+    measureAmbient(durationMs = 3000) {
+        return new Promise((resolve) => {
+            const levels = [];
+            const started = performance.now();
+            const tick = () => {
+                levels.push(Math.max(this.measure().rmsDbfs, -120));
+                if (performance.now() - started < durationMs) {
+                    requestAnimationFrame(tick);
+                    return;
+                }
+                levels.sort((a, b) => a - b);
+                const noiseDbfs = levels[Math.floor(levels.length / 2)];
+                resolve({ noiseDbfs, tooLoud: noiseDbfs > this.maxNoiseDbfs, silent: noiseDbfs <= -100 });
+            };
+            tick();
+        });
+    }
+}
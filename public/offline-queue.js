@@ -0,0 +1,84 @@
+/**
+ * Offline storage for the recorder (IndexedDB)
+ * - recordings: blobs recorded while offline, waiting to be uploaded
+ * - sentences:  the last sentence list fetched per story, so recording can continue offline
+ * - meta:       small values such as the last logged-in user
+ */
+
+class OfflineStore {
+    constructor(name = 'deaf-speech-recorder') {
+        this.name = name;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('sentences', { keyPath: 'story_id' });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Queue a recording for upload
+     * @param {object} item - { sentence_id, story_id, blob, filename, replaces_recording_id }
+     * @returns {Promise<number>} Queue id
+     */
+    addRecording(item) {
+        return this.run('recordings', 'readwrite', store => store.add({ ...item, queued_at: new Date().toISOString() }));
+    }
+
+    listRecordings() {
+        return this.run('recordings', 'readonly', store => store.getAll());
+    }
+
+    countRecordings() {
+        return this.run('recordings', 'readonly', store => store.count());
+    }
+
+    deleteRecording(id) {
+        return this.run('recordings', 'readwrite', store => store.delete(id));
+    }
+
+    saveSentences(storyId, sentences) {
+        return this.run('sentences', 'readwrite', store => store.put({
+            story_id: String(storyId),
+            sentences,
+            saved_at: new Date().toISOString(),
+        }));
+    }
+
+    async loadSentences(storyId) {
+        const entry = await this.run('sentences', 'readonly', store => store.get(String(storyId)));
+        return entry ? entry.sentences : null;
+    }
+
+    setMeta(key, value) {
+        return this.run('meta', 'readwrite', store => store.put({ key, value }));
+    }
+
+    async getMeta(key) {
+        const entry = await this.run('meta', 'readonly', store => store.get(key));
+        return entry ? entry.value : null;
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * AudioWorklet processor for the WAV recorder
+ * Downmixes the microphone input to mono and posts it to the page in blocks
+ * at the context's sample rate. Posting 'stop' flushes the last block and
+ * answers { type: 'stopped' }.
+ */
+
+const BLOCK_SIZE = 4096;
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(BLOCK_SIZE);
+        this.length = 0;
+        this.recording = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    process(inputs) {
+        if (!this.recording) return false;
+
+        const channels = inputs[0];
+        if (channels.length > 0) {
+            for (let i = 0; i < channels[0].length; i++) {
+                let sum = 0;
+                for (const channel of channels) sum += channel[i];
+                this.block[this.length++] = sum / channels.length;
+                if (this.length === BLOCK_SIZE) this.flush();
+            }
+        }
+        return true;
+    }
+
+    flush() {
+        if (this.length === 0) return;
+        this.port.postMessage({ type: 'samples', samples: this.block.slice(0, this.length) });
+        this.length = 0;
+    }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
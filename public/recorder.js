@@ -3,25 +3,71 @@
  * Handles recording workflow: story selection → record → playback → submit → next sentence
  */
 
+// Same processing for the mic check as for recordings, so it measures what gets recorded
+const MIC_CONSTRAINTS = {
+    audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+    }
+};
+
+// Cues for speakers who cannot hear the problem (vibration patterns are distinct per cue)
+const LEVEL_CUES = {
+    clipping: { text: '📢 Too loud: move back from the microphone', vibrate: [100, 50, 100, 50, 100] },
+    quiet: { text: '🔈 Too quiet: move closer to the microphone', vibrate: [400] },
+    noisy: { text: '🌫️ Background noise: find a quieter place', vibrate: [200, 100, 200] },
+    ok: { text: '✓ Good level', vibrate: null },
+};
+
 class RecorderApp {
     constructor() {
         this.storyId = null;
         this.userId = null;
+        this.userEmail = null;
         this.currentSentence = null;
         this.allSentences = []; // Store all sentences for navigation
         this.currentIndex = 0; // Current position in allSentences array
+        this.config = {}; // Deployment settings from GET /api/config
         this.mediaRecorder = null;
+        this.wavRecorder = null; // Used instead of mediaRecorder when the deployment records WAV
         this.audioChunks = [];
         this.recordedBlob = null;
         this.audioStream = null;
         this.audioContext = null;
         this.analyser = null;
+        this.levelMeter = null;
+        this.levelCue = null; // Cue currently shown; vibrate only when it changes
+        this.recorderSettings = { high_visibility: false, countdown_seconds: 0, auto_stop_silence_seconds: null };
+        this.capturing = false; // Between the end of the countdown and stop
+        this.speech = { heard: false, lastAt: 0 }; // For the speech indicator and auto-stop
+        this.autoStopped = false;
         this.visualizerAnimationId = null;
+        this.offlineStore = window.indexedDB ? new OfflineStore() : null; // Recordings waiting for a connection
+        this.syncing = false;
+        this.rerecordingRequests = []; // Sentences reviewers asked for again (GET /api/users/me/rerecording)
         
         this.initElements();
-        this.initUserId();
+        this.init();
+    }
+    
+    async init() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+        }
+        this.updateConnectionStatus();
+        this.updatePendingCount();
+        
+        const loggedIn = await this.initUser();
+        if (!loggedIn) return;
+        await this.loadConfig();
+        await this.loadRecorderSettings();
+        const consented = await this.checkConsent();
+        if (!consented) return;
         this.displayUserEmail();
-        this.loadStoryId();
+        await this.loadStoryId();
+        this.loadRerecordingRequests();
+        this.syncQueuedRecordings();
     }
     
     initElements() {
@@ -41,7 +87,16 @@ class RecorderApp {
         this.remainingText = document.getElementById('remaining-text');
         this.sentenceDevanagari = document.getElementById('sentence-devanagari');
         this.sentenceIast = document.getElementById('sentence-iast');
+        this.takes = document.getElementById('takes');
+        this.takesList = document.getElementById('takes-list');
+        this.signVideo = document.getElementById('sign-video');
+        this.signVideoPlayer = document.getElementById('sign-video-player');
+        this.btnSignVideo = document.getElementById('btn-sign-video');
         this.recordingIndicator = document.getElementById('recording-indicator');
+        this.rerecording = document.getElementById('rerecording');
+        this.rerecordingCount = document.getElementById('rerecording-count');
+        this.rerecordingList = document.getElementById('rerecording-list');
+        this.rerecordingNote = document.getElementById('rerecording-note');
         
         // Buttons
         this.btnRecord = document.getElementById('btn-record');
@@ -53,9 +108,38 @@ class RecorderApp {
         this.btnPrevious = document.getElementById('btn-previous');
         this.btnNext = document.getElementById('btn-next');
         
-        // Visualizer
+        // Offline queue
+        this.connectionStatus = document.getElementById('connection-status');
+        this.offlineIndicator = document.getElementById('offline-indicator');
+        this.pendingUploads = document.getElementById('pending-uploads');
+        this.pendingCount = document.getElementById('pending-count');
+        
+        // Visualizer and level meter
         this.visualizerCanvas = document.getElementById('visualizer');
         this.visualizerCtx = this.visualizerCanvas.getContext('2d');
+        this.levelMeterBar = document.getElementById('level-meter-bar');
+        this.levelMeterZone = document.getElementById('level-meter-zone');
+        this.levelCueEl = document.getElementById('level-cue');
+        
+        // Mic check
+        this.micCheckPanel = document.getElementById('mic-check');
+        this.micCheckResult = document.getElementById('mic-check-result');
+        this.btnMicCheck = document.getElementById('btn-mic-check');
+        this.btnMicCheckDone = document.getElementById('btn-mic-check-done');
+        this.btnMicCheckOpen = document.getElementById('btn-mic-check-open');
+        this.micCheckPanel.style.display = sessionStorage.getItem('micChecked') ? 'none' : 'block';
+        
+        // High-visibility mode and recorder settings
+        this.recordingFrame = document.getElementById('recording-frame');
+        this.countdownOverlay = document.getElementById('countdown-overlay');
+        this.speechIndicator = document.getElementById('speech-indicator');
+        this.settingsPanel = document.getElementById('recorder-settings');
+        this.settingHighVisibility = document.getElementById('setting-high-visibility');
+        this.settingCountdown = document.getElementById('setting-countdown');
+        this.settingAutoStop = document.getElementById('setting-auto-stop');
+        this.settingsStatus = document.getElementById('recorder-settings-status');
+        this.btnSettings = document.getElementById('btn-settings');
+        this.btnSettingsSave = document.getElementById('btn-settings-save');
         
         // Event listeners
         this.btnRecord.addEventListener('click', () => this.startRecording());
@@ -66,53 +150,198 @@ class RecorderApp {
         this.btnEnd.addEventListener('click', () => this.endSession());
         this.btnPrevious.addEventListener('click', () => this.navigatePrevious());
         this.btnNext.addEventListener('click', () => this.navigateNext());
+        this.btnMicCheck.addEventListener('click', () => this.runMicCheck());
+        this.btnMicCheckDone.addEventListener('click', () => this.closeMicCheck());
+        this.btnSignVideo.addEventListener('click', () => this.toggleSignVideo());
+        this.signVideoPlayer.addEventListener('click', () => this.toggleSignVideo());
+        this.signVideoPlayer.addEventListener('play', () => { this.btnSignVideo.textContent = '⏸️ Pause sign'; });
+        this.signVideoPlayer.addEventListener('pause', () => { this.btnSignVideo.textContent = '▶️ Play sign'; });
+        this.signVideoPlayer.addEventListener('ended', () => { this.btnSignVideo.textContent = '🔁 Replay sign'; });
+        this.btnSettings.addEventListener('click', () => this.toggleSettings());
+        this.btnSettingsSave.addEventListener('click', () => this.saveRecorderSettings());
+        this.btnMicCheckOpen.addEventListener('click', () => {
+            this.micCheckResult.style.display = 'none';
+            this.micCheckPanel.style.display = 'block';
+        });
         if (this.errorRetryBtn) this.errorRetryBtn.addEventListener('click', () => this.handleErrorRetry());
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.syncQueuedRecordings();
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
     }
     
-    initUserId() {
-        // Get user email from session (set on home page)
-        this.userId = sessionStorage.getItem('userEmail');
+    async initUser() {
+        // Identity comes from the server-side session (set by logging in on the home page)
+        try {
+            const response = await fetch('/api/auth/me');
+            if (response.ok) {
+                const user = await response.json();
+                this.userId = user.id;
+                this.userEmail = user.email;
+                if (this.offlineStore) this.offlineStore.setMeta('user', { id: user.id, email: user.email }).catch(() => {});
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to load current user:', error);
+            // No connection: keep recording as the last user seen on this device
+            const cachedUser = this.offlineStore ? await this.offlineStore.getMeta('user').catch(() => null) : null;
+            if (cachedUser) {
+                this.userId = cachedUser.id;
+                this.userEmail = cachedUser.email;
+                this.offlineSession = true;
+                return true;
+            }
+        }
         
-        if (!this.userId) {
-            // Redirect to home page if no email found
-            alert('Please enter your email on the home page first.');
-            window.location.href = '/';
-            return;
+        // Redirect to home page if not logged in
+        alert('Please log in on the home page first.');
+        window.location.href = '/';
+        return false;
+    }
+    
+    /**
+     * Load deployment settings; offline, use the last ones seen on this device
+     */
+    async loadConfig() {
+        try {
+            this.config = await this.fetchJson('/api/config');
+            if (this.offlineStore) this.offlineStore.setMeta('config', this.config).catch(() => {});
+        } catch (error) {
+            const cachedConfig = this.offlineStore ? await this.offlineStore.getMeta('config').catch(() => null) : null;
+            this.config = cachedConfig || {};
+        }
+    }
+    
+    /**
+     * Load the speaker's recorder settings; offline, use the last ones seen on this device
+     */
+    async loadRecorderSettings() {
+        try {
+            const { settings } = await this.fetchJson('/api/users/me/recorder-settings');
+            this.recorderSettings = settings;
+            if (this.offlineStore) this.offlineStore.setMeta('recorderSettings', settings).catch(() => {});
+        } catch (error) {
+            const cachedSettings = this.offlineStore ? await this.offlineStore.getMeta('recorderSettings').catch(() => null) : null;
+            if (cachedSettings) this.recorderSettings = cachedSettings;
+        }
+        this.applyRecorderSettings();
+    }
+    
+    applyRecorderSettings() {
+        const settings = this.recorderSettings;
+        document.body.classList.toggle('high-visibility', settings.high_visibility);
+        this.settingHighVisibility.checked = settings.high_visibility;
+        this.settingCountdown.value = settings.countdown_seconds;
+        this.settingAutoStop.value = settings.auto_stop_silence_seconds ?? '';
+    }
+    
+    toggleSettings() {
+        const open = this.settingsPanel.style.display === 'none';
+        this.settingsPanel.style.display = open ? 'block' : 'none';
+        this.settingsStatus.style.display = 'none';
+    }
+    
+    /**
+     * Save the settings form for this speaker (PUT /api/users/me/recorder-settings)
+     */
+    async saveRecorderSettings() {
+        this.btnSettingsSave.disabled = true;
+        try {
+            const { settings } = await this.fetchJson('/api/users/me/recorder-settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    high_visibility: this.settingHighVisibility.checked,
+                    countdown_seconds: this.settingCountdown.value === '' ? 0 : Number(this.settingCountdown.value),
+                    auto_stop_silence_seconds: this.settingAutoStop.value === '' ? null : Number(this.settingAutoStop.value),
+                }),
+            });
+            this.recorderSettings = settings;
+            if (this.offlineStore) this.offlineStore.setMeta('recorderSettings', settings).catch(() => {});
+            this.applyRecorderSettings();
+            this.settingsStatus.className = 'status-message status-success';
+            this.settingsStatus.textContent = '✓ Settings saved';
+        } catch (error) {
+            this.settingsStatus.className = 'status-message status-error';
+            this.settingsStatus.textContent = error.body && error.body.errors
+                ? error.body.errors.join('. ')
+                : 'Could not save settings. Please check your connection and try again.';
+        } finally {
+            this.settingsStatus.style.display = 'block';
+            this.btnSettingsSave.disabled = false;
+        }
+    }
+    
+    async checkConsent() {
+        // Recording requires consent to the current consent text (given on the home page).
+        // Offline, the server checks it again when queued recordings are uploaded.
+        if (this.offlineSession) return true;
+        try {
+            const response = await fetch('/api/users/me/consent');
+            if (response.ok) {
+                const data = await response.json();
+                if (data.consent) return true;
+            }
+        } catch (error) {
+            console.error('Failed to check consent:', error);
         }
         
-        // Ensure email is lowercase
-        this.userId = this.userId.toLowerCase().trim();
-        sessionStorage.setItem('userEmail', this.userId);
+        this.redirectToConsent();
+        return false;
+    }
+    
+    redirectToConsent() {
+        alert('Please read and agree to the consent form on the home page before recording.');
+        window.location.href = '/';
     }
     
     displayUserEmail() {
         const emailDisplay = document.getElementById('user-email-recorder');
-        if (emailDisplay && this.userId) {
-            emailDisplay.textContent = `📧 ${this.userId}`;
+        if (emailDisplay && this.userEmail) {
+            emailDisplay.textContent = `📧 ${this.userEmail}`;
         }
     }
     
-    loadStoryId() {
+    async loadStoryId() {
         this.storyId = sessionStorage.getItem('selectedStoryId');
+        // Opened from the home screen: continue the story last recorded on this device
+        if (!this.storyId && this.offlineStore) {
+            this.storyId = await this.offlineStore.getMeta('storyId').catch(() => null);
+        }
+        if (this.storyId && this.offlineStore) {
+            this.offlineStore.setMeta('storyId', this.storyId).catch(() => {});
+        }
         if (!this.storyId) {
             this.showError('No story selected. Please select a story from the home page.');
             return;
         }
         
-        this.loadAllSentences();
+        await this.loadAllSentences();
     }
     
-    async loadAllSentences() {
+    /**
+     * @param {number} [startSentenceId] - Open this sentence instead of the first unrecorded one
+     */
+    async loadAllSentences(startSentenceId = null) {
         try {
             this.showStatus('Loading sentences...', 'info');
             
-            const response = await fetch(`/api/sentences/${this.storyId}/all?userId=${encodeURIComponent(this.userId)}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            try {
+                const response = await fetch(`/api/sentences/${this.storyId}/all`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                this.allSentences = await response.json();
+                if (this.offlineStore) this.offlineStore.saveSentences(this.storyId, this.allSentences).catch(() => {});
+            } catch (error) {
+                // Offline: use the list saved the last time this story was opened
+                const cached = this.offlineStore ? await this.offlineStore.loadSentences(this.storyId).catch(() => null) : null;
+                if (!cached) throw error;
+                console.warn('Using sentences saved on this device:', error.message);
+                this.allSentences = cached;
             }
-            
-            this.allSentences = await response.json();
+            await this.markQueuedSentences();
             
             if (this.allSentences.length === 0) {
                 this.showError('No sentences found for this story.');
@@ -120,7 +349,9 @@ class RecorderApp {
             }
             
             // Start at first unrecorded sentence, or first sentence if all recorded
-            this.currentIndex = this.allSentences.findIndex(s => !s.has_recording);
+            this.currentIndex = startSentenceId
+                ? this.allSentences.findIndex(s => s.id === startSentenceId)
+                : this.allSentences.findIndex(s => !s.has_recording);
             if (this.currentIndex === -1) {
                 this.currentIndex = 0; // All recorded, start at beginning
             }
@@ -150,12 +381,15 @@ class RecorderApp {
                     sentence_id: sentence.id,
                     text_devanagari: sentence.text_devanagari,
                     text_iast: sentence.text_iast,
+                    sign_video_url: sentence.sign_video_url || null,
                     story_title: story ? story.title : 'Recording',
                     order: sentence.order_in_story,
                     total: this.allSentences.length,
                     remaining: this.allSentences.filter(s => !s.has_recording).length,
                     has_recording: sentence.has_recording,
-                    recording_id: sentence.recording_id
+                    recording_id: sentence.recording_id,
+                    take_count: sentence.take_count || 0,
+                    pending_upload: Boolean(sentence.pending_upload)
                 };
                 this.displaySentence();
             })
@@ -164,12 +398,15 @@ class RecorderApp {
                     sentence_id: sentence.id,
                     text_devanagari: sentence.text_devanagari,
                     text_iast: sentence.text_iast,
+                    sign_video_url: sentence.sign_video_url || null,
                     story_title: 'Recording',
                     order: sentence.order_in_story,
                     total: this.allSentences.length,
                     remaining: this.allSentences.filter(s => !s.has_recording).length,
                     has_recording: sentence.has_recording,
-                    recording_id: sentence.recording_id
+                    recording_id: sentence.recording_id,
+                    take_count: sentence.take_count || 0,
+                    pending_upload: Boolean(sentence.pending_upload)
                 };
                 this.displaySentence();
             });
@@ -215,6 +452,8 @@ class RecorderApp {
         this.storyTitleEl.textContent = this.currentSentence.story_title || 'Recording';
         this.sentenceDevanagari.textContent = this.currentSentence.text_devanagari;
         this.sentenceIast.textContent = this.currentSentence.text_iast || '';
+        this.showSignVideo(this.currentSentence.sign_video_url);
+        this.showRerecordingNote();
         
         const currentNum = this.currentSentence.order;
         const total = this.currentSentence.total;
@@ -231,7 +470,9 @@ class RecorderApp {
         this.resetRecordingState();
         
         // Set initial status message based on whether sentence has recording
-        if (this.currentSentence.has_recording) {
+        if (this.currentSentence.pending_upload) {
+            this.showStatus('Saved on this device, waiting to upload', 'warning');
+        } else if (this.currentSentence.has_recording) {
             this.showStatus('Recording saved successfully!', 'success');
         } else {
             this.showStatus('To be recorded', 'info');
@@ -246,6 +487,203 @@ class RecorderApp {
             this.btnPlay.style.opacity = '0.5';
             this.btnPlay.title = 'No recording yet';
         }
+        
+        this.loadTakes();
+    }
+    
+    /**
+     * List the speaker's takes of the current sentence when there is more than one
+     */
+    async loadTakes() {
+        this.takes.style.display = 'none';
+        const sentenceId = this.currentSentence.sentence_id;
+        if (!(this.currentSentence.take_count > 1) || !navigator.onLine) return;
+        
+        try {
+            const data = await this.fetchJson(`/api/sentences/${sentenceId}/takes`);
+            // The speaker may have moved on while this loaded
+            if (!this.currentSentence || this.currentSentence.sentence_id !== sentenceId) return;
+            this.renderTakes(data);
+        } catch (error) {
+            console.warn('Could not load takes:', error);
+        }
+    }
+    
+    renderTakes({ takes, preferred_take_id }) {
+        this.takesList.innerHTML = '';
+        for (const take of takes) {
+            const preferred = take.id === preferred_take_id;
+            const item = document.createElement('li');
+            item.classList.toggle('preferred', preferred);
+            
+            const label = document.createElement('span');
+            label.className = 'take-label';
+            const processing = ['queued', 'processing'].includes(take.validation_status);
+            label.textContent = `Take ${take.take_number}`
+                + (processing ? ' (processing)' : '')
+                + (preferred ? ' ★ used' : '');
+            item.appendChild(label);
+            
+            const play = document.createElement('button');
+            play.className = 'btn btn-secondary';
+            play.textContent = '▶️ Play';
+            play.disabled = processing;
+            play.addEventListener('click', () => this.playTake(take.id, play));
+            item.appendChild(play);
+            
+            if (!preferred) {
+                const prefer = document.createElement('button');
+                prefer.className = 'btn btn-secondary';
+                prefer.textContent = '★ Use this take';
+                prefer.disabled = processing;
+                prefer.addEventListener('click', () => this.preferTake(take.id));
+                item.appendChild(prefer);
+            }
+            this.takesList.appendChild(item);
+        }
+        this.takes.style.display = 'block';
+    }
+    
+    playTake(recordingId, button) {
+        const audio = new Audio(`/api/recordings/${recordingId}/audio`);
+        button.disabled = true;
+        const done = () => { button.disabled = false; };
+        audio.addEventListener('ended', done, { once: true });
+        audio.addEventListener('error', () => {
+            done();
+            this.showStatus('Error playing audio', 'error');
+        }, { once: true });
+        audio.play().catch(done);
+    }
+    
+    /**
+     * Make a take the one that counts for this sentence
+     */
+    async preferTake(recordingId) {
+        try {
+            await this.fetchJson(`/api/recordings/${recordingId}/preferred`, { method: 'PUT' });
+        } catch (error) {
+            console.error('Failed to mark preferred take:', error);
+            this.showStatus('Could not change the take used for this sentence', 'error');
+            return;
+        }
+        this.allSentences[this.currentIndex].recording_id = recordingId;
+        this.currentSentence.recording_id = recordingId;
+        this.showStatus('✓ This take will be used for the sentence', 'success');
+        this.loadTakes();
+    }
+    
+    /**
+     * Load the sentences reviewers sent back for a new take, across all stories
+     */
+    async loadRerecordingRequests() {
+        if (!navigator.onLine) return;
+        try {
+            this.rerecordingRequests = await this.fetchJson('/api/users/me/rerecording');
+        } catch (error) {
+            console.warn('Could not load sentences to record again:', error);
+            return;
+        }
+        this.renderRerecordingRequests();
+        if (this.currentSentence) this.showRerecordingNote();
+    }
+    
+    renderRerecordingRequests() {
+        this.rerecordingList.innerHTML = '';
+        this.rerecordingCount.textContent = this.rerecordingRequests.length;
+        this.rerecording.style.display = this.rerecordingRequests.length > 0 ? 'block' : 'none';
+        
+        for (const request of this.rerecordingRequests) {
+            const item = document.createElement('li');
+            
+            const text = document.createElement('div');
+            text.className = 'rerecording-text';
+            const sentence = document.createElement('div');
+            sentence.textContent = `${request.story_title}, sentence ${request.order_in_story}: ${request.text_devanagari}`;
+            const reasons = document.createElement('div');
+            reasons.className = 'rerecording-reasons';
+            reasons.textContent = this.rerecordingReasonText(request);
+            text.append(sentence, reasons);
+            item.appendChild(text);
+            
+            const go = document.createElement('button');
+            go.className = 'btn btn-secondary';
+            go.textContent = '🎙️ Record again';
+            go.addEventListener('click', () => this.goToSentence(request.story_id, request.sentence_id));
+            item.appendChild(go);
+            
+            this.rerecordingList.appendChild(item);
+        }
+    }
+    
+    rerecordingReasonText(request) {
+        const reasons = request.reasons.map(reason => reason.label).join(', ') || 'Not accepted by a reviewer';
+        return request.comment ? `${reasons}: “${request.comment}”` : reasons;
+    }
+    
+    /**
+     * Tell the speaker why the current sentence was sent back, if it was
+     */
+    showRerecordingNote() {
+        const request = this.rerecordingRequests.find(r => r.sentence_id === this.currentSentence.sentence_id);
+        this.rerecordingNote.style.display = request ? 'block' : 'none';
+        this.rerecordingNote.textContent = request
+            ? `🔁 A reviewer asked for a new take of this sentence. ${this.rerecordingReasonText(request)}`
+            : '';
+    }
+    
+    /**
+     * A new take was accepted, so the sentence is no longer waiting to be recorded again
+     */
+    dropRerecordingRequest(sentenceId) {
+        const remaining = this.rerecordingRequests.filter(r => r.sentence_id !== sentenceId);
+        if (remaining.length === this.rerecordingRequests.length) return;
+        this.rerecordingRequests = remaining;
+        this.renderRerecordingRequests();
+    }
+    
+    /**
+     * Open a sentence, switching story if needed
+     */
+    async goToSentence(storyId, sentenceId) {
+        if (String(storyId) !== String(this.storyId)) {
+            this.storyId = String(storyId);
+            sessionStorage.setItem('selectedStoryId', this.storyId);
+            if (this.offlineStore) this.offlineStore.setMeta('storyId', this.storyId).catch(() => {});
+            await this.loadAllSentences(sentenceId);
+            return;
+        }
+        const index = this.allSentences.findIndex(s => s.id === sentenceId);
+        if (index !== -1) this.loadSentenceAtIndex(index);
+    }
+    
+    /**
+     * Show the sentence's sign-language video next to the text (hidden when it has none)
+     */
+    showSignVideo(url) {
+        this.signVideoPlayer.pause();
+        if (!url) {
+            this.signVideo.style.display = 'none';
+            this.signVideoPlayer.removeAttribute('src');
+            this.signVideoPlayer.load();
+            return;
+        }
+        this.signVideo.style.display = 'flex';
+        this.signVideoPlayer.src = url;
+        this.btnSignVideo.textContent = '▶️ Play sign';
+    }
+    
+    toggleSignVideo() {
+        const player = this.signVideoPlayer;
+        if (!player.paused && !player.ended) {
+            player.pause();
+            return;
+        }
+        if (player.ended) player.currentTime = 0;
+        player.play().catch(error => {
+            console.error('Sign video playback failed:', error);
+            this.showStatus('The sign-language video could not be played', 'warning');
+        });
     }
     
     resetRecordingState() {
@@ -266,7 +704,7 @@ class RecorderApp {
         
         // Update Record button text based on whether sentence has existing recording
         if (this.currentSentence && this.currentSentence.has_recording) {
-            this.btnRecord.textContent = '🎙️ Re-record';
+            this.btnRecord.textContent = '🎙️ New take';
             this.btnPlay.disabled = false;
             this.btnPlay.style.opacity = '1';
         } else {
@@ -278,13 +716,7 @@ class RecorderApp {
     async startRecording() {
         try {
             // Request microphone access
-            this.audioStream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                } 
-            });
+            this.audioStream = await navigator.mediaDevices.getUserMedia(MIC_CONSTRAINTS);
             
             // Setup audio context for visualization
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -292,10 +724,26 @@ class RecorderApp {
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 2048;
             source.connect(this.analyser);
+            this.levelMeter = new LevelMeter(this.analyser, this.levelThresholds());
+            this.levelCue = null;
+            this.showLevelTarget();
             
             // Start visualization
             this.visualize();
             
+            if (this.recorderSettings.countdown_seconds > 0) {
+                this.btnRecord.disabled = true;
+                await this.runCountdown(this.recorderSettings.countdown_seconds);
+            }
+            
+            // Lossless 16kHz mono WAV when the deployment asks for it and the browser can
+            if (this.config.recorder_format === 'wav' && WavRecorder.isSupported()) {
+                this.wavRecorder = new WavRecorder(this.audioContext, source);
+                await this.wavRecorder.start();
+                this.onRecordingStarted();
+                return;
+            }
+            
             // Setup MediaRecorder
             const options = { mimeType: 'audio/webm;codecs=opus' };
             if (!MediaRecorder.isTypeSupported(options.mimeType)) {
@@ -327,31 +775,73 @@ class RecorderApp {
             // Start recording
             this.audioChunks = [];
             this.mediaRecorder.start();
-            
-            // Update UI
-            this.btnRecord.disabled = true;
-            this.btnStop.disabled = false;
-            this.btnRecord.classList.add('recording');
-            this.recordingIndicator.classList.add('active');
-            
-            this.showStatus('Recording... Speak now!', 'info');
+            this.onRecordingStarted();
             
         } catch (error) {
             console.error('Failed to start recording:', error);
             this.showError('Failed to access microphone. Please allow microphone access and try again.');
+            this.wavRecorder = null;
+            this.countdownOverlay.style.display = 'none';
+            delete this.recordingFrame.dataset.state;
             this.stopMediaStream();
         }
     }
     
-    stopRecording() {
-        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+    /**
+     * Full-screen countdown so the speaker knows exactly when capture starts
+     */
+    async runCountdown(seconds) {
+        this.recordingFrame.dataset.state = 'countdown';
+        this.countdownOverlay.style.display = 'flex';
+        for (let remaining = seconds; remaining > 0; remaining--) {
+            this.countdownOverlay.textContent = remaining;
+            if (navigator.vibrate) navigator.vibrate(50);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        this.countdownOverlay.style.display = 'none';
+    }
+    
+    onRecordingStarted() {
+        this.capturing = true;
+        this.autoStopped = false;
+        this.speech = { heard: false, lastAt: performance.now() };
+        this.recordingFrame.dataset.state = 'recording';
+        this.btnRecord.disabled = true;
+        this.btnStop.disabled = false;
+        this.btnRecord.classList.add('recording');
+        this.recordingIndicator.classList.add('active');
+        
+        this.showStatus('Recording... Speak now!', 'info');
+    }
+    
+    async stopRecording() {
+        this.btnStop.disabled = true;
+        this.capturing = false;
+        delete this.recordingFrame.dataset.state;
+        delete this.speechIndicator.dataset.state;
+        
+        if (this.wavRecorder) {
+            // The worklet's last samples must arrive before the audio context is closed
+            const wavRecorder = this.wavRecorder;
+            this.wavRecorder = null;
+            try {
+                this.recordedBlob = await wavRecorder.stop();
+                console.log('Recording stopped. WAV created:', {
+                    size: this.recordedBlob.size,
+                    type: this.recordedBlob.type
+                });
+                this.onRecordingComplete();
+            } catch (error) {
+                console.error('Failed to encode WAV:', error);
+                this.showError('The recording could not be saved. Please try again.');
+            }
+        } else if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
             this.mediaRecorder.stop();
         }
         
         this.stopMediaStream();
         
         // Update UI
-        this.btnStop.disabled = true;
         this.btnRecord.classList.remove('recording');
         this.recordingIndicator.classList.remove('active');
         
@@ -359,6 +849,7 @@ class RecorderApp {
             cancelAnimationFrame(this.visualizerAnimationId);
             this.visualizerAnimationId = null;
         }
+        this.clearLevel();
     }
     
     stopMediaStream() {
@@ -384,7 +875,9 @@ class RecorderApp {
         this.btnRecord.disabled = false;
         this.btnRecord.textContent = '🎙️ Re-record';
         
-        this.showStatus('Recording complete! You can play it back, re-record, or submit.', 'success');
+        const stoppedBy = this.autoStopped ? 'Stopped after silence. ' : '';
+        this.autoStopped = false;
+        this.showStatus(`${stoppedBy}Recording complete! You can play it back, re-record, or submit.`, 'success');
     }
     
     async playRecording() {
@@ -496,57 +989,59 @@ class RecorderApp {
         console.debug('submitRecording called');
         if (!this.recordedBlob || !this.currentSentence) return;
         
+        // No connection: keep the recording on this device and upload it later
+        if (!navigator.onLine && this.offlineStore) {
+            await this.queueRecording();
+            return;
+        }
+        
         try {
             this.btnSubmit.disabled = true;
             this.btnSubmit.textContent = '⏳ Uploading...';
             console.debug('submitRecording: preparing formData');
             this.showStatus('Uploading recording...', 'info');
             
-            // If re-recording an existing recording, delete the old one first
-            if (this.currentSentence.has_recording && this.currentSentence.recording_id) {
-                console.debug('Deleting old recording:', this.currentSentence.recording_id);
-                try {
-                    await fetch(`/api/recordings/${this.currentSentence.recording_id}`, {
-                        method: 'DELETE'
-                    });
-                } catch (err) {
-                    console.warn('Failed to delete old recording, continuing anyway:', err);
-                }
-            }
+            // Upload in chunks so a dropped connection resumes instead of starting over
+            console.debug('submitRecording: starting resumable upload', this.recordedBlob.size, 'bytes');
+            const result = await this.uploadResumable(this.recordedBlob, this.currentSentence.sentence_id, ({ loaded, total }) => {
+                const pct = Math.round((loaded / total) * 100);
+                this.showStatus(`Uploading: ${pct}%`, 'info');
+                this.btnSubmit.textContent = `⏳ Uploading ${pct}%`;
+            });
+            console.debug('submitRecording: upload finished', result);
             
-            // Create form data
-            const formData = new FormData();
-            formData.append('audio', this.recordedBlob, 'recording.webm');
-            formData.append('sentence_id', this.currentSentence.sentence_id);
-            formData.append('user_id', this.userId);
+            // The upload is queued; wait for the server to convert and validate it
+            this.btnSubmit.textContent = '⏳ Processing...';
+            this.showStatus('Processing recording...', 'info');
+            const job = await this.waitForJob(result.job_id);
+            console.debug('submitRecording: job finished', job);
             
-            // Upload
-            // Debug: print FormData entries (can't directly stringify FormData)
-            for (const pair of formData.entries()) {
-                console.debug('FormData entry', pair[0], pair[1] instanceof Blob ? `[Blob ${pair[1].size} bytes]` : pair[1]);
+            if (job.status === 'rejected' || job.status === 'failed') {
+                // This take was not kept (earlier takes are); let the speaker record it again
+                const jobResult = job.result || {};
+                const errors = jobResult.validation ? jobResult.validation.errors : [jobResult.error].filter(Boolean);
+                this.showValidationError(errors);
+                this.btnSubmit.disabled = false;
+                this.btnSubmit.textContent = '✓ Submit & Next';
+                return;
             }
-            console.debug('submitRecording: sending XHR to /api/recordings');
-            const result = await this.uploadFormDataWithProgress(formData, ({ loaded, total }) => {
-                if (total > 0) {
-                    const pct = Math.round((loaded / total) * 100);
-                    this.showStatus(`Uploading: ${pct}%`, 'info');
-                    this.btnSubmit.textContent = `⏳ Uploading ${pct}%`;
-                } else {
-                    this.showStatus('Uploading... (unable to compute size)', 'info');
-                }
-            });
-            console.debug('submitRecording: upload finished', result);
             
-            if (result.status === 'warning') {
-                this.showStatus('⚠️ Recording saved but failed validation', 'warning');
-                console.warn('Validation errors:', result.validation && result.validation.errors);
-            } else {
+            const warnings = (job.result && job.result.validation && job.result.validation.warnings) || [];
+            if (job.status === 'done' && warnings.length > 0) {
+                // Saved, but worth knowing before the next sentence (too quiet, noisy, clipped...)
+                this.showStatus(`✓ Recording saved. Note: ${warnings.join('; ')}`, 'warning');
+            } else if (job.status === 'done') {
                 this.showStatus('✓ Recording saved successfully!', 'success');
+            } else {
+                this.showStatus('✓ Recording received; it will finish processing shortly', 'success');
             }
             
             // Update local state - mark sentence as recorded
             this.allSentences[this.currentIndex].has_recording = true;
+            this.allSentences[this.currentIndex].pending_upload = false;
             this.allSentences[this.currentIndex].recording_id = result.recording_id;
+            this.allSentences[this.currentIndex].take_count = (this.currentSentence.take_count || 0) + 1;
+            this.dropRerecordingRequest(this.currentSentence.sentence_id);
             
             // Wait a moment, then load next sentence
             setTimeout(() => {
@@ -555,6 +1050,16 @@ class RecorderApp {
             
         } catch (error) {
             console.error('Failed to submit recording:', error);
+            // The connection dropped and retries ran out: keep the recording for later
+            if (!error.status && this.offlineStore) {
+                await this.queueRecording();
+                return;
+            }
+            // Consent was withdrawn or the consent text changed since the page loaded
+            if (error && error.status === 403 && error.body && error.body.consent_required) {
+                this.redirectToConsent();
+                return;
+            }
             // Handle validation errors from server (HTTP 422)
             if (error && error.status === 422 && error.body && error.body.validation) {
                 // Show user-friendly message with actual validation errors
@@ -571,44 +1076,226 @@ class RecorderApp {
         }
     }
 
-    uploadFormDataWithProgress(formData, onProgress) {
-        return new Promise((resolve, reject) => {
-            try {
-                const xhr = new XMLHttpRequest();
-                xhr.open('POST', '/api/recordings');
-                xhr.onload = () => {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        try {
-                            const resJson = JSON.parse(xhr.responseText);
-                            resolve(resJson);
-                        } catch (e) {
-                            reject(new Error('Invalid JSON response'));
-                        }
-                    } else {
-                        try {
-                            const body = JSON.parse(xhr.responseText);
-                            const err = new Error(body.error || `HTTP ${xhr.status}`);
-                            err.status = xhr.status;
-                            err.body = body;
-                            reject(err);
-                        } catch (e) {
-                            const err = new Error(`HTTP ${xhr.status}`);
-                            err.status = xhr.status;
-                            reject(err);
-                        }
+    /**
+     * Store the current recording in IndexedDB and move on to the next sentence
+     */
+    async queueRecording() {
+        try {
+            await this.offlineStore.addRecording({
+                sentence_id: this.currentSentence.sentence_id,
+                story_id: this.storyId,
+                blob: this.recordedBlob,
+                filename: this.recordingFilename(this.recordedBlob),
+            });
+        } catch (err) {
+            console.error('Failed to save recording on this device:', err);
+            this.showError('No connection, and the recording could not be saved on this device. Please try again.');
+            return;
+        }
+        
+        // recording_id stays on the last uploaded take (if any) until this one is accepted
+        const sentence = this.allSentences[this.currentIndex];
+        sentence.has_recording = true;
+        sentence.pending_upload = true;
+        await this.updatePendingCount();
+        this.showStatus('📴 Saved on this device; it will upload when you are back online', 'warning');
+        setTimeout(() => {
+            this.loadNextSentence();
+        }, 1000);
+    }
+    
+    /**
+     * Upload recordings queued while offline, oldest first, through POST /api/recordings
+     * Stops at the first network or server error and tries again on the next 'online' event.
+     */
+    async syncQueuedRecordings() {
+        if (!this.offlineStore || this.syncing || !navigator.onLine) return;
+        this.syncing = true;
+        
+        try {
+            const queued = await this.offlineStore.listRecordings();
+            for (const item of queued) {
+                const formData = new FormData();
+                formData.append('audio', item.blob, item.filename);
+                formData.append('sentence_id', item.sentence_id);
+                
+                let result;
+                try {
+                    result = await this.fetchJson('/api/recordings', { method: 'POST', body: formData });
+                } catch (err) {
+                    if (err.status === 401 || err.status === 403) {
+                        this.showStatus('Log in and agree to the consent form on the home page to upload recordings saved on this device', 'warning');
+                        break;
                     }
-                };
-                xhr.onerror = () => reject(new Error('Network error while uploading'));
-                if (xhr.upload && onProgress) {
-                    xhr.upload.onprogress = (event) => {
-                        onProgress({ loaded: event.loaded, total: event.total });
-                    };
+                    if (!err.status || err.status >= 500) break; // Try again later
+                    // The server will never accept this one (e.g. the sentence was removed)
+                    console.warn('Dropping queued recording the server refused:', err.message);
+                    await this.offlineStore.deleteRecording(item.id);
+                    const sentence = this.allSentences.find(s => s.id === item.sentence_id);
+                    this.onQueuedRecordingRejected(item.sentence_id, sentence ? sentence.recording_id : null);
+                    continue;
+                }
+                
+                await this.offlineStore.deleteRecording(item.id);
+                this.onQueuedRecordingUploaded(item.sentence_id, result);
+                await this.updatePendingCount();
+            }
+        } catch (err) {
+            console.error('Failed to upload queued recordings:', err);
+        } finally {
+            this.syncing = false;
+            await this.updatePendingCount();
+        }
+    }
+    
+    onQueuedRecordingUploaded(sentenceId, result) {
+        const sentence = this.allSentences.find(s => s.id === sentenceId);
+        const previousRecordingId = sentence ? sentence.recording_id : null;
+        if (sentence) {
+            sentence.pending_upload = false;
+            sentence.recording_id = result.recording_id;
+            sentence.take_count = (sentence.take_count || 0) + 1;
+        }
+        
+        // Check the result in the background; a rejected take has to be recorded again
+        this.waitForJob(result.job_id).then(job => {
+            if (job.status === 'rejected' || job.status === 'failed') {
+                if (sentence) sentence.take_count -= 1;
+                this.onQueuedRecordingRejected(sentenceId, previousRecordingId);
+            } else {
+                this.dropRerecordingRequest(sentenceId);
+            }
+        });
+    }
+    
+    /**
+     * A take saved offline was not accepted; fall back to the sentence's earlier take, if any
+     */
+    onQueuedRecordingRejected(sentenceId, previousRecordingId = null) {
+        const sentence = this.allSentences.find(s => s.id === sentenceId);
+        if (!sentence) return;
+        sentence.has_recording = Boolean(previousRecordingId);
+        sentence.recording_id = previousRecordingId;
+        sentence.pending_upload = false;
+        this.showStatus(`⚠️ A recording saved offline (sentence ${sentence.order_in_story}) was not accepted; please record it again`, 'warning');
+    }
+    
+    /**
+     * Mark sentences that have a recording waiting in the offline queue
+     */
+    async markQueuedSentences() {
+        if (!this.offlineStore) return;
+        const queued = await this.offlineStore.listRecordings().catch(() => []);
+        for (const item of queued) {
+            const sentence = this.allSentences.find(s => s.id === item.sentence_id);
+            if (sentence) {
+                sentence.has_recording = true;
+                sentence.pending_upload = true;
+            }
+        }
+    }
+    
+    async updatePendingCount() {
+        const count = this.offlineStore ? await this.offlineStore.countRecordings().catch(() => 0) : 0;
+        this.pendingCount.textContent = count;
+        this.pendingUploads.style.display = count > 0 ? 'inline' : 'none';
+        this.updateConnectionStatus();
+    }
+    
+    updateConnectionStatus() {
+        const offline = !navigator.onLine;
+        this.offlineIndicator.style.display = offline ? 'inline' : 'none';
+        const pending = this.pendingUploads.style.display !== 'none';
+        this.connectionStatus.style.display = offline || pending ? 'flex' : 'none';
+    }
+    
+    /**
+     * Poll an upload's processing job until it finishes or the timeout passes
+     * @returns {Promise<object>} Last job status seen
+     */
+    async waitForJob(jobId, { intervalMs = 1000, timeoutMs = 60000 } = {}) {
+        const deadline = Date.now() + timeoutMs;
+        let job = { job_id: jobId, status: 'queued' };
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+            try {
+                const response = await fetch(`/api/recordings/jobs/${jobId}`);
+                if (response.ok) {
+                    job = await response.json();
+                    if (['done', 'rejected', 'failed'].includes(job.status)) return job;
                 }
-                xhr.send(formData);
             } catch (err) {
-                reject(err);
+                console.warn('Failed to check processing status, retrying:', err);
             }
+        }
+        return job;
+    }
+
+    /**
+     * Upload a blob in chunks (init → append → finalize)
+     * A failed chunk is retried with backoff from the offset the server reports.
+     * @returns {Promise<object>} Finalize response: { recording_id, job_id, status }
+     */
+    async uploadResumable(blob, sentenceId, onProgress, { maxRetries = 6 } = {}) {
+        const upload = await this.fetchJson('/api/recordings/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sentence_id: sentenceId, size: blob.size, filename: this.recordingFilename(blob) }),
         });
+        const uploadUrl = `/api/recordings/uploads/${upload.upload_id}`;
+        let offset = upload.offset;
+        let failures = 0;
+
+        while (offset < blob.size) {
+            try {
+                const result = await this.fetchJson(uploadUrl, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+                    body: blob.slice(offset, offset + upload.chunk_size),
+                });
+                offset = result.offset;
+                failures = 0;
+                if (onProgress) onProgress({ loaded: offset, total: blob.size });
+            } catch (err) {
+                // The server already has a different amount; continue from there
+                if (err.status === 409 && err.body && typeof err.body.offset === 'number') {
+                    offset = err.body.offset;
+                    continue;
+                }
+                // Client errors will not fix themselves; network errors and 5xx are retried
+                if ((err.status && err.status < 500) || ++failures > maxRetries) throw err;
+                const delay = Math.min(1000 * 2 ** (failures - 1), 30000);
+                console.warn(`Chunk upload failed (${err.message}); retrying in ${delay}ms`);
+                this.showStatus(`Connection problem, retrying upload (${failures}/${maxRetries})...`, 'warning');
+                await new Promise(resolve => setTimeout(resolve, delay));
+                const status = await this.fetchJson(uploadUrl).catch(() => null);
+                if (status) offset = status.offset;
+            }
+        }
+
+        return this.fetchJson(`${uploadUrl}/finalize`, { method: 'POST' });
+    }
+
+    /**
+     * Upload filename for a recorded blob (the server keeps its extension)
+     */
+    recordingFilename(blob) {
+        return blob.type === 'audio/wav' ? 'recording.wav' : 'recording.webm';
+    }
+    
+    /**
+     * fetch() that rejects on HTTP errors with { status, body } like the upload errors handled in submitRecording
+     */
+    async fetchJson(url, options = {}) {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const err = new Error(body.error || `HTTP ${response.status}`);
+            err.status = response.status;
+            err.body = body;
+            throw err;
+        }
+        return body;
     }
     
     visualize() {
@@ -652,11 +1339,139 @@ class RecorderApp {
             
             ctx.lineTo(width, height / 2);
             ctx.stroke();
+            
+            const reading = this.levelMeter.update();
+            this.renderLevel(reading);
+            this.trackSpeech(reading);
         };
         
         draw();
     }
     
+    /**
+     * Thresholds for the level meter, from the server's signal quality checks
+     */
+    levelThresholds() {
+        const thresholds = this.config.level_meter || {};
+        return {
+            ...(thresholds.too_quiet_dbfs != null && { tooQuietDbfs: thresholds.too_quiet_dbfs }),
+            ...(thresholds.min_snr_db != null && { minSnrDb: thresholds.min_snr_db }),
+        };
+    }
+    
+    /**
+     * Mark the target range (loud enough for validation, short of clipping) on the meter
+     */
+    showLevelTarget() {
+        const start = LevelMeter.scale(this.levelMeter.thresholds.tooQuietDbfs);
+        const end = LevelMeter.scale(LevelMeter.TARGET_MAX_DB);
+        this.levelMeterZone.style.left = `${start * 100}%`;
+        this.levelMeterZone.style.width = `${Math.max(0, end - start) * 100}%`;
+    }
+    
+    /**
+     * Show the level and its cue; vibrate when the cue turns into a problem
+     */
+    renderLevel(reading) {
+        this.levelMeterBar.style.width = `${LevelMeter.scale(reading.rmsDbfs) * 100}%`;
+        this.levelMeterBar.dataset.cue = reading.cue;
+        if (reading.cue === this.levelCue) return;
+        
+        this.levelCue = reading.cue;
+        const cue = LEVEL_CUES[reading.cue];
+        this.levelCueEl.textContent = cue.text;
+        this.levelCueEl.dataset.cue = reading.cue;
+        if (cue.vibrate && navigator.vibrate) navigator.vibrate(cue.vibrate);
+    }
+    
+    /**
+     * Speech/silence indicator and auto-stop after trailing silence
+     * Leading silence never stops a recording; only silence after speech counts.
+     */
+    trackSpeech(reading) {
+        if (!this.capturing) return;
+        const now = performance.now();
+        if (reading.speaking) {
+            this.speech = { heard: true, lastAt: now };
+        }
+        
+        const autoStopSeconds = this.recorderSettings.auto_stop_silence_seconds;
+        const silenceSeconds = (now - this.speech.lastAt) / 1000;
+        if (autoStopSeconds && this.speech.heard && silenceSeconds >= autoStopSeconds) {
+            this.autoStopped = true;
+            this.stopRecording();
+            return;
+        }
+        
+        if (reading.speaking) {
+            this.speechIndicator.dataset.state = 'speech';
+            this.speechIndicator.textContent = '🗣️ Speech detected';
+        } else {
+            this.speechIndicator.dataset.state = 'silence';
+            this.speechIndicator.textContent = autoStopSeconds && this.speech.heard
+                ? `🤫 Silence: stopping in ${Math.ceil(autoStopSeconds - silenceSeconds)} s`
+                : '🤫 Silence';
+        }
+    }
+    
+    clearLevel() {
+        this.levelMeter = null;
+        this.levelCue = null;
+        this.levelMeterBar.style.width = '0%';
+        this.levelCueEl.textContent = '';
+        delete this.levelCueEl.dataset.cue;
+    }
+    
+    /**
+     * Measure the room's background noise for a few seconds before the session
+     * Warns when it is too loud for recordings to reach the required signal-to-noise ratio.
+     */
+    async runMicCheck() {
+        this.btnMicCheck.disabled = true;
+        this.micCheckResult.className = 'status-message status-info';
+        this.micCheckResult.textContent = '🤫 Please stay quiet for 3 seconds...';
+        this.micCheckResult.style.display = 'block';
+        
+        let stream = null;
+        let audioContext = null;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(MIC_CONSTRAINTS);
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 2048;
+            audioContext.createMediaStreamSource(stream).connect(analyser);
+            const meter = new LevelMeter(analyser, this.levelThresholds());
+            
+            const { noiseDbfs, tooLoud, silent } = await meter.measureAmbient(3000);
+            const measured = `(background ${Math.round(noiseDbfs)} dBFS)`;
+            if (silent) {
+                this.micCheckResult.className = 'status-message status-warning';
+                this.micCheckResult.textContent = '⚠️ No sound is reaching the microphone. Check that it is connected and not muted.';
+            } else if (tooLoud) {
+                this.micCheckResult.className = 'status-message status-warning';
+                this.micCheckResult.textContent = `⚠️ The room is too loud ${measured}. Move somewhere quieter, or close windows and turn off fans.`;
+                if (navigator.vibrate) navigator.vibrate(LEVEL_CUES.noisy.vibrate);
+            } else {
+                this.micCheckResult.className = 'status-message status-success';
+                this.micCheckResult.textContent = `✓ The room is quiet enough ${measured}.`;
+            }
+        } catch (error) {
+            console.error('Mic check failed:', error);
+            this.micCheckResult.className = 'status-message status-warning';
+            this.micCheckResult.textContent = '⚠️ Could not access the microphone. Please allow microphone access.';
+        } finally {
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            if (audioContext) audioContext.close();
+            this.btnMicCheck.disabled = false;
+            this.btnMicCheck.textContent = '🔁 Check again';
+        }
+    }
+    
+    closeMicCheck() {
+        sessionStorage.setItem('micChecked', '1');
+        this.micCheckPanel.style.display = 'none';
+    }
+    
     clearVisualizer() {
         const canvas = this.visualizerCanvas;
         const ctx = this.visualizerCtx;
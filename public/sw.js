@@ -0,0 +1,57 @@
+/**
+ * Service worker for the recorder PWA
+ * Caches the app shell so recorder.html opens without a connection. API calls
+ * always go to the network; offline recordings are queued in IndexedDB by the page.
+ */
+
+const CACHE_NAME = 'recorder-shell-v3';
+const APP_SHELL = [
+    '/recorder.html',
+    '/recorder.js',
+    '/offline-queue.js',
+    '/wav-recorder.js',
+    '/pcm-recorder-worklet.js',
+    '/level-meter.js',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/images/hearing-aid-speaking.svg',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first for the shell (so deploys show up), falling back to the cache when offline
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    const cacheKey = url.pathname;
+    if (!APP_SHELL.includes(cacheKey)) return;
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(cacheKey))
+    );
+});
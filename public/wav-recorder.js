@@ -0,0 +1,126 @@
+/**
+ * WAV recorder
+ * Captures raw PCM with an AudioWorklet, resamples it to 16kHz mono and
+ * encodes 16-bit WAV in the browser. Uploads are lossless and already in the
+ * format the server stores, so they skip conversion.
+ */
+
+class WavRecorder {
+    /**
+     * Whether this browser can record WAV (falls back to MediaRecorder otherwise)
+     */
+    static isSupported() {
+        return typeof AudioWorkletNode !== 'undefined' && typeof OfflineAudioContext !== 'undefined';
+    }
+
+    /**
+     * @param {AudioContext} audioContext - Running context (any sample rate)
+     * @param {AudioNode} source - Microphone source node in that context
+     * @param {object} [options] - { sampleRate } of the WAV (default 16000)
+     */
+    constructor(audioContext, source, { sampleRate = 16000 } = {}) {
+        this.audioContext = audioContext;
+        this.source = source;
+        this.sampleRate = sampleRate;
+        this.node = null;
+        this.blocks = [];
+        this.onStopped = null;
+    }
+
+    async start() {
+        await this.audioContext.audioWorklet.addModule('pcm-recorder-worklet.js');
+        this.node = new AudioWorkletNode(this.audioContext, 'pcm-recorder', { numberOfOutputs: 0 });
+        this.blocks = [];
+        this.node.port.onmessage = (event) => {
+            if (event.data.type === 'samples') {
+                this.blocks.push(event.data.samples);
+            } else if (event.data.type === 'stopped' && this.onStopped) {
+                this.onStopped();
+            }
+        };
+        this.source.connect(this.node);
+    }
+
+    /**
+     * Stop capturing and encode what was recorded
+     * Must be called before the audio context is closed.
+     * @returns {Promise<Blob>} audio/wav
+     */
+    async stop() {
+        await new Promise((resolve) => {
+            this.onStopped = resolve;
+            this.node.port.postMessage('stop');
+        });
+        this.source.disconnect(this.node);
+        this.node = null;
+
+        const length = this.blocks.reduce((sum, block) => sum + block.length, 0);
+        if (length === 0) {
+            throw new Error('No audio was captured');
+        }
+        const samples = new Float32Array(length);
+        let offset = 0;
+        for (const block of this.blocks) {
+            samples.set(block, offset);
+            offset += block.length;
+        }
+        this.blocks = [];
+
+        const resampled = await this.resample(samples, this.audioContext.sampleRate);
+        return new Blob([WavRecorder.encodeWav(resampled, this.sampleRate)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Resample with the browser's own (band-limited) resampler by rendering offline
+     */
+    async resample(samples, fromRate) {
+        if (fromRate === this.sampleRate) return samples;
+
+        const length = Math.ceil(samples.length * this.sampleRate / fromRate);
+        const offline = new OfflineAudioContext(1, length, this.sampleRate);
+        const buffer = offline.createBuffer(1, samples.length, fromRate);
+        buffer.copyToChannel(samples, 0);
+
+        const player = offline.createBufferSource();
+        player.buffer = buffer;
+        player.connect(offline.destination);
+        player.start();
+
+        const rendered = await offline.startRendering();
+        return rendered.getChannelData(0);
+    }
+
+    /**
+     * Encode mono samples as 16-bit PCM WAV
+     * @param {Float32Array} samples - Normalized to [-1, 1]
+     * @param {number} sampleRate
+     * @returns {ArrayBuffer}
+     */
+    static encodeWav(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);             // fmt chunk size
+        view.setUint16(20, 1, true);              // PCM
+        view.setUint16(22, 1, true);              // Mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // Byte rate
+        view.setUint16(32, 2, true);              // Block align
+        view.setUint16(34, 16, true);             // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        }
+        return buffer;
+    }
+}
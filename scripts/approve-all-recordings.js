@@ -14,24 +14,24 @@ async function approveRecordings() {
             `UPDATE recordings 
              SET status = $1, validation_status = $2 
              WHERE status != $1 OR validation_status != $2`,
-            ['approved', 'valid']
+            ['approved', 'passed']
         );
         
-        console.log('✓ All recordings approved and marked as valid');
+        console.log('✓ All recordings approved and marked as passed');
         
         // Show updated counts
         const counts = await query(`
             SELECT 
                 COUNT(*) as total,
                 COUNT(*) FILTER (WHERE status = 'approved') as approved,
-                COUNT(*) FILTER (WHERE validation_status = 'valid') as valid
+                COUNT(*) FILTER (WHERE validation_status = 'passed') as passed
             FROM recordings
         `);
         
         console.log(`\nRecording status:`);
         console.log(`  Total: ${counts[0].total}`);
         console.log(`  Approved: ${counts[0].approved}`);
-        console.log(`  Valid: ${counts[0].valid}`);
+        console.log(`  Passed: ${counts[0].passed}`);
         
         process.exit(0);
     } catch (error) {
@@ -74,6 +74,38 @@ function splitIntoSentences(text) {
     return sentences.map(s => s.replace(/\s+/g, ' ').trim()).filter(s => s.length > 0);
 }
 
+/**
+ * Apply any sql/migrations/*.sql files not yet recorded in schema_migrations.
+ * On a freshly created schema every migration is already folded into schema.sql,
+ * so they are only recorded, not executed.
+ */
+async function applyMigrations(pool, freshSchema) {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            filename TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+
+    const migrationsDir = path.join(__dirname, '../sql/migrations');
+    const files = (await fs.readdir(migrationsDir)).filter(f => f.endsWith('.sql')).sort();
+
+    const appliedResult = await pool.query('SELECT filename FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map(r => r.filename));
+
+    for (const file of files) {
+        if (applied.has(file)) continue;
+
+        if (!freshSchema) {
+            console.log(`🔧 Applying migration ${file}...`);
+            const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+            await pool.query(sql);
+        }
+        await pool.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+        console.log(`✅ Migration ${file} ${freshSchema ? 'recorded' : 'applied'}`);
+    }
+}
+
 async function autoSetup() {
     console.log('🚀 Auto-setup: Checking database status...');
     
@@ -99,7 +131,8 @@ async function autoSetup() {
         console.log('📋 Found tables:', tables.join(', ') || 'none');
         
         // If no tables or missing key tables, run setup
-        if (!tables.includes('stories') || !tables.includes('sentences')) {
+        const freshSchema = !tables.includes('stories') || !tables.includes('sentences');
+        if (freshSchema) {
             console.log('🔧 Database needs initialization, running setup...');
             
             // Read and execute schema
@@ -109,6 +142,8 @@ async function autoSetup() {
             await pool.query(schema);
             console.log('✅ Database schema created');
         }
+
+        await applyMigrations(pool, freshSchema);
         
         // Check if stories exist (moved outside the table check)
         const storiesResult = await pool.query('SELECT COUNT(*) as count FROM stories');
@@ -211,3 +246,4 @@ if (require.main === module) {
 }
 
 module.exports = autoSetup;
+module.exports.applyMigrations = applyMigrations;
@@ -18,6 +18,7 @@ const ffprobeOk = check('ffprobe');
 
 if (!ffmpegOk || !ffprobeOk) {
   console.log('ffmpeg/ffprobe not available. Install and add to PATH before running conversion scripts.');
+  console.log('(Without them only WAV and WebM/Ogg Opus recordings can be converted, and no loudness is measured.)');
   process.exit(1);
 }
 process.exit(0);
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Right-to-erasure: delete everything stored about a speaker
+ * Removes their recordings from storage and the database, progress, profile,
+ * consents and account, writes a tombstone and outputs a signed deletion report.
+ * Requires ERASURE_REPORT_SECRET (the same secret the server uses).
+ *
+ * Usage:
+ *   node scripts/erase-speaker.js --email someone@example.com --reason "Speaker request" --report erasure.json
+ *   node scripts/erase-speaker.js --verify erasure.json
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const { program } = require('commander');
+const { queryOne } = require('../backend/db');
+const { eraseSpeaker, verifyErasureReport } = require('../backend/erasure');
+const { normalizeEmail } = require('../backend/utils/authCrypto');
+
+program
+    .option('--email <email>', 'Email of the speaker to erase')
+    .option('--user-id <id>', 'ID of the speaker to erase')
+    .option('--reason <text>', 'Reason for the erasure (stored in the report)')
+    .option('--report <path>', 'Write the signed deletion report to this file (default: stdout)')
+    .option('--verify <path>', 'Verify the signature of a deletion report instead of erasing')
+    .parse();
+
+const options = program.opts();
+
+async function verify() {
+    const signed = JSON.parse(await fs.readFile(options.verify, 'utf-8'));
+
+    if (verifyErasureReport(signed)) {
+        console.log(`✅ Signature valid: tombstone ${signed.report.tombstone_id}, erased at ${signed.report.erased_at}`);
+        process.exit(0);
+    }
+    console.error('❌ Signature INVALID: the report was altered or signed with a different secret');
+    process.exit(1);
+}
+
+async function erase() {
+    if (!options.email && !options.userId) {
+        console.error('❌ Pass --email or --user-id');
+        process.exit(1);
+    }
+
+    const user = options.email
+        ? await queryOne('SELECT id, email FROM users WHERE email = $1', [normalizeEmail(options.email)])
+        : await queryOne('SELECT id, email FROM users WHERE id = $1', [parseInt(options.userId)]);
+
+    if (!user) {
+        console.error('❌ No such user (already erased?)');
+        process.exit(1);
+    }
+
+    console.log(`🧹 Erasing speaker ${user.id}...`);
+    const signed = await eraseSpeaker(user.id, { requestedBy: 'cli', reason: options.reason || null });
+    const json = JSON.stringify(signed, null, 2);
+
+    if (options.report) {
+        await fs.writeFile(options.report, json + '\n', 'utf-8');
+        console.log(`✅ Erased ${signed.report.deleted.recordings} recording(s); signed report written to ${options.report}`);
+    } else {
+        console.log(json);
+    }
+    process.exit(0);
+}
+
+(options.verify ? verify() : erase()).catch(error => {
+    console.error('❌ Erasure failed:', error.message);
+    if (error.failures) {
+        error.failures.forEach(f => console.error(`   ${f.recording_id ? `recording ${f.recording_id}` : f.spooled_upload}: ${f.error}`));
+    }
+    process.exit(1);
+});
@@ -2,9 +2,27 @@
 /**
  * ASR Manifest Export Script
  * Exports approved recordings to NeMo/HF compatible manifest format
+ * Only recordings whose speaker consented to the requested scope (and has not
+ * withdrawn) are exported; speakers with an erasure tombstone never are. Each manifest line carries the speaker's profile
+ * (hearing, age band, gender, language, region) in anonymized form.
+ * When a speaker has several approved takes of a sentence, only their preferred
+ * one (or the latest) is exported unless --all-takes is given.
+ * The text label is the prompt, or with --text verbatim what the speaker actually
+ * said where a reviewer transcribed it (tags and broken-off words left out with
+ * --strip-disfluencies).
+ * Each line carries the recording's mean intelligibility rating and its tier
+ * (low, medium, high, or null when unrated); --intelligibility keeps only
+ * recordings in the given tiers.
  * 
  * Usage:
  *   node scripts/export-asr-manifest.js --output ../konkani_asr/data
+ *   node scripts/export-asr-manifest.js --output ./release --consent-scope public
+ *   node scripts/export-asr-manifest.js --output ./release --audio trimmed
+ *   node scripts/export-asr-manifest.js --output ./release --audio normalized
+ *   node scripts/export-asr-manifest.js --output ./release --all-takes
+ *   node scripts/export-asr-manifest.js --output ./release --text verbatim
+ *   node scripts/export-asr-manifest.js --output ./release --text verbatim --strip-disfluencies
+ *   node scripts/export-asr-manifest.js --output ./release --intelligibility medium,high
  */
 
 require('dotenv').config();
@@ -13,6 +31,33 @@ const path = require('path');
 const { program } = require('commander');
 const { query, queryAll } = require('../backend/db');
 const storage = require('../backend/storage');
+const { CONSENT_SCOPES, scopesCovering } = require('../backend/consent');
+const { PROFILE_FIELDS, anonymizeProfiles } = require('../backend/utils/speakerProfile');
+const { preferredTakes } = require('../backend/utils/takes');
+const { exportText } = require('../backend/utils/transcript');
+const { INTELLIGIBILITY_TIERS, intelligibilityTier } = require('../backend/utils/intelligibility');
+
+const AUDIO_VARIANTS = ['raw', 'trimmed', 'normalized'];
+const TEXT_SOURCES = ['prompt', 'verbatim'];
+const INTELLIGIBILITY_FILTERS = [...INTELLIGIBILITY_TIERS.map(({ tier }) => tier), 'unrated'];
+
+// Path and duration of the audio each variant exports
+const EXPORT_AUDIO = {
+    raw: {
+        path: 'r.audio_filepath',
+        duration: 'r.duration_seconds',
+    },
+    trimmed: {
+        path: 'COALESCE(r.trimmed_audio_filepath, r.audio_filepath)',
+        duration: `CASE WHEN r.trimmed_audio_filepath IS NOT NULL
+                        THEN ROUND((r.speech_end_seconds - r.speech_start_seconds)::numeric, 3)::float
+                        ELSE r.duration_seconds END`,
+    },
+    normalized: {
+        path: 'COALESCE(r.normalized_audio_filepath, r.audio_filepath)',
+        duration: 'r.duration_seconds',
+    },
+};
 
 // Parse command line arguments
 program
@@ -23,6 +68,13 @@ program
     .option('--min-duration <seconds>', 'Minimum duration', '0.5')
     .option('--max-duration <seconds>', 'Maximum duration', '30')
     .option('--copy-audio', 'Copy audio files (default: symlink)', false)
+    .option('--min-group-size <n>', 'Profile values shared by fewer speakers are exported as "other"', '5')
+    .option('--consent-scope <scope>', `Consent scope the export is for (${CONSENT_SCOPES.join(', ')})`, 'research')
+    .option('--all-takes', 'Export every approved take (default: one take per speaker and sentence)', false)
+    .option('--audio <variant>', `Audio to export (${AUDIO_VARIANTS.join(', ')}); recordings without that copy fall back to raw`, 'raw')
+    .option('--text <source>', `Text label (${TEXT_SOURCES.join(', ')}); recordings without a verbatim transcript fall back to the prompt`, 'prompt')
+    .option('--strip-disfluencies', 'With --text verbatim, leave disfluency tags and broken-off words out of the text', false)
+    .option('--intelligibility <tiers>', `Only these intelligibility tiers, comma-separated (${INTELLIGIBILITY_FILTERS.join(', ')})`)
     .parse();
 
 const options = program.opts();
@@ -65,16 +117,73 @@ async function writeManifest(filePath, recordings, audioDir) {
         // Relative path from manifest to audio file
         const audioPath = path.join('audio', path.basename(r.audio_filepath));
         
-        return JSON.stringify({
+        const entry = {
             audio_filepath: audioPath,
-            text: r.text_devanagari,
-            duration: r.duration_seconds
-        });
+            text: r.text,
+            text_source: r.text_source,
+            duration: r.duration_seconds,
+            speaker_id: r.speaker_id,
+            intelligibility: r.intelligibility,
+            intelligibility_tier: r.intelligibility_tier
+        };
+        for (const field of PROFILE_FIELDS) {
+            entry[field] = r.speaker_profile[field] || null;
+        }
+        return JSON.stringify(entry);
     });
 
     await fs.writeFile(filePath, lines.join('\n') + '\n', 'utf-8');
 }
 
+/**
+ * Attach anonymized speaker profiles to recordings (as r.speaker_profile)
+ */
+async function attachSpeakerProfiles(recordings, minGroupSize) {
+    const userIds = [...new Set(recordings.map(r => r.user_id))];
+    const rows = await queryAll(
+        `SELECT user_id, ${PROFILE_FIELDS.join(', ')}
+         FROM speaker_profiles
+         WHERE user_id = ANY($1)`,
+        [userIds]
+    );
+
+    const profiles = new Map(userIds.map(id => [id, null]));
+    for (const row of rows) {
+        profiles.set(row.user_id, row);
+    }
+
+    const anonymized = anonymizeProfiles(profiles, minGroupSize);
+    for (const r of recordings) {
+        r.speaker_profile = anonymized.get(r.user_id);
+    }
+}
+
+/**
+ * Count recordings per profile value, for stratification
+ */
+function profileDistribution(recordings) {
+    const distribution = {};
+    for (const field of PROFILE_FIELDS) {
+        distribution[field] = {};
+        for (const r of recordings) {
+            const value = r.speaker_profile[field] || 'not_given';
+            distribution[field][value] = (distribution[field][value] || 0) + 1;
+        }
+    }
+    return distribution;
+}
+
+/**
+ * Count recordings per intelligibility tier
+ */
+function intelligibilityDistribution(recordings) {
+    const distribution = Object.fromEntries(INTELLIGIBILITY_FILTERS.map(tier => [tier, 0]));
+    for (const r of recordings) {
+        distribution[r.intelligibility_tier || 'unrated']++;
+    }
+    return distribution;
+}
+
 /**
  * Copy or symlink audio file
  */
@@ -117,6 +226,23 @@ async function exportManifests() {
         if (Math.abs(trainRatio + devRatio + testRatio - 1.0) > 0.001) {
             throw new Error('Split ratios must sum to 1.0');
         }
+        if (!CONSENT_SCOPES.includes(options.consentScope)) {
+            throw new Error(`--consent-scope must be one of: ${CONSENT_SCOPES.join(', ')}`);
+        }
+        const allowedScopes = scopesCovering(options.consentScope);
+        if (!AUDIO_VARIANTS.includes(options.audio)) {
+            throw new Error(`--audio must be one of: ${AUDIO_VARIANTS.join(', ')}`);
+        }
+        const audioColumns = EXPORT_AUDIO[options.audio];
+        if (!TEXT_SOURCES.includes(options.text)) {
+            throw new Error(`--text must be one of: ${TEXT_SOURCES.join(', ')}`);
+        }
+        const intelligibilityTiers = options.intelligibility
+            ? options.intelligibility.split(',').map(tier => tier.trim())
+            : null;
+        if (intelligibilityTiers && !intelligibilityTiers.every(tier => INTELLIGIBILITY_FILTERS.includes(tier))) {
+            throw new Error(`--intelligibility tiers must be among: ${INTELLIGIBILITY_FILTERS.join(', ')}`);
+        }
 
         // 1. Create output directories
         console.log(`Creating directories in: ${outputDir}`);
@@ -125,31 +251,86 @@ async function exportManifests() {
 
         // 2. Fetch approved recordings
         console.log('\nFetching approved recordings...');
+        console.log(`  Consent scope: ${options.consentScope} (speaker consented to: ${allowedScopes.join(' or ')})`);
+        console.log(`  Audio: ${options.audio}`);
+        console.log(`  Text: ${options.text}${options.stripDisfluencies ? ' (disfluencies stripped)' : ''}`);
+        console.log(`  Intelligibility: ${intelligibilityTiers ? intelligibilityTiers.join(', ') : 'all'}`);
         
-        const recordings = await queryAll(
-            `SELECT 
+        // Recordings made before consent capture have no consent_id; they fall
+        // back to the speaker's latest consent
+        const approved = await queryAll(
+            `SELECT * FROM (
+             SELECT 
                 r.id,
-                r.audio_filepath,
-                r.duration_seconds,
+                r.user_id,
+                r.sentence_id,
+                r.take_number,
+                r.is_preferred,
+                u.speaker_id,
+                ${audioColumns.path} AS audio_filepath,
+                ${audioColumns.duration} AS duration_seconds,
                 r.file_size_bytes,
-                s.text_devanagari
+                s.text_devanagari,
+                r.verbatim_transcript,
+                (SELECT AVG(i.rating)::float FROM intelligibility_ratings i
+                 WHERE i.recording_id = r.id) AS intelligibility,
+                r.created_at
              FROM recordings r
              JOIN sentences s ON r.sentence_id = s.id
+             JOIN users u ON u.id = r.user_id
+             JOIN LATERAL (
+                SELECT c.scope
+                FROM consents c
+                WHERE (c.id = r.consent_id OR (r.consent_id IS NULL AND c.user_id = r.user_id))
+                  AND c.withdrawn_at IS NULL
+                ORDER BY c.granted_at DESC
+                LIMIT 1
+             ) consent ON TRUE
              WHERE r.status = 'approved'
-               AND r.validation_status = 'valid'
-               AND r.duration_seconds >= $1
-               AND r.duration_seconds <= $2
-             ORDER BY r.created_at`,
-            [minDuration, maxDuration]
+               AND r.validation_status = 'passed'
+               AND r.deleted_at IS NULL
+               AND consent.scope = ANY($3)
+               AND r.user_id NOT IN (SELECT user_id FROM erasure_tombstones)
+             ) exported
+             WHERE duration_seconds >= $1
+               AND duration_seconds <= $2
+             ORDER BY created_at`,
+            [minDuration, maxDuration, allowedScopes]
         );
+        for (const r of approved) {
+            r.intelligibility_tier = intelligibilityTier(r.intelligibility);
+        }
+        const eligible = intelligibilityTiers
+            ? approved.filter(r => intelligibilityTiers.includes(r.intelligibility_tier || 'unrated'))
+            : approved;
+        const recordings = options.allTakes ? eligible : preferredTakes(eligible);
 
         if (!recordings || recordings.length === 0) {
-            console.log('No approved recordings found');
+            console.log(`No approved recordings with matching consent${intelligibilityTiers ? ' and intelligibility' : ''} found`);
             console.log('Nothing to export. Create and approve recordings before running this script.');
             process.exit(0);
         }
 
         console.log(`✓ Found ${recordings.length} approved recordings`);
+        if (eligible.length < approved.length) {
+            console.log(`  Skipped ${approved.length - eligible.length} recordings outside the intelligibility tiers`);
+        }
+        if (recordings.length < eligible.length) {
+            console.log(`  Skipped ${eligible.length - recordings.length} other takes of the same sentences (use --all-takes to export them)`);
+        }
+
+        for (const r of recordings) {
+            const label = exportText(r, options.text, { strip: options.stripDisfluencies });
+            r.text = label.text;
+            r.text_source = label.source;
+        }
+        const verbatimCount = recordings.filter(r => r.text_source === 'verbatim').length;
+        if (options.text === 'verbatim') {
+            console.log(`  Verbatim transcripts: ${verbatimCount} (the other ${recordings.length - verbatimCount} were read as prompted)`);
+        }
+
+        const minGroupSize = parseInt(options.minGroupSize);
+        await attachSpeakerProfiles(recordings, minGroupSize);
 
         // 3. Calculate statistics
         const totalDuration = recordings.reduce((sum, r) => sum + r.duration_seconds, 0);
@@ -220,6 +401,15 @@ async function exportManifests() {
         // 7. Write summary file
         const summary = {
             export_date: new Date().toISOString(),
+            consent_scope: options.consentScope,
+            audio_variant: options.audio,
+            text: {
+                source: options.text,
+                strip_disfluencies: options.stripDisfluencies,
+                verbatim: verbatimCount,
+                prompt: recordings.length - verbatimCount
+            },
+            all_takes: options.allTakes,
             total_recordings: recordings.length,
             total_duration_minutes: totalDuration / 60,
             total_size_mb: totalSize / 1024 / 1024,
@@ -236,6 +426,14 @@ async function exportManifests() {
             duration_range: {
                 min: minDuration,
                 max: maxDuration
+            },
+            intelligibility: {
+                tiers: intelligibilityTiers || 'all',
+                distribution: intelligibilityDistribution(recordings)
+            },
+            speaker_profiles: {
+                min_group_size: minGroupSize,
+                distribution: profileDistribution(recordings)
             }
         };
 
@@ -6,7 +6,7 @@
  *
  * Output:
  *   ./exported/audio/<recording_id>.wav
- *   ./exported/manifest.jsonl (JSON Lines with fields: audio_filepath, sentence_text, sentence_text_iast, recording_id, sentence_id, user_id)
+ *   ./exported/manifest.jsonl (JSON Lines with fields: audio_filepath, sentence_text, sentence_text_iast, recording_id, sentence_id, speaker_id)
  */
 
 const fs = require('fs').promises;
@@ -41,20 +41,23 @@ async function main() {
             WITH latest AS (
                 SELECT *, ROW_NUMBER() OVER (PARTITION BY sentence_id, user_id ORDER BY created_at DESC) as rn
                 FROM recordings
+                WHERE validation_status NOT IN ('queued', 'processing')
             )
-            SELECT l.id as recording_id, l.audio_filepath, l.duration_seconds, l.user_id, l.created_at,
+            SELECT l.id as recording_id, l.audio_filepath, l.duration_seconds, u.speaker_id, l.created_at,
                    s.id as sentence_id, s.text_devanagari as sentence_text, s.text_iast as sentence_text_iast,
                    st.id as story_id, st.title as story_title
             FROM latest l
+            JOIN users u ON u.id = l.user_id
             JOIN sentences s ON s.id = l.sentence_id
             JOIN stories st ON st.id = s.story_id
             WHERE l.rn = 1
+              AND l.user_id NOT IN (SELECT user_id FROM erasure_tombstones)
         `;
 
         const params = [];
         if (user) {
-            recordingsQuery += ' AND l.user_id = $1';
-            params.push(user);
+            recordingsQuery += ' AND l.user_id = (SELECT id FROM users WHERE email = $1)';
+            params.push(user.toLowerCase().trim());
         }
 
         recordingsQuery += ' ORDER BY l.created_at DESC LIMIT ' + limit;
@@ -100,7 +103,7 @@ async function main() {
                 audio_filepath: `audio/${rid}.wav`,
                 sentence_id: row.sentence_id,
                 recording_id: rid,
-                user_id: row.user_id,
+                speaker_id: row.speaker_id,
                 sentence_text: row.sentence_text,
                 sentence_text_iast: row.sentence_text_iast || null,
                 duration_seconds: row.duration_seconds,
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Standalone ingestion worker
+ * Processes queued uploads (convert, validate, measure, store). Run it on the
+ * same host as the web server (it reads INGEST_SPOOL_DIR) and set
+ * INGEST_WORKER=off on the web server so it does not also run one inline.
+ *
+ * Usage:
+ *   node scripts/ingestion-worker.js
+ *   node scripts/ingestion-worker.js --poll-interval 2000
+ */
+
+require('dotenv').config();
+const { program } = require('commander');
+const { IngestionWorker } = require('../backend/ingestion/worker');
+const { pool } = require('../backend/db');
+
+program
+    .option('--poll-interval <ms>', 'Fallback poll interval in milliseconds')
+    .parse();
+
+const options = program.opts();
+
+async function main() {
+    const worker = new IngestionWorker({ pollIntervalMs: parseInt(options.pollInterval) || undefined });
+
+    const shutdown = async (signal) => {
+        console.log(`\n${signal} received, finishing current job...`);
+        await worker.stop();
+        await pool.end();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    await worker.start();
+}
+
+main().catch(error => {
+    console.error('❌ Worker failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Rename existing audio objects to use pseudonymous speaker IDs
+ * Older storage keys embed the speaker's email (recordings/<email_with_underscores>_<sentence>_<uuid>.wav).
+ * This moves every recording whose key does not start with its speaker ID to
+ * <same folder>/<speaker_id>_<sentence>_<uuid>.wav and updates audio_filepath.
+ * Safe to re-run: already migrated recordings are skipped.
+ *
+ * Run after migration 008_add_speaker_ids.sql (applied automatically on deploy).
+ *
+ * Usage:
+ *   node scripts/migrate-speaker-filenames.js --dry-run
+ *   node scripts/migrate-speaker-filenames.js
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { program } = require('commander');
+const { v4: uuidv4 } = require('uuid');
+const { query, queryAll } = require('../backend/db');
+const storage = require('../backend/storage');
+
+program
+    .option('--dry-run', 'Show what would be renamed without changing anything', false)
+    .parse();
+
+const options = program.opts();
+
+/**
+ * New key for a recording: same folder, speaker ID instead of the email, original uuid kept
+ */
+function pseudonymousKey(recording) {
+    const dir = path.posix.dirname(recording.audio_filepath);
+    const base = path.posix.basename(recording.audio_filepath);
+    const ext = path.posix.extname(base) || '.wav';
+    const uuidMatch = base.match(/_([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.\w+$/i);
+    const name = `${recording.speaker_id}_${recording.sentence_id}_${uuidMatch ? uuidMatch[1] : uuidv4()}${ext}`;
+    return dir === '.' ? name : `${dir}/${name}`;
+}
+
+async function migrateFilenames() {
+    try {
+        console.log('='.repeat(60));
+        console.log(`🔐 Pseudonymous storage keys${options.dryRun ? ' (dry run)' : ''}`);
+        console.log('='.repeat(60));
+
+        const recordings = await queryAll(
+            `SELECT r.id, r.sentence_id, r.audio_filepath, u.speaker_id
+             FROM recordings r
+             JOIN users u ON u.id = r.user_id
+             ORDER BY r.id`
+        );
+
+        const pending = recordings.filter(r =>
+            !path.posix.basename(r.audio_filepath).startsWith(`${r.speaker_id}_`)
+        );
+        console.log(`Found ${recordings.length} recordings, ${pending.length} to rename\n`);
+
+        const results = { renamed: 0, missing: 0, failed: 0 };
+
+        for (const recording of pending) {
+            const newKey = pseudonymousKey(recording);
+            console.log(`  ${recording.id}: ${recording.audio_filepath} -> ${newKey}`);
+            if (options.dryRun) continue;
+
+            try {
+                if (!(await storage.exists(recording.audio_filepath))) {
+                    console.warn(`     ⚠️  Not found in storage, skipped`);
+                    results.missing++;
+                    continue;
+                }
+
+                await storage.move(recording.audio_filepath, newKey);
+                try {
+                    await query('UPDATE recordings SET audio_filepath = $1 WHERE id = $2', [newKey, recording.id]);
+                } catch (error) {
+                    // Put the object back so audio_filepath keeps pointing at it
+                    await storage.move(newKey, recording.audio_filepath);
+                    throw error;
+                }
+                results.renamed++;
+            } catch (error) {
+                console.error(`     ❌ Failed: ${error.message}`);
+                results.failed++;
+            }
+        }
+
+        console.log('\n' + '='.repeat(60));
+        if (options.dryRun) {
+            console.log(`Dry run: ${pending.length} recording(s) would be renamed`);
+        } else {
+            console.log(`✅ Renamed: ${results.renamed}, missing: ${results.missing}, failed: ${results.failed}`);
+        }
+        console.log('='.repeat(60));
+
+        process.exit(results.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+migrateFilenames();
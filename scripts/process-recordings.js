@@ -1,135 +1,96 @@
 #!/usr/bin/env node
+/**
+ * Reprocess stored recordings through the ingestion pipeline
+ * Downloads each recording, converts it to 16kHz mono WAV, re-validates, detects
+ * the speech endpoints and loudness, stores the new file (plus trimmed and
+ * loudness-normalized copies) and updates the database row.
+ * Without ffmpeg only WAV and Opus (WebM/Ogg) recordings can be converted, and
+ * no loudness is measured.
+ *
+ * Usage:
+ *   node scripts/process-recordings.js --limit 100 --dry-run
+ *   node scripts/process-recordings.js --start-id 500 --limit 1000 --batch-size 100 --skip-wav
+ */
+
 require('dotenv').config();
-const path = require('path');
-const fs = require('fs').promises;
 const { program } = require('commander');
-const { queryAll, query, queryOne } = require('../backend/db');
-const storage = require('../backend/storage');
-const { convertToWav, getAudioMetadata } = require('../backend/utils/audioConverter');
-const { validateAudio } = require('../backend/utils/audioValidator');
+const { queryAll } = require('../backend/db');
+const { createReprocessPipeline } = require('../backend/ingestion');
 
-(async () => {
-        try {
-        const meta = await getAudioMetadata(tmpLocalPath).catch(() => null);
-        const isWav = meta && meta.format === 'wav' && meta.sample_rate === 16000 && meta.channels === 1;
-        if (!isWav) {
-          if (!ffmpegAvailable) {
-            console.warn('ffmpeg not available; skipping conversion for id', row.id);
-          } else if (!dryRun) {
-            const outLocal = tmpLocalPath.replace(path.extname(tmpLocalPath), '-converted.wav');
-            await convertToWav(tmpLocalPath, outLocal);
-            newLocalPath = outLocal;
-          } else {
-            console.log('[dry-run] Would convert', tmpLocalPath, '-> wav');
-          }
-        } else {
-          console.log('Already WAV and correct format locally');
-        }
-        // Trim silence if ffmpeg is available and not already done
-        if (ffmpegAvailable && newLocalPath) {
-          const outTrim = newLocalPath.replace('.wav', '-trimmed.wav');
-          if (!dryRun) {
-            try { await require('../backend/utils/audioConverter').trimSilence(newLocalPath, outTrim); newLocalPath = outTrim; } catch (e) { console.warn('Trim silence failed for id', row.id, e.message); }
-          } else {
-            console.log('[dry-run] Would trim silence for', newLocalPath);
-          }
-        }
-  let sql = `SELECT id, sentence_id, user_id, audio_filepath, format, validation_status, validation_errors FROM recordings WHERE id > $1`;
-  const args = [startId];
-  sql += ` ORDER BY id ASC LIMIT $2`;
+program
+    .option('--start-id <id>', 'Only process recordings with id greater than this', '0')
+    .option('--limit <n>', 'Maximum number of recordings to process', '100')
+    .option('--batch-size <n>', 'Recordings fetched per query', '50')
+    .option('--skip-wav', 'Skip recordings that are already WAV and passed validation', false)
+    .option('--no-trim-silence', 'Do not store a trimmed copy (speech endpoints are still recorded)')
+    .option('--no-normalize-loudness', 'Do not store a loudness-normalized copy (loudness is still measured)')
+    .option('--dry-run', 'Convert and validate only; do not store files or update the database', false)
+    .parse();
 
-  let processed = 0;
-  // Detect ffmpeg availability
-  let ffmpegAvailable = true;
-  try {
-    require('child_process').execSync('ffmpeg -version', { stdio: 'ignore' });
-    require('child_process').execSync('ffprobe -version', { stdio: 'ignore' });
-  } catch (err) {
-    console.warn('ffmpeg/ffprobe not available in PATH. Conversions/validation requiring ffmpeg will be skipped.');
-    ffmpegAvailable = false;
-  }
-  let lastId = startId;
-  while (processed < limit) {
-    const batch = await queryAll(sql, [lastId, Math.min(batchSize, limit - processed)]);
-    if (!batch || batch.length === 0) break;
+const options = program.opts();
 
-    for (const row of batch) {
-      if (skipWav && (row.format || '').toLowerCase() === 'wav' && row.validation_status === 'passed') {
-        console.log(`Skipping id=${row.id} (already WAV and passed)`);
-        lastId = row.id; processed++; continue;
-      }
+async function processRecordings() {
+    const startId = parseInt(options.startId) || 0;
+    const limit = parseInt(options.limit) || 100;
+    const batchSize = parseInt(options.batchSize) || 50;
+    const pipeline = createReprocessPipeline({
+        trimSilence: options.trimSilence,
+        normalizeLoudness: options.normalizeLoudness,
+        dryRun: options.dryRun,
+    });
 
-      console.log(`Processing id=${row.id} format=${row.format} status=${row.validation_status}`);
-      // Get file from storage (local fs path or s3 key)
-      const filepath = row.audio_filepath;
-      if (!filepath) { console.warn('No filepath for id', row.id); lastId = row.id; processed++; continue; }
+    console.log('='.repeat(60));
+    console.log(`🔄 Reprocessing recordings${options.dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
 
-      // Ensure local copy
-      const tmpLocalPath = path.join(process.cwd(), '.tmp', `rec_${row.id}_${path.basename(filepath)}`);
-      await fs.mkdir(path.dirname(tmpLocalPath), { recursive: true });
-      try {
-        const stream = await storage.getStream(filepath);
-        const writeStream = require('fs').createWriteStream(tmpLocalPath);
-        await new Promise((resolve, reject) => {
-          stream.pipe(writeStream).on('finish', resolve).on('error', reject);
-        });
-      } catch (e) {
-        console.error('Failed to download file from storage for id', row.id, e.message);
-        lastId = row.id; processed++; continue;
-      }
+    const results = { passed: 0, failed: 0, skipped: 0, errors: 0 };
+    let lastId = startId;
+    let processed = 0;
 
-      // Convert to WAV if needed
-      let newLocalPath = tmpLocalPath;
-      try {
-        const meta = await getAudioMetadata(tmpLocalPath).catch(() => null);
-        const isWav = meta && meta.format === 'wav' && meta.sample_rate === 16000 && meta.channels === 1;
-            if (!isWav) {
-          if (!ffmpegAvailable) {
-            console.warn('ffmpeg not available; skipping conversion for id', row.id);
-          } else if (!dryRun) {
-          // Ensure output file is not same as input
-          const outLocal = tmpLocalPath.replace(path.extname(tmpLocalPath), '-converted.wav');
-            await convertToWav(tmpLocalPath, outLocal);
-            // Remove original temp (if we want to)
-            // await fs.unlink(tmpLocalPath).catch(() => {});
-            newLocalPath = outLocal;
-          } else {
-            console.log('[dry-run] Would convert', tmpLocalPath, '-> wav');
-          }
-        } else {
-          console.log('Already WAV and correct format locally');
-        }
-      } catch (e) {
-        console.error('Conversion failed for id', row.id, e.message);
-      }
+    while (processed < limit) {
+        const batch = await queryAll(
+            `SELECT id, format, validation_status
+             FROM recordings
+             WHERE id > $1
+             ORDER BY id ASC
+             LIMIT $2`,
+            [lastId, Math.min(batchSize, limit - processed)]
+        );
+        if (batch.length === 0) break;
 
-      // Re-validate and update DB
-      try {
-        const audioMeta = await getAudioMetadata(newLocalPath).catch(() => null);
-        const validation = audioMeta ? (await validateAudio(newLocalPath, '')) : { valid: false, errors: ['Unable to read metadata'] };
-        console.log('Validation result for id', row.id, validation);
+        for (const row of batch) {
+            lastId = row.id;
+            processed++;
 
-        // Save WAV to storage and update db
-        if (!dryRun && newLocalPath) {
-          // Generate new filename
-          const newFilename = `recordings/${row.user_id.replace(/[^a-z0-9]/gi, '_')}_${row.sentence_id}_${require('uuid').v4()}.wav`;
-          const storedKey = await storage.save(newLocalPath, newFilename);
-          const fileSize = await storage.getSize(storedKey);
-          const updateRes = await query(
-            `UPDATE recordings SET audio_filepath = $1, file_size_bytes = $2, duration_seconds = $3, sample_rate = $4, channels = $5, format = $6, validation_status = $7, validation_errors = $8, audio_metadata = $9 WHERE id = $10 RETURNING id`,
-            [storedKey, fileSize, validation.checks.duration, validation.checks.sample_rate, validation.checks.channels, 'wav', validation.valid ? 'passed' : 'failed', JSON.stringify(validation.errors), JSON.stringify(validation.metadata || {}), row.id]
-          );
-          console.log('Updated recording id', row.id);
+            if (options.skipWav && (row.format || '').toLowerCase() === 'wav' && row.validation_status === 'passed') {
+                results.skipped++;
+                continue;
+            }
+
+            try {
+                const result = await pipeline.run({ recordingId: row.id });
+                results[result.status]++;
+                const detail = result.validation.valid ? '' : ` (${result.validation.errors.join('; ')})`;
+                console.log(`  ${row.id}: ${result.status}${detail}`);
+            } catch (error) {
+                console.error(`  ${row.id}: ❌ ${error.message}`);
+                results.errors++;
+            }
         }
-      } catch (e) {
-        console.error('Failed to save/validate/update DB for id', row.id, e.message);
-      }
+    }
 
-      lastId = row.id;
-      processed++; 
+    console.log('\n' + '='.repeat(60));
+    console.log(`✅ Processed ${processed}: ${results.passed} passed, ${results.failed} failed validation, ${results.skipped} skipped, ${results.errors} errors`);
+    if (options.dryRun) {
+        console.log('Dry run: no files or database rows were changed');
     }
-  }
+    console.log(`Last id: ${lastId} (resume with --start-id ${lastId})`);
+    console.log('='.repeat(60));
+
+    process.exit(results.errors > 0 ? 1 : 0);
+}
 
-  console.log('Done processing recordings');
-  process.exit(0);
-})();
+processRecordings().catch(error => {
+    console.error('❌ Processing failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Purge deleted recordings
+ * Permanently removes recordings deleted more than RECORDING_RETENTION_DAYS ago:
+ * their audio (and trimmed/normalized copies) from storage, local or S3, and then
+ * the database row. The server already does this once a day; use this script to
+ * run it by hand or from cron when the daily purge is turned off.
+ *
+ * Usage:
+ *   node scripts/purge-deleted-recordings.js
+ *   node scripts/purge-deleted-recordings.js --dry-run
+ *   node scripts/purge-deleted-recordings.js --retention-days 7
+ */
+
+require('dotenv').config();
+const { program } = require('commander');
+const { purgeDeletedRecordings, retentionDays } = require('../backend/purge');
+
+program
+    .option('--retention-days <days>', 'Purge recordings deleted at least this many days ago (default: RECORDING_RETENTION_DAYS)')
+    .option('--dry-run', 'Only count the recordings that would be purged', false)
+    .parse();
+
+const options = program.opts();
+
+async function main() {
+    const days = options.retentionDays !== undefined ? parseInt(options.retentionDays, 10) : retentionDays();
+    if (!Number.isInteger(days) || days < 0) {
+        console.error('❌ --retention-days must be a whole number of days (0 or more)');
+        process.exit(1);
+    }
+
+    console.log(`🗑️  Purging recordings deleted more than ${days} day(s) ago${options.dryRun ? ' (dry run)' : ''}...`);
+    const results = await purgeDeletedRecordings({ retentionDays: days, dryRun: options.dryRun });
+
+    if (options.dryRun) {
+        console.log(`📊 ${results.total} recording(s) would be purged`);
+    } else {
+        console.log(`✅ Purged: ${results.purged}`);
+        if (results.failed > 0) {
+            console.log(`❌ Failed: ${results.failed} (kept; they are retried on the next run)`);
+        }
+    }
+
+    process.exit(results.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Purge failed:', error.message);
+    process.exit(1);
+});
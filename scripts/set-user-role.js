@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Set a user's role (contributor, reviewer, admin)
+ * Use this to bootstrap the first admin; afterwards roles can be managed from admin.html
+ *
+ * Usage:
+ *   node scripts/set-user-role.js --email someone@example.com --role admin
+ */
+
+require('dotenv').config();
+const { program } = require('commander');
+const { queryOne } = require('../backend/db');
+const { ROLES } = require('../backend/middleware/roles');
+const { normalizeEmail } = require('../backend/utils/authCrypto');
+
+program
+    .requiredOption('--email <email>', 'Email of the user')
+    .requiredOption('--role <role>', `Role to assign (${ROLES.join(', ')})`)
+    .option('--create', 'Create the account if it does not exist yet', false)
+    .parse();
+
+const options = program.opts();
+
+async function setUserRole() {
+    try {
+        const email = normalizeEmail(options.email);
+
+        if (!ROLES.includes(options.role)) {
+            console.error(`❌ Invalid role "${options.role}". Must be one of: ${ROLES.join(', ')}`);
+            process.exit(1);
+        }
+
+        const user = options.create
+            ? await queryOne(
+                `INSERT INTO users (email, role) VALUES ($1, $2)
+                 ON CONFLICT (email) DO UPDATE SET role = EXCLUDED.role
+                 RETURNING id, email, role`,
+                [email, options.role]
+            )
+            : await queryOne(
+                'UPDATE users SET role = $1 WHERE email = $2 RETURNING id, email, role',
+                [options.role, email]
+            );
+
+        if (!user) {
+            console.error(`❌ No user with email ${email}. Log in once first, or pass --create.`);
+            process.exit(1);
+        }
+
+        console.log(`✅ ${user.email} (id=${user.id}) is now: ${user.role}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Failed to set role:', error.message);
+        process.exit(1);
+    }
+}
+
+setUserRole();
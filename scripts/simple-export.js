@@ -17,7 +17,7 @@ async function main() {
             SELECT 
                 r.id,
                 r.audio_filepath,
-                r.user_id,
+                u.speaker_id,
                 s.id as sentence_id,
                 s.text_devanagari,
                 s.text_iast,
@@ -25,6 +25,7 @@ async function main() {
                 st.id as story_id,
                 st.title
             FROM recordings r
+            JOIN users u ON u.id = r.user_id
             JOIN sentences s ON r.sentence_id = s.id
             JOIN stories st ON s.story_id = st.id
             WHERE r.status = 'approved'
@@ -42,7 +43,7 @@ async function main() {
             console.log(`   Sentence ${row.order_in_story}: ${row.text_devanagari}`);
             console.log(`   IAST: ${row.text_iast}`);
             console.log(`   Audio file: ${row.audio_filepath}`);
-            console.log(`   User: ${row.user_id}`);
+            console.log(`   Speaker: ${row.speaker_id}`);
             console.log('');
         });
 
@@ -84,6 +84,11 @@ async function runTests() {
                 console.log('\nErrors:');
                 result.errors.forEach(err => console.log(`  ❌ ${err}`));
             }
+
+            if (result.warnings && result.warnings.length > 0) {
+                console.log('\nWarnings:');
+                result.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+            }
             
             if (test.shouldPass && !result.valid) {
                 console.log('\n⚠️  Expected to PASS but FAILED');
@@ -0,0 +1,77 @@
+-- Migration: Real contributor accounts
+-- Replaces the free-text email user_id with a users table, login tokens and sessions.
+-- recordings.user_id and user_progress.user_id become foreign keys to users(id).
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,         -- Always stored lowercase/trimmed
+    password_hash TEXT,                 -- scrypt hash; NULL for magic-link-only accounts
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ
+);
+
+-- One-time magic-link login tokens (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_tokens_user ON login_tokens(user_id);
+
+-- Browser sessions (cookie holds the raw token, table holds its SHA-256 hash)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+-- Convert existing email user_id columns to users(id) foreign keys
+DO $$
+BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_name = 'recordings' AND column_name = 'user_id') = 'text' THEN
+
+        -- Email normalization now happens in the users table
+        DROP TRIGGER IF EXISTS normalize_recordings_user_id ON recordings;
+        DROP TRIGGER IF EXISTS normalize_progress_user_id ON user_progress;
+
+        -- Create an account for every email that has contributed so far
+        INSERT INTO users (email)
+        SELECT LOWER(TRIM(user_id)) FROM recordings
+        UNION
+        SELECT LOWER(TRIM(user_id)) FROM user_progress
+        ON CONFLICT (email) DO NOTHING;
+
+        -- recordings.user_id -> users(id)
+        ALTER TABLE recordings ADD COLUMN user_ref INT;
+        UPDATE recordings r SET user_ref = u.id FROM users u WHERE u.email = LOWER(TRIM(r.user_id));
+        ALTER TABLE recordings DROP COLUMN user_id;
+        ALTER TABLE recordings RENAME COLUMN user_ref TO user_id;
+        ALTER TABLE recordings ALTER COLUMN user_id SET NOT NULL;
+        ALTER TABLE recordings ADD CONSTRAINT recordings_user_id_fkey
+            FOREIGN KEY (user_id) REFERENCES users(id);
+        CREATE INDEX IF NOT EXISTS idx_recordings_user ON recordings(user_id);
+
+        -- user_progress.user_id -> users(id)
+        ALTER TABLE user_progress ADD COLUMN user_ref INT;
+        UPDATE user_progress p SET user_ref = u.id FROM users u WHERE u.email = LOWER(TRIM(p.user_id));
+        ALTER TABLE user_progress DROP COLUMN user_id;
+        ALTER TABLE user_progress RENAME COLUMN user_ref TO user_id;
+        ALTER TABLE user_progress ALTER COLUMN user_id SET NOT NULL;
+        ALTER TABLE user_progress ADD CONSTRAINT user_progress_user_id_fkey
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+        ALTER TABLE user_progress ADD PRIMARY KEY (user_id, story_id);
+        CREATE INDEX IF NOT EXISTS idx_progress_user ON user_progress(user_id);
+    END IF;
+END $$;
+
+COMMENT ON TABLE users IS 'Contributor accounts (login by magic link or password)';
+COMMENT ON TABLE login_tokens IS 'One-time magic-link tokens for email login';
+COMMENT ON TABLE sessions IS 'Active browser sessions for logged-in users';
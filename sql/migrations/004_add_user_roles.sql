@@ -0,0 +1,19 @@
+-- Migration: Role-based access control
+-- contributor: record and manage own recordings
+-- reviewer:    contributor + review (change status of) any recording
+-- admin:       reviewer + admin endpoints and role management
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'contributor';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+        ALTER TABLE users ADD CONSTRAINT users_role_check
+            CHECK (role IN ('contributor', 'reviewer', 'admin'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'contributor';
+
+COMMENT ON COLUMN users.role IS 'Access role: contributor, reviewer or admin';
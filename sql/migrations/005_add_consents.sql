@@ -0,0 +1,22 @@
+-- Migration: Informed consent per speaker
+-- Each row records which version of the consent text a speaker agreed to, when, and for what scope.
+-- Recordings keep a reference to the consent they were made under.
+
+CREATE TABLE IF NOT EXISTS consents (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    consent_version TEXT NOT NULL,      -- Version of the consent text shown to the speaker
+    scope TEXT NOT NULL
+        CONSTRAINT consents_scope_check CHECK (scope IN ('research', 'public')),
+    granted_at TIMESTAMPTZ DEFAULT NOW(),
+    withdrawn_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_consents_user ON consents(user_id, granted_at DESC);
+
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS consent_id INT REFERENCES consents(id);
+
+COMMENT ON TABLE consents IS 'Informed consent given by speakers (versioned, with scope)';
+COMMENT ON COLUMN consents.scope IS 'research = research use only; public = research and public dataset release';
+COMMENT ON COLUMN recordings.consent_id IS 'Consent in force when the recording was uploaded';
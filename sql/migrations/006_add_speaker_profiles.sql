@@ -0,0 +1,17 @@
+-- Migration: Speaker demographic and hearing profile
+-- Optional, self-reported; one row per speaker. Allowed values are defined in
+-- backend/utils/speakerProfile.js.
+
+CREATE TABLE IF NOT EXISTS speaker_profiles (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    hearing_loss_onset TEXT,            -- congenital, prelingual, postlingual, unknown
+    hearing_loss_degree TEXT,           -- mild ... profound, unknown
+    hearing_device TEXT,                -- none, hearing_aid, cochlear_implant, both
+    age_band TEXT,                      -- e.g. 25_34
+    gender TEXT,
+    native_language TEXT,
+    region TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE speaker_profiles IS 'Optional speaker demographics and hearing profile (exported anonymized)';
@@ -0,0 +1,19 @@
+-- Migration: Right-to-erasure tombstones
+-- When a speaker's data is erased, their account and recordings are deleted and a
+-- tombstone is kept so any copy of their recordings (e.g. restored from a backup)
+-- stays out of future exports. No personal data is kept: the email is stored as a keyed hash.
+
+CREATE TABLE IF NOT EXISTS erasure_tombstones (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,        -- Former users.id (the account itself is deleted)
+    email_hash TEXT NOT NULL,           -- HMAC of the normalized email
+    requested_by TEXT,                  -- Admin email or 'cli'
+    reason TEXT,
+    erased_at TIMESTAMPTZ DEFAULT NOW(),
+    report JSONB,                       -- Signed deletion report
+    signature TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_tombstones_email_hash ON erasure_tombstones(email_hash);
+
+COMMENT ON TABLE erasure_tombstones IS 'Speakers whose data was erased; their recordings are excluded from exports';
@@ -0,0 +1,17 @@
+-- Migration: Pseudonymous speaker IDs
+-- Every account gets a stable random ID (e.g. spk_3f9a1c0b7d2e) that is used in
+-- storage keys, the review UI and dataset exports instead of the email address.
+-- Existing audio objects are renamed by scripts/migrate-speaker-filenames.js.
+
+CREATE OR REPLACE FUNCTION generate_speaker_id() RETURNS TEXT AS $$
+    SELECT 'spk_' || substr(md5(random()::text || clock_timestamp()::text), 1, 12);
+$$ LANGUAGE SQL VOLATILE;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS speaker_id TEXT;
+UPDATE users SET speaker_id = generate_speaker_id() WHERE speaker_id IS NULL;
+ALTER TABLE users ALTER COLUMN speaker_id SET DEFAULT generate_speaker_id();
+ALTER TABLE users ALTER COLUMN speaker_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_speaker_id ON users(speaker_id);
+
+COMMENT ON COLUMN users.speaker_id IS 'Stable pseudonymous speaker ID used in storage keys and exports';
@@ -0,0 +1,5 @@
+-- Use one vocabulary for validation_status: pending, passed, failed
+-- Older rows were marked 'valid' by scripts/approve-all-recordings.js, and the
+-- ASR exporter only looked for 'valid', while both upload routes write 'passed'.
+
+UPDATE recordings SET validation_status = 'passed' WHERE validation_status = 'valid';
@@ -0,0 +1,28 @@
+-- Migration: Postgres-backed ingestion queue
+-- Uploads are spooled to disk and acknowledged immediately; a worker converts,
+-- validates and stores them. recordings.validation_status moves through
+-- queued -> processing -> passed / failed while the job runs.
+
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+    id SERIAL PRIMARY KEY,
+    recording_id INT REFERENCES recordings(id) ON DELETE SET NULL,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_path TEXT NOT NULL,          -- Spooled upload (INGEST_SPOOL_DIR)
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'done', 'rejected', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMPTZ,
+    locked_by TEXT,
+    result JSONB,                       -- Validation summary, or the rejection/error
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_ready ON ingestion_jobs(run_after) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_recording ON ingestion_jobs(recording_id);
+
+COMMENT ON TABLE ingestion_jobs IS 'Queue of uploaded recordings waiting for conversion and validation';
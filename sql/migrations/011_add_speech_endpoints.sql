@@ -0,0 +1,12 @@
+-- Migration: Speech endpoints and trimmed copies
+-- Ingestion records where speech starts and ends in each recording (energy-based
+-- VAD, padded) and can store a copy cut to those offsets. The original audio in
+-- audio_filepath is never modified.
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS speech_start_seconds FLOAT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS speech_end_seconds FLOAT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS trimmed_audio_filepath TEXT;
+
+COMMENT ON COLUMN recordings.speech_start_seconds IS 'Start of detected speech (padded); NULL when none was detected';
+COMMENT ON COLUMN recordings.speech_end_seconds IS 'End of detected speech (padded)';
+COMMENT ON COLUMN recordings.trimmed_audio_filepath IS 'Copy of the recording cut to the speech endpoints, if one was made';
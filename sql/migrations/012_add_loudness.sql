@@ -0,0 +1,10 @@
+-- Migration: Loudness and normalized copies
+-- Ingestion measures EBU R128 integrated loudness per recording and can store a
+-- loudness-normalized copy for review playback and export. The original audio in
+-- audio_filepath is never modified.
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS loudness_lufs FLOAT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS normalized_audio_filepath TEXT;
+
+COMMENT ON COLUMN recordings.loudness_lufs IS 'EBU R128 integrated loudness; NULL for silence or when not measured';
+COMMENT ON COLUMN recordings.normalized_audio_filepath IS 'Loudness-normalized copy of the recording, if one was made';
@@ -0,0 +1,14 @@
+-- Migration: Recorder display settings
+-- Per-speaker settings for the recorder page's visual cues (high-visibility
+-- mode, countdown, auto-stop). One row per speaker; no row means the defaults
+-- in backend/utils/recorderSettings.js.
+
+CREATE TABLE IF NOT EXISTS recorder_settings (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    high_visibility BOOLEAN NOT NULL DEFAULT FALSE,  -- Full-screen frame and speech/silence indicators
+    countdown_seconds INT NOT NULL DEFAULT 0,        -- Countdown before capture starts (0 = none)
+    auto_stop_silence_seconds FLOAT,                 -- Stop after this much silence following speech (NULL = off)
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE recorder_settings IS 'Per-speaker recorder page settings (visual cues for deaf speakers)';
@@ -0,0 +1,9 @@
+-- Migration: Sign-language video prompts
+-- A sentence can have an optional Indian Sign Language (ISL) clip, shown next to
+-- the text on the recorder page. The file is kept in storage like recordings.
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS sign_video_filepath TEXT;
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS sign_video_updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN sentences.sign_video_filepath IS 'Storage key of the ISL video for this sentence, if any';
+COMMENT ON COLUMN sentences.sign_video_updated_at IS 'When the ISL video was last uploaded (used to bust caches)';
@@ -0,0 +1,45 @@
+-- Migration: Multiple takes per sentence
+-- Re-recording a sentence adds a take instead of replacing the previous
+-- recording. Takes are numbered per (speaker, sentence); the speaker can mark one
+-- as preferred, otherwise the latest take counts as their recording of it.
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS take_number INT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS is_preferred BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Number existing recordings in upload order
+UPDATE recordings r
+SET take_number = numbered.take_number
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id, sentence_id ORDER BY created_at, id) AS take_number
+    FROM recordings
+) numbered
+WHERE r.id = numbered.id AND r.take_number IS NULL;
+
+ALTER TABLE recordings ALTER COLUMN take_number SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recordings_take ON recordings(user_id, sentence_id, take_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recordings_preferred ON recordings(user_id, sentence_id) WHERE is_preferred;
+
+-- Give each new recording the next take number for its speaker and sentence
+CREATE OR REPLACE FUNCTION assign_take_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.take_number IS NULL THEN
+        -- Serialize concurrent uploads of the same sentence by the same speaker
+        PERFORM pg_advisory_xact_lock(NEW.user_id, NEW.sentence_id);
+        SELECT COALESCE(MAX(take_number), 0) + 1 INTO NEW.take_number
+        FROM recordings
+        WHERE user_id = NEW.user_id AND sentence_id = NEW.sentence_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_assign_take_number ON recordings;
+CREATE TRIGGER trigger_assign_take_number
+BEFORE INSERT ON recordings
+FOR EACH ROW
+EXECUTE FUNCTION assign_take_number();
+
+COMMENT ON COLUMN recordings.take_number IS 'Take of this sentence by this speaker (1, 2, ...)';
+COMMENT ON COLUMN recordings.is_preferred IS 'Take the speaker marked as their best; when none is marked the latest take is used';
@@ -0,0 +1,37 @@
+-- Migration: Soft deletion of recordings
+-- Deleting a recording now only marks it (deleted_at, deleted_by). It stays
+-- restorable for RECORDING_RETENTION_DAYS. After that the purge job
+-- (backend/purge.js) deletes its stored audio and then the row. This replaces
+-- status = 'deleted' and the cleanup-deleted admin route.
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(id) ON DELETE SET NULL;
+
+-- Recordings reviewers marked for deletion start their retention window now;
+-- if restored they go back to review
+UPDATE recordings
+SET deleted_at = NOW(), status = 'pending'
+WHERE status = 'deleted' AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recordings_deleted ON recordings(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Deleted recordings no longer count towards story statistics
+CREATE OR REPLACE VIEW recording_stats AS
+SELECT
+    s.id AS story_id,
+    s.title AS story_title,
+    COUNT(DISTINCT se.id) AS total_sentences,
+    COUNT(DISTINCT r.id) AS total_recordings,
+    COUNT(DISTINCT r.id) FILTER (WHERE r.status = 'approved') AS approved_recordings,
+    COUNT(DISTINCT r.sentence_id) AS sentences_with_recordings,
+    ROUND(
+        100.0 * COUNT(DISTINCT r.sentence_id) / NULLIF(COUNT(DISTINCT se.id), 0),
+        1
+    ) AS completion_percentage
+FROM stories s
+LEFT JOIN sentences se ON se.story_id = s.id
+LEFT JOIN recordings r ON r.sentence_id = se.id AND r.deleted_at IS NULL
+GROUP BY s.id, s.title;
+
+COMMENT ON COLUMN recordings.deleted_at IS 'When the recording was deleted; it is purged RECORDING_RETENTION_DAYS later unless restored';
+COMMENT ON COLUMN recordings.deleted_by IS 'User who deleted the recording';
@@ -0,0 +1,28 @@
+-- Migration: Reviewer queue
+-- Reviewers are handed the next unreviewed recording through /api/review/next,
+-- which locks it to them for REVIEW_LOCK_MINUTES so two reviewers do not
+-- judge the same take. Each approve/reject decision records who made it and
+-- when in reviewed_by/reviewed_at, which were never filled before.
+
+-- reviewed_by was free text that nothing wrote; it now references the reviewer
+UPDATE recordings
+SET reviewed_by = NULL
+WHERE reviewed_by IS NOT NULL
+  AND reviewed_by::text NOT IN (SELECT id::text FROM users);
+
+ALTER TABLE recordings ALTER COLUMN reviewed_by TYPE INT USING reviewed_by::text::int;
+ALTER TABLE recordings DROP CONSTRAINT IF EXISTS recordings_reviewed_by_fkey;
+ALTER TABLE recordings ADD CONSTRAINT recordings_reviewed_by_fkey
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS review_locked_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS review_locked_until TIMESTAMPTZ;
+
+-- The queue walks pending recordings oldest first
+CREATE INDEX IF NOT EXISTS idx_recordings_review_queue ON recordings(created_at)
+    WHERE status = 'pending' AND deleted_at IS NULL;
+
+COMMENT ON COLUMN recordings.reviewed_by IS 'Reviewer who last approved or rejected the recording';
+COMMENT ON COLUMN recordings.reviewed_at IS 'When the recording was last approved or rejected';
+COMMENT ON COLUMN recordings.review_locked_by IS 'Reviewer the review queue handed the recording to';
+COMMENT ON COLUMN recordings.review_locked_until IS 'When that reviewer''s lock expires and the recording returns to the queue';
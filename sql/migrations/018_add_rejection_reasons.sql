@@ -0,0 +1,34 @@
+-- Migration: Structured rejection reasons
+-- Reviewers reject a recording with one or more reasons from a taxonomy that
+-- admins can extend (rejection_reasons), plus an optional comment for the
+-- speaker. Recordings rejected for a reason that calls for a new take are
+-- flagged needs_rerecording and listed for the speaker in the recorder.
+
+CREATE TABLE IF NOT EXISTS rejection_reasons (
+    code TEXT PRIMARY KEY,                          -- Stored on recordings; never renamed
+    label TEXT NOT NULL,                            -- Shown to reviewers and speakers
+    needs_rerecording BOOLEAN NOT NULL DEFAULT TRUE, -- Ask the speaker for a new take
+    active BOOLEAN NOT NULL DEFAULT TRUE,           -- Retired reasons stay for old recordings
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO rejection_reasons (code, label, sort_order) VALUES
+    ('wrong_sentence', 'Wrong sentence', 10),
+    ('truncated', 'Cut off at the start or end', 20),
+    ('noise', 'Background noise', 30),
+    ('clipping', 'Too loud (clipping)', 40),
+    ('mic_issue', 'Microphone problem', 50),
+    ('partial_read', 'Only part of the sentence read', 60)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS rejection_reasons TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+-- Free-text predecessor of rejection_reasons; nothing ever wrote it
+ALTER TABLE recordings DROP COLUMN IF EXISTS rejection_reason;
+
+COMMENT ON TABLE rejection_reasons IS 'Reasons reviewers can give for rejecting a recording';
+COMMENT ON COLUMN recordings.rejection_reasons IS 'rejection_reasons codes given by the reviewer who rejected the recording';
+COMMENT ON COLUMN recordings.review_comment IS 'Reviewer comment for the speaker';
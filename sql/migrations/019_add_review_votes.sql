@@ -0,0 +1,34 @@
+-- Migration: Multi-reviewer voting
+-- Each reviewer's approve/reject is now a vote in recording_reviews. Once a
+-- recording has REVIEWS_REQUIRED votes the majority decides its status; a tie
+-- is left for an admin to adjudicate (adjudicated_by/adjudicated_at), whose
+-- decision then stands. The votes also feed the reviewer agreement report.
+
+CREATE TABLE IF NOT EXISTS recording_reviews (
+    id SERIAL PRIMARY KEY,
+    recording_id INT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    reviewer_id INT REFERENCES users(id) ON DELETE SET NULL,  -- NULL: decided before votes were kept
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    rejection_reasons TEXT[] NOT NULL DEFAULT '{}',
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (recording_id, reviewer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recording_reviews_reviewer ON recording_reviews(reviewer_id);
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS adjudicated_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS adjudicated_at TIMESTAMPTZ;
+
+-- Decisions made so far count as one vote each (by their reviewer, when known)
+INSERT INTO recording_reviews (recording_id, reviewer_id, decision, rejection_reasons, comment, created_at, updated_at)
+SELECT r.id, r.reviewed_by, r.status, r.rejection_reasons, r.review_comment,
+       COALESCE(r.reviewed_at, r.updated_at), COALESCE(r.reviewed_at, r.updated_at)
+FROM recordings r
+WHERE r.status IN ('approved', 'rejected')
+  AND NOT EXISTS (SELECT 1 FROM recording_reviews v WHERE v.recording_id = r.id);
+
+COMMENT ON TABLE recording_reviews IS 'One approve/reject vote per reviewer and recording';
+COMMENT ON COLUMN recordings.adjudicated_by IS 'Admin who settled a tie between reviewers';
+COMMENT ON COLUMN recordings.adjudicated_at IS 'When the recording was adjudicated; its status no longer follows the votes';
@@ -0,0 +1,12 @@
+-- Migration: Verbatim transcripts
+-- What the speaker actually said, when it differs from the prompt (skipped,
+-- repeated or substituted words), written by a reviewer with disfluency tags
+-- such as [pause] and [filler]. The prompt stays in sentences.text_devanagari;
+-- export-asr-manifest.js --text verbatim labels recordings with the transcript.
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS verbatim_transcript TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS transcribed_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS transcribed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN recordings.verbatim_transcript IS 'What was actually said, with disfluency tags; NULL = as prompted';
+COMMENT ON COLUMN recordings.transcribed_by IS 'Reviewer who last edited the verbatim transcript';
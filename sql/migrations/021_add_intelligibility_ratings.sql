@@ -0,0 +1,17 @@
+-- Migration: Intelligibility ratings
+-- Besides approving or rejecting, reviewers rate how much of a recording they
+-- understand, from 1 (under 20% of words) to 5 (over 80%). One rating per
+-- reviewer and recording; the recording's score is their mean. Reported per
+-- speaker and per sentence, and exported with each manifest line.
+
+CREATE TABLE IF NOT EXISTS intelligibility_ratings (
+    id SERIAL PRIMARY KEY,
+    recording_id INT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    rater_id INT REFERENCES users(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (recording_id, rater_id)
+);
+
+COMMENT ON TABLE intelligibility_ratings IS 'How intelligible each reviewer found a recording (1-5)';
@@ -28,6 +28,8 @@ CREATE TABLE sentences (
     text_devanagari TEXT NOT NULL,   -- मराठी (Marathi in Devanagari script)
     text_iast TEXT,                  -- Romanized (IAST transliteration, optional)
     char_count INT,                  -- Character count for duration estimation
+    sign_video_filepath TEXT,        -- Optional Indian Sign Language clip (storage key)
+    sign_video_updated_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(story_id, order_in_story)
 );
@@ -35,11 +37,122 @@ CREATE TABLE sentences (
 CREATE INDEX idx_sentences_story ON sentences(story_id, order_in_story);
 CREATE INDEX idx_sentences_text ON sentences(text_devanagari);
 
+-- Pseudonymous speaker IDs (e.g. spk_3f9a1c0b7d2e)
+CREATE OR REPLACE FUNCTION generate_speaker_id() RETURNS TEXT AS $$
+    SELECT 'spk_' || substr(md5(random()::text || clock_timestamp()::text), 1, 12);
+$$ LANGUAGE SQL VOLATILE;
+
+-- Users table (contributor accounts)
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,         -- Always stored lowercase/trimmed
+    speaker_id TEXT NOT NULL DEFAULT generate_speaker_id(),  -- Used in storage keys and exports instead of the email
+    password_hash TEXT,                 -- scrypt hash; NULL for magic-link-only accounts
+    role TEXT NOT NULL DEFAULT 'contributor'
+        CONSTRAINT users_role_check CHECK (role IN ('contributor', 'reviewer', 'admin')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX idx_users_speaker_id ON users(speaker_id);
+CREATE INDEX idx_users_role ON users(role) WHERE role <> 'contributor';
+
+-- One-time magic-link login tokens (only the SHA-256 hash is stored)
+CREATE TABLE login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_login_tokens_user ON login_tokens(user_id);
+
+-- Browser sessions (cookie holds the raw token, table holds its SHA-256 hash)
+CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_sessions_expires ON sessions(expires_at);
+
+-- Speaker profiles (optional demographics and hearing profile)
+CREATE TABLE speaker_profiles (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    hearing_loss_onset TEXT,            -- congenital, prelingual, postlingual, unknown
+    hearing_loss_degree TEXT,           -- mild ... profound, unknown
+    hearing_device TEXT,                -- none, hearing_aid, cochlear_implant, both
+    age_band TEXT,                      -- e.g. 25_34
+    gender TEXT,
+    native_language TEXT,
+    region TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Recorder page settings per speaker (visual cues for deaf speakers)
+CREATE TABLE recorder_settings (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    high_visibility BOOLEAN NOT NULL DEFAULT FALSE,  -- Full-screen frame and speech/silence indicators
+    countdown_seconds INT NOT NULL DEFAULT 0,        -- Countdown before capture starts (0 = none)
+    auto_stop_silence_seconds FLOAT,                 -- Stop after this much silence following speech (NULL = off)
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Consents table (informed consent per speaker, versioned)
+CREATE TABLE consents (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    consent_version TEXT NOT NULL,      -- Version of the consent text shown to the speaker
+    scope TEXT NOT NULL
+        CONSTRAINT consents_scope_check CHECK (scope IN ('research', 'public')),
+    granted_at TIMESTAMPTZ DEFAULT NOW(),
+    withdrawn_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_consents_user ON consents(user_id, granted_at DESC);
+
+-- Erasure tombstones (speakers whose data was erased on request)
+CREATE TABLE erasure_tombstones (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,        -- Former users.id (the account itself is deleted)
+    email_hash TEXT NOT NULL,           -- HMAC of the normalized email
+    requested_by TEXT,                  -- Admin email or 'cli'
+    reason TEXT,
+    erased_at TIMESTAMPTZ DEFAULT NOW(),
+    report JSONB,                       -- Signed deletion report
+    signature TEXT
+);
+
+CREATE INDEX idx_erasure_tombstones_email_hash ON erasure_tombstones(email_hash);
+
+-- Reasons reviewers can give for rejecting a recording (admins can add more)
+CREATE TABLE rejection_reasons (
+    code TEXT PRIMARY KEY,                          -- Stored on recordings; never renamed
+    label TEXT NOT NULL,                            -- Shown to reviewers and speakers
+    needs_rerecording BOOLEAN NOT NULL DEFAULT TRUE, -- Ask the speaker for a new take
+    active BOOLEAN NOT NULL DEFAULT TRUE,           -- Retired reasons stay for old recordings
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO rejection_reasons (code, label, sort_order) VALUES
+    ('wrong_sentence', 'Wrong sentence', 10),
+    ('truncated', 'Cut off at the start or end', 20),
+    ('noise', 'Background noise', 30),
+    ('clipping', 'Too loud (clipping)', 40),
+    ('mic_issue', 'Microphone problem', 50),
+    ('partial_read', 'Only part of the sentence read', 60);
+
 -- Recordings table
 CREATE TABLE recordings (
     id SERIAL PRIMARY KEY,
     sentence_id INT NOT NULL REFERENCES sentences(id) ON DELETE CASCADE,
-    user_id TEXT NOT NULL,              -- Session ID, phone number, or username
+    user_id INT NOT NULL REFERENCES users(id),
+    consent_id INT REFERENCES consents(id),  -- Consent in force at upload time
     audio_filepath TEXT NOT NULL,       -- uploads/xyz.wav or s3://bucket/xyz.wav
     file_size_bytes BIGINT,
     duration_seconds FLOAT,
@@ -47,16 +160,48 @@ CREATE TABLE recordings (
     channels INT DEFAULT 1,
     format TEXT DEFAULT 'wav',
     
+    -- Takes: re-recording a sentence adds a take; the speaker may mark their best one
+    take_number INT NOT NULL,           -- Set by trigger_assign_take_number
+    is_preferred BOOLEAN NOT NULL DEFAULT FALSE,
+    
     -- Validation tracking
-    validation_status TEXT DEFAULT 'pending',  -- pending, passed, failed
+    validation_status TEXT DEFAULT 'pending',  -- pending, queued, processing, passed, failed
     validation_errors JSONB,                   -- Array of error messages
     audio_metadata JSONB,                      -- Full ffprobe output
     
+    -- Speech endpoints (VAD) and the copy cut to them; audio_filepath stays the original
+    speech_start_seconds FLOAT,
+    speech_end_seconds FLOAT,
+    trimmed_audio_filepath TEXT,
+    
+    -- EBU R128 integrated loudness and the loudness-normalized copy
+    loudness_lufs FLOAT,
+    normalized_audio_filepath TEXT,
+    
     -- Recording status
     status TEXT DEFAULT 'pending',      -- pending, approved, rejected
-    reviewed_by TEXT,
+    reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,  -- Who last approved/rejected it
     reviewed_at TIMESTAMPTZ,
-    rejection_reason TEXT,
+    rejection_reasons TEXT[] NOT NULL DEFAULT '{}',  -- rejection_reasons codes
+    review_comment TEXT,                -- Reviewer comment for the speaker
+    needs_rerecording BOOLEAN DEFAULT FALSE,
+    
+    -- What was actually said, with disfluency tags (NULL = as prompted)
+    verbatim_transcript TEXT,
+    transcribed_by INT REFERENCES users(id) ON DELETE SET NULL,
+    transcribed_at TIMESTAMPTZ,
+    
+    -- Set when an admin settled a tie between reviewers (see recording_reviews)
+    adjudicated_by INT REFERENCES users(id) ON DELETE SET NULL,
+    adjudicated_at TIMESTAMPTZ,
+    
+    -- Reviewer queue: the reviewer it is handed to and until when
+    review_locked_by INT REFERENCES users(id) ON DELETE SET NULL,
+    review_locked_until TIMESTAMPTZ,
+    
+    -- Soft deletion: restorable until purged RECORDING_RETENTION_DAYS later
+    deleted_at TIMESTAMPTZ,
+    deleted_by INT REFERENCES users(id) ON DELETE SET NULL,
     
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -67,10 +212,64 @@ CREATE INDEX idx_recordings_user ON recordings(user_id);
 CREATE INDEX idx_recordings_status ON recordings(status);
 CREATE INDEX idx_recordings_validation ON recordings(validation_status);
 CREATE INDEX idx_recordings_created ON recordings(created_at DESC);
+CREATE INDEX idx_recordings_needs_rerecording ON recordings(needs_rerecording) WHERE needs_rerecording = TRUE;
+CREATE UNIQUE INDEX idx_recordings_take ON recordings(user_id, sentence_id, take_number);
+CREATE INDEX idx_recordings_deleted ON recordings(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE UNIQUE INDEX idx_recordings_preferred ON recordings(user_id, sentence_id) WHERE is_preferred;
+CREATE INDEX idx_recordings_review_queue ON recordings(created_at) WHERE status = 'pending' AND deleted_at IS NULL;
+
+-- Reviewer votes: the majority of REVIEWS_REQUIRED votes decides a recording's status
+CREATE TABLE recording_reviews (
+    id SERIAL PRIMARY KEY,
+    recording_id INT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    reviewer_id INT REFERENCES users(id) ON DELETE SET NULL,  -- NULL: decided before votes were kept
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    rejection_reasons TEXT[] NOT NULL DEFAULT '{}',
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (recording_id, reviewer_id)
+);
+
+CREATE INDEX idx_recording_reviews_reviewer ON recording_reviews(reviewer_id);
+
+-- Intelligibility: 1 (under 20% of words understood) to 5 (over 80%), one rating per reviewer
+CREATE TABLE intelligibility_ratings (
+    id SERIAL PRIMARY KEY,
+    recording_id INT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    rater_id INT REFERENCES users(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (recording_id, rater_id)
+);
+
+-- Ingestion queue: uploads waiting for conversion and validation
+CREATE TABLE ingestion_jobs (
+    id SERIAL PRIMARY KEY,
+    recording_id INT REFERENCES recordings(id) ON DELETE SET NULL,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_path TEXT NOT NULL,          -- Spooled upload (INGEST_SPOOL_DIR)
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'done', 'rejected', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMPTZ,
+    locked_by TEXT,
+    result JSONB,                       -- Validation summary, or the rejection/error
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_ingestion_jobs_ready ON ingestion_jobs(run_after) WHERE status = 'queued';
+CREATE INDEX idx_ingestion_jobs_recording ON ingestion_jobs(recording_id);
 
 -- User progress tracking (optional, for session management)
 CREATE TABLE user_progress (
-    user_id TEXT NOT NULL,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     story_id INT NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
     last_sentence_order INT DEFAULT 0,
     total_recorded INT DEFAULT 0,
@@ -96,7 +295,7 @@ SELECT
     ) AS completion_percentage
 FROM stories s
 LEFT JOIN sentences se ON se.story_id = s.id
-LEFT JOIN recordings r ON r.sentence_id = se.id
+LEFT JOIN recordings r ON r.sentence_id = se.id AND r.deleted_at IS NULL
 GROUP BY s.id, s.title;
 
 -- Trigger to update story sentence count
@@ -146,9 +345,40 @@ AFTER INSERT ON recordings
 FOR EACH ROW
 EXECUTE FUNCTION update_user_progress();
 
+-- Trigger to number takes per speaker and sentence
+CREATE OR REPLACE FUNCTION assign_take_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.take_number IS NULL THEN
+        -- Serialize concurrent uploads of the same sentence by the same speaker
+        PERFORM pg_advisory_xact_lock(NEW.user_id, NEW.sentence_id);
+        SELECT COALESCE(MAX(take_number), 0) + 1 INTO NEW.take_number
+        FROM recordings
+        WHERE user_id = NEW.user_id AND sentence_id = NEW.sentence_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_assign_take_number
+BEFORE INSERT ON recordings
+FOR EACH ROW
+EXECUTE FUNCTION assign_take_number();
+
 -- Comments
+COMMENT ON TABLE users IS 'Contributor accounts (login by magic link or password)';
+COMMENT ON TABLE login_tokens IS 'One-time magic-link tokens for email login';
+COMMENT ON TABLE sessions IS 'Active browser sessions for logged-in users';
+COMMENT ON TABLE speaker_profiles IS 'Optional speaker demographics and hearing profile (exported anonymized)';
+COMMENT ON TABLE recorder_settings IS 'Per-speaker recorder page settings (visual cues for deaf speakers)';
+COMMENT ON TABLE erasure_tombstones IS 'Speakers whose data was erased; their recordings are excluded from exports';
+COMMENT ON TABLE consents IS 'Informed consent given by speakers (versioned, with scope)';
 COMMENT ON TABLE stories IS 'Amchi Konkani stories for sentence collection';
 COMMENT ON TABLE sentences IS 'Individual sentences extracted from stories';
 COMMENT ON TABLE recordings IS 'Audio recordings of sentences by users';
+COMMENT ON TABLE rejection_reasons IS 'Reasons reviewers can give for rejecting a recording';
+COMMENT ON TABLE recording_reviews IS 'One approve/reject vote per reviewer and recording';
+COMMENT ON TABLE intelligibility_ratings IS 'How intelligible each reviewer found a recording (1-5)';
+COMMENT ON TABLE ingestion_jobs IS 'Queue of uploaded recordings waiting for conversion and validation';
 COMMENT ON TABLE user_progress IS 'Track user recording progress per story';
 COMMENT ON VIEW recording_stats IS 'Aggregate statistics for story completion';
@@ -0,0 +1,76 @@
+/**
+ * In-memory stand-in for backend/db in route tests
+ * Tests answer the queries they care about with db.on(pattern, respond): the most
+ * recently registered handler whose pattern matches the SQL wins, and unmatched
+ * queries return no rows. Handlers registered with always() survive reset().
+ *
+ *   jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+ */
+
+const handlers = [];
+const defaults = [];
+const calls = [];
+
+function toResult(rows) {
+  const list = rows === undefined || rows === null ? [] : [].concat(rows);
+  return { rows: list, rowCount: list.length };
+}
+
+async function run(sql, params = []) {
+  calls.push({ sql, params });
+  if (/^\s*(BEGIN|COMMIT|ROLLBACK)\b/.test(sql)) return toResult([]);
+
+  const handler = handlers.find(h => h.pattern.test(sql)) || defaults.find(h => h.pattern.test(sql));
+  if (!handler) return toResult([]);
+  const answer = await handler.respond(params, sql);
+  // A handler may return a full result (e.g. { rows: [], rowCount: 1 } for an UPDATE)
+  return answer && Array.isArray(answer.rows) ? answer : toResult(answer);
+}
+
+const client = {
+  query: run,
+  release() {},
+};
+
+const db = {
+  pool: {
+    query: run,
+    connect: async () => client,
+  },
+  query: run,
+  queryOne: async (sql, params) => (await run(sql, params)).rows[0] || null,
+  queryAll: async (sql, params) => (await run(sql, params)).rows,
+};
+
+function handler(pattern, respond) {
+  return { pattern, respond: typeof respond === 'function' ? respond : () => respond };
+}
+
+module.exports = {
+  db,
+  calls,
+
+  /**
+   * Answer queries matching pattern
+   * @param {RegExp} pattern - Tested against the SQL text
+   * @param {function|*} respond - (params, sql) => row | rows | result, or a fixed answer
+   */
+  on(pattern, respond) {
+    handlers.unshift(handler(pattern, respond));
+  },
+
+  // Like on(), for the whole test file
+  always(pattern, respond) {
+    defaults.unshift(handler(pattern, respond));
+  },
+
+  // Queries run so far whose SQL matches pattern: [{ sql, params }]
+  queries(pattern) {
+    return calls.filter(call => pattern.test(call.sql));
+  },
+
+  reset() {
+    handlers.length = 0;
+    calls.length = 0;
+  },
+};
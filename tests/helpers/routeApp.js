@@ -0,0 +1,57 @@
+/**
+ * Express apps for route tests: the real routers and middleware on top of the
+ * fake database (see fakeDb.js), with sessions for test users
+ */
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const fakeDb = require('./fakeDb');
+const { SESSION_COOKIE, loadSession } = require('../../backend/middleware/auth');
+const { errorHandler, notFoundHandler } = require('../../backend/middleware/errorHandler');
+const { generateToken, hashToken } = require('../../backend/utils/authCrypto');
+
+const sessions = new Map();
+fakeDb.always(/FROM sessions s/, ([tokenHash]) => sessions.get(tokenHash));
+
+// Test users: contributors 1 and 2, a reviewer and an admin
+const users = {
+  speaker: { id: 1, email: 'speaker@example.com', role: 'contributor', speaker_id: 'SPK_AAAA1111' },
+  otherSpeaker: { id: 2, email: 'other@example.com', role: 'contributor', speaker_id: 'SPK_BBBB2222' },
+  reviewer: { id: 3, email: 'reviewer@example.com', role: 'reviewer', speaker_id: 'SPK_CCCC3333' },
+  admin: { id: 4, email: 'admin@example.com', role: 'admin', speaker_id: 'SPK_DDDD4444' },
+};
+
+/**
+ * Start a session for a user
+ * @param {object} user
+ * @returns {string} Cookie header value
+ */
+function login(user) {
+  const token = generateToken();
+  sessions.set(hashToken(token), user);
+  return `${SESSION_COOKIE}=${token}`;
+}
+
+/**
+ * An app serving the given routers under /api, like backend/server.js does
+ * @param {object} routes - Mount path → router, e.g. { '/api/recordings': router }
+ * @returns {object} Express app
+ */
+function createApp(routes) {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api', loadSession);
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = {
+  users,
+  login,
+  createApp,
+};
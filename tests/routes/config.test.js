@@ -0,0 +1,40 @@
+const request = require('supertest');
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const app = require('../../backend/server');
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+describe('GET /api/config', () => {
+  test('the recorder records WebM unless WAV is configured', async () => {
+    delete process.env.RECORDER_FORMAT;
+    expect((await request(app).get('/api/config')).body.recorder_format).toBe('webm');
+
+    process.env.RECORDER_FORMAT = 'wav';
+    expect((await request(app).get('/api/config')).body.recorder_format).toBe('wav');
+
+    process.env.RECORDER_FORMAT = 'flac';
+    expect((await request(app).get('/api/config')).body.recorder_format).toBe('webm');
+  });
+
+  test('the level meter warns at the thresholds validation warns at', async () => {
+    delete process.env.QUALITY_MIN_RMS_DBFS_WARN;
+    delete process.env.QUALITY_MIN_SNR_DB_WARN;
+    expect((await request(app).get('/api/config')).body.level_meter).toEqual({ too_quiet_dbfs: -35, min_snr_db: 15 });
+
+    process.env.QUALITY_MIN_RMS_DBFS_WARN = '-40';
+    process.env.QUALITY_MIN_SNR_DB_WARN = '';
+    expect((await request(app).get('/api/config')).body.level_meter).toEqual({ too_quiet_dbfs: -40, min_snr_db: null });
+  });
+
+  test('needs no login, so the recorder can cache it for offline use', async () => {
+    const res = await request(app).get('/api/config');
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,138 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+
+process.env.INGEST_SPOOL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-test-spool-'));
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+const { CONSENT_VERSION } = require('../../backend/consent');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+  '/api/programmatic': require('../../backend/routes/programmatic'),
+  '/api/users': require('../../backend/routes/users'),
+});
+
+const consent = { id: 77, consent_version: CONSENT_VERSION, scope: 'research', granted_at: new Date().toISOString() };
+
+// Only the speaker has agreed to the current consent text
+function speakerHasConsented() {
+  fakeDb.on(/FROM consents/, ([userId]) => (userId === users.speaker.id ? consent : null));
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  speakerHasConsented();
+  fakeDb.on(/SELECT id FROM sentences WHERE id/, ([id]) => (id === 5 ? { id: 5 } : null));
+  fakeDb.on(/INSERT INTO recordings/, { id: 10 });
+  fakeDb.on(/INSERT INTO ingestion_jobs/, { id: 20 });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.INGEST_SPOOL_DIR, { recursive: true, force: true });
+});
+
+function upload(url, user) {
+  return request(app)
+    .post(url)
+    .set('Cookie', login(user))
+    .field('sentence_id', '5')
+    .attach('audio', Buffer.from('RIFF'), { filename: 'take.wav', contentType: 'audio/wav' });
+}
+
+describe('uploads require consent', () => {
+  test('a speaker without consent is refused before anything is stored', async () => {
+    for (const url of ['/api/recordings', '/api/programmatic/upload']) {
+      const res = await upload(url, users.otherSpeaker);
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ consent_required: true, consent_version: CONSENT_VERSION });
+    }
+    expect(fakeDb.queries(/INSERT INTO recordings/)).toEqual([]);
+  });
+
+  test('resumable uploads cannot be started without consent', async () => {
+    const res = await request(app)
+      .post('/api/recordings/uploads')
+      .set('Cookie', login(users.otherSpeaker))
+      .send({ sentence_id: 5, size: 1024, filename: 'take.wav' });
+    expect(res.status).toBe(403);
+    expect(res.body.consent_required).toBe(true);
+  });
+
+  test('an upload by a consenting speaker is queued under their consent', async () => {
+    const res = await upload('/api/recordings', users.speaker);
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ recording_id: 10, job_id: 20, status: 'queued' });
+
+    const [insert] = fakeDb.queries(/INSERT INTO recordings/);
+    expect(insert.params.slice(0, 3)).toEqual([5, users.speaker.id, consent.id]);
+  });
+
+  test('anonymous uploads are refused', async () => {
+    const res = await request(app).post('/api/programmatic/upload').send({ sentence_id: 5, audio_base64: 'UklGRg==' });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('giving consent', () => {
+  test('requires a login', async () => {
+    for (const url of ['/api/users/me/consent', '/api/programmatic/consent']) {
+      const res = await request(app).post(url).send({ scope: 'research', consent_version: CONSENT_VERSION });
+      expect(res.status).toBe(401);
+    }
+  });
+
+  test('consent to an outdated text is refused', async () => {
+    for (const url of ['/api/users/me/consent', '/api/programmatic/consent']) {
+      const res = await request(app)
+        .post(url)
+        .set('Cookie', login(users.otherSpeaker))
+        .send({ scope: 'research', consent_version: '2020-01-v0' });
+      expect(res.status).toBe(409);
+      expect(res.body.consent_version).toBe(CONSENT_VERSION);
+    }
+    expect(fakeDb.queries(/INSERT INTO consents/)).toEqual([]);
+  });
+
+  test('is recorded for the logged-in user, whatever the body says', async () => {
+    fakeDb.on(/INSERT INTO consents/, ([, version, scope]) => ({ id: 78, consent_version: version, scope }));
+
+    const res = await request(app)
+      .post('/api/users/me/consent')
+      .set('Cookie', login(users.otherSpeaker))
+      .send({ scope: 'public', consent_version: CONSENT_VERSION, user_id: users.speaker.id });
+    expect(res.status).toBe(201);
+    expect(fakeDb.queries(/INSERT INTO consents/)[0].params).toEqual([users.otherSpeaker.id, CONSENT_VERSION, 'public']);
+  });
+
+  test('withdrawing consent blocks the next upload', async () => {
+    fakeDb.on(/UPDATE consents SET withdrawn_at/, () => {
+      fakeDb.on(/FROM consents/, null);
+      return { rows: [], rowCount: 1 };
+    });
+
+    const res = await request(app).delete('/api/users/me/consent').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(200);
+    expect(res.body.withdrawn).toBe(1);
+
+    expect((await upload('/api/recordings', users.speaker)).status).toBe(403);
+  });
+});
+
+describe('GET /api/programmatic/jobs/:jobId', () => {
+  test('a speaker cannot see another speaker\'s job', async () => {
+    fakeDb.on(/FROM ingestion_jobs/, { id: 20, user_id: users.speaker.id, recording_id: 10, status: 'queued' });
+
+    const other = await request(app).get('/api/programmatic/jobs/20').set('Cookie', login(users.otherSpeaker));
+    expect(other.status).toBe(404);
+
+    const own = await request(app).get('/api/programmatic/jobs/20').set('Cookie', login(users.speaker));
+    expect(own.status).toBe(200);
+    expect(own.body.status).toBe('queued');
+  });
+});
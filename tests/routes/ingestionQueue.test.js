@@ -0,0 +1,119 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+const storage = require('../../backend/storage');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+});
+
+function audioRow(fields) {
+  fakeDb.on(/ingestion_failed/, {
+    audio_filepath: 'recordings/SPK_AAAA1111_5_abc.wav',
+    trimmed_audio_filepath: null,
+    normalized_audio_filepath: null,
+    validation_status: 'passed',
+    ingestion_failed: false,
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/SELECT id, user_id FROM recordings WHERE id/, { id: 10, user_id: users.speaker.id });
+  fakeDb.on(/FROM consents/, { id: 77 });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/recordings/jobs/:jobId', () => {
+  beforeEach(() => {
+    fakeDb.on(/FROM ingestion_jobs j/, ([id]) => (id === 20
+      ? { id: 20, recording_id: 10, user_id: users.speaker.id, status: 'rejected', attempts: 1, result: { error: 'Audio too short' }, validation_status: null }
+      : null));
+  });
+
+  test('the uploader and reviewers can follow the job', async () => {
+    for (const user of [users.speaker, users.reviewer]) {
+      const res = await request(app).get('/api/recordings/jobs/20').set('Cookie', login(user));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ job_id: 20, recording_id: 10, status: 'rejected', result: { error: 'Audio too short' } });
+    }
+  });
+
+  test('other speakers get the same 404 as for a job that does not exist', async () => {
+    const other = await request(app).get('/api/recordings/jobs/20').set('Cookie', login(users.otherSpeaker));
+    const missing = await request(app).get('/api/recordings/jobs/21').set('Cookie', login(users.speaker));
+    expect(other.status).toBe(404);
+    expect(other.body).toEqual(missing.body);
+  });
+
+  test('requires a login', async () => {
+    expect((await request(app).get('/api/recordings/jobs/20')).status).toBe(401);
+  });
+});
+
+describe('POST /api/recordings', () => {
+  function upload(sentenceId) {
+    return request(app)
+      .post('/api/recordings')
+      .set('Cookie', login(users.speaker))
+      .field('sentence_id', sentenceId)
+      .attach('audio', Buffer.from('RIFF'), { filename: 'take.wav', contentType: 'audio/wav' });
+  }
+
+  test('a malformed sentence_id is the client\'s mistake', async () => {
+    const res = await upload('12abc');
+    expect(res.status).toBe(400);
+    expect(fakeDb.queries(/FROM sentences/)).toEqual([]);
+  });
+
+  test('an unknown sentence is 404 and nothing is queued', async () => {
+    const res = await upload('999');
+    expect(res.status).toBe(404);
+    expect(fakeDb.queries(/INSERT INTO/)).toEqual([]);
+  });
+});
+
+describe('GET /api/recordings/:id/audio while uploads are processed', () => {
+  test('is 409 until the worker has stored the audio', async () => {
+    const getStream = jest.spyOn(storage, 'getStream');
+    for (const validation_status of ['queued', 'processing']) {
+      audioRow({ validation_status });
+      const res = await request(app).get('/api/recordings/10/audio').set('Cookie', login(users.speaker));
+      expect(res.status).toBe(409);
+    }
+    expect(getStream).not.toHaveBeenCalled();
+  });
+
+  test('is 404 when the worker gave up on the upload', async () => {
+    const getStream = jest.spyOn(storage, 'getStream');
+    audioRow({ validation_status: 'failed', ingestion_failed: true });
+    const res = await request(app).get('/api/recordings/10/audio').set('Cookie', login(users.reviewer));
+    expect(res.status).toBe(404);
+    expect(getStream).not.toHaveBeenCalled();
+  });
+
+  test('a stored file that has gone missing is 404, not a crash', async () => {
+    audioRow();
+    jest.spyOn(storage, 'getStream').mockImplementation(async () => new Readable({
+      read() {
+        this.destroy(Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' }));
+      },
+    }));
+
+    const res = await request(app).get('/api/recordings/10/audio').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Audio file not found' });
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.headers['x-audio-variant']).toBeUndefined();
+  });
+});
@@ -0,0 +1,85 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+
+process.env.INGEST_SPOOL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-sync-test-spool-'));
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+});
+
+// public/recorder.js syncQueuedRecordings() keeps a queued recording on 401/403 (the
+// speaker can fix it by logging in or consenting), drops it on any other 4xx and
+// retries on 5xx. These are the answers a replayed recording gets.
+function replay({ cookie = login(users.speaker), sentenceId = '5', file = 'recording.webm', type = 'audio/webm' } = {}) {
+  const req = request(app).post('/api/recordings').field('sentence_id', sentenceId);
+  if (cookie) req.set('Cookie', cookie);
+  if (file) req.attach('audio', Buffer.from('webm'), { filename: file, contentType: type });
+  return req;
+}
+
+function keeps(status) {
+  return status === 401 || status === 403;
+}
+
+function drops(status) {
+  return status >= 400 && status < 500 && !keeps(status);
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/FROM consents/, ([userId]) => (userId === users.speaker.id ? { id: 77 } : null));
+  fakeDb.on(/SELECT id FROM sentences WHERE id/, ([id]) => (id === 5 ? { id: 5 } : null));
+  fakeDb.on(/INSERT INTO recordings/, { id: 10 });
+  fakeDb.on(/INSERT INTO ingestion_jobs/, { id: 20 });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.INGEST_SPOOL_DIR, { recursive: true, force: true });
+});
+
+test('a recording saved offline is accepted once back online', async () => {
+  const res = await replay();
+  expect(res.status).toBe(202);
+  expect(res.body).toMatchObject({ recording_id: 10, job_id: 20 });
+});
+
+test('recordings are kept while the session has expired or consent is missing', async () => {
+  const expired = await replay({ cookie: null });
+  expect(expired.status).toBe(401);
+  expect(keeps(expired.status)).toBe(true);
+
+  const withoutConsent = await replay({ cookie: login(users.otherSpeaker) });
+  expect(withoutConsent.status).toBe(403);
+  expect(keeps(withoutConsent.status)).toBe(true);
+
+  expect(fakeDb.queries(/INSERT INTO recordings/)).toEqual([]);
+});
+
+test('recordings the server will never accept are dropped, not retried', async () => {
+  const removedSentence = await replay({ sentenceId: '999' });
+  expect(removedSentence.status).toBe(404);
+
+  const notAudio = await replay({ file: 'notes.txt', type: 'text/plain' });
+  expect(notAudio.status).toBe(400);
+
+  const noFile = await replay({ file: null });
+  expect(noFile.status).toBe(400);
+
+  for (const res of [removedSentence, notAudio, noFile]) {
+    expect(drops(res.status)).toBe(true);
+  }
+  expect(fakeDb.queries(/INSERT INTO recordings/)).toEqual([]);
+});
@@ -0,0 +1,67 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+
+process.env.INGEST_SPOOL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pseudonyms-test-spool-'));
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+});
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/FROM consents/, { id: 77 });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.INGEST_SPOOL_DIR, { recursive: true, force: true });
+});
+
+test('uploads are stored under the speaker ID, never the email address', async () => {
+  fakeDb.on(/SELECT id FROM sentences WHERE id/, { id: 5 });
+  fakeDb.on(/INSERT INTO recordings/, { id: 10 });
+  fakeDb.on(/INSERT INTO ingestion_jobs/, { id: 20 });
+
+  const res = await request(app)
+    .post('/api/recordings')
+    .set('Cookie', login(users.speaker))
+    .field('sentence_id', '5')
+    .attach('audio', Buffer.from('RIFF'), { filename: 'take.wav', contentType: 'audio/wav' });
+  expect(res.status).toBe(202);
+
+  const key = fakeDb.queries(/INSERT INTO recordings/)[0].params[3];
+  expect(key).toMatch(/^recordings\/SPK_AAAA1111_5_[0-9a-f-]+\.wav$/);
+  expect(key).not.toContain('speaker@example.com');
+});
+
+test('reviewers see recordings grouped by speaker ID, without email addresses', async () => {
+  fakeDb.on(/FROM recordings r\s+JOIN users u/, [{
+    id: 10,
+    take_number: 1,
+    is_preferred: false,
+    audio_filepath: 'recordings/SPK_AAAA1111_5_abc.wav',
+    status: 'pending',
+    speaker_id: 'SPK_AAAA1111',
+    sentence_id: 5,
+    order_in_story: 1,
+    sentence_text: 'वाक्य',
+    story_id: 1,
+    story_title: 'Story',
+  }]);
+
+  const res = await request(app).get('/api/recordings').set('Cookie', login(users.reviewer));
+  expect(res.status).toBe(200);
+  expect(res.body[0].speaker_id).toBe('SPK_AAAA1111');
+  expect(res.body[0].takes.map(take => take.id)).toEqual([10]);
+
+  const [{ sql }] = fakeDb.queries(/FROM recordings r\s+JOIN users u/);
+  expect(sql).not.toMatch(/email/);
+  expect(JSON.stringify(res.body)).not.toMatch(/@|user_id/);
+});
@@ -0,0 +1,118 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+const storage = require('../../backend/storage');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+  '/api/admin': require('../../backend/routes/admin'),
+});
+
+// Recording 10 belongs to the speaker
+function recordingOwnedBySpeaker() {
+  fakeDb.on(/SELECT id, user_id FROM recordings WHERE id/, ([id]) => (id === 10 ? { id: 10, user_id: users.speaker.id } : null));
+  fakeDb.on(/ingestion_failed/, {
+    audio_filepath: 'recordings/SPK_AAAA1111/sentence_5_abc.wav',
+    trimmed_audio_filepath: null,
+    normalized_audio_filepath: null,
+    validation_status: 'passed',
+    ingestion_failed: false,
+  });
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  recordingOwnedBySpeaker();
+  jest.spyOn(storage, 'getStream').mockImplementation(async () => Readable.from([Buffer.from('RIFF')]));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/recordings/:id/audio', () => {
+  test('requires a login', async () => {
+    const res = await request(app).get('/api/recordings/10/audio');
+    expect(res.status).toBe(401);
+    expect(storage.getStream).not.toHaveBeenCalled();
+  });
+
+  test('another contributor cannot listen to the recording', async () => {
+    const res = await request(app).get('/api/recordings/10/audio').set('Cookie', login(users.otherSpeaker));
+    expect(res.status).toBe(403);
+    expect(storage.getStream).not.toHaveBeenCalled();
+  });
+
+  test('the owner and reviewers get the audio, marked private for caches', async () => {
+    for (const user of [users.speaker, users.reviewer, users.admin]) {
+      const res = await request(app).get('/api/recordings/10/audio').set('Cookie', login(user));
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('audio/wav');
+      expect(res.headers['cache-control']).toMatch(/^private/);
+      expect(Buffer.from(res.body).toString()).toBe('RIFF');
+    }
+  });
+
+  test('an unknown recording is 404 for everyone', async () => {
+    const res = await request(app).get('/api/recordings/11/audio').set('Cookie', login(users.reviewer));
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('reviewer-only recording endpoints', () => {
+  test('contributors cannot list all recordings', async () => {
+    expect((await request(app).get('/api/recordings')).status).toBe(401);
+    const res = await request(app).get('/api/recordings').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(403);
+  });
+
+  test('contributors cannot approve or reject, not even their own recording', async () => {
+    const res = await request(app)
+      .patch('/api/recordings/10')
+      .set('Cookie', login(users.speaker))
+      .send({ status: 'approved' });
+    expect(res.status).toBe(403);
+    expect(fakeDb.queries(/recording_reviews/)).toEqual([]);
+  });
+
+  test('contributors cannot transcribe or rate recordings', async () => {
+    for (const path of ['/api/recordings/10/transcript', '/api/recordings/10/intelligibility']) {
+      const res = await request(app).put(path).set('Cookie', login(users.otherSpeaker)).send({});
+      expect(res.status).toBe(403);
+    }
+  });
+});
+
+describe('/api/admin', () => {
+  test('is for admins only', async () => {
+    expect((await request(app).get('/api/admin/stats')).status).toBe(401);
+    for (const user of [users.speaker, users.reviewer]) {
+      const res = await request(app).get('/api/admin/stats').set('Cookie', login(user));
+      expect(res.status).toBe(403);
+    }
+  });
+
+  test('role changes are refused to reviewers', async () => {
+    const res = await request(app)
+      .patch('/api/admin/users/1/role')
+      .set('Cookie', login(users.reviewer))
+      .send({ role: 'admin' });
+    expect(res.status).toBe(403);
+    expect(fakeDb.queries(/UPDATE users/)).toEqual([]);
+  });
+});
+
+describe('uploaded audio', () => {
+  test('is not served as static files', async () => {
+    const server = require('../../backend/server');
+    const res = await request(server).get('/recordings/SPK_AAAA1111/sentence_5_abc.wav');
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/json/);
+  });
+});
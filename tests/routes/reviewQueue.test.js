@@ -0,0 +1,115 @@
+const request = require('supertest');
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+  '/api/review': require('../../backend/routes/review'),
+});
+
+const lockedUntil = '2026-10-19T12:10:00.000Z';
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/SET review_locked_by = \$1/, { id: 10 });
+  fakeDb.on(/JOIN users u ON r.user_id = u.id/, { id: 10, speaker_id: 'SPK_AAAA1111', sentence_id: 5, review_locked_until: lockedUntil });
+  fakeDb.on(/COUNT\(\*\)::int as remaining/, { remaining: 4 });
+  fakeDb.on(/SET review_locked_by = NULL, review_locked_until = NULL\s+WHERE review_locked_by/, { rows: [], rowCount: 1 });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/review/next', () => {
+  test('is for reviewers only', async () => {
+    expect((await request(app).post('/api/review/next')).status).toBe(401);
+    const res = await request(app).post('/api/review/next').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(403);
+    expect(fakeDb.queries(/review_locked_by/)).toEqual([]);
+  });
+
+  test('locks the next recording to the reviewer', async () => {
+    const res = await request(app).post('/api/review/next').set('Cookie', login(users.reviewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ recording: { id: 10, speaker_id: 'SPK_AAAA1111' }, lock_minutes: 10, remaining: 4 });
+    expect(fakeDb.queries(/SET review_locked_by = \$1/)[0].params).toEqual([users.reviewer.id, 10, []]);
+  });
+
+  test('skipped recordings are released and not handed out again', async () => {
+    const res = await request(app)
+      .post('/api/review/next')
+      .set('Cookie', login(users.reviewer))
+      .send({ skip: [11, 12] });
+
+    expect(res.status).toBe(200);
+    expect(fakeDb.queries(/SET review_locked_by = NULL/)[0].params).toEqual([users.reviewer.id, [11, 12]]);
+    expect(fakeDb.queries(/SET review_locked_by = \$1/)[0].params[2]).toEqual([11, 12]);
+  });
+
+  test('skip must be a list of recording ids', async () => {
+    for (const skip of ['11', [11, 'x'], [0], [1.5], { id: 11 }]) {
+      const res = await request(app).post('/api/review/next').set('Cookie', login(users.reviewer)).send({ skip });
+      expect(res.status).toBe(400);
+    }
+    expect(fakeDb.queries(/review_locked_by/)).toEqual([]);
+  });
+
+  test('an empty queue hands out nothing', async () => {
+    fakeDb.on(/SET review_locked_by = \$1/, null);
+    fakeDb.on(/COUNT\(\*\)::int as remaining/, { remaining: 0 });
+
+    const res = await request(app).post('/api/review/next').set('Cookie', login(users.reviewer));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ recording: null, remaining: 0 });
+  });
+});
+
+describe('releasing locks', () => {
+  test('a reviewer only releases their own locks', async () => {
+    const cookie = login(users.reviewer);
+
+    const one = await request(app).post('/api/review/10/release').set('Cookie', cookie);
+    expect(one.body).toEqual({ released: 1 });
+
+    const all = await request(app).post('/api/review/release').set('Cookie', cookie);
+    expect(all.body).toEqual({ released: 1 });
+
+    expect(fakeDb.queries(/SET review_locked_by = NULL/).map(call => call.params)).toEqual([
+      [users.reviewer.id, [10]],
+      [users.reviewer.id, null],
+    ]);
+  });
+});
+
+describe('PATCH /api/recordings/:id with the review queue', () => {
+  test('is 409 while another reviewer holds the lock, and no vote is recorded', async () => {
+    fakeDb.on(/SELECT review_locked_by, review_locked_until/, ([id]) => (
+      id === 10 ? { review_locked_by: users.admin.id, review_locked_until: lockedUntil } : null
+    ));
+
+    const res = await request(app)
+      .patch('/api/recordings/10')
+      .set('Cookie', login(users.reviewer))
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.locked_until).toBe(lockedUntil);
+    expect(fakeDb.queries(/recording_reviews/)).toEqual([]);
+    expect(fakeDb.queries(/ROLLBACK/)).toHaveLength(1);
+  });
+
+  test('is 404 for a recording that does not exist or was deleted', async () => {
+    const res = await request(app)
+      .patch('/api/recordings/11')
+      .set('Cookie', login(users.reviewer))
+      .send({ status: 'approved' });
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+
+jest.mock('../../backend/db', () => require('../helpers/fakeDb').db);
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const fakeDb = require('../helpers/fakeDb');
+const { users, login, createApp } = require('../helpers/routeApp');
+
+const app = createApp({
+  '/api/recordings': require('../../backend/routes/recordings'),
+  '/api/admin': require('../../backend/routes/admin'),
+});
+
+const deletedAt = '2026-10-01T12:00:00.000Z';
+
+// Recording 10 belongs to the speaker; deleted says whether it is currently deleted
+function recording({ deleted }) {
+  fakeDb.on(/SELECT id(, user_id)? FROM recordings WHERE id/, ([id]) => (id === 10 ? { id: 10, user_id: users.speaker.id } : null));
+  fakeDb.on(/SET deleted_at = COALESCE/, ([id]) => (id === 10 ? { id: 10, deleted_at: deletedAt } : null));
+  fakeDb.on(/SET deleted_at = NULL/, ([id]) => (id === 10 && deleted ? { id: 10 } : null));
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/recordings/:id', () => {
+  test('the owner can delete their take; it is kept until the retention window ends', async () => {
+    recording({ deleted: false });
+    const res = await request(app).delete('/api/recordings/10').set('Cookie', login(users.speaker));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ recording_id: 10, deleted_at: deletedAt });
+    expect(new Date(res.body.purge_after).getTime()).toBeGreaterThan(new Date(deletedAt).getTime());
+    expect(fakeDb.queries(/SET deleted_at = COALESCE/)[0].params).toEqual([10, users.speaker.id]);
+    expect(fakeDb.queries(/DELETE FROM recordings/)).toEqual([]);
+  });
+
+  test('nobody else can, not even reviewers or admins', async () => {
+    recording({ deleted: false });
+    for (const user of [users.otherSpeaker, users.reviewer, users.admin]) {
+      const res = await request(app).delete('/api/recordings/10').set('Cookie', login(user));
+      expect(res.status).toBe(403);
+    }
+    expect(fakeDb.queries(/UPDATE recordings/)).toEqual([]);
+  });
+});
+
+describe('POST /api/recordings/:id/restore', () => {
+  test('the owner can undo a deletion', async () => {
+    recording({ deleted: true });
+    const res = await request(app).post('/api/recordings/10/restore').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(200);
+    expect(res.body.recording_id).toBe(10);
+  });
+
+  test('is 409 for a take that is not deleted', async () => {
+    recording({ deleted: false });
+    const res = await request(app).post('/api/recordings/10/restore').set('Cookie', login(users.speaker));
+    expect(res.status).toBe(409);
+  });
+
+  test('nobody else can restore it', async () => {
+    recording({ deleted: true });
+    for (const user of [users.otherSpeaker, users.admin]) {
+      const res = await request(app).post('/api/recordings/10/restore').set('Cookie', login(user));
+      expect(res.status).toBe(403);
+    }
+    expect(fakeDb.queries(/SET deleted_at = NULL/)).toEqual([]);
+  });
+});
+
+describe('admin moderation', () => {
+  test('admins can delete any recording, recorded as deleted by them', async () => {
+    recording({ deleted: false });
+    const res = await request(app).delete('/api/admin/recordings/10').set('Cookie', login(users.admin));
+    expect(res.status).toBe(200);
+    expect(fakeDb.queries(/SET deleted_at = COALESCE/)[0].params).toEqual([10, users.admin.id]);
+  });
+
+  test('unknown and malformed ids', async () => {
+    recording({ deleted: false });
+    const cookie = login(users.admin);
+    expect((await request(app).delete('/api/admin/recordings/11').set('Cookie', cookie)).status).toBe(404);
+    expect((await request(app).delete('/api/admin/recordings/abc').set('Cookie', cookie)).status).toBe(400);
+    expect((await request(app).post('/api/admin/recordings/11/restore').set('Cookie', cookie)).status).toBe(404);
+    expect((await request(app).post('/api/admin/recordings/10/restore').set('Cookie', cookie)).status).toBe(409);
+  });
+
+  test('admins can restore any deleted recording', async () => {
+    recording({ deleted: true });
+    const res = await request(app).post('/api/admin/recordings/10/restore').set('Cookie', login(users.admin));
+    expect(res.status).toBe(200);
+  });
+
+  test('is for admins only', async () => {
+    recording({ deleted: true });
+    for (const user of [users.speaker, users.reviewer]) {
+      const cookie = login(user);
+      expect((await request(app).delete('/api/admin/recordings/10').set('Cookie', cookie)).status).toBe(403);
+      expect((await request(app).post('/api/admin/recordings/10/restore').set('Cookie', cookie)).status).toBe(403);
+    }
+    expect(fakeDb.queries(/UPDATE recordings/)).toEqual([]);
+  });
+});